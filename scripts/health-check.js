@@ -34,6 +34,16 @@ const ENVIRONMENTS = {
       connection: 2000
     }
   },
+  mock: {
+    name: 'Mock',
+    apiUrl: process.env.REACT_APP_MOCK_API_URL || 'http://localhost:8787',
+    wsUrl: process.env.REACT_APP_MOCK_WS_URL || 'ws://localhost:8787',
+    timeouts: {
+      api: 3000,
+      websocket: 2000,
+      connection: 1000
+    }
+  },
   staging: {
     name: 'Staging',
     apiUrl: process.env.REACT_APP_STAGING_API_URL || 'https://staging-api.ovaweb.com',
@@ -214,6 +224,18 @@ function checkWebSocketEndpoint(url, timeout = 3000) {
       });
     });
 
+    // Un 101 real no llega al callback de respuesta sino a 'upgrade'
+    req.on('upgrade', (res, socket) => {
+      socket.destroy();
+      resolve({
+        url,
+        status: 'HEALTHY',
+        responseTime: Date.now() - startTime,
+        error: null,
+        connected: true
+      });
+    });
+
     req.on('timeout', () => {
       req.destroy();
       resolve({
@@ -0,0 +1,919 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Mock Server del Backend OVA (solo módulos de Node, sin dependencias)
+ *
+ * Sustituye al backend FastAPI en desarrollo: el chat, el reconocimiento de
+ * señas y las páginas de administración funcionan sin servicios externos.
+ *
+ * Implementa:
+ *   GET    /status, /docs, /chat/health, /api/chat/health
+ *   WS     /api/chat, /ws/chat          → chat con respuestas guionizadas, typing, streaming,
+ *                                         ack, transcripción de audio, hello y resume
+ *   GET    /api/chat/events             → transporte HTTP de respaldo (Server-Sent Events)
+ *   GET    /api/chat/poll               → transporte HTTP de respaldo (long-polling)
+ *   POST   /api/chat/messages           → envío por el transporte HTTP
+ *   POST   /api/image/asl/predict_space → predicción ASL determinista (misma imagen, misma letra)
+ *   POST   /api/image/process-image, /api/image/analyze-sign-language (alias)
+ *   POST   /api/auth/token              → emite un JWT (form: username, password)
+ *   POST   /api/auth/logout, GET /api/auth/admins, GET /api/auth/sessions
+ *   CRUD   /api/usuarios[/:id], /api/contactos[/:id] en memoria
+ *
+ * Uso:
+ *   node scripts/mock-server.js [puerto]
+ *   npm run mock-server              (puerto 8787 o MOCK_PORT)
+ *   npm run start:mock               (la app con REACT_APP_ENV=mock apunta aquí)
+ *
+ * Variables:
+ *   MOCK_PORT           Puerto (por defecto 8787)
+ *   MOCK_REPLY_DELAY    ms antes de cada respuesta del bot (por defecto 600)
+ *   MOCK_ADMIN_EMAIL    Usuario del panel (por defecto admin@ova.local)
+ *   MOCK_ADMIN_PASSWORD Contraseña del panel (por defecto admin123)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+// 📋 Configuración
+const CONFIG = {
+  port: Number(process.argv[2] || process.env.MOCK_PORT || 8787),
+  replyDelay: Number(process.env.MOCK_REPLY_DELAY || 600),
+  streamChunkDelay: 80,
+  streamThreshold: 60,          // Respuestas más largas se envían en streaming
+  historyLimit: 200,            // Mensajes guardados por cliente para reanudar
+  sessionTtl: 5 * 60 * 1000,    // Una sesión sin conexión se olvida a los 5 minutos
+  pollTimeout: 25000,
+  tokenTtl: 60 * 60,            // 1 hora (segundos)
+  jwtSecret: 'ova-mock-secret',
+  admin: {
+    email: process.env.MOCK_ADMIN_EMAIL || 'admin@ova.local',
+    password: process.env.MOCK_ADMIN_PASSWORD || 'admin123'
+  },
+  protocolVersion: 1
+};
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CHAT_PATHS = ['/api/chat', '/ws/chat'];
+const ASL_LABELS = 'ABCDEFGHIKLMNOPQRSTUVWXY'.split(''); // Sin J ni Z (requieren movimiento)
+
+/**
+ * 🎨 Utilidades de logging con colores
+ */
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+function log(level, message, emoji = '') {
+  const timestamp = new Date().toISOString();
+  const color = {
+    INFO: colors.blue,
+    SUCCESS: colors.green,
+    WARNING: colors.yellow,
+    ERROR: colors.red,
+    CHAT: colors.cyan
+  }[level] || colors.reset;
+
+  console.log(`${color}[${timestamp}] ${emoji} ${level}: ${message}${colors.reset}`);
+}
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+const now = () => new Date().toISOString();
+
+/**
+ * 💬 Respuestas guionizadas del bot
+ * La primera regla que coincide gana; la última es el eco por defecto.
+ */
+const SCRIPTED_REPLIES = [
+  {
+    match: /\b(hola|buenas|hey)\b/i,
+    reply: () => '¡Hola! Soy el servidor de pruebas de OVA. Escribe "ayuda" para ver qué puedo simular.'
+  },
+  {
+    match: /\bayuda\b/i,
+    reply: () => 'Puedo simular: respuestas cortas, respuestas largas en streaming ("cuéntame algo"), ' +
+      'errores ("error"), silencio sin respuesta ("silencio") y transcripción de audio.'
+  },
+  {
+    match: /cu[eé]ntame algo|\bstream\b/i,
+    reply: () => 'El alfabeto manual de la lengua de señas americana tiene veintiséis configuraciones. ' +
+      'Casi todas son estáticas, pero la J y la Z se trazan en el aire, por eso el modelo de ' +
+      'reconocimiento por imagen no las predice y el deletreo en vivo las trata aparte.'
+  },
+  {
+    match: /\berror\b/i,
+    error: () => ({ error: 'Error simulado por el servidor de pruebas', code: 'mock_error' })
+  },
+  {
+    match: /\bsilencio\b/i,
+    silent: true
+  },
+  {
+    match: /.*/,
+    reply: (text) => `Recibí tu mensaje: "${text}"`
+  }
+];
+
+/**
+ * 🖐️ Predicción ASL determinista: el hash de la imagen decide la letra
+ */
+function predictSign(buffer) {
+  const digest = crypto.createHash('sha1').update(buffer).digest();
+  const index = digest[0] % ASL_LABELS.length;
+  const confidence = 0.6 + (digest[1] / 255) * 0.39;
+
+  const alternatives = [1, 2, 3].map(offset => ({
+    simbolo: ASL_LABELS[(index + offset * 5) % ASL_LABELS.length],
+    probabilidad: Number(((1 - confidence) / (offset + 1)).toFixed(3))
+  }));
+
+  return {
+    success: true,
+    prediction: ASL_LABELS[index],
+    confidence: Number(confidence.toFixed(3)),
+    alternatives: [{ simbolo: ASL_LABELS[index], probabilidad: Number(confidence.toFixed(3)) }, ...alternatives],
+    mock: true
+  };
+}
+
+/**
+ * 🔐 JWT HS256 mínimo (suficiente para AuthService.parseJwt)
+ */
+function base64Url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signJwt(payload) {
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64Url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', CONFIG.jwtSecret).update(`${header}.${body}`).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${header}.${body}.${signature}`;
+}
+
+function verifyJwt(token) {
+  const [header, body, signature] = String(token || '').split('.');
+  if (!header || !body || !signature) return null;
+  const expected = crypto.createHmac('sha256', CONFIG.jwtSecret).update(`${header}.${body}`).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  if (expected !== signature) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    return payload.exp * 1000 > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 🗃️ Datos en memoria (se reinician con el servidor)
+ */
+const store = {
+  usuarios: [
+    { id: 1, nombre: 'Ana Pérez', email: 'ana@ova.local', fecha_registro: '2024-01-15T10:00:00Z' },
+    { id: 2, nombre: 'Luis Gómez', email: 'luis@ova.local', fecha_registro: '2024-03-02T16:30:00Z' }
+  ],
+  contactos: [
+    { id: 1, nombre: 'María', email: 'maria@example.com', mensaje: '¿Tienen cursos de ASL?', fecha: '2024-04-10T09:15:00Z', leido: false }
+  ],
+  sessions: [],
+  nextId: { usuarios: 3, contactos: 2 }
+};
+
+function createCrud(collection, { requiredFields }) {
+  return {
+    list: () => [200, store[collection]],
+    get: (id) => {
+      const item = store[collection].find(entry => entry.id === id);
+      return item ? [200, item] : [404, { detail: `No existe ${collection}/${id}` }];
+    },
+    create: (data) => {
+      const missing = requiredFields.filter(field => !data || data[field] === undefined || data[field] === '');
+      if (missing.length) {
+        return [422, { detail: `Faltan campos: ${missing.join(', ')}` }];
+      }
+      const item = { ...data, id: store.nextId[collection]++ };
+      store[collection].push(item);
+      return [201, item];
+    },
+    update: (id, data) => {
+      const item = store[collection].find(entry => entry.id === id);
+      if (!item) return [404, { detail: `No existe ${collection}/${id}` }];
+      Object.assign(item, data, { id });
+      return [200, item];
+    },
+    remove: (id) => {
+      const index = store[collection].findIndex(entry => entry.id === id);
+      if (index === -1) return [404, { detail: `No existe ${collection}/${id}` }];
+      store[collection].splice(index, 1);
+      return [204, null];
+    }
+  };
+}
+
+const usuariosCrud = createCrud('usuarios', { requiredFields: ['nombre', 'email'] });
+const contactosCrud = createCrud('contactos', { requiredFields: ['nombre', 'email', 'mensaje'] });
+
+/**
+ * 🤖 Sesiones del chat
+ *
+ * Cada cliente (client_id) guarda su historial de respuestas para poder
+ * reenviarlas con `resumed` si la conexión se cae. La conexión concreta
+ * (WebSocket, SSE o long-polling) solo es un "deliver" intercambiable.
+ */
+const chatClients = new Map();
+
+class ChatClient {
+  constructor() {
+    this.id = newId('client');
+    this.history = [];
+    this.deliver = null;        // function(frame) de la conexión activa
+    this.streams = new Map();   // Respuestas en streaming en curso (para cancel)
+    this.audioStreams = new Map();
+    this.lastSeen = Date.now();
+    chatClients.set(this.id, this);
+  }
+
+  attach(deliver) {
+    this.deliver = deliver;
+    this.lastSeen = Date.now();
+  }
+
+  detach(deliver) {
+    if (this.deliver === deliver) {
+      this.deliver = null;
+      this.lastSeen = Date.now();
+    }
+  }
+
+  /**
+   * Envía un frame; si lleva id se guarda para reanudar aunque no haya conexión
+   */
+  send(frame, { remember = false } = {}) {
+    const message = { version: CONFIG.protocolVersion, ...frame };
+    if (remember) {
+      this.history = [...this.history, message].slice(-CONFIG.historyLimit);
+    }
+    if (this.deliver) {
+      this.deliver(message);
+    }
+    return message;
+  }
+
+  messagesAfter(lastMessageId) {
+    if (!lastMessageId) return this.history;
+    const index = this.history.findIndex(message => (message.id || message.stream_id) === lastMessageId);
+    return index === -1 ? this.history : this.history.slice(index + 1);
+  }
+}
+
+// 🧹 Olvidar sesiones sin conexión
+setInterval(() => {
+  const limit = Date.now() - CONFIG.sessionTtl;
+  chatClients.forEach((client, id) => {
+    if (!client.deliver && client.lastSeen < limit) {
+      chatClients.delete(id);
+    }
+  });
+}, 60000).unref();
+
+/**
+ * 📨 Lógica del chat (común a WebSocket y transporte HTTP)
+ * @returns {ChatClient} Cliente que queda asociado a la conexión (cambia con `resume`)
+ */
+function handleChatFrame(client, raw, deliver) {
+  // 🎙️ Fragmentos binarios: audio en streaming
+  if (Buffer.isBuffer(raw)) {
+    const stream = Array.from(client.audioStreams.values()).pop();
+    if (!stream) {
+      client.send({ type: 'error', error: 'Fragmento de audio sin audio_stream_start', code: 'no_audio_stream' });
+      return client;
+    }
+    stream.chunks++;
+    stream.bytes += raw.length;
+    if (stream.chunks % 5 === 0) {
+      client.send({
+        type: 'transcription',
+        stream_id: stream.id,
+        text: `(transcripción parcial, ${stream.chunks} fragmentos)`,
+        is_final: false,
+        done: false
+      });
+    }
+    return client;
+  }
+
+  let frame;
+  try {
+    frame = JSON.parse(raw);
+  } catch (error) {
+    frame = { type: 'text', text: String(raw) };
+  }
+
+  const conversationId = frame.conversation_id || null;
+
+  switch (frame.type) {
+    case 'ping':
+      client.send({ type: 'pong', timestamp: frame.timestamp });
+      return client;
+
+    case 'hello':
+      client.send({ type: 'hello', version: CONFIG.protocolVersion, min_version: 1, server: 'ova-mock' });
+      return client;
+
+    case 'resume': {
+      const previous = chatClients.get(frame.client_id);
+      if (!previous || previous === client) {
+        client.send({ type: 'resumed', ok: false, status: 'expired', client_id: client.id });
+        return client;
+      }
+      // La conexión nueva pasa a ser la del cliente anterior
+      client.detach(deliver);
+      chatClients.delete(client.id);
+      previous.attach(deliver);
+      const messages = previous.messagesAfter(frame.last_message_id);
+      log('CHAT', `Sesión ${previous.id} reanudada (${messages.length} mensajes reenviados)`, '🔁');
+      previous.send({ type: 'resumed', ok: true, client_id: previous.id, messages });
+      return previous;
+    }
+
+    case 'typing':
+      return client;
+
+    case 'text':
+      acknowledge(client, frame);
+      scheduleReply(client, String(frame.text || ''), conversationId);
+      return client;
+
+    case 'audio':
+      acknowledge(client, frame);
+      scheduleReply(client, null, conversationId, () => {
+        const size = Math.round(Buffer.byteLength(frame.audio || '', 'base64') / 1024);
+        return `Recibí tu audio (${size} KB, ${frame.mime_type || 'formato desconocido'}).`;
+      });
+      return client;
+
+    case 'image':
+      setTimeout(() => {
+        const prediction = predictSign(Buffer.from(frame.image || '', 'base64'));
+        client.send({
+          type: 'sign_language',
+          id: newId('msg'),
+          text: `Seña detectada: ${prediction.prediction}`,
+          prediction: prediction.prediction,
+          confidence: prediction.confidence,
+          alternatives: prediction.alternatives,
+          conversation_id: conversationId,
+          timestamp: now()
+        }, { remember: true });
+      }, CONFIG.replyDelay);
+      return client;
+
+    case 'cancel':
+      cancelStream(client, frame.stream_id);
+      return client;
+
+    case 'audio_stream_start':
+      client.audioStreams.set(frame.stream_id, {
+        id: frame.stream_id,
+        purpose: frame.purpose || 'message',
+        clientMessageId: frame.client_message_id,
+        conversationId,
+        mimeType: frame.mime_type,
+        chunks: 0,
+        bytes: 0
+      });
+      return client;
+
+    case 'audio_stream_end': {
+      const stream = client.audioStreams.get(frame.stream_id);
+      client.audioStreams.delete(frame.stream_id);
+      if (!stream || frame.cancelled) return client;
+
+      const text = `Audio de prueba de ${stream.chunks} fragmentos (${Math.round(stream.bytes / 1024)} KB)`;
+      client.send({ type: 'transcription', stream_id: stream.id, text, is_final: true, done: true });
+      if (stream.purpose === 'message') {
+        acknowledge(client, { client_message_id: stream.clientMessageId });
+        scheduleReply(client, text, stream.conversationId);
+      }
+      return client;
+    }
+
+    default:
+      client.send({
+        type: 'error',
+        error: `Tipo de mensaje no soportado por el mock: ${frame.type}`,
+        code: 'unsupported_type'
+      });
+      return client;
+  }
+}
+
+function acknowledge(client, frame) {
+  if (!frame.client_message_id) return;
+  client.send({
+    type: 'ack',
+    client_message_id: frame.client_message_id,
+    message_id: newId('msg'),
+    status: 'received'
+  });
+}
+
+function scheduleReply(client, text, conversationId, buildReply = null) {
+  const rule = SCRIPTED_REPLIES.find(candidate => text !== null && candidate.match.test(text)) ||
+    SCRIPTED_REPLIES[SCRIPTED_REPLIES.length - 1];
+  if (!buildReply && rule.silent) return;
+
+  client.send({ type: 'typing', is_typing: true });
+
+  setTimeout(() => {
+    if (!buildReply && rule.error) {
+      client.send({ type: 'typing', is_typing: false });
+      client.send({ type: 'error', ...rule.error() });
+      return;
+    }
+
+    const reply = buildReply ? buildReply() : rule.reply(text);
+    if (reply.length > CONFIG.streamThreshold) {
+      streamReply(client, reply, conversationId);
+    } else {
+      client.send({
+        type: 'text',
+        id: newId('msg'),
+        text: reply,
+        is_user: false,
+        conversation_id: conversationId,
+        timestamp: now()
+      }, { remember: true });
+    }
+  }, CONFIG.replyDelay);
+}
+
+function streamReply(client, reply, conversationId) {
+  const streamId = newId('stream');
+  const words = reply.split(/(\s+)/);
+  let index = 0;
+
+  const timer = setInterval(() => {
+    if (index >= words.length) {
+      clearInterval(timer);
+      client.streams.delete(streamId);
+      client.send({
+        type: 'stream_done',
+        stream_id: streamId,
+        text: reply,
+        conversation_id: conversationId,
+        timestamp: now()
+      }, { remember: true });
+      return;
+    }
+    client.send({
+      type: 'stream_chunk',
+      stream_id: streamId,
+      text: words.slice(index, index + 4).join(''),
+      conversation_id: conversationId,
+      timestamp: now()
+    });
+    index += 4;
+  }, CONFIG.streamChunkDelay);
+
+  client.streams.set(streamId, { timer, conversationId });
+}
+
+function cancelStream(client, streamId) {
+  const targets = streamId ? [streamId] : Array.from(client.streams.keys());
+  targets.forEach(id => {
+    const stream = client.streams.get(id);
+    if (!stream) return;
+    clearInterval(stream.timer);
+    client.streams.delete(id);
+    client.send({ type: 'stream_done', stream_id: id, cancelled: true, conversation_id: stream.conversationId, timestamp: now() });
+  });
+}
+
+function openChatClient(deliver) {
+  const client = new ChatClient();
+  client.attach(deliver);
+  client.send({ type: 'connected', client_id: client.id });
+  log('CHAT', `Cliente conectado: ${client.id}`, '🔌');
+  return client;
+}
+
+/**
+ * 🔌 WebSocket (RFC 6455) sin dependencias
+ */
+function encodeFrame(payload, opcode = 0x1) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+function createFrameParser(onFrame) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = null;
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      let payload = buffer.subarray(offset, offset + length);
+      if (masked) {
+        const mask = buffer.subarray(maskOffset, maskOffset + 4);
+        payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+      }
+      buffer = buffer.subarray(offset + length);
+
+      if (opcode === 0x0) {
+        fragments.push(payload);
+        if (fin) {
+          onFrame(fragmentOpcode, Buffer.concat(fragments));
+          fragments = [];
+          fragmentOpcode = null;
+        }
+      } else if (!fin && opcode < 0x8) {
+        fragments = [payload];
+        fragmentOpcode = opcode;
+      } else {
+        onFrame(opcode, payload);
+      }
+    }
+  };
+}
+
+function handleUpgrade(req, socket) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const key = req.headers['sec-websocket-key'];
+
+  if (!CHAT_PATHS.includes(pathname) || !key) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let closed = false;
+  const deliver = (frame) => {
+    if (!closed) socket.write(encodeFrame(JSON.stringify(frame)));
+  };
+  let client = openChatClient(deliver);
+
+  const close = (code = 1000) => {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(payload, 0x8));
+    client.detach(deliver);
+    log('CHAT', `Cliente desconectado: ${client.id}`, '👋');
+  };
+
+  socket.on('data', createFrameParser((opcode, payload) => {
+    switch (opcode) {
+      case 0x1:
+        client = handleChatFrame(client, payload.toString('utf8'), deliver);
+        break;
+      case 0x2:
+        client = handleChatFrame(client, payload, deliver);
+        break;
+      case 0x8:
+        close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      case 0x9:
+        socket.write(encodeFrame(payload, 0xA));
+        break;
+      default:
+        break;
+    }
+  }));
+  socket.on('error', () => {
+    closed = true;
+    client.detach(deliver);
+    socket.destroy();
+  });
+  socket.on('close', () => {
+    closed = true;
+    client.detach(deliver);
+  });
+}
+
+/**
+ * 🌐 Transporte HTTP de respaldo (SSE + long-polling + POST)
+ */
+const pollQueues = new Map(); // client_id → { frames: [], waiting: res|null }
+
+function deliverToPoll(clientId) {
+  return (frame) => {
+    const queue = pollQueues.get(clientId);
+    if (!queue) return;
+    queue.frames.push(frame);
+    flushPoll(queue);
+  };
+}
+
+function flushPoll(queue) {
+  if (!queue.waiting || queue.frames.length === 0) return;
+  const { res, timer } = queue.waiting;
+  clearTimeout(timer);
+  queue.waiting = null;
+  sendJson(res, 200, { client_id: queue.clientId, messages: queue.frames.splice(0) });
+}
+
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    ...corsHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(': ova-mock\n\n');
+
+  const deliver = (frame) => res.write(`data: ${JSON.stringify(frame)}\n\n`);
+  const client = openChatClient(deliver);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    // Tras un resume el deliver pertenece a la sesión reanudada, no a `client`
+    chatClients.forEach(other => other.detach(deliver));
+    log('CHAT', `Stream de eventos cerrado (${client.id})`, '👋');
+  });
+}
+
+function handlePoll(req, res, params) {
+  let clientId = params.get('client_id');
+  let queue = clientId && pollQueues.get(clientId);
+
+  if (!queue) {
+    // Primera petición: se crea el cliente y se responde enseguida con el `connected`
+    const pending = [];
+    const client = openChatClient(frame => pending.push(frame));
+    clientId = client.id;
+    queue = { clientId, frames: pending, waiting: null };
+    pollQueues.set(clientId, queue);
+    client.attach(deliverToPoll(clientId));
+    sendJson(res, 200, { client_id: clientId, messages: queue.frames.splice(0) });
+    return;
+  }
+
+  if (queue.waiting) {
+    // Una petición anterior seguía esperando: se cierra vacía
+    clearTimeout(queue.waiting.timer);
+    sendJson(queue.waiting.res, 200, { client_id: clientId, messages: [] });
+    queue.waiting = null;
+  }
+  const timer = setTimeout(() => {
+    queue.waiting = null;
+    sendJson(res, 200, { client_id: clientId, messages: [] });
+  }, CONFIG.pollTimeout);
+  queue.waiting = { res, timer };
+  flushPoll(queue);
+  req.on('close', () => {
+    if (queue.waiting && queue.waiting.res === res) {
+      clearTimeout(timer);
+      queue.waiting = null;
+    }
+  });
+}
+
+function handleHttpMessage(req, res, params, body) {
+  const client = chatClients.get(params.get('client_id'));
+  if (!client) {
+    sendJson(res, 404, { detail: 'client_id desconocido: abre primero /api/chat/events o /api/chat/poll' });
+    return;
+  }
+  const binary = (req.headers['content-type'] || '').includes('application/octet-stream');
+  const next = handleChatFrame(client, binary ? body : body.toString('utf8'), client.deliver);
+  if (next !== client && pollQueues.has(client.id)) {
+    // resume por long-polling: la cola sigue a la sesión reanudada
+    const queue = pollQueues.get(client.id);
+    pollQueues.delete(client.id);
+    queue.clientId = next.id;
+    pollQueues.set(next.id, queue);
+    next.attach(deliverToPoll(next.id));
+  }
+  sendJson(res, 202, { accepted: true });
+}
+
+/**
+ * 🧭 Rutas REST
+ */
+function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  };
+}
+
+function sendJson(res, status, data) {
+  if (res.headersSent) return;
+  if (status === 204 || data === null) {
+    res.writeHead(status, corsHeaders());
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...corsHeaders(), 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(body) {
+  try {
+    return body.length ? JSON.parse(body.toString('utf8')) : {};
+  } catch (error) {
+    return null;
+  }
+}
+
+function requireAuth(req, res) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const payload = verifyJwt(token);
+  if (!payload) {
+    sendJson(res, 401, { detail: 'Token inválido o expirado' });
+    return null;
+  }
+  return payload;
+}
+
+function handleCrud(crud, req, res, id, body, { publicCreate = false } = {}) {
+  if (!(publicCreate && req.method === 'POST' && id === null) && !requireAuth(req, res)) return;
+
+  const data = parseJson(body);
+  if (data === null) {
+    sendJson(res, 400, { detail: 'JSON inválido' });
+    return;
+  }
+
+  let result;
+  if (id === null) {
+    if (req.method === 'GET') result = crud.list();
+    else if (req.method === 'POST') result = crud.create(data);
+  } else if (req.method === 'GET') {
+    result = crud.get(id);
+  } else if (req.method === 'PUT' || req.method === 'PATCH') {
+    result = crud.update(id, data);
+  } else if (req.method === 'DELETE') {
+    result = crud.remove(id);
+  }
+
+  if (!result) {
+    sendJson(res, 405, { detail: `Método ${req.method} no permitido` });
+    return;
+  }
+  sendJson(res, result[0], result[1]);
+}
+
+function handleLogin(res, body) {
+  const form = new URLSearchParams(body.toString('utf8'));
+  const email = form.get('username');
+  if (email !== CONFIG.admin.email || form.get('password') !== CONFIG.admin.password) {
+    sendJson(res, 401, { detail: 'Credenciales incorrectas' });
+    return;
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const token = signJwt({ sub: email, role: 'admin', iat: issuedAt, exp: issuedAt + CONFIG.tokenTtl });
+  store.sessions.push({ id: store.sessions.length + 1, email, created_at: now(), active: true });
+  log('INFO', `Token emitido para ${email}`, '🔐');
+  sendJson(res, 200, { access_token: token, token_type: 'bearer' });
+}
+
+async function handleRequest(req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, null);
+    return;
+  }
+
+  const body = req.method === 'GET' ? Buffer.alloc(0) : await readBody(req);
+  const idMatch = pathname.match(/^\/api\/(usuarios|contactos)(?:\/(\d+))?\/?$/);
+
+  if (req.method === 'GET' && ['/status', '/chat/health', '/api/chat/health'].includes(pathname)) {
+    sendJson(res, 200, { status: 'ok', mock: true, clients: chatClients.size, timestamp: now() });
+  } else if (req.method === 'GET' && pathname === '/docs') {
+    res.writeHead(200, { ...corsHeaders(), 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<h1>OVA mock server</h1><p>Ver cabecera de scripts/mock-server.js</p>');
+  } else if (req.method === 'GET' && pathname === '/api/chat/events') {
+    handleEvents(req, res);
+  } else if (req.method === 'GET' && pathname === '/api/chat/poll') {
+    handlePoll(req, res, searchParams);
+  } else if (req.method === 'POST' && pathname === '/api/chat/messages') {
+    handleHttpMessage(req, res, searchParams, body);
+  } else if (req.method === 'POST' && [
+    '/api/image/asl/predict_space',
+    '/api/image/process-image',
+    '/api/image/analyze-sign-language'
+  ].includes(pathname)) {
+    setTimeout(() => sendJson(res, 200, predictSign(body)), CONFIG.replyDelay);
+  } else if (req.method === 'POST' && pathname === '/api/auth/token') {
+    handleLogin(res, body);
+  } else if (req.method === 'POST' && pathname === '/api/auth/logout') {
+    sendJson(res, 200, { success: true });
+  } else if (req.method === 'GET' && pathname === '/api/auth/admins') {
+    if (requireAuth(req, res)) sendJson(res, 200, [{ email: CONFIG.admin.email, role: 'admin' }]);
+  } else if (req.method === 'GET' && pathname === '/api/auth/sessions') {
+    if (requireAuth(req, res)) sendJson(res, 200, store.sessions);
+  } else if (idMatch) {
+    const crud = idMatch[1] === 'usuarios' ? usuariosCrud : contactosCrud;
+    const id = idMatch[2] ? Number(idMatch[2]) : null;
+    handleCrud(crud, req, res, id, body, { publicCreate: idMatch[1] === 'contactos' });
+  } else {
+    sendJson(res, 404, { detail: `Ruta no encontrada en el mock: ${req.method} ${pathname}` });
+  }
+}
+
+/**
+ * 🚀 Crear y arrancar el servidor
+ * @param {number} [port]
+ * @returns {Promise<http.Server>}
+ */
+function startMockServer(port = CONFIG.port) {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      log('ERROR', `Error atendiendo ${req.method} ${req.url}: ${error.message}`, '💥');
+      sendJson(res, 500, { detail: 'Error interno del mock' });
+    });
+  });
+  server.on('upgrade', handleUpgrade);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      log('SUCCESS', `Mock server escuchando en http://localhost:${port} (WebSocket: ws://localhost:${port}/api/chat)`, '🧪');
+      log('INFO', `Panel de administración: ${CONFIG.admin.email} / ${CONFIG.admin.password}`, '🔐');
+      resolve(server);
+    });
+  });
+}
+
+// 🚀 Ejecutar si es llamado directamente
+if (require.main === module) {
+  startMockServer().catch(error => {
+    log('ERROR', `No se pudo arrancar el mock server: ${error.message}`, '💥');
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startMockServer,
+  predictSign,
+  CONFIG
+};
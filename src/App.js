@@ -5,6 +5,7 @@ Este es el corazón de la aplicación React que maneja:
 - Enrutamiento principal (Home, Chat, Admin, etc.)
 - Layout general con sidebar
 - Estados globales de tema y autenticación
+- Conexión WebSocket del chat compartida (ChatConnectionProvider)
 - Configuración de rutas públicas y privadas
 
 Como desarrollador fullstack, este archivo es el "entry point" donde:
@@ -13,7 +14,7 @@ Como desarrollador fullstack, este archivo es el "entry point" donde:
 - Se conectan todos los componentes principales
 */
 
-import React, { useEffect, useState, useRef, useCallback } from 'react';
+import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, Outlet } from 'react-router-dom';
 import Sidebar from './components/Sidebar';
 import Chat from './components/Chat';
@@ -26,6 +27,7 @@ import ServicesSection from './components/ServicesSection';
 import Diagnostics from './components/Diagnostics';
 import DatabaseService from './services/database.service';
 import useDayNightTheme from './hooks/useDayNightTheme';
+import { ChatConnectionProvider } from './context/ChatConnectionContext';
 
 // Componente de página principal - lo que ve el usuario al entrar
 const HomePage = () => (
@@ -401,99 +403,42 @@ function App() {
   // Inicializar el tema día/noche automático
   // Ejecuta el hook por sus efectos (clase en <html>); no necesitamos sus valores aquí
   useDayNightTheme();
-  const [messages, setMessages] = useState([]);  // Control global de mensajes
-  const wsRef = useRef(null);
-  const reconnectTimeout = useRef(null);
-  const backoff = useRef(5000); // 5s inicial
-  const isDev = process.env.NODE_ENV !== 'production';
-
-  // Conexión y reconexión controlada
-  /* eslint-disable no-console */
-  const connectWebSocket = useCallback(() => {
-    if (!isDev) {
-      // eslint-disable-next-line no-console
-      console.info('ℹ️ WebSocket local deshabilitado en producción (se usa conexión robusta dentro de Chat).');
-      return;
-    }
-    wsRef.current = new WebSocket('ws://localhost:8000/api/chat');
-  // eslint-disable-next-line no-console
-  console.log('🔗 Intentando conectar WebSocket (DEV local)...');
-
-    wsRef.current.onopen = () => {
-      // eslint-disable-next-line no-console
-      console.log('✅ WebSocket conectado');
-      backoff.current = 5000; // Reset backoff
-    };
-
-    wsRef.current.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        setMessages(prev => [...prev, data]);
-      } catch (e) {
-  // eslint-disable-next-line no-console
-        console.warn('Mensaje no JSON:', event.data);
-      }
-    };
-
-    wsRef.current.onclose = (e) => {
-      // eslint-disable-next-line no-console
-      console.warn('⚠️ WebSocket cerrado. Intentando reconectar en', backoff.current / 1000, 's...', e);
-      reconnectTimeout.current = setTimeout(() => {
-        backoff.current = Math.min(backoff.current * 2, 30000); // Exponencial hasta 30s
-        connectWebSocket();
-      }, backoff.current);
-    };
-
-    wsRef.current.onerror = (e) => {
-      // eslint-disable-next-line no-console
-      console.error('❌ WebSocket error:', e);
-      wsRef.current.close();
-    };
-  }, [isDev]);
-  /* eslint-enable no-console */
-
-  useEffect(() => {
-    if (isDev) connectWebSocket();
-    return () => {
-  // eslint-disable-next-line no-console
-  console.log('🧹 Limpiando WebSocket al desmontar');
-      if (wsRef.current) wsRef.current.close();
-      if (reconnectTimeout.current) clearTimeout(reconnectTimeout.current);
-    };
-  }, [connectWebSocket, isDev]);
 
   return (
-    <Router>
-      <Routes>
-        {/* Admin routes */}
-        {/* Ruta principal /admin: si está autenticado muestra el dashboard; si no, PrivateRoute redirige a /admin/login */}
-        <Route path="/admin" element={
-          <PrivateRoute>
-            <AdminDashboard />
-          </PrivateRoute>
-        } />
-        <Route path="/admin/login" element={<AdminLogin />} />
-        <Route path="/admin/dashboard" element={
-          <PrivateRoute>
-            <AdminDashboard />
-          </PrivateRoute>
-        } />
-  {/* Diagnostics route */}
-  <Route path="/diagnostics" element={<Diagnostics />} />
-        
-        {/* Public routes with Sidebar */}
-        <Route path="/" element={<MainLayout />}>
-          <Route index element={<HomePage />} />
-          <Route path="about" element={<AboutPage />} />
-          <Route path="services" element={<ServicesPage />} />
-          <Route path="contact" element={<ContactPage />} />
-          <Route path="chat" element={<Chat messages={messages} setMessages={setMessages} socket={isDev ? wsRef.current : null} />} />
-        </Route>
+    // 🔌 Una sola conexión del chat para toda la app (Chat, dictado, indicadores)
+    <ChatConnectionProvider>
+      <Router>
+        <Routes>
+          {/* Admin routes */}
+          {/* Ruta principal /admin: si está autenticado muestra el dashboard; si no, PrivateRoute redirige a /admin/login */}
+          <Route path="/admin" element={
+            <PrivateRoute>
+              <AdminDashboard />
+            </PrivateRoute>
+          } />
+          <Route path="/admin/login" element={<AdminLogin />} />
+          <Route path="/admin/dashboard" element={
+            <PrivateRoute>
+              <AdminDashboard />
+            </PrivateRoute>
+          } />
+          {/* Diagnostics route */}
+          <Route path="/diagnostics" element={<Diagnostics />} />
+          
+          {/* Public routes with Sidebar */}
+          <Route path="/" element={<MainLayout />}>
+            <Route index element={<HomePage />} />
+            <Route path="about" element={<AboutPage />} />
+            <Route path="services" element={<ServicesPage />} />
+            <Route path="contact" element={<ContactPage />} />
+            <Route path="chat" element={<Chat />} />
+          </Route>
 
-        {/* Catch-all for 404 */}
-        <Route path="*" element={<div>404 - Página no encontrada</div>} />
-      </Routes>
-    </Router>
+          {/* Catch-all for 404 */}
+          <Route path="*" element={<div>404 - Página no encontrada</div>} />
+        </Routes>
+      </Router>
+    </ChatConnectionProvider>
   );
 }
 
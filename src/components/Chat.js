@@ -7,10 +7,17 @@
  * 🎯 ¿QUÉ HACE ESTE COMPONENTE?
  * - Maneja el chat en tiempo real con WebSockets
  * - Procesa imágenes de lenguaje de señas a través del backend
- * - Reproduce audio automáticamente para accesibilidad
+ * - Reproduce audio automáticamente para accesibilidad (o lee el texto con la voz del navegador)
+ * - Encola el audio de las respuestas en un reproductor compartido (sin solaparse)
+ * - Transmite el audio del micrófono en fragmentos binarios mientras se graba
+ * - Panel de dictado con transcripción en vivo (VoiceRecorder)
  * - Gestiona modales de privacidad y términos de uso
- * - Mantiene historial de conversación
- * - Maneja errores de conexión con reconexión automática
+ * - Mantiene historial de conversación (persistido en IndexedDB)
+ * - Encola los mensajes enviados sin conexión (outbox) y los envía al reconectar
+ * - Muestra las respuestas en streaming a medida que llegan (y permite detenerlas)
+ * - Ejecuta comandos locales (/help, /clear, /export, /theme, /asl) sin enviarlos al servidor
+ * - Exporta transcripciones (JSON, Markdown, HTML imprimible) e importa las JSON
+ * - Usa la conexión compartida del chat (ChatConnectionProvider), que reconecta sola
  * 
  * 🔗 CONEXIONES FULLSTACK:
  * - Frontend: Este componente React
@@ -19,11 +26,14 @@
  * - AI Service: Integración con Gradio Space para reconocimiento
  * 
  * 🛠️ ARQUITECTURA:
- * - Chat.js (este archivo): Lógica principal y WebSocket management
+ * - Chat.js (este archivo): Lógica principal y mensajes del WebSocket
+ * - ChatConnectionContext.js: Conexión WebSocket compartida (reintentos, outbox)
  * - ChatHeader.js: Barra superior con controles
  * - MessageList.js: Lista scrolleable de mensajes
  * - ChatInput.js: Input de texto y botones de acción
  * - message-utils.js: Utilidades para procesar mensajes
+ * - chat-commands.js: Registro de comandos "/" del chat
+ * - transcript-utils.js: Exportación e importación de transcripciones
  * 
  * 💡 PARA DESARROLLADORES:
  * Si algo no funciona, revisa en este orden:
@@ -42,20 +52,41 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import Logger from '../utils/debug-utils';                    // Sistema de logging humanizado
 import ApiService from '../services/api';                     // Servicio de API humanizado  
-import { WS_ROUTES } from '../config/api.routes';            // Rutas WebSocket
-import { formatImageAnalysisResult } from '../services/chatUtils';  // Formateo de resultados ASL
+import { normalizeSignLanguageResult } from '../services/chatUtils';  // Formato único de resultados ASL
 import { ErrorMessage } from './common';                      // Componente de errores
 import ChatHeader from './Chat/ChatHeader';                   // Header del chat
 import MessageList from './Chat/MessageList';                 // Lista de mensajes
 import ChatInput from './Chat/ChatInput';                     // Input y controles
+import SignLanguageUploader from './SignLanguageUploader';    // Panel ASL (imagen/cámara + deletreo)
+import VoiceRecorder from './VoiceRecorder';                  // Panel de dictado (voz → texto)
+import ChatStorageService, { DEFAULT_CONVERSATION_ID, DEFAULT_CONVERSATION_TITLE } from '../services/chatStorage.service'; // Historial local (IndexedDB)
 import { COMPONENT_NAMES } from '../config/constants';        // Constantes centralizadas
-import { processIncomingMessage, handleMessageActions, createTextMessage, createAudioMessage } from '../utils/message-utils';
-import { playAudio } from '../utils/media-utils';            // Utilidades de audio
+import MessageOutbox from '../utils/message-outbox';          // Cola de mensajes sin conexión
+import AudioStreamSender from '../utils/audio-stream';         // Audio del micrófono en streaming
+import { processIncomingMessage, handleMessageActions, createTextMessage, createAudioMessage, createCancelMessage, generateClientMessageId, MESSAGE_STATUS } from '../utils/message-utils';
+import { WS_CONFIG } from '../utils/websocket-manager';         // Estados de conexión
+import audioPlayback from '../utils/audio-playback';          // Cola de reproducción de audio
+import { speakText, cancelSpeech } from '../utils/speech-utils'; // Voz del navegador (respuestas sin audio)
+import { createCommandRegistry } from '../utils/chat-commands'; // Comandos "/" locales
+import { exportConversation, parseTranscript } from '../utils/transcript-utils'; // Exportar / importar conversaciones
+import useDayNightTheme from '../hooks/useDayNightTheme';     // Tema día/noche (comando /theme)
+import useChatPreferences from '../hooks/useChatPreferences'; // Preferencias persistidas (audio y voz)
+import useChatConnection from '../hooks/useChatConnection';   // Conexión WebSocket compartida
+import useChatSubscription from '../hooks/useChatSubscription'; // Mensajes entrantes de la conexión
 import { useNavigate } from 'react-router-dom';              // Navegación React Router
 
 // 🏷️ Nombre del componente para logging consistente
 const COMPONENT_NAME = COMPONENT_NAMES.CHAT;
 
+// 💾 Clave de localStorage con la última conversación abierta
+const ACTIVE_CONVERSATION_KEY = 'chat_active_conversation';
+
+// 🔁 Tipos de respuesta del servidor que se deduplican por id
+const DEDUPED_MESSAGE_TYPES = ['text', 'audio', 'image', 'sign_language'];
+
+// ⌨️ Registro de comandos del chat (no guarda estado: se comparte entre instancias)
+const chatCommands = createCommandRegistry();
+
 // 📋 MODAL DE PRIVACIDAD Y TÉRMINOS
 // 
 // Este modal es OBLIGATORIO antes de usar el chat. Cumple con:
@@ -92,6 +123,10 @@ const PrivacyTermsModal = ({ onAccept, onDecline }) => (
             <li>✅ <strong>Puedes solicitar</strong> la eliminación de tus datos en cualquier momento.</li>
             <li>✅ <strong>Utilizamos conexiones seguras</strong> (HTTPS/WSS) para proteger tus datos.</li>
             <li>✅ <strong>Procesamiento temporal</strong>: Las imágenes se procesan y descartan inmediatamente.</li>
+            <li>💾 <strong>Historial local</strong>: Tus mensajes, audios, imágenes y resultados ASL se guardan
+              <strong> solo en este navegador</strong> (IndexedDB) para restaurar la conversación al volver.
+              Permanecen hasta que los borres con los botones <i className="bi bi-trash"></i> del encabezado
+              del chat o limpies los datos del sitio.</li>
           </ul>
 
           <h5 className="mt-4">📜 Términos de Uso</h5>
@@ -143,16 +178,33 @@ const Chat = ({ onImageResult }) => {
   
   const [messages, setMessages] = useState([]);              // 💬 Historial completo de mensajes
   const [isTyping, setIsTyping] = useState(false);           // ⌨️ Indicador de "escribiendo..."
-  const [isConnected, setIsConnected] = useState(false);     // 🔌 Estado de conexión WebSocket
   const [connectionError, setConnectionError] = useState(null); // ❌ Errores de conexión
-  const [autoPlayAudio, setAutoPlayAudio] = useState(true);  // 🔊 Auto-reproducir respuestas en audio
   const [showPrivacyModal, setShowPrivacyModal] = useState(true); // 🔒 Modal de términos y privacidad
+  const [showSignPanel, setShowSignPanel] = useState(false);  // 🤟 Panel de reconocimiento ASL / deletreo
+  const [showDictationPanel, setShowDictationPanel] = useState(false); // 🎙️ Panel de dictado por voz
+  const [conversations, setConversations] = useState([]);     // 🗂️ Conversaciones con nombre
+  const [activeConversationId, setActiveConversationId] = useState(
+    () => localStorage.getItem(ACTIVE_CONVERSATION_KEY) || DEFAULT_CONVERSATION_ID
+  );                                                           // 🗂️ Conversación mostrada
   
   // 📎 REFERENCIAS PARA MANEJO DE RECURSOS
   // useRef mantiene referencias que persisten entre renders sin causar re-renders
-  const ws = useRef(null);                    // 🔌 Referencia al WebSocket activo
-  const reconnectTimeoutRef = useRef(null);   // ⏰ Timer para reconexión automática
+  const activeConversationRef = useRef(activeConversationId); // 🗂️ Conversación activa para callbacks
+  const outboxRef = useRef(null);             // 📮 Mensajes pendientes de envío (persisten en IndexedDB)
+  const streamsRef = useRef(new Map());       // 🌊 Respuestas en streaming: streamId → { conversationId, text, ... }
+  const seenMessageIdsRef = useRef(new Set()); // 🔁 Ids de mensajes del servidor ya mostrados (reenvíos al reanudar)
+  const audioStreamRef = useRef(null);        // 🎙️ Grabación en curso enviándose por streaming (AudioStreamSender)
   const navigate = useNavigate();             // 🧭 Hook de navegación de React Router
+  const { setTheme } = useDayNightTheme();    // 🌗 Cambiar tema desde /theme
+  const { preferences, updatePreferences, updateSpeechPreferences, updateRecordingPreferences } = useChatPreferences(); // ⚙️ Audio, voz y grabación
+  const autoPlayAudio = preferences.autoPlayAudio; // 🔊 Auto-reproducir / leer respuestas
+  const preferencesRef = useRef(preferences); // ⚙️ Preferencias actuales para los callbacks del socket
+  preferencesRef.current = preferences;
+  const { connectionState, isConnected, connectionQuality, transport, protocolError, send, setOutbox, flushOutbox } = useChatConnection(); // 🔌 Conexión compartida
+
+  if (outboxRef.current === null) {
+    outboxRef.current = new MessageOutbox(ChatStorageService);
+  }
 
   // 🔒 VERIFICACIÓN DE PRIVACIDAD AL MONTAR COMPONENTE
   // Comprueba si el usuario ya aceptó los términos previamente
@@ -167,6 +219,54 @@ const Chat = ({ onImageResult }) => {
     }
   }, []); // Sin dependencias: solo ejecutar una vez al montar
 
+  // 🗂️ CARGAR CONVERSACIONES AL MONTAR
+  // Si no hay ninguna guardada se crea la conversación principal
+  useEffect(() => {
+    let cancelled = false;
+    
+    ChatStorageService.getConversations().then(async stored => {
+      if (cancelled) return;
+      
+      let list = stored;
+      if (list.length === 0) {
+        const defaultConversation = ChatStorageService.createConversation(DEFAULT_CONVERSATION_TITLE, DEFAULT_CONVERSATION_ID);
+        await ChatStorageService.saveConversation(defaultConversation);
+        list = [defaultConversation];
+      }
+      
+      setConversations(list);
+      // La conversación recordada pudo haberse borrado
+      if (!list.some(conversation => conversation.id === activeConversationRef.current)) {
+        setActiveConversationId(list[0].id);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // 💾 RESTAURAR HISTORIAL DE LA CONVERSACIÓN ACTIVA
+  // Se ejecuta al montar y cada vez que el usuario cambia de conversación.
+  // Los mensajes que lleguen mientras se lee IndexedDB se conservan al final.
+  useEffect(() => {
+    let cancelled = false;
+    activeConversationRef.current = activeConversationId;
+    localStorage.setItem(ACTIVE_CONVERSATION_KEY, activeConversationId);
+    setMessages([]);
+    
+    ChatStorageService.getMessages(activeConversationId).then(restored => {
+      if (cancelled || restored.length === 0) return;
+      restored.forEach(message => message.id && seenMessageIdsRef.current.add(message.id));
+      Logger.info(COMPONENT_NAME, `💾 ${restored.length} mensajes restaurados de "${activeConversationId}"`);
+      setMessages(prevMessages => [...restored, ...prevMessages]);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [activeConversationId]);
+
   // 🔒 HANDLERS DEL MODAL DE PRIVACIDAD
   
   /**
@@ -214,7 +314,16 @@ const Chat = ({ onImageResult }) => {
       hasText: !!messageData.text 
     });
     
-    setMessages(prevMessages => [...prevMessages, messageData]);
+    // 🗂️ Las respuestas del backend pueden indicar su conversación; si no, va a la activa
+    const conversationId = messageData.conversationId || activeConversationRef.current;
+    const message = { ...messageData, conversationId };
+    
+    if (conversationId === activeConversationRef.current) {
+      setMessages(prevMessages => [...prevMessages, message]);
+    }
+    
+    // 💾 Guardar en el historial local (solo text/audio/image/sign_language)
+    ChatStorageService.saveMessage(conversationId, message);
   }, []);
 
   /**
@@ -254,6 +363,190 @@ const Chat = ({ onImageResult }) => {
     });
   }, [addMessage]);
 
+  // 📮 OUTBOX: MENSAJES PENDIENTES DE ENVÍO
+
+  /**
+   * 🏷️ Actualizar un Mensaje Saliente
+   * 
+   * Cambia el estado de envío (pendiente, enviando, enviado, fallido, cancelado)
+   * u otros datos (id del servidor) de un mensaje del usuario, en pantalla y en
+   * el historial local.
+   * 
+   * @param {string} clientMessageId - Id local del mensaje
+   * @param {Object} changes - Campos a modificar (p.ej. { status: MESSAGE_STATUS.SENT })
+   */
+  const updateOutgoingMessage = useCallback((clientMessageId, changes) => {
+    setMessages(prevMessages => prevMessages.map(message => (
+      message.clientMessageId === clientMessageId ? { ...message, ...changes } : message
+    )));
+    ChatStorageService.updateMessageByClientId(clientMessageId, changes);
+  }, []);
+
+  // 📮 Restaurar la cola guardada y reflejar sus cambios en los mensajes
+  // La conexión compartida la vacía en orden en cada (re)conexión
+  useEffect(() => {
+    const outbox = outboxRef.current;
+    let disposed = false;
+    const statusByEvent = {
+      sent: MESSAGE_STATUS.SENDING,
+      acked: MESSAGE_STATUS.SENT,
+      failed: MESSAGE_STATUS.FAILED,
+      retry: MESSAGE_STATUS.PENDING,
+      cancelled: MESSAGE_STATUS.CANCELLED
+    };
+    
+    const unsubscribe = outbox.subscribe(({ type, item }) => {
+      const status = statusByEvent[type];
+      if (!status) return;
+      
+      updateOutgoingMessage(item.id, { status, deliveryError: item.error || null });
+      if (type === 'sent') {
+        // ⌨️ Igual que un envío directo: esperamos la respuesta del asistente
+        setIsTyping(true);
+      }
+    });
+    
+    outbox.load().then(() => {
+      if (!disposed) setOutbox(outbox);
+    });
+    
+    return () => {
+      disposed = true;
+      unsubscribe();
+      setOutbox(null);
+      outbox.dispose();
+    };
+  }, [updateOutgoingMessage, setOutbox]);
+
+  /**
+   * 🔁 Reintentar un Mensaje Fallido
+   * @param {string} clientMessageId - Id local del mensaje
+   */
+  const handleRetryMessage = useCallback((clientMessageId) => {
+    Logger.debug(COMPONENT_NAME, '🔁 Reintentando mensaje pendiente', { clientMessageId });
+    if (outboxRef.current.retry(clientMessageId)) {
+      flushOutbox();
+    }
+  }, [flushOutbox]);
+
+  /**
+   * 🚫 Cancelar un Mensaje Fallido (no se enviará)
+   * @param {string} clientMessageId - Id local del mensaje
+   */
+  const handleCancelMessage = useCallback((clientMessageId) => {
+    Logger.debug(COMPONENT_NAME, '🚫 Mensaje pendiente cancelado por el usuario', { clientMessageId });
+    outboxRef.current.cancel(clientMessageId);
+  }, []);
+
+  // 🌊 RESPUESTAS EN STREAMING
+
+  /**
+   * 🧩 Fragmento de Respuesta en Streaming
+   * 
+   * Los fragmentos con el mismo streamId se van sumando en UN solo mensaje,
+   * marcado con isStreaming hasta que llega el stream_done. El texto acumulado
+   * vive en streamsRef para no depender del estado de React.
+   * 
+   * @param {Object} chunk - Mensaje 'stream_chunk' procesado
+   */
+  const handleStreamChunk = useCallback((chunk) => {
+    const { streamId } = chunk;
+    if (!streamId) {
+      Logger.warn(COMPONENT_NAME, '⚠️ Fragmento de streaming sin stream_id, descartado');
+      return;
+    }
+    
+    let stream = streamsRef.current.get(streamId);
+    if (stream?.stopped) return; // El usuario ya detuvo esta respuesta
+    
+    if (!stream) {
+      stream = {
+        conversationId: chunk.conversationId || activeConversationRef.current,
+        text: '',
+        timestamp: chunk.timestamp || new Date().toISOString()
+      };
+      streamsRef.current.set(streamId, stream);
+    }
+    stream.text += chunk.text;
+    setIsTyping(false); // El propio mensaje muestra que sigue escribiendo
+    
+    if (stream.conversationId !== activeConversationRef.current) return;
+    
+    const { text, conversationId, timestamp } = stream;
+    setMessages(prevMessages => {
+      if (prevMessages.some(message => message.streamId === streamId)) {
+        return prevMessages.map(message => (message.streamId === streamId ? { ...message, text } : message));
+      }
+      return [...prevMessages, {
+        id: streamId,
+        streamId,
+        type: 'text',
+        text,
+        isUser: false,
+        isStreaming: true,
+        conversationId,
+        timestamp
+      }];
+    });
+  }, []);
+
+  /**
+   * 🏁 Finalizar Respuesta en Streaming
+   * 
+   * Se llama con el stream_done del servidor o cuando el usuario detiene la
+   * respuesta. El mensaje final (completo o parcial) se guarda en el historial.
+   * 
+   * @param {string} streamId - Stream a finalizar
+   * @param {Object} [options]
+   * @param {string} [options.text] - Texto completo enviado por el servidor (reemplaza lo acumulado)
+   * @param {boolean} [options.cancelled] - true si la respuesta se detuvo antes de terminar
+   * @returns {Object|null} Mensaje final, o null si el stream ya estaba cerrado
+   */
+  const finishStream = useCallback((streamId, { text, cancelled = false } = {}) => {
+    const stream = streamsRef.current.get(streamId);
+    if (!stream || stream.stopped) {
+      // Ya se cerró localmente: el stream_done del servidor solo confirma
+      streamsRef.current.delete(streamId);
+      return null;
+    }
+    
+    if (cancelled) {
+      // Se conserva marcado para ignorar fragmentos que aún estén en camino
+      stream.stopped = true;
+    } else {
+      streamsRef.current.delete(streamId);
+    }
+    
+    const finalMessage = {
+      id: streamId,
+      type: 'text',
+      text: typeof text === 'string' ? text : stream.text,
+      isUser: false,
+      cancelled,
+      conversationId: stream.conversationId,
+      timestamp: stream.timestamp
+    };
+    Logger.debug(COMPONENT_NAME, `🏁 Streaming finalizado${cancelled ? ' (detenido)' : ''}`, { streamId, length: finalMessage.text.length });
+    setIsTyping(false);
+    
+    if (stream.conversationId === activeConversationRef.current) {
+      setMessages(prevMessages => {
+        if (prevMessages.some(message => message.streamId === streamId)) {
+          return prevMessages.map(message => (
+            message.streamId === streamId ? { ...message, ...finalMessage, isStreaming: false } : message
+          ));
+        }
+        return finalMessage.text ? [...prevMessages, finalMessage] : prevMessages;
+      });
+    }
+    
+    // 💾 Solo el mensaje terminado va al historial (no cada fragmento)
+    if (finalMessage.text) {
+      ChatStorageService.saveMessage(stream.conversationId, finalMessage);
+    }
+    return finalMessage;
+  }, []);
+
   /**
    * 🔊 Reproducción Automática de Audio
    * 
@@ -262,9 +555,14 @@ const Chat = ({ onImageResult }) => {
    * 
    * 🎯 FUNCIONAMIENTO:
    * - Solo reproduce si autoPlayAudio está habilitado
-   * - Usa la utilidad playAudio para manejar la reproducción
+   * - Encola el audio en audioPlayback (las respuestas no se solapan)
+   * - Sin audio del servidor, lee el texto con la voz del navegador
+   *   (si está activada en las preferencias de voz)
    * - Captura errores de audio sin romper la experiencia
    * 
+   * Lee las preferencias desde preferencesRef para que cambiarlas no
+   * recree handleWebSocketMessage (y con él la conexión).
+   * 
    * 💡 CASOS DE USO:
    * - Respuestas del bot tras procesamiento ASL
    * - Confirmaciones de acciones realizadas
@@ -275,28 +573,36 @@ const Chat = ({ onImageResult }) => {
    * 2. Que el dispositivo no esté en modo silencioso
    * 3. Formato del archivo de audio compatible
    * 
-   * @param {string|ArrayBuffer|Blob} audioData - Datos de audio en formato compatible
+   * @param {string|ArrayBuffer|Blob|null} audioData - Datos de audio en formato compatible
+   * @param {string} [text] - Texto de la respuesta (para la voz del navegador)
+   * @param {string} [messageId] - Id del mensaje (sus controles muestran el progreso)
    */
-  const handleAudioPlayback = useCallback((audioData) => {
+  const handleAudioPlayback = useCallback((audioData, text, messageId) => {
+    const { autoPlayAudio, speech } = preferencesRef.current;
     if (!autoPlayAudio) {
       Logger.debug(COMPONENT_NAME, '🔇 Auto-play deshabilitado, omitiendo reproducción');
       return;
     }
     
     if (!audioData) {
-      Logger.warn(COMPONENT_NAME, '⚠️ No hay datos de audio para reproducir');
+      if (speech.enabled && text) {
+        // 🗣️ Respuesta sin audio: la lee el navegador
+        speakText(text, speech);
+      } else {
+        Logger.debug(COMPONENT_NAME, '🔇 Respuesta sin audio que reproducir');
+      }
       return;
     }
     
     try {
       Logger.debug(COMPONENT_NAME, '🔊 Iniciando reproducción automática de audio');
-      playAudio(audioData);
+      audioPlayback.enqueue(audioData, { id: messageId });
     } catch (error) {
       Logger.error(COMPONENT_NAME, '💥 Error al reproducir audio:', error);
       // No añadir mensaje de error al chat por problemas de audio
       // para no interrumpir la conversación
     }
-  }, [autoPlayAudio]);
+  }, []);
 
   // 🔌 MANEJO DE MENSAJES WEBSOCKET
 
@@ -319,9 +625,14 @@ const Chat = ({ onImageResult }) => {
    * - 'audio': Respuestas con audio (TTS)
    * - 'image': Resultados de procesamiento ASL con imágenes
    * - 'typing': Indicadores de "escribiendo..."
+   * - 'stream_chunk' / 'stream_done': Respuesta generada fragmento a fragmento
+   * - 'ack': Confirmación de que el servidor recibió un mensaje del usuario
    * - 'error': Errores del servidor o procesamiento
    * - 'connection': Estados de conexión del backend
    * 
+   * 🔁 Tras reanudar la sesión el servidor reenvía lo que se perdió durante la
+   * desconexión (event.replayed): los mensajes con id ya mostrado se ignoran.
+   * 
    * 🛠️ DEBUGGING: Si los mensajes no llegan correctamente:
    * 1. Revisa logs de WebSocket en debug-utils
    * 2. Verifica formato JSON en backend
@@ -353,24 +664,39 @@ const Chat = ({ onImageResult }) => {
         hasImage: !!processedMessage.image
       });
       
+      // 🔁 Descartar duplicados (reenvíos de la reanudación o del propio servidor)
+      if (processedMessage.id && !processedMessage.isUser && DEDUPED_MESSAGE_TYPES.includes(processedMessage.type)) {
+        if (seenMessageIdsRef.current.has(processedMessage.id)) {
+          Logger.debug(COMPONENT_NAME, `🔁 Mensaje ${processedMessage.id} ya mostrado, se ignora`, { replayed: Boolean(event.replayed) });
+          return;
+        }
+        seenMessageIdsRef.current.add(processedMessage.id);
+      }
+      
       // 🎭 Dispatcher: ejecutar acción según tipo de mensaje
       switch (processedMessage.type) {
         case 'text':
           Logger.debug(COMPONENT_NAME, '💬 Procesando mensaje de texto');
           addMessage(processedMessage);
           setIsTyping(false);
+          // 🗣️ Leer en voz alta solo las respuestas de la conversación visible
+          if (!processedMessage.isUser &&
+              (processedMessage.conversationId || activeConversationRef.current) === activeConversationRef.current) {
+            handleAudioPlayback(null, processedMessage.text);
+          }
           break;
           
         case 'audio':
           Logger.debug(COMPONENT_NAME, '🔊 Procesando mensaje con audio');
           // 🔊 Reproducir audio automáticamente si está habilitado
-          handleAudioPlayback(processedMessage.audio);
+          handleAudioPlayback(processedMessage.audio, processedMessage.text, processedMessage.id);
           // 📝 Añadir mensaje al chat
           addMessage(processedMessage);
           setIsTyping(false);
           break;
 
         case 'image':
+        case 'sign_language':
           Logger.debug(COMPONENT_NAME, '🖼️ Procesando mensaje con imagen (resultado ASL)');
           // 🎬 Ejecutar acciones específicas del mensaje (callbacks, etc.)
           handleMessageActions(processedMessage);
@@ -379,11 +705,56 @@ const Chat = ({ onImageResult }) => {
           setIsTyping(false);
           break;
           
+        case 'stream_chunk':
+          handleStreamChunk(processedMessage);
+          break;
+          
+        case 'stream_done': {
+          const finalMessage = finishStream(processedMessage.streamId, {
+            text: processedMessage.text,
+            cancelled: processedMessage.cancelled
+          });
+          if (finalMessage) {
+            seenMessageIdsRef.current.add(finalMessage.id);
+          } else if (event.replayed && processedMessage.text && !seenMessageIdsRef.current.has(processedMessage.streamId)) {
+            // 🔁 Respuesta completada durante la desconexión: llega entera, sin fragmentos
+            seenMessageIdsRef.current.add(processedMessage.streamId);
+            addMessage({
+              id: processedMessage.streamId,
+              text: processedMessage.text,
+              isUser: false,
+              conversationId: processedMessage.conversationId,
+              timestamp: processedMessage.timestamp,
+              type: 'text'
+            });
+            setIsTyping(false);
+          }
+          // 🗣️ Se lee la respuesta completa, no cada fragmento
+          if (finalMessage && !finalMessage.cancelled && finalMessage.conversationId === activeConversationRef.current) {
+            handleAudioPlayback(null, finalMessage.text);
+          }
+          break;
+        }
+          
+        case 'ack':
+          Logger.debug(COMPONENT_NAME, '📬 Confirmación de entrega recibida', processedMessage);
+          if (!processedMessage.ok) {
+            outboxRef.current.reject(processedMessage.clientMessageId, processedMessage.error);
+          } else if (outboxRef.current.acknowledge(processedMessage.clientMessageId) && processedMessage.messageId) {
+            // 🆔 Guardar el id del servidor junto al mensaje
+            updateOutgoingMessage(processedMessage.clientMessageId, { id: processedMessage.messageId });
+          }
+          break;
+          
         case 'typing':
           Logger.debug(COMPONENT_NAME, `⌨️ Actualizando indicador de escritura: ${processedMessage.isTyping}`);
           setIsTyping(processedMessage.isTyping);
           break;
           
+        case 'transcription':
+          // 🎙️ Las transcripciones son del panel de dictado (comparte la conexión)
+          break;
+          
         case 'error':
           Logger.error(COMPONENT_NAME, '💥 Error recibido del servidor:', processedMessage);
           setConnectionError(processedMessage.text);
@@ -391,13 +762,12 @@ const Chat = ({ onImageResult }) => {
           setIsTyping(false);
           break;
           
+        case 'connection':
           Logger.debug(COMPONENT_NAME, '🔌 Procesando mensaje de estado de conexión');
           if (processedMessage.status === 'connected') {
-            setIsConnected(true);
             setConnectionError(null);
             Logger.info(COMPONENT_NAME, '✅ Servidor confirmó conexión establecida');
           } else {
-            setIsConnected(false);
             setConnectionError('Conexión cerrada por el servidor');
             Logger.warn(COMPONENT_NAME, '⚠️ Servidor reportó desconexión');
           }
@@ -420,176 +790,40 @@ const Chat = ({ onImageResult }) => {
       Logger.error(COMPONENT_NAME, '💥 Error crítico al procesar mensaje WebSocket:', error);
       addErrorMessage('Error procesando mensaje del servidor');
     }
-  }, [addErrorMessage, addMessage, handleAudioPlayback]);
+  }, [addErrorMessage, addMessage, handleAudioPlayback, updateOutgoingMessage, handleStreamChunk, finishStream]);
 
-  // 🔌 GESTIÓN DE CONEXIÓN WEBSOCKET
+  // 🔌 CONEXIÓN WEBSOCKET (compartida: ChatConnectionProvider)
+  
+  // 📨 Recibir los mensajes de la conexión (la abre si todavía no lo está)
+  useChatSubscription(handleWebSocketMessage);
   
   /**
-   * ✅ Handler de Apertura de Conexión
-   * 
-   * Se ejecuta cuando el WebSocket se conecta exitosamente al backend.
-   * Actualiza el estado de la UI para mostrar que estamos conectados.
-   */
-  const handleWebSocketOpen = () => {
-    Logger.info(COMPONENT_NAME, '🎉 WebSocket conectado exitosamente');
-    setIsConnected(true);
-    setConnectionError(null);
-  };
-
-  /**
-   * 🔌 Handler de Cierre de Conexión
-   * 
-   * Se ejecuta cuando se pierde la conexión WebSocket.
-   * Implementa reconexión automática para mejorar la experiencia del usuario.
-   * 
-   * 🔄 ESTRATEGIA DE RECONEXIÓN:
-   * - Limpia timers existentes para evitar múltiples intentos
-   * - Espera 5 segundos antes de reintentar (evita spam al servidor)
-   * - Muestra mensaje informativo al usuario sobre el estado
-   */
-  const handleWebSocketClose = useCallback(() => {
-    Logger.warn(COMPONENT_NAME, '🔌 Conexión WebSocket cerrada, iniciando reconexión...');
-    setIsConnected(false);
-    setConnectionError('Conexión perdida. Intentando reconectar...');
-
-    // 🧹 Limpiar timeout anterior si existe
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-    }
-
-    // ⏰ Programar reconexión automática después de 5 segundos
-    reconnectTimeoutRef.current = setTimeout(() => {
-      Logger.debug(COMPONENT_NAME, '🔄 Ejecutando reconexión automática...');
-      initWebSocket();
-    }, 5000);
-  }, []);
-
-  /**
-   * ❌ Handler de Errores de WebSocket
-   * 
-   * Se ejecuta cuando hay errores en la conexión WebSocket.
-   * Proporciona feedback al usuario y logea para debugging.
-   * 
-   * @param {Event} error - Evento de error del WebSocket
-   */
-  const handleWebSocketError = (error) => {
-    Logger.error(COMPONENT_NAME, '💥 Error en conexión WebSocket:', error);
-    setConnectionError('Error de conexión al servidor');
-    setIsConnected(false);
-  };
-
-  /**
-   * 🚀 Inicializador Maestro de WebSocket
-   * 
-   * Esta función es el NÚCLEO de la conectividad en tiempo real.
-   * Maneja toda la complejidad de establecer y mantener la conexión WebSocket
-   * con el backend FastAPI.
-   * 
-   * 🔄 FLUJO DE INICIALIZACIÓN:
-   * 1. Verifica si ya hay una conexión activa (evita duplicados)
-   * 2. Limpia conexiones anteriores apropiadamente
-   * 3. Verifica disponibilidad del servidor backend
-   * 4. Establece nueva conexión con handlers robustos
-   * 5. Configura event listeners para todos los eventos WebSocket
+   * 📡 Estado de la Conexión → Aviso al Usuario
    * 
-   * 🛡️ MANEJO DE ERRORES:
-   * - Verifica servidor antes de conectar (evita errores inútiles)
-   * - Limpia recursos anteriores para evitar memory leaks
-   * - Maneja errores de conexión graciosamente
-   * - Proporciona feedback claro al usuario
-   * 
-   * 🔧 DEBUGGING: Si la conexión falla constantemente:
-   * 1. Verifica que el backend esté ejecutándose (http://localhost:8000/status)
-   * 2. Revisa configuración de CORS en el backend
-   * 3. Confirma que el endpoint WebSocket esté habilitado
-   * 4. Verifica firewall/proxy no esté bloqueando WebSockets
+   * Los reintentos los hace el WebSocketManager compartido; aquí solo
+   * se traduce su estado a un mensaje visible.
    */
-  const initWebSocket = useCallback(async () => {
-    // 🔍 Verificar si ya tenemos una conexión activa
-    if (ws.current && ws.current.readyState !== WebSocket.CLOSED) {
-      Logger.debug(COMPONENT_NAME, '🔌 Conexión WebSocket ya existe, limpiando...');
-      
-      // 🧹 Limpiar listeners anteriores si existen
-      if (ws.current.cleanupListeners) {
-        ws.current.cleanupListeners();
-      }
-      
-      // 🔌 Cerrar conexión anterior
-      ws.current.close();
-    }
-
-    try {
-      Logger.debug(COMPONENT_NAME, '🚀 Inicializando WebSocket con sistema robusto...');
-      
-      // 🎯 Intentar conexión robusta primero (con retry automático)
-      ws.current = await ApiService.createRobustWebSocketConnection(WS_ROUTES.CHAT, {
-        onOpen: handleWebSocketOpen,
-        onMessage: handleWebSocketMessage,
-        onClose: handleWebSocketClose,
-        onError: handleWebSocketError
-      });
-      
-      // 📢 ÚNICO mensaje info permitido desde Chat (requerimiento específico)
-      Logger.info(COMPONENT_NAME, '✅ WebSocket inicializado exitosamente con sistema robusto');
-      
-    } catch (error) {
-      Logger.error(COMPONENT_NAME, '💥 Error al inicializar WebSocket robusto:', error);
-      
-      // 🔄 Fallback: intentar conexión estándar si la robusta falla
-      Logger.debug(COMPONENT_NAME, '🔄 Intentando fallback a conexión WebSocket estándar...');
-      try {
-        ws.current = ApiService.createWebSocketConnection(WS_ROUTES.CHAT, {
-          onOpen: handleWebSocketOpen,
-          onMessage: handleWebSocketMessage,
-          onClose: handleWebSocketClose,
-          onError: handleWebSocketError
-        });
-        
-        Logger.debug(COMPONENT_NAME, '✅ Fallback exitoso: WebSocket estándar conectado');
-      } catch (fallbackError) {
-        Logger.error(COMPONENT_NAME, '❌ Error crítico: ambos métodos de conexión fallaron:', fallbackError);
-        setConnectionError('No se pudo establecer conexión con el servidor. Verifica tu conexión de red.');
-      }
+  useEffect(() => {
+    const { CONNECTED, RECONNECTING, FAILED } = WS_CONFIG.CONNECTION_STATES;
+    
+    if (connectionState === CONNECTED) {
+      Logger.info(COMPONENT_NAME, '🎉 WebSocket conectado exitosamente');
+      setConnectionError(null);
+    } else if (connectionState === RECONNECTING) {
+      setConnectionError('Conexión perdida. Intentando reconectar...');
+    } else if (connectionState === FAILED) {
+      setConnectionError('No se pudo establecer conexión con el servidor. Verifica tu conexión de red.');
     }
-  }, [handleWebSocketMessage, handleWebSocketClose]);
-
-  // ⚡ LIFECYCLE: INICIALIZACIÓN Y CLEANUP
+  }, [connectionState]);
   
-  /**
-   * 🎬 Hook de Inicialización del Componente
-   * 
-   * Se ejecuta una vez cuando el componente se monta.
-   * Establece la conexión WebSocket y configura cleanup automático.
-   * 
-   * 🔄 FLUJO:
-   * 1. Monta el componente → inicializa WebSocket
-   * 2. Desmonta el componente → limpia recursos automáticamente
-   * 
-   * 🧹 CLEANUP AUTOMÁTICO:
-   * React ejecuta la función de cleanup cuando el componente se desmonta,
-   * evitando memory leaks y conexiones huérfanas.
-   */
+  // 🧹 Al salir del chat: no seguir reproduciendo ni leyendo respuestas
+  // (la conexión sigue abierta para el resto de la app)
   useEffect(() => {
-    Logger.debug(COMPONENT_NAME, '🎬 Componente montado: inicializando WebSocket para chat');
-    initWebSocket();
-
-    // 🧹 Función de cleanup que React ejecuta al desmontar
     return () => {
-      Logger.debug(COMPONENT_NAME, '🧹 Desmontando Chat: limpiando recursos WebSocket');
-      
-      // 🔌 Cerrar WebSocket si existe
-      if (ws.current) {
-        ws.current.close();
-        ws.current = null;
-      }
-      
-      // ⏰ Cancelar timers de reconexión
-      if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current);
-        reconnectTimeoutRef.current = null;
-      }
+      audioPlayback.stop();
+      cancelSpeech();
     };
-  }, [initWebSocket]);
+  }, []);
 
   // 💬 HANDLERS DE ENVÍO DE MENSAJES
 
@@ -600,19 +834,19 @@ const Chat = ({ onImageResult }) => {
    * Incluye validación de conexión, formato estándar, y feedback visual.
    * 
    * 🔄 FLUJO COMPLETO:
-   * 1. Valida que hay conexión WebSocket activa
-   * 2. Añade mensaje del usuario al chat (si showInChat = true)  
-   * 3. Formatea mensaje según protocolo estándar
-   * 4. Envía por WebSocket al backend
-   * 5. Activa indicador "escribiendo..." esperando respuesta
+   * 1. Añade mensaje del usuario al chat como pendiente (si showInChat = true)
+   * 2. Formatea mensaje según protocolo estándar
+   * 3. Lo encola en el outbox (persistente) y lo envía si hay conexión
+   * 4. Al salir queda "enviando" hasta que llega el ack del servidor (→ enviado);
+   *    sin ack en WEBSOCKET_CONFIG.ACK_TIMEOUT se marca fallido y se puede reenviar
    * 
    * 💡 PARÁMETROS:
    * - message: Texto del usuario a enviar
    * - showInChat: Si mostrar el mensaje en la UI (útil para comandos silenciosos)
    * 
    * 🛠️ MANEJO DE ERRORES:
-   * - Sin conexión: Muestra error sin romper la experiencia
-   * - WebSocket cerrado: Intenta reconexión automática
+   * - Sin conexión: El mensaje queda pendiente y se envía al reconectar
+   * - Varios fallos seguidos: Se marca como fallido (reintentar/cancelar)
    * - Mensaje malformado: Logs para debugging
    * 
    * @param {string} message - El mensaje de texto a enviar al backend
@@ -625,9 +859,14 @@ const Chat = ({ onImageResult }) => {
       isConnected 
     });
     
-    // 📝 Añadir mensaje del usuario al chat si es visible
+    const clientMessageId = generateClientMessageId();
+    const conversationId = activeConversationRef.current;
+
+    // 📝 Añadir mensaje del usuario al chat si es visible (pendiente hasta que salga)
     if (showInChat) {
       addMessage({
+        clientMessageId,
+        status: MESSAGE_STATUS.PENDING,
         text: message,
         isUser: true,
         type: 'text',
@@ -635,40 +874,60 @@ const Chat = ({ onImageResult }) => {
       });
     }
 
-    // 🚨 Verificar estado de conexión ANTES de enviar
-    if (!isConnected) {
-      Logger.warn(COMPONENT_NAME, '⚠️ Intento de envío sin conexión WebSocket');
-      addMessage({
-        text: '❌ No se pudo enviar mensaje: error de conexión. Verifica tu internet.',
-        isUser: false,
-        type: 'error',
-        timestamp: new Date().toISOString()
-      });
-      return;
-    }
-
     // 📦 Crear mensaje en formato estándar del protocolo
-    const standardMessage = createTextMessage(message);
+    const standardMessage = createTextMessage(message, true, conversationId, clientMessageId);
 
-    // 📡 Enviar por WebSocket si la conexión está abierta
-    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-      ws.current.send(JSON.stringify(standardMessage));
-      
-      // ⌨️ Activar indicador "escribiendo..." mientras esperamos respuesta
-      setIsTyping(true);
-      
-      Logger.debug(COMPONENT_NAME, '✅ Mensaje enviado exitosamente al backend');
-    } else {
-      Logger.error(COMPONENT_NAME, '💥 WebSocket no está abierto para envío');
-      setConnectionError('Conexión perdida con el servidor');
-      addMessage({
-        text: '❌ Error: WebSocket no conectado. Reintentando conexión...',
-        isUser: false,
-        type: 'error',
-        timestamp: new Date().toISOString()
-      });
+    // 📮 Siempre pasa por el outbox: así se respeta el orden y sobrevive a recargas
+    outboxRef.current.enqueue(standardMessage, { id: clientMessageId, conversationId });
+    if (flushOutbox() === 0) {
+      Logger.info(COMPONENT_NAME, '📮 Sin conexión: mensaje guardado como pendiente');
     }
-  }, [addMessage, isConnected]);
+  }, [addMessage, isConnected, flushOutbox]);
+
+  /**
+   * 🎙️ Inicio de Grabación en Streaming
+   * 
+   * Abre un stream de audio por el WebSocket (audio_stream_start) para que
+   * los fragmentos de la grabación salgan mientras el usuario habla.
+   * Sin conexión no se abre: la grabación se envía completa al terminar.
+   * 
+   * @param {string} mimeType - Formato de los fragmentos del MediaRecorder
+   * @returns {boolean} true si los fragmentos deben enviarse con handleAudioChunk
+   */
+  const handleAudioStreamStart = useCallback((mimeType) => {
+    audioStreamRef.current = null;
+    if (!isConnected) return false;
+    
+    const stream = new AudioStreamSender(send, {
+      mimeType,
+      conversationId: activeConversationRef.current,
+      clientMessageId: generateClientMessageId()
+    });
+    
+    if (!stream.start()) return false;
+    audioStreamRef.current = stream;
+    return true;
+  }, [isConnected, send]);
+
+  /**
+   * 🧩 Fragmento de Audio Grabado
+   * Envía el fragmento como frame binario (si la grabación se está transmitiendo).
+   * 
+   * @param {Blob} chunk - Fragmento del MediaRecorder
+   */
+  const handleAudioChunk = useCallback((chunk) => {
+    audioStreamRef.current?.sendChunk(chunk);
+  }, []);
+
+  /**
+   * 🗑️ Grabación Descartada en la Vista Previa
+   * Si se estaba transmitiendo, el servidor recibe el cierre cancelado y no la procesa.
+   */
+  const handleAudioDiscard = useCallback(() => {
+    const stream = audioStreamRef.current;
+    audioStreamRef.current = null;
+    stream?.finish({ cancelled: true });
+  }, []);
 
   /**
    * 🎤 Procesamiento de Grabaciones de Audio  
@@ -677,10 +936,12 @@ const Chat = ({ onImageResult }) => {
    * El audio puede ser procesado por sistemas de reconocimiento de voz.
    * 
    * 🔄 FLUJO DE PROCESAMIENTO:
-   * 1. Recibe blob de audio del componente VoiceRecorder
+   * 1. Recibe el blob de audio de ChatInput (cuando el usuario lo envía desde la vista previa)
    * 2. Crea URL local para previsualización en el chat  
-   * 3. Convierte a base64 para transmisión por WebSocket
-   * 4. Envía al backend con formato estándar
+   * 3. Si la grabación se transmitió en streaming, cierra el stream (audio_stream_end)
+   *    y solo queda esperando el ack
+   * 4. Si no (sin conexión o el stream se cortó), convierte a base64 y la envía
+   *    completa por el outbox con formato estándar
    * 5. Backend puede usar speech-to-text o procesamiento directo
    * 
    * 🎯 CASOS DE USO:
@@ -701,31 +962,29 @@ const Chat = ({ onImageResult }) => {
       type: audioBlob.type
     });
 
+    // 🎙️ Stream de esta grabación (si se transmitió mientras se grababa)
+    const stream = audioStreamRef.current;
+    audioStreamRef.current = null;
+
     try {
       // 🔊 Crear URL temporal para previsualización en el chat
       const audioUrl = URL.createObjectURL(audioBlob);
       
       // 📝 Añadir mensaje visual del usuario con preview de audio
+      // (audioBlob permite restaurarlo desde el historial; la URL blob: no sobrevive a recargas)
+      const clientMessageId = stream?.clientMessageId || generateClientMessageId();
+      const conversationId = stream?.conversationId || activeConversationRef.current;
       addMessage({
+        clientMessageId,
+        status: MESSAGE_STATUS.PENDING,
         text: '🎤 Mensaje de voz enviado',
         isUser: true,
         type: 'audio',
         audio: audioUrl,
+        audioBlob,
         timestamp: new Date().toISOString()
       });
 
-      // 🚨 Verificar conexión antes de procesar y enviar
-      if (!isConnected) {
-        Logger.warn(COMPONENT_NAME, '⚠️ Intento de envío de audio sin conexión');
-        addMessage({
-          text: '❌ No se pudo enviar el audio: error de conexión. Verifica tu internet.',
-          isUser: false,
-          type: 'error',
-          timestamp: new Date().toISOString()
-        });
-        return;
-      }
-
       // 🔄 Conversión a base64 para transmisión por WebSocket
       Logger.debug(COMPONENT_NAME, '🔄 Convirtiendo audio a base64 para transmisión...');
       const reader = new FileReader();
@@ -736,34 +995,37 @@ const Chat = ({ onImageResult }) => {
         Logger.debug(COMPONENT_NAME, '📦 Audio convertido a base64, preparando envío...');
         
         // 📦 Crear mensaje en formato estándar del protocolo para audio
-        const standardMessage = createAudioMessage(base64Audio);
+        // El tipo real del blob (webm, ogg, mp4, wav) viaja con el mensaje
+        const standardMessage = createAudioMessage(base64Audio, '', conversationId, clientMessageId, audioBlob.type || undefined);
         
-        // 📡 Enviar por WebSocket al backend
-        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-          ws.current.send(JSON.stringify(standardMessage));
-          
-          // ⌨️ Activar indicador "procesando..." para audio
-          setIsTyping(true);
-          
-          Logger.debug(COMPONENT_NAME, '✅ Audio enviado exitosamente al backend');
-        } else {
-          Logger.error(COMPONENT_NAME, '💥 WebSocket no disponible para envío de audio');
-          setConnectionError('Conexión perdida con el servidor');
-          addErrorMessage('No se pudo procesar el audio - sin conexión');
+        // 🎙️ Ya salió en streaming: se cierra el stream y el outbox solo espera el ack
+        // (y lo reenvía completo si falla). finish() y track() van juntos para que
+        // un ack inmediato no llegue antes de que el mensaje esté registrado.
+        if (stream && stream.finish()) {
+          outboxRef.current.track(standardMessage, { id: clientMessageId, conversationId });
+          return;
+        }
+        
+        // 📮 Encolar y enviar si hay conexión (si no, sale al reconectar)
+        outboxRef.current.enqueue(standardMessage, { id: clientMessageId, conversationId });
+        if (flushOutbox() === 0) {
+          Logger.info(COMPONENT_NAME, '📮 Sin conexión: audio guardado como pendiente');
         }
       };
       
       // 📈 Manejar errores de conversión base64
       reader.onerror = () => {
         Logger.error(COMPONENT_NAME, '💥 Error al convertir audio a base64');
+        stream?.finish({ cancelled: true });
         addErrorMessage('Error procesando archivo de audio');
       };
       
     } catch (error) {
       Logger.error(COMPONENT_NAME, '💥 Error crítico al procesar audio grabado:', error);
+      stream?.finish({ cancelled: true });
       addErrorMessage('Error interno procesando audio');
     }
-  }, [addMessage, addErrorMessage, isConnected]);
+  }, [addMessage, addErrorMessage, flushOutbox]);
 
   /**
    * 🖼️ Procesamiento de Imágenes ASL
@@ -853,19 +1115,28 @@ const Chat = ({ onImageResult }) => {
       });
 
       if (success && data) {
-        // 🎯 Formatear resultado del reconocimiento ASL
-        const resultText = data.success 
-          ? `🤟 Reconocimiento ASL: "${data.prediction}" (confianza: ${data.confidence}%)`
-          : `❌ No se pudo reconocer: ${data.message || 'Imagen no clara o seña no identificada'}`;
+        // 🎯 Resultado del reconocimiento ASL como mensaje sign_language (AslResultPanel)
+        if (data.success === false) {
+          addMessage({
+            text: `❌ No se pudo reconocer: ${data.message || 'Imagen no clara o seña no identificada'}`,
+            isUser: false,
+            type: 'text',
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          const result = normalizeSignLanguageResult(data);
+          Logger.debug(COMPONENT_NAME, '✅ Resultado ASL procesado:', result);
           
-        Logger.debug(COMPONENT_NAME, '✅ Resultado ASL procesado:', resultText);
-        
-        addMessage({
-          text: resultText,
-          isUser: false,
-          type: 'text',
-          timestamp: new Date().toISOString()
-        });
+          addMessage({
+            text: `🤟 Reconocimiento ASL: "${result.prediction}"`,
+            isUser: false,
+            type: 'sign_language',
+            prediction: result.prediction,
+            confidence: result.confidence,
+            alternatives: result.alternatives,
+            timestamp: new Date().toISOString()
+          });
+        }
 
         // 📢 Notificar al componente padre si hay callback (para analytics, etc.)
         if (onImageResult) {
@@ -883,6 +1154,34 @@ const Chat = ({ onImageResult }) => {
     }
   }, [addErrorMessage, addMessage, onImageResult, isConnected]);
 
+  /**
+   * ⏹️ Detener la Respuesta del Asistente
+   * 
+   * Envía un frame 'cancel' por el WebSocket y cierra localmente el mensaje
+   * en streaming (el texto parcial se conserva). Si todavía no llegó ningún
+   * fragmento, el cancel va sin stream_id y el servidor detiene la generación
+   * en curso de la conversación.
+   */
+  const handleStopGeneration = useCallback(() => {
+    const conversationId = activeConversationRef.current;
+    const [streamId = null] = [...streamsRef.current.entries()]
+      .find(([, stream]) => !stream.stopped && stream.conversationId === conversationId) || [];
+    
+    Logger.info(COMPONENT_NAME, '⏹️ Usuario detuvo la respuesta del asistente', { streamId });
+    
+    // Sin conexión no hay nada que detener en el servidor: no se encola
+    if (isConnected) {
+      send(createCancelMessage(streamId, conversationId));
+    } else {
+      Logger.warn(COMPONENT_NAME, '⚠️ Sin conexión: la respuesta solo se detiene localmente');
+    }
+    
+    if (streamId) {
+      finishStream(streamId, { cancelled: true });
+    }
+    setIsTyping(false);
+  }, [finishStream, isConnected, send]);
+
   // 🎛️ MÉTODOS UTILITARIOS DE CONFIGURACIÓN
 
   /**
@@ -893,10 +1192,196 @@ const Chat = ({ onImageResult }) => {
    */
   const toggleAutoPlayAudio = () => {
     const newValue = !autoPlayAudio;
-    setAutoPlayAudio(newValue);
+    updatePreferences({ autoPlayAudio: newValue });
+    if (!newValue) {
+      audioPlayback.stop();
+      cancelSpeech();
+    }
     Logger.debug(COMPONENT_NAME, `🔊 Auto-play audio ${newValue ? 'habilitado' : 'deshabilitado'}`);
   };
 
+  /**
+   * 🗣️ Cambiar la Configuración de Voz del Navegador
+   * 
+   * @param {Object} changes - Campos de voz modificados ({ enabled, voiceURI, rate, lang })
+   */
+  const handleSpeechSettingsChange = useCallback((changes) => {
+    if (changes.enabled === false) {
+      cancelSpeech();
+    }
+    updateSpeechPreferences(changes);
+  }, [updateSpeechPreferences]);
+
+  /**
+   * 🗣️ Probar la Voz Elegida
+   */
+  const handlePreviewSpeech = useCallback(() => {
+    cancelSpeech();
+    speakText('Hola, así sonarán las respuestas del asistente.', preferencesRef.current.speech);
+  }, []);
+
+  // 🗂️ GESTIÓN DE CONVERSACIONES
+
+  /**
+   * 🔀 Cambiar de Conversación
+   * El efecto de restauración carga el historial de la conversación elegida.
+   * 
+   * @param {string} conversationId - Conversación a mostrar
+   */
+  const handleSelectConversation = (conversationId) => {
+    Logger.debug(COMPONENT_NAME, `🔀 Cambiando a la conversación "${conversationId}"`);
+    setActiveConversationId(conversationId);
+  };
+
+  /**
+   * ➕ Crear Conversación
+   * Pide un nombre (p.ej. "práctica de letras") y cambia a la nueva conversación.
+   */
+  const handleCreateConversation = async () => {
+    const title = window.prompt('Nombre de la nueva conversación:', `Conversación ${conversations.length + 1}`);
+    if (title === null) return;
+    
+    const conversation = ChatStorageService.createConversation(title.trim() || `Conversación ${conversations.length + 1}`);
+    await ChatStorageService.saveConversation(conversation);
+    setConversations(prev => [...prev, conversation]);
+    setActiveConversationId(conversation.id);
+    Logger.info(COMPONENT_NAME, `➕ Conversación creada: "${conversation.title}"`);
+  };
+
+  /**
+   * ✏️ Renombrar la Conversación Actual
+   */
+  const handleRenameConversation = async () => {
+    const current = conversations.find(conversation => conversation.id === activeConversationId);
+    if (!current) return;
+    
+    const title = window.prompt('Nuevo nombre de la conversación:', current.title);
+    if (!title || !title.trim()) return;
+    
+    const renamed = { ...current, title: title.trim(), updatedAt: new Date().toISOString() };
+    await ChatStorageService.saveConversation(renamed);
+    setConversations(prev => prev.map(conversation => (conversation.id === renamed.id ? renamed : conversation)));
+  };
+
+  /**
+   * 🗑️ Borrar la Conversación Actual
+   * 
+   * Elimina los mensajes de la pantalla y del historial local (IndexedDB).
+   * La conversación (y su nombre) se conserva vacía.
+   */
+  const handleClearConversation = async () => {
+    if (!window.confirm('¿Borrar los mensajes de esta conversación? Esta acción no se puede deshacer.')) return;
+    
+    await ChatStorageService.clearConversation(activeConversationId);
+    // 📮 Lo que aún no salió de esta conversación ya no se envía
+    outboxRef.current.clear(activeConversationId);
+    setMessages([]);
+    Logger.info(COMPONENT_NAME, '🗑️ Conversación borrada por el usuario');
+  };
+
+  /**
+   * 🗑️ Borrar Todo el Historial
+   * 
+   * Elimina todas las conversaciones guardadas en este navegador
+   * y deja solo la conversación principal vacía.
+   */
+  const handleClearAllHistory = async () => {
+    if (!window.confirm('¿Borrar todas las conversaciones guardadas en este navegador?')) return;
+    
+    await ChatStorageService.clearAll();
+    outboxRef.current.clear();
+    const defaultConversation = ChatStorageService.createConversation(DEFAULT_CONVERSATION_TITLE, DEFAULT_CONVERSATION_ID);
+    await ChatStorageService.saveConversation(defaultConversation);
+    
+    setConversations([defaultConversation]);
+    setActiveConversationId(DEFAULT_CONVERSATION_ID);
+    setMessages([]);
+    Logger.info(COMPONENT_NAME, '🗑️ Historial completo borrado por el usuario');
+  };
+
+  // ⌨️ COMANDOS DEL CHAT
+
+  /**
+   * 💬 Respuesta Local
+   * Muestra un mensaje del sistema que no se envía al servidor ni se guarda.
+   * 
+   * @param {string} text - Texto a mostrar
+   */
+  const addLocalReply = useCallback((text) => {
+    addMessage({
+      text,
+      isUser: false,
+      type: 'system',
+      timestamp: new Date().toISOString()
+    });
+  }, [addMessage]);
+
+  /**
+   * 📥 Exportar la Conversación Actual
+   * @param {string} format - Formato de exportación ('json' | 'md' | 'html')
+   */
+  const handleExportConversation = async (format) => {
+    const conversation = conversations.find(item => item.id === activeConversationId);
+    try {
+      // Las imágenes se descargan y se embeben antes de generar el archivo
+      const transcript = await exportConversation(conversation, messages, format);
+      Logger.info(COMPONENT_NAME, `📥 Conversación exportada (${format}, ${transcript.messages.length} mensajes)`);
+    } catch (error) {
+      Logger.error(COMPONENT_NAME, '💥 Error exportando la conversación:', error);
+      addErrorMessage(`No se pudo exportar la conversación: ${error.message}`);
+    }
+  };
+
+  /**
+   * 📤 Importar una Transcripción JSON
+   * 
+   * Crea una conversación nueva con los mensajes del archivo (no toca la actual)
+   * y cambia a ella. Los mensajes importados no se envían al servidor.
+   * 
+   * @param {File} file - Archivo .json exportado desde el chat
+   */
+  const handleImportConversation = async (file) => {
+    try {
+      const { title, messages: imported } = parseTranscript(await file.text());
+      
+      const conversation = ChatStorageService.createConversation(`${title} (importada)`);
+      await ChatStorageService.saveConversation(conversation);
+      // En orden: el historial se restaura por orden de inserción
+      for (const message of imported) {
+        await ChatStorageService.saveMessage(conversation.id, message);
+      }
+      
+      setConversations(prev => [...prev, conversation]);
+      setActiveConversationId(conversation.id);
+      Logger.info(COMPONENT_NAME, `📤 Conversación importada: "${conversation.title}" (${imported.length} mensajes)`);
+    } catch (error) {
+      Logger.error(COMPONENT_NAME, '💥 Error importando la conversación:', error);
+      addErrorMessage(`No se pudo importar la conversación: ${error.message}`);
+    }
+  };
+
+  /**
+   * ⌨️ Envío desde el Campo de Texto
+   * 
+   * Si el texto es un comando ("/help", "/theme dark"...) se ejecuta aquí
+   * mismo; si no, se envía como mensaje normal.
+   * 
+   * @param {string} text - Texto escrito por el usuario
+   */
+  const handleInputSubmit = (text) => {
+    const isCommand = chatCommands.execute(text, {
+      reply: addLocalReply,
+      clearConversation: handleClearConversation,
+      exportConversation: handleExportConversation,
+      setTheme,
+      openSignLanguage: () => setShowSignPanel(true)
+    });
+    
+    if (!isCommand) {
+      handleSendMessage(text);
+    }
+  };
+
   /**
    * 🧹 Limpiar Mensajes de Error
    * 
@@ -908,6 +1393,12 @@ const Chat = ({ onImageResult }) => {
     setConnectionError(null);
   };
 
+  // 🌊 El asistente está pensando o escribiendo una respuesta en streaming
+  const isGenerating = isTyping || messages.some(message => message.isStreaming);
+
+  // 📮 Mensajes de la conversación actual que esperan conexión
+  const pendingCount = messages.filter(message => message.status === MESSAGE_STATUS.PENDING).length;
+
   // 🎨 RENDERIZADO PRINCIPAL DEL COMPONENTE
   return (
     <div className="d-flex flex-column h-100">
@@ -926,8 +1417,28 @@ const Chat = ({ onImageResult }) => {
           <div className="p-3 bg-theme-secondary border-bottom">
             <ChatHeader 
               isConnected={isConnected} 
+              connectionQuality={connectionQuality}
+              transport={transport}
+              protocolError={protocolError}
               autoPlayAudio={autoPlayAudio}
               onToggleAutoPlayAudio={toggleAutoPlayAudio}
+              speechSettings={preferences.speech}
+              onSpeechSettingsChange={handleSpeechSettingsChange}
+              onPreviewSpeech={handlePreviewSpeech}
+              recordingSettings={preferences.recording}
+              onRecordingSettingsChange={updateRecordingPreferences}
+              showMediaSettings
+              onClearConversation={handleClearConversation}
+              onClearAllHistory={handleClearAllHistory}
+              onExportConversation={handleExportConversation}
+              onImportConversation={handleImportConversation}
+              conversationProps={conversations.length > 0 ? {
+                conversations,
+                activeConversationId,
+                onSelect: handleSelectConversation,
+                onCreate: handleCreateConversation,
+                onRename: handleRenameConversation
+              } : undefined}
             />
           </div>
           
@@ -944,6 +1455,11 @@ const Chat = ({ onImageResult }) => {
               <div className="alert alert-warning py-2 mb-2">
                 <i className="bi bi-wifi-off me-2"></i>
                 🔄 Intentando reconectar automáticamente al servidor...
+                {pendingCount > 0 && (
+                  <span className="d-block small mt-1">
+                    📮 {pendingCount} {pendingCount === 1 ? 'mensaje pendiente se enviará' : 'mensajes pendientes se enviarán'} al reconectar.
+                  </span>
+                )}
               </div>
             </div>
           )}
@@ -954,16 +1470,44 @@ const Chat = ({ onImageResult }) => {
               messages={messages}
               isTyping={isTyping}
               autoPlayAudio={autoPlayAudio}
+              onRetryMessage={handleRetryMessage}
+              onCancelMessage={handleCancelMessage}
             />
           </div>
           
+          {/* 🤟 Panel ASL: cámara en vivo + deletreo que se envía como mensaje de texto */}
+          {showSignPanel && (
+            <div className="px-3 pb-2 border-top overflow-auto" style={{ maxHeight: '50vh' }}>
+              <SignLanguageUploader onSendText={handleSendMessage} />
+            </div>
+          )}
+          
+          {/* 🎙️ Panel de dictado: transcripción en vivo que se revisa y se envía como texto */}
+          {showDictationPanel && (
+            <div className="px-3 pb-2 border-top overflow-auto" style={{ maxHeight: '50vh' }}>
+              <VoiceRecorder onSendText={handleSendMessage} onClose={() => setShowDictationPanel(false)} />
+            </div>
+          )}
+          
           {/* ⌨️ Input de Chat con Controles de Envío */}
           <ChatInput 
-            onSendMessage={handleSendMessage}
+            onSendMessage={handleInputSubmit}
+            getCommandSuggestions={chatCommands.getSuggestions}
+            getCommandHint={chatCommands.getHint}
             onImageUpload={handleImageUpload}
             onAudioRecord={handleAudioRecord}
+            onAudioDiscard={handleAudioDiscard}
+            recordingSettings={preferences.recording}
+            onAudioStreamStart={handleAudioStreamStart}
+            onAudioChunk={handleAudioChunk}
+            onToggleSignLanguage={() => setShowSignPanel(prev => !prev)}
+            isSignLanguageOpen={showSignPanel}
+            onToggleDictation={() => setShowDictationPanel(prev => !prev)}
+            isDictationOpen={showDictationPanel}
+            onStopGeneration={handleStopGeneration}
             isConnected={isConnected}
             isTyping={isTyping}
+            isGenerating={isGenerating}
           />
         </>
       )}
@@ -0,0 +1,106 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import useAudioPlayback from '../../hooks/useAudioPlayback';
+import { PLAYBACK_RATES } from '../../utils/audio-playback';
+
+/**
+ * Formatea segundos como m:ss
+ * @param {number} seconds - Segundos
+ * @returns {string}
+ */
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Controles de un mensaje de audio (reproductor compartido del chat)
+ *
+ * El audio no se reproduce en un <audio> propio: pasa por audioPlayback,
+ * así nunca se solapan dos mensajes y la cola de respuestas se respeta.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.audio - Audio en base64, data URL o URL
+ * @param {string} props.playbackId - Id del mensaje en el reproductor
+ */
+const AudioMessagePlayer = ({ audio, playbackId }) => {
+  const { currentId, isPlaying, queuedIds, rate, currentTime, duration, player } = useAudioPlayback();
+
+  const isCurrent = currentId === playbackId;
+  const isQueued = queuedIds.includes(playbackId);
+  const progress = isCurrent && duration > 0 ? (currentTime / duration) * 100 : 0;
+
+  const handlePlayPause = () => {
+    if (isCurrent && isPlaying) {
+      player.pause();
+    } else {
+      player.play(audio, { id: playbackId });
+    }
+  };
+
+  return (
+    <div className="d-flex align-items-center gap-2 mt-2">
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={handlePlayPause}
+        aria-label={isCurrent && isPlaying ? 'Pausar audio' : 'Reproducir audio'}
+      >
+        <i className={`bi ${isCurrent && isPlaying ? 'bi-pause-fill' : 'bi-play-fill'}`}></i>
+      </button>
+
+      <div className="flex-grow-1">
+        <div
+          className="progress"
+          style={{ height: '4px' }}
+          role="progressbar"
+          aria-label="Progreso del audio"
+          aria-valuenow={Math.round(progress)}
+          aria-valuemin="0"
+          aria-valuemax="100"
+        >
+          <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+        </div>
+        <div className="small text-muted mt-1">
+          {isCurrent && `${formatTime(currentTime)} / ${formatTime(duration)}`}
+          {!isCurrent && isQueued && (
+            <>
+              <i className="bi bi-hourglass-split me-1"></i>
+              En cola
+            </>
+          )}
+        </div>
+      </div>
+
+      {isCurrent && (
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => player.skip()}
+          aria-label="Saltar al siguiente audio"
+          title="Siguiente"
+        >
+          <i className="bi bi-skip-forward-fill"></i>
+        </button>
+      )}
+
+      <select
+        className="form-select form-select-sm w-auto"
+        value={rate}
+        onChange={(e) => player.setRate(e.target.value)}
+        aria-label="Velocidad de reproducción"
+      >
+        {PLAYBACK_RATES.map(value => (
+          <option key={value} value={value}>{value}x</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+AudioMessagePlayer.propTypes = {
+  audio: PropTypes.string.isRequired,
+  playbackId: PropTypes.string.isRequired
+};
+
+export default AudioMessagePlayer;
@@ -1,56 +1,301 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import PropTypes from 'prop-types';
 import { ConnectionStatus } from '../common';
+import ConversationSwitcher from './ConversationSwitcher';
+import SpeechSettings from './SpeechSettings';
+import RecordingSettings from './RecordingSettings';
+import MediaSettings from './MediaSettings';
+
+// Icono de cobertura según la calidad de la conexión (heartbeat)
+const QUALITY_ICONS = {
+  good: 'bi-reception-4 text-success',
+  degraded: 'bi-reception-2 text-warning',
+  poor: 'bi-reception-1 text-danger'
+};
 
 /**
  * Componente para el encabezado del chat
  * @param {Object} props - Propiedades del componente
  * @param {string} props.title - Título del chat
  * @param {boolean} props.isConnected - Estado de la conexión
+ * @param {Object} [props.connectionQuality] - Calidad medida con el heartbeat ({ quality, averageRtt, missedPongs })
+ * @param {string} [props.transport] - Transporte de la conexión ('websocket' | 'http')
+ * @param {string} [props.protocolError] - Motivo si el servidor usa una versión de protocolo incompatible
  * @param {boolean} props.autoPlayAudio - Indica si el audio se reproduce automáticamente
  * @param {function} props.onToggleAutoPlayAudio - Función para alternar la reproducción automática
+ * @param {Object} [props.speechSettings] - Preferencias de la voz del navegador ({ enabled, voiceURI, rate, lang })
+ * @param {function} [props.onSpeechSettingsChange] - Actualiza las preferencias de voz
+ * @param {function} [props.onPreviewSpeech] - Lee una frase de prueba
+ * @param {Object} [props.recordingSettings] - Preferencias de grabación ({ autoStop, silenceMs, trimSilence, handsFree })
+ * @param {function} [props.onRecordingSettingsChange] - Actualiza las preferencias de grabación
+ * @param {boolean} [props.showMediaSettings] - Muestra la elección de micrófono y cámara
+ * @param {function} props.onClearConversation - Borra la conversación actual del historial local
+ * @param {function} props.onClearAllHistory - Borra todo el historial local
+ * @param {function} [props.onExportConversation] - Descarga la conversación actual (recibe 'json' | 'md' | 'html')
+ * @param {function} [props.onImportConversation] - Importa una transcripción JSON (recibe el File)
+ * @param {Object} [props.conversationProps] - Props para ConversationSwitcher (si hay varias conversaciones)
  */
 const ChatHeader = ({ 
   title = 'Chat Inteligente ASL', 
   isConnected, 
+  connectionQuality,
+  transport,
+  protocolError,
   autoPlayAudio = true, 
-  onToggleAutoPlayAudio
+  onToggleAutoPlayAudio,
+  speechSettings,
+  onSpeechSettingsChange,
+  onPreviewSpeech,
+  recordingSettings,
+  onRecordingSettingsChange,
+  showMediaSettings = false,
+  onClearConversation,
+  onClearAllHistory,
+  onExportConversation,
+  onImportConversation,
+  conversationProps
 }) => {
+  const importInputRef = useRef(null);
+
+  const handleImportChange = (e) => {
+    const file = e.target.files?.[0];
+    // Limpiar para poder importar dos veces el mismo archivo
+    e.target.value = '';
+    if (file) onImportConversation(file);
+  };
+
   return (
-    <div className="d-flex justify-content-between align-items-center">
-      <div className="d-flex align-items-center">
-        <h5 className="mb-0 me-3">
-          <i className="bi bi-translate me-2"></i>
-          {title}
-        </h5>
-        <ConnectionStatus isConnected={isConnected} />
-      </div>
-      
-      {/* Toggle para audio automático */}
-      {onToggleAutoPlayAudio && (
-        <div className="form-check form-switch">
-          <input
-            className="form-check-input"
-            type="checkbox"
-            id="autoPlaySwitch"
-            checked={autoPlayAudio}
-            onChange={onToggleAutoPlayAudio}
+    <>
+      <div className="d-flex justify-content-between align-items-center">
+        <div className="d-flex align-items-center">
+          <h5 className="mb-0 me-3">
+            <i className="bi bi-translate me-2"></i>
+            {title}
+          </h5>
+          <ConnectionStatus
+            isConnected={isConnected}
+            quality={connectionQuality?.quality}
+            latency={connectionQuality?.averageRtt ?? null}
+            transport={transport}
+            protocolError={protocolError}
           />
-          <label className="form-check-label" htmlFor="autoPlaySwitch">
-            <i className={`bi ${autoPlayAudio ? 'bi-volume-up' : 'bi-volume-mute'} me-1`}></i>
-            Audio automático
-          </label>
+          {isConnected && QUALITY_ICONS[connectionQuality?.quality] && (
+            <span
+              className="small text-muted ms-2 text-nowrap"
+              title={connectionQuality.missedPongs > 0
+                ? `Latencia media del servidor (${connectionQuality.missedPongs} sin respuesta)`
+                : 'Latencia media del servidor'}
+            >
+              <i className={`bi ${QUALITY_ICONS[connectionQuality.quality]} me-1`}></i>
+              {connectionQuality.averageRtt !== null ? `${connectionQuality.averageRtt} ms` : '—'}
+            </span>
+          )}
+        </div>
+        
+        <div className="d-flex align-items-center gap-3">
+          {/* Toggle para audio automático */}
+          {onToggleAutoPlayAudio && (
+            <div className="form-check form-switch mb-0">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="autoPlaySwitch"
+                checked={autoPlayAudio}
+                onChange={onToggleAutoPlayAudio}
+              />
+              <label className="form-check-label" htmlFor="autoPlaySwitch">
+                <i className={`bi ${autoPlayAudio ? 'bi-volume-up' : 'bi-volume-mute'} me-1`}></i>
+                Audio automático
+              </label>
+            </div>
+          )}
+
+          {/* Voz del navegador para respuestas sin audio y grabación de mensajes de voz */}
+          {((speechSettings && onSpeechSettingsChange) || (recordingSettings && onRecordingSettingsChange)) && (
+            <div className="dropdown">
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                data-bs-toggle="dropdown"
+                data-bs-auto-close="outside"
+                aria-expanded="false"
+                title="Configuración de voz"
+              >
+                <i className="bi bi-megaphone"></i>
+                <span className="visually-hidden">Configuración de voz</span>
+              </button>
+              <div className="dropdown-menu dropdown-menu-end p-3">
+                {speechSettings && onSpeechSettingsChange && (
+                  <>
+                    <h6 className="dropdown-header px-0 pt-0">Lectura en voz alta</h6>
+                    <SpeechSettings
+                      settings={speechSettings}
+                      onChange={onSpeechSettingsChange}
+                      onPreview={onPreviewSpeech}
+                    />
+                  </>
+                )}
+                {speechSettings && onSpeechSettingsChange && recordingSettings && onRecordingSettingsChange && (
+                  <hr className="dropdown-divider my-3" />
+                )}
+                {recordingSettings && onRecordingSettingsChange && (
+                  <>
+                    <h6 className="dropdown-header px-0 pt-0">Mensajes de voz</h6>
+                    <RecordingSettings
+                      settings={recordingSettings}
+                      onChange={onRecordingSettingsChange}
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Micrófono y cámara elegidos (se recuerdan entre sesiones) */}
+          {showMediaSettings && (
+            <div className="dropdown">
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                data-bs-toggle="dropdown"
+                data-bs-auto-close="outside"
+                aria-expanded="false"
+                title="Micrófono y cámara"
+              >
+                <i className="bi bi-headset"></i>
+                <span className="visually-hidden">Micrófono y cámara</span>
+              </button>
+              <div className="dropdown-menu dropdown-menu-end p-3">
+                <h6 className="dropdown-header px-0 pt-0">Micrófono y cámara</h6>
+                <MediaSettings />
+              </div>
+            </div>
+          )}
+
+          {/* Exportar / importar transcripciones */}
+          {(onExportConversation || onImportConversation) && (
+            <div className="dropdown">
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary dropdown-toggle"
+                data-bs-toggle="dropdown"
+                aria-expanded="false"
+                title="Exportar o importar la conversación"
+              >
+                <i className="bi bi-download me-1"></i>
+                Transcripción
+              </button>
+              <ul className="dropdown-menu dropdown-menu-end">
+                {onExportConversation && (
+                  <>
+                    <li><h6 className="dropdown-header">Exportar conversación</h6></li>
+                    <li>
+                      <button type="button" className="dropdown-item" onClick={() => onExportConversation('json')}>
+                        <i className="bi bi-filetype-json me-2"></i>JSON (se puede importar)
+                      </button>
+                    </li>
+                    <li>
+                      <button type="button" className="dropdown-item" onClick={() => onExportConversation('md')}>
+                        <i className="bi bi-markdown me-2"></i>Markdown
+                      </button>
+                    </li>
+                    <li>
+                      <button type="button" className="dropdown-item" onClick={() => onExportConversation('html')}>
+                        <i className="bi bi-printer me-2"></i>HTML para imprimir / PDF
+                      </button>
+                    </li>
+                  </>
+                )}
+                {onExportConversation && onImportConversation && <li><hr className="dropdown-divider" /></li>}
+                {onImportConversation && (
+                  <li>
+                    <button type="button" className="dropdown-item" onClick={() => importInputRef.current?.click()}>
+                      <i className="bi bi-upload me-2"></i>Importar JSON...
+                    </button>
+                  </li>
+                )}
+              </ul>
+              {onImportConversation && (
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  className="d-none"
+                  onChange={handleImportChange}
+                  aria-label="Importar transcripción JSON"
+                />
+              )}
+            </div>
+          )}
+
+          {/* Controles del historial local */}
+          {(onClearConversation || onClearAllHistory) && (
+            <div className="btn-group btn-group-sm" role="group" aria-label="Historial del chat">
+              {onClearConversation && (
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary"
+                  onClick={onClearConversation}
+                  title="Borrar esta conversación"
+                >
+                  <i className="bi bi-trash"></i>
+                </button>
+              )}
+              {onClearAllHistory && (
+                <button
+                  type="button"
+                  className="btn btn-outline-danger"
+                  onClick={onClearAllHistory}
+                  title="Borrar todo el historial guardado"
+                >
+                  <i className="bi bi-trash3-fill"></i>
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Selector de conversaciones (crear, renombrar, cambiar) */}
+      {conversationProps && (
+        <div className="mt-2">
+          <ConversationSwitcher {...conversationProps} />
         </div>
       )}
-    </div>
+    </>
   );
 };
 
 ChatHeader.propTypes = {
   title: PropTypes.string,
   isConnected: PropTypes.bool.isRequired,
+  connectionQuality: PropTypes.shape({
+    quality: PropTypes.oneOf(['good', 'degraded', 'poor', 'unknown']).isRequired,
+    rtt: PropTypes.number,
+    averageRtt: PropTypes.number,
+    missedPongs: PropTypes.number
+  }),
+  transport: PropTypes.oneOf(['websocket', 'http']),
+  protocolError: PropTypes.string,
   autoPlayAudio: PropTypes.bool,
-  onToggleAutoPlayAudio: PropTypes.func
+  onToggleAutoPlayAudio: PropTypes.func,
+  speechSettings: PropTypes.object,
+  onSpeechSettingsChange: PropTypes.func,
+  onPreviewSpeech: PropTypes.func,
+  recordingSettings: PropTypes.object,
+  onRecordingSettingsChange: PropTypes.func,
+  showMediaSettings: PropTypes.bool,
+  onClearConversation: PropTypes.func,
+  onClearAllHistory: PropTypes.func,
+  onExportConversation: PropTypes.func,
+  onImportConversation: PropTypes.func,
+  conversationProps: PropTypes.shape({
+    conversations: PropTypes.array.isRequired,
+    activeConversationId: PropTypes.string.isRequired,
+    onSelect: PropTypes.func.isRequired,
+    onCreate: PropTypes.func.isRequired,
+    onRename: PropTypes.func.isRequired
+  })
 };
 
 export default ChatHeader;
\ No newline at end of file
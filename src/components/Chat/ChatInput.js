@@ -2,46 +2,132 @@ import React, { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { getAudioStream, createAudioRecorder } from '../../utils/media-utils';
 import Logger from '../../utils/debug-utils';
+import audioPlayback from '../../utils/audio-playback';
+import { cancelSpeech } from '../../utils/speech-utils';
+import { AUDIO_CONFIG } from '../../config/constants';
+import { createVoiceActivityDetector, trimSilence } from '../../utils/audio-analysis';
+import { queryMediaPermission } from '../../utils/media-devices';
+import { AudioLevelMeter } from '../common';
+import RecordingPreview from './RecordingPreview';
 
 /**
  * Componente para la entrada de texto del chat
  * @param {Object} props - Propiedades del componente
  * @param {function} props.onSendMessage - Función para enviar mensaje
  * @param {function} props.onImageUpload - Función para subir imagen
- * @param {function} props.onAudioRecord - Función para enviar audio grabado
+ * @param {function} props.onAudioRecord - Función para enviar audio grabado (tras revisarlo en la vista previa)
+ * @param {function} [props.onAudioDiscard] - Avisa de que la grabación se descartó en la vista previa
+ * @param {function} [props.onAudioStreamStart] - Abre el streaming de la grabación (recibe el mimeType, devuelve true si se abrió)
+ * @param {function} [props.onAudioChunk] - Envía un fragmento de la grabación mientras se graba
+ * @param {Object} [props.recordingSettings] - Detección de voz ({ autoStop, silenceMs, trimSilence, handsFree })
+ * @param {function} props.onToggleSignLanguage - Abre/cierra el panel de lenguaje de señas
+ * @param {boolean} props.isSignLanguageOpen - Indica si el panel de señas está abierto
+ * @param {function} [props.onToggleDictation] - Abre/cierra el panel de dictado por voz
+ * @param {boolean} [props.isDictationOpen] - Indica si el panel de dictado está abierto
+ * @param {function} props.onStopGeneration - Detiene la respuesta que el asistente está generando
+ * @param {function} props.getCommandSuggestions - Sugerencias de comandos "/" para el texto actual
+ * @param {function} props.getCommandHint - Pista de argumentos del comando que se está escribiendo
  * @param {boolean} props.isConnected - Estado de la conexión
  * @param {boolean} props.isTyping - Indica si el bot está escribiendo
+ * @param {boolean} props.isGenerating - Indica si hay una respuesta en curso (esperando o en streaming)
  */
-const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, isTyping }) => {
+const ChatInput = ({
+  onSendMessage,
+  onImageUpload,
+  onAudioRecord,
+  onAudioDiscard,
+  onAudioStreamStart,
+  onAudioChunk,
+  recordingSettings,
+  onToggleSignLanguage,
+  isSignLanguageOpen,
+  onToggleDictation,
+  isDictationOpen,
+  onStopGeneration,
+  getCommandSuggestions,
+  getCommandHint,
+  isConnected,
+  isTyping,
+  isGenerating
+}) => {
   const [inputMessage, setInputMessage] = useState('');
   const [isRecording, setIsRecording] = useState(false);
-  const [audioPermissionGranted, setAudioPermissionGranted] = useState(false);
+  const [recordingStream, setRecordingStream] = useState(null); // Micrófono en uso (medidor de nivel)
+  const [recordedBlob, setRecordedBlob] = useState(null);       // Grabación pendiente de enviar o descartar
+  const [isProcessingRecording, setIsProcessingRecording] = useState(false); // Recortando silencios
+  const [recordingNotice, setRecordingNotice] = useState(null);  // Aviso tras una grabación automática
+  const [microphonePermission, setMicrophonePermission] = useState('unknown'); // granted | denied | prompt | unknown
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
   
   const fileInputRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
+  const isStreamingAudioRef = useRef(false);
   const streamRef = useRef(null);
+  const stopVadRef = useRef(null);       // Detiene la detección de voz de la grabación actual
+  const noSpeechRef = useRef(false);     // La grabación terminó sin que se detectara voz
 
-  // Verificar permiso de micrófono al inicio
+  // Consultar el permiso de micrófono sin abrirlo (se pide al grabar por primera vez)
   useEffect(() => {
-    const checkMicrophonePermission = async () => {
-      try {
-        // Solo verificamos, no grabamos todavía
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        stream.getTracks().forEach(track => track.stop());
-        setAudioPermissionGranted(true);
-      } catch (error) {
-        Logger.warn('ChatInput', 'No hay permisos de micrófono', error);
-        setAudioPermissionGranted(false);
+    let unsubscribe = () => {};
+    let cancelled = false;
+
+    queryMediaPermission('microphone', setMicrophonePermission).then(result => {
+      if (cancelled) {
+        result.unsubscribe();
+        return;
+      }
+      unsubscribe = result.unsubscribe;
+      setMicrophonePermission(result.state);
+      if (result.state === 'denied') {
+        Logger.warn('ChatInput', 'Permiso de micrófono denegado');
       }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
     };
-    
-    checkMicrophonePermission();
   }, []);
 
+  // Autocompletado de comandos "/" (el registro vive en Chat)
+  const suggestions = getCommandSuggestions && !suggestionsDismissed ? getCommandSuggestions(inputMessage) : [];
+  const activeIndex = Math.min(activeSuggestion, suggestions.length - 1);
+  const commandHint = getCommandHint ? getCommandHint(inputMessage) : null;
+
+  const handleInputChange = (e) => {
+    setInputMessage(e.target.value);
+    setActiveSuggestion(0);
+    setSuggestionsDismissed(false);
+  };
+
+  const applySuggestion = (suggestion) => {
+    setInputMessage(suggestion.value);
+    setActiveSuggestion(0);
+  };
+
+  // Flechas para recorrer, Tab/Enter para completar, Escape para cerrar
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && suggestions[activeIndex].value !== inputMessage)) {
+      e.preventDefault();
+      applySuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setSuggestionsDismissed(true);
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!inputMessage.trim() || isTyping) return;
+    if (!inputMessage.trim() || isTyping || isGenerating) return;
     
     onSendMessage(inputMessage);
     setInputMessage('');
@@ -49,53 +135,116 @@ const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, i
 
   // Detener la grabación y liberar recursos
   const stopMediaStream = () => {
+    if (stopVadRef.current) {
+      stopVadRef.current();
+      stopVadRef.current = null;
+    }
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
       streamRef.current = null;
     }
+    setRecordingStream(null);
   };
 
   // Iniciar grabación de audio
   const startRecording = async () => {
+    // 🔇 Que el micrófono no capte las respuestas que se estén reproduciendo
+    audioPlayback.stop();
+    cancelSpeech();
+    setRecordingNotice(null);
+
+    // Preferencias fijadas al empezar: cambiarlas a mitad no afecta a esta grabación
+    const { autoStop, silenceMs, trimSilence: shouldTrim, handsFree } = recordingSettings;
+    noSpeechRef.current = false;
+
     try {
       // Obtener acceso al micrófono
       const stream = await getAudioStream();
       streamRef.current = stream;
+      setRecordingStream(stream);
       
       // Crear grabador
       const mediaRecorder = createAudioRecorder(stream);
       mediaRecorderRef.current = mediaRecorder;
       audioChunksRef.current = [];
+      isStreamingAudioRef.current = false;
 
       // Configurar eventos
       mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           audioChunksRef.current.push(event.data);
+          // Durante el streaming cada fragmento sale en cuanto está listo
+          if (isStreamingAudioRef.current) {
+            onAudioChunk(event.data);
+          }
         }
       };
 
+      // La grabación no se envía todavía: primero se revisa en la vista previa
+      // (en manos libres se envía directamente)
       mediaRecorder.onstop = async () => {
-        try {
-          const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-          onAudioRecord(audioBlob);
-        } catch (err) {
-          Logger.error('ChatInput', 'Error al procesar grabación', err);
+        // Tipo real del grabador (webm, ogg, mp4 o wav según el navegador)
+        let audioBlob = new Blob(audioChunksRef.current, { type: mediaRecorder.mimeType || 'audio/webm' });
+        audioChunksRef.current = [];
+
+        if (audioBlob.size === 0 || noSpeechRef.current) {
+          Logger.warn('ChatInput', 'Grabación sin voz descartada');
+          if (noSpeechRef.current) {
+            setRecordingNotice('No se detectó voz: la grabación se descartó');
+          }
+          onAudioDiscard?.();
+          return;
+        }
+
+        if (shouldTrim) {
+          setIsProcessingRecording(true);
+          audioBlob = await trimSilence(audioBlob);
+          setIsProcessingRecording(false);
+        }
+
+        if (handsFree) {
+          try {
+            onAudioRecord(audioBlob);
+          } catch (err) {
+            Logger.error('ChatInput', 'Error al procesar grabación', err);
+          }
+        } else {
+          setRecordedBlob(audioBlob);
         }
       };
 
-      // Iniciar grabación
-      mediaRecorder.start();
+      // Iniciar grabación (en fragmentos si se puede transmitir mientras se graba).
+      // Si se recortan silencios no se transmite: lo enviado no coincidiría con lo recortado.
+      // El grabador WAV de respaldo tampoco entrega fragmentos (supportsStreaming = false).
+      const canStream = Boolean(onAudioStreamStart && onAudioChunk) && !shouldTrim && mediaRecorder.supportsStreaming !== false;
+      mediaRecorder.start(canStream ? AUDIO_CONFIG.STREAM_TIMESLICE : undefined);
+      if (canStream) {
+        isStreamingAudioRef.current = onAudioStreamStart(mediaRecorder.mimeType || 'audio/webm') === true;
+      }
       setIsRecording(true);
-      Logger.info('ChatInput', 'Grabación iniciada');
+
+      // 🗣️ Detección de voz: termina sola tras el silencio configurado
+      if (autoStop || handsFree) {
+        stopVadRef.current = createVoiceActivityDetector(stream, {
+          silenceMs,
+          onSilence: stopRecording,
+          onNoSpeech: () => {
+            noSpeechRef.current = true;
+            stopRecording();
+          }
+        });
+      }
+      Logger.info('ChatInput', `Grabación iniciada${isStreamingAudioRef.current ? ' (streaming)' : ''}${handsFree ? ' (manos libres)' : ''}`);
     } catch (err) {
       Logger.error('ChatInput', 'Error al iniciar grabación', err);
+      stopMediaStream();
       setIsRecording(false);
     }
   };
 
-  // Detener grabación de audio
+  // Detener grabación de audio (también la llama la detección de voz, por eso no usa el estado)
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       mediaRecorderRef.current.stop();
       stopMediaStream();
       setIsRecording(false);
@@ -103,6 +252,23 @@ const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, i
     }
   };
 
+  // Enviar la grabación revisada
+  const sendRecording = () => {
+    try {
+      onAudioRecord(recordedBlob);
+    } catch (err) {
+      Logger.error('ChatInput', 'Error al procesar grabación', err);
+    }
+    setRecordedBlob(null);
+  };
+
+  // Descartar la grabación (si se estaba transmitiendo, Chat cancela el stream)
+  const discardRecording = () => {
+    setRecordedBlob(null);
+    onAudioDiscard?.();
+    Logger.info('ChatInput', 'Grabación descartada');
+  };
+
   // Alternar entre iniciar/detener grabación
   const toggleRecording = () => {
     if (isRecording) {
@@ -113,15 +279,49 @@ const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, i
   };
 
   return (
-    <form onSubmit={handleSubmit} className='p-3 chat-input-bar border-top'>
+    <form onSubmit={handleSubmit} className='p-3 chat-input-bar border-top position-relative'>
+      {suggestions.length > 0 && (
+        <ul
+          id='chatCommandSuggestions'
+          className='list-group position-absolute start-0 end-0 mx-3 shadow'
+          style={{ bottom: '100%', zIndex: 1050 }}
+          role='listbox'
+          aria-label='Comandos disponibles'
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.value}
+              id={`chatCommandSuggestion-${index}`}
+              role='option'
+              aria-selected={index === activeIndex}
+              className={`list-group-item list-group-item-action d-flex justify-content-between gap-3 ${index === activeIndex ? 'active' : ''}`}
+              style={{ cursor: 'pointer' }}
+              // mousedown para que el input no pierda el foco antes de completar
+              onMouseDown={(e) => {
+                e.preventDefault();
+                applySuggestion(suggestion);
+              }}
+            >
+              <span className='font-monospace'>{suggestion.label}</span>
+              <small className={index === activeIndex ? '' : 'text-muted'}>{suggestion.description}</small>
+            </li>
+          ))}
+        </ul>
+      )}
       <div className='input-group'>
         <input
           type='text'
           className='form-control chat-input-field'
-          placeholder='Escribe un mensaje...'
+          placeholder='Escribe un mensaje o "/" para ver los comandos...'
           value={inputMessage}
-          onChange={(e) => setInputMessage(e.target.value)}
+          onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
           disabled={isTyping || isRecording}
+          role='combobox'
+          aria-autocomplete='list'
+          aria-expanded={suggestions.length > 0}
+          aria-controls='chatCommandSuggestions'
+          aria-activedescendant={suggestions.length > 0 ? `chatCommandSuggestion-${activeIndex}` : undefined}
         />
         <button
           type='button'
@@ -132,24 +332,62 @@ const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, i
         >
           <i className='bi bi-image'></i>
         </button>
-  {/* Botón de análisis de lenguaje de señas removido para simplificar el flujo */}
+        {onToggleSignLanguage && (
+          <button
+            type='button'
+            className={`btn ${isSignLanguageOpen ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            onClick={onToggleSignLanguage}
+            disabled={isRecording}
+            title='Lenguaje de señas (cámara y deletreo)'
+            aria-pressed={isSignLanguageOpen}
+          >
+            <i className='bi bi-hand-index-thumb'></i>
+          </button>
+        )}
+        {onToggleDictation && (
+          <button
+            type='button'
+            className={`btn ${isDictationOpen ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            onClick={onToggleDictation}
+            disabled={isRecording}
+            title='Dictado (voz a texto)'
+            aria-pressed={isDictationOpen}
+          >
+            <i className='bi bi-soundwave'></i>
+          </button>
+        )}
         <button
           type='button'
           className={`btn ${isRecording ? 'btn-danger' : 'btn-outline-secondary'}`}
           onClick={toggleRecording}
-          disabled={!audioPermissionGranted || isTyping}
-          title={isRecording ? 'Detener grabación' : 'Grabar mensaje de voz'}
+          disabled={microphonePermission === 'denied' || isTyping || Boolean(recordedBlob) || isProcessingRecording}
+          title={
+            microphonePermission === 'denied' ? 'Permiso de micrófono denegado en el navegador'
+              : isRecording ? 'Detener grabación'
+                : recordingSettings.handsFree ? 'Hablar (manos libres: se envía al callar)' : 'Grabar mensaje de voz'
+          }
         >
           <i className={`bi ${isRecording ? 'bi-stop-fill' : 'bi-mic-fill'}`}></i>
         </button>
-        <button
-          type='submit'
-          className='btn btn-primary'
-          disabled={!inputMessage.trim() || isTyping || isRecording}
-          title='Enviar mensaje'
-        >
-          <i className='bi bi-send'></i>
-        </button>
+        {isGenerating && onStopGeneration ? (
+          <button
+            type='button'
+            className='btn btn-outline-danger'
+            onClick={onStopGeneration}
+            title='Detener respuesta'
+          >
+            <i className='bi bi-stop-circle'></i>
+          </button>
+        ) : (
+          <button
+            type='submit'
+            className='btn btn-primary'
+            disabled={!inputMessage.trim() || isTyping || isRecording}
+            title='Enviar mensaje'
+          >
+            <i className='bi bi-send'></i>
+          </button>
+        )}
         <input
           type='file'
           ref={fileInputRef}
@@ -159,13 +397,43 @@ const ChatInput = ({ onSendMessage, onImageUpload, onAudioRecord, isConnected, i
         />
   {/* Input oculto para lenguaje de señas removido */}
       </div>
+      {commandHint && (
+        <div className='form-text mt-1'>
+          <i className='bi bi-info-circle me-1'></i>
+          <span className='font-monospace'>{commandHint}</span>
+        </div>
+      )}
       {isRecording && (
-        <div className='text-center mt-2'>
+        <div className='d-flex align-items-center gap-2 mt-2'>
           <span className='badge bg-danger'>
             <i className='bi bi-record-circle me-1'></i> Grabando...
           </span>
+          <AudioLevelMeter stream={recordingStream} className='flex-grow-1' />
+        </div>
+      )}
+      {isRecording && (recordingSettings.autoStop || recordingSettings.handsFree) && (
+        <div className='form-text mt-1'>
+          <i className='bi bi-info-circle me-1'></i>
+          {recordingSettings.handsFree
+            ? 'Manos libres: se enviará al dejar de hablar'
+            : 'La grabación se detendrá al dejar de hablar'}
         </div>
       )}
+      {isProcessingRecording && (
+        <div className='form-text mt-1'>
+          <span className='spinner-border spinner-border-sm me-1' aria-hidden='true'></span>
+          Recortando silencios...
+        </div>
+      )}
+      {recordingNotice && !isRecording && (
+        <div className='form-text text-warning mt-1' role='status'>
+          <i className='bi bi-mic-mute me-1'></i>
+          {recordingNotice}
+        </div>
+      )}
+      {recordedBlob && !isRecording && (
+        <RecordingPreview blob={recordedBlob} onSend={sendRecording} onDiscard={discardRecording} />
+      )}
     </form>
   );
 };
@@ -174,12 +442,32 @@ ChatInput.propTypes = {
   onSendMessage: PropTypes.func.isRequired,
   onImageUpload: PropTypes.func.isRequired,
   onAudioRecord: PropTypes.func,
+  onAudioDiscard: PropTypes.func,
+  onAudioStreamStart: PropTypes.func,
+  onAudioChunk: PropTypes.func,
+  recordingSettings: PropTypes.shape({
+    autoStop: PropTypes.bool,
+    silenceMs: PropTypes.number,
+    trimSilence: PropTypes.bool,
+    handsFree: PropTypes.bool
+  }),
+  onToggleSignLanguage: PropTypes.func,
+  isSignLanguageOpen: PropTypes.bool,
+  onToggleDictation: PropTypes.func,
+  isDictationOpen: PropTypes.bool,
+  onStopGeneration: PropTypes.func,
+  getCommandSuggestions: PropTypes.func,
+  getCommandHint: PropTypes.func,
   isConnected: PropTypes.bool.isRequired,
-  isTyping: PropTypes.bool.isRequired
+  isTyping: PropTypes.bool.isRequired,
+  isGenerating: PropTypes.bool
 };
 
 ChatInput.defaultProps = {
   onAudioRecord: () => {},
+  recordingSettings: { autoStop: false, silenceMs: AUDIO_CONFIG.SILENCE_TIMEOUT, trimSilence: false, handsFree: false },
+  isSignLanguageOpen: false,
+  isGenerating: false,
 };
 
 export default ChatInput;
\ No newline at end of file
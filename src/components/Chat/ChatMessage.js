@@ -1,5 +1,17 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import Logger from '../../utils/debug-utils';
+import { MESSAGE_STATUS } from '../../utils/message-utils';
+import AslResultPanel from '../SignLanguage/AslResultPanel';
+import AudioMessagePlayer from './AudioMessagePlayer';
+
+/**
+ * Textos para los motivos de fallo de envío (ver MessageOutbox)
+ */
+const DELIVERY_ERRORS = {
+  'ack_timeout': 'El servidor no confirmó la recepción',
+  'send_failed': 'No se pudo enviar'
+};
 
 /**
  * COMPONENTE CHATMESSAGE - RENDERIZADO DE MENSAJES INDIVIDUALES
@@ -9,7 +21,7 @@ import PropTypes from 'prop-types';
  * 
  * RESPONSABILIDADES:
  * 1. RENDERIZADO DUAL: Maneja tanto mensajes de usuario como del bot/sistema
- * 2. SOPORTE MULTIMEDIA: Text + imágenes en el mismo mensaje
+ * 2. SOPORTE MULTIMEDIA: Texto, imágenes, audio y resultados ASL según el tipo
  * 3. STYLING DINÁMICO: Diferentes estilos según el remitente
  * 4. ACCESIBILIDAD: Alt text para imágenes, estructura semántica
  * 5. FLEXIBILIDAD: Props opcionales para customización
@@ -27,6 +39,9 @@ import PropTypes from 'prop-types';
  * - text: Siempre presente, puede ser resultado de IA o input de usuario
  * - isUser: Determina styling y posición (derecha vs izquierda)
  * - image: URL de blob para imágenes ASL o avatares
+ * - type: text | image | audio | sign_language | error (viene de processIncomingMessage)
+ *   o system (respuestas locales de los comandos "/")
+ * - status: estado de envío de los mensajes del usuario (pending | sending | sent | failed | cancelled)
  * - className: Override para casos especiales (errores, sistema, etc.)
  */
 
@@ -34,12 +49,146 @@ import PropTypes from 'prop-types';
  * FUNCIÓN PRINCIPAL DEL COMPONENTE
  * 
  * @param {Object} props - Propiedades del componente 
+ * @param {string} [props.id] - Id del mensaje (identifica su audio en el reproductor compartido)
  * @param {string} props.text - Texto del mensaje (requerido)
  * @param {boolean} props.isUser - Si el mensaje es del usuario (requerido)
+ * @param {string} [props.type] - Tipo de mensaje (text, image, audio, sign_language, error)
  * @param {string} [props.image] - URL de la imagen (opcional)
+ * @param {string} [props.audio] - Audio en base64 o URL (mensajes de audio)
+ * @param {string} [props.prediction] - Seña reconocida (mensajes sign_language)
+ * @param {number} [props.confidence] - Confianza de la predicción (mensajes sign_language)
+ * @param {Array} [props.alternatives] - Alternativas del modelo (mensajes sign_language)
+ * @param {string} [props.clientMessageId] - Id local del mensaje (mensajes del usuario)
+ * @param {string} [props.status] - Estado de envío (MESSAGE_STATUS)
+ * @param {boolean} [props.isStreaming] - La respuesta todavía se está recibiendo (stream_chunk)
+ * @param {boolean} [props.cancelled] - La respuesta se detuvo antes de terminar
+ * @param {string} [props.deliveryError] - Motivo del fallo de envío (ack_timeout, send_failed o el del servidor)
+ * @param {function} [props.onRetry] - Reintenta el envío de un mensaje fallido
+ * @param {function} [props.onCancel] - Descarta un mensaje fallido
  * @param {string} [props.className] - Clase CSS adicional para casos especiales
  */
-const ChatMessage = ({ text, isUser, image, className = '' }) => {
+const ChatMessage = ({
+  id,
+  text,
+  isUser,
+  type = 'text',
+  image,
+  audio,
+  prediction,
+  confidence,
+  alternatives,
+  clientMessageId,
+  status,
+  deliveryError,
+  isStreaming = false,
+  cancelled = false,
+  onRetry,
+  onCancel,
+  className = ''
+}) => {
+  const isError = type === 'error';
+  const isSystem = type === 'system';
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // CONTENIDO ESPECÍFICO POR TIPO - AUDIO, RESULTADO ASL Y ERRORES
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Renderiza la parte del mensaje que depende del tipo.
+   * Texto e imagen son comunes a todos los tipos y se renderizan más abajo.
+   */
+  const renderTypeContent = () => {
+    switch (type) {
+      case 'audio':
+        // Reproductor compartido: pausa, siguiente y velocidad (ver audio-playback)
+        return audio && (
+          <AudioMessagePlayer audio={audio} playbackId={id || clientMessageId || audio} />
+        );
+
+      case 'sign_language':
+        return (
+          <AslResultPanel
+            prediction={prediction}
+            confidence={confidence}
+            alternatives={alternatives}
+            compact
+          />
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // ESTADO DE ENVÍO - OUTBOX + ACK (PENDIENTE / ENVIANDO / ENVIADO / FALLIDO)
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Muestra en qué punto de la entrega está el mensaje del usuario.
+   * Los mensajes antiguos (sin status) no muestran nada.
+   */
+  const renderDeliveryStatus = () => {
+    switch (status) {
+      case MESSAGE_STATUS.PENDING:
+        return (
+          <div className="small text-muted text-end mt-1">
+            <i className="bi bi-clock me-1"></i>
+            Pendiente: se enviará al reconectar
+          </div>
+        );
+
+      case MESSAGE_STATUS.SENDING:
+        return (
+          <div className="small text-muted text-end mt-1">
+            <i className="bi bi-check me-1"></i>
+            Enviando...
+          </div>
+        );
+
+      case MESSAGE_STATUS.SENT:
+        return (
+          <div className="small text-muted text-end mt-1" title="El servidor confirmó la recepción">
+            <i className="bi bi-check-all me-1"></i>
+            Enviado
+          </div>
+        );
+
+      case MESSAGE_STATUS.FAILED:
+        return (
+          <div className="d-flex align-items-center justify-content-end flex-wrap gap-2 small mt-1" role="alert">
+            <span className="text-danger">
+              <i className="bi bi-exclamation-circle me-1"></i>
+              {DELIVERY_ERRORS[deliveryError] || deliveryError || 'No se pudo enviar'}
+            </span>
+            {onRetry && clientMessageId && (
+              <button type="button" className="btn btn-sm btn-outline-primary py-0" onClick={() => onRetry(clientMessageId)}>
+                <i className="bi bi-arrow-repeat me-1"></i>
+                Reintentar
+              </button>
+            )}
+            {onCancel && clientMessageId && (
+              <button type="button" className="btn btn-sm btn-outline-secondary py-0" onClick={() => onCancel(clientMessageId)}>
+                <i className="bi bi-x-lg me-1"></i>
+                Cancelar
+              </button>
+            )}
+          </div>
+        );
+
+      case MESSAGE_STATUS.CANCELLED:
+        return (
+          <div className="small text-muted text-end mt-1">
+            <i className="bi bi-slash-circle me-1"></i>
+            No enviado
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
   // ═══════════════════════════════════════════════════════════════════════════════════
   // RENDERIZADO DEL MENSAJE - ESTRUCTURA ACCESIBLE Y RESPONSIVE
   // ═══════════════════════════════════════════════════════════════════════════════════
@@ -64,9 +213,11 @@ const ChatMessage = ({ text, isUser, image, className = '' }) => {
    */
   return (
     <div 
-      className={`message ${isUser ? 'user-message' : 'bot-message'} ${className}`}
+      className={`message ${isUser ? 'user-message' : 'bot-message'} ${isError ? 'text-danger' : ''} ${className}`}
+      style={{ maxWidth: '75%' }}
       role="listitem"
       aria-label={`Mensaje de ${isUser ? 'usuario' : 'asistente'}`}
+      aria-busy={isStreaming}
     >
       {/* ═══════════════════════════════════════════════════════════════════════════ */}
       {/* CONTENEDOR DE IMAGEN - SOLO SI HAY IMAGEN */}
@@ -96,11 +247,12 @@ const ChatMessage = ({ text, isUser, image, className = '' }) => {
           */}
           <img 
             src={image} 
-            alt={isUser ? "Imagen enviada por el usuario" : "Imagen del asistente"}
-            className="message-img"
+            alt={isUser ? 'Imagen enviada por el usuario' : 'Imagen del asistente'}
+            className="message-img img-fluid rounded mb-2"
+            style={{ maxHeight: '200px' }}
             onError={(e) => {
               // Fallback si la imagen falla al cargar
-              console.warn('Error al cargar imagen del mensaje:', image);
+              Logger.warn('ChatMessage', 'Error al cargar imagen del mensaje', { length: image.length });
               e.target.style.display = 'none';
             }}
           />
@@ -134,8 +286,41 @@ const ChatMessage = ({ text, isUser, image, className = '' }) => {
           - CSS puede agregar focus styles si es necesario
           - Text color tiene contrast ratio apropiado según isUser
         */}
-        {text}
+        {isError && (
+          <div className="alert alert-danger d-flex align-items-center mb-0" role="alert">
+            <i className="bi bi-exclamation-triangle-fill me-2"></i>
+            <div>{text}</div>
+          </div>
+        )}
+        {isSystem && (
+          // Respuestas de comandos locales (/help, /theme...): pueden tener varias líneas
+          <div className="small text-secondary-theme" style={{ whiteSpace: 'pre-line' }}>
+            <i className="bi bi-terminal me-2"></i>
+            {text}
+          </div>
+        )}
+        {!isError && !isSystem && (
+          // En sign_language el panel ya muestra la predicción; el texto solo si no hay predicción
+          (type !== 'sign_language' || !prediction) && text
+        )}
+        {/* Cursor parpadeante mientras llegan fragmentos de la respuesta */}
+        {isStreaming && <span className="streaming-cursor" aria-hidden="true">▍</span>}
       </div>
+
+      {cancelled && (
+        <div className="small text-muted mt-1">
+          <i className="bi bi-stop-circle me-1"></i>
+          Respuesta detenida
+        </div>
+      )}
+
+      {/* ═══════════════════════════════════════════════════════════════════════════ */}
+      {/* CONTENIDO POR TIPO - REPRODUCTOR DE AUDIO / PANEL ASL */}
+      {/* ═══════════════════════════════════════════════════════════════════════════ */}
+
+      {renderTypeContent()}
+
+      {isUser && renderDeliveryStatus()}
     </div>
   );
 };
@@ -159,6 +344,18 @@ const ChatMessage = ({ text, isUser, image, className = '' }) => {
  * - true = mensaje del usuario (estilo diferente, alineación derecha)
  * - false = mensaje del bot/sistema (estilo diferente, alineación izquierda)
  * 
+ * type: string (opcional)
+ * - Decide el contenido extra: reproductor (audio), AslResultPanel (sign_language), alerta (error)
+ * 
+ * prediction / confidence / alternatives (opcionales)
+ * - Resultado ASL para mensajes sign_language
+ * 
+ * isStreaming / cancelled (opcionales)
+ * - Respuestas en streaming: cursor mientras llegan fragmentos, aviso si se detuvo
+ * 
+ * clientMessageId / status / deliveryError / onRetry / onCancel (opcionales)
+ * - Estado de envío (outbox + ack); los botones solo aparecen si el envío falló
+ * 
  * image: string (opcional)
  * - URL de imagen para mensajes multimedia
  * - Puede ser blob URL, data URL, o URL remota
@@ -170,9 +367,22 @@ const ChatMessage = ({ text, isUser, image, className = '' }) => {
  * - Se combina con clases base del componente
  */
 ChatMessage.propTypes = {
+  id: PropTypes.string,
   text: PropTypes.string.isRequired,
   isUser: PropTypes.bool.isRequired,
+  type: PropTypes.string,
   image: PropTypes.string,
+  audio: PropTypes.string,
+  prediction: PropTypes.string,
+  confidence: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  alternatives: PropTypes.arrayOf(PropTypes.object),
+  clientMessageId: PropTypes.string,
+  status: PropTypes.oneOf(Object.values(MESSAGE_STATUS)),
+  deliveryError: PropTypes.string,
+  isStreaming: PropTypes.bool,
+  cancelled: PropTypes.bool,
+  onRetry: PropTypes.func,
+  onCancel: PropTypes.func,
   className: PropTypes.string
 };
 
@@ -185,7 +395,11 @@ ChatMessage.propTypes = {
  * 
  * FUNCIONALIDADES IMPLEMENTADAS:
  * ✅ Renderizado dual (usuario vs bot) con styling automático
- * ✅ Soporte para mensajes multimedia (texto + imagen)
+ * ✅ Soporte para mensajes multimedia (texto + imagen + audio)
+ * ✅ Audio en un reproductor compartido con cola, pausa, siguiente y velocidad
+ * ✅ Resultados ASL con medidor de confianza y alternativas
+ * ✅ Respuestas en streaming con cursor y aviso de respuesta detenida
+ * ✅ Estado de entrega (pendiente / enviando / enviado / fallido con reintentar y cancelar)
  * ✅ Clases CSS dinámicas basadas en remitente
  * ✅ Props opcionales para máxima flexibilidad
  * ✅ Accesibilidad con ARIA labels y alt text descriptivo
@@ -213,11 +427,10 @@ ChatMessage.propTypes = {
  * 
  * EXTENSIBILIDAD FUTURA:
  * - Mostrar marcas de tiempo (timestamp)
- * - Confirmaciones de lectura / estado de entrega
+ * - Confirmaciones de lectura
  * - Reacciones con emojis
  * - Responder a mensajes (threads / hilos)
  * - Formato de texto enriquecido (markdown)
- * - Reproducción de mensajes de audio
  * - Adjuntos de archivos (imágenes, documentos, etc.)
  * - Acciones sobre el mensaje (copiar, eliminar, editar)
  */
@@ -0,0 +1,62 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Selector de conversaciones del chat
+ * @param {Object} props - Propiedades del componente
+ * @param {Array} props.conversations - Conversaciones disponibles ({ id, title })
+ * @param {string} props.activeConversationId - Conversación mostrada actualmente
+ * @param {function} props.onSelect - Cambia a otra conversación (recibe el id)
+ * @param {function} props.onCreate - Crea una conversación nueva
+ * @param {function} props.onRename - Renombra la conversación actual
+ */
+const ConversationSwitcher = ({ conversations, activeConversationId, onSelect, onCreate, onRename }) => {
+  return (
+    <div className="d-flex align-items-center gap-2">
+      <label htmlFor="conversationSelect" className="visually-hidden">Conversación</label>
+      <i className="bi bi-chat-left-text text-muted" aria-hidden="true"></i>
+      <select
+        id="conversationSelect"
+        className="form-select form-select-sm"
+        style={{ maxWidth: '260px' }}
+        value={activeConversationId}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        {conversations.map(conversation => (
+          <option key={conversation.id} value={conversation.id}>
+            {conversation.title}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={onRename}
+        title="Renombrar conversación"
+      >
+        <i className="bi bi-pencil"></i>
+      </button>
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-primary"
+        onClick={onCreate}
+        title="Nueva conversación"
+      >
+        <i className="bi bi-plus-lg"></i>
+      </button>
+    </div>
+  );
+};
+
+ConversationSwitcher.propTypes = {
+  conversations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired
+  })).isRequired,
+  activeConversationId: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired
+};
+
+export default ConversationSwitcher;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Logger from '../../utils/debug-utils';
+import { getAudioStream, getVideoStream, stopMediaStream } from '../../utils/media-utils';
+import { isDeviceSelectionSupported } from '../../utils/media-devices';
+import useMediaDevices from '../../hooks/useMediaDevices';
+import { AudioLevelMeter } from '../common';
+
+const COMPONENT_NAME = 'MediaSettings';
+
+/**
+ * Elección y prueba del micrófono y la cámara
+ *
+ * La elección se guarda (media-devices) y la usan la grabación de voz,
+ * el dictado y la cámara de señas. Las pruebas se cierran al cerrar el
+ * desplegable que contiene el panel.
+ */
+const MediaSettings = () => {
+  const {
+    audioInputs,
+    videoInputs,
+    audioInputId,
+    videoInputId,
+    selectMicrophone,
+    selectCamera,
+    refresh
+  } = useMediaDevices();
+
+  const [micTestStream, setMicTestStream] = useState(null);
+  const [cameraTestStream, setCameraTestStream] = useState(null);
+  const [error, setError] = useState(null);
+
+  const containerRef = useRef(null);
+  const videoRef = useRef(null);
+  const micTestRef = useRef(null);
+  const cameraTestRef = useRef(null);
+
+  const stopMicTest = () => {
+    stopMediaStream(micTestRef.current);
+    micTestRef.current = null;
+    setMicTestStream(null);
+  };
+
+  const stopCameraTest = () => {
+    stopMediaStream(cameraTestRef.current);
+    cameraTestRef.current = null;
+    setCameraTestStream(null);
+  };
+
+  // Cerrar las pruebas al cerrar el desplegable (Bootstrap no lo desmonta) y al desmontar
+  useEffect(() => {
+    const dropdown = containerRef.current?.closest('.dropdown');
+    const handleHide = () => {
+      stopMediaStream(micTestRef.current);
+      stopMediaStream(cameraTestRef.current);
+      micTestRef.current = null;
+      cameraTestRef.current = null;
+      setMicTestStream(null);
+      setCameraTestStream(null);
+    };
+    dropdown?.addEventListener('hide.bs.dropdown', handleHide);
+    return () => {
+      dropdown?.removeEventListener('hide.bs.dropdown', handleHide);
+      handleHide();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = cameraTestStream;
+    }
+  }, [cameraTestStream]);
+
+  const startMicTest = async (deviceId = audioInputId) => {
+    stopMicTest();
+    setError(null);
+    try {
+      const stream = await getAudioStream({ deviceId });
+      micTestRef.current = stream;
+      setMicTestStream(stream);
+      // Con el permiso concedido ya aparecen los nombres reales de los dispositivos
+      refresh();
+    } catch (err) {
+      Logger.warn(COMPONENT_NAME, 'Prueba de micrófono fallida', err);
+      setError(err.message);
+    }
+  };
+
+  const startCameraTest = async (deviceId = videoInputId) => {
+    stopCameraTest();
+    setError(null);
+    try {
+      const stream = await getVideoStream({ deviceId, width: 320, height: 240 });
+      cameraTestRef.current = stream;
+      setCameraTestStream(stream);
+      refresh();
+    } catch (err) {
+      Logger.warn(COMPONENT_NAME, 'Prueba de cámara fallida', err);
+      setError(err.message);
+    }
+  };
+
+  const handleMicrophoneChange = (deviceId) => {
+    selectMicrophone(deviceId || null);
+    // Si se estaba probando, seguir probando con el nuevo
+    if (micTestRef.current) startMicTest(deviceId || null);
+  };
+
+  const handleCameraChange = (deviceId) => {
+    selectCamera(deviceId || null);
+    if (cameraTestRef.current) startCameraTest(deviceId || null);
+  };
+
+  if (!isDeviceSelectionSupported()) {
+    return (
+      <p className="small text-muted mb-0">
+        <i className="bi bi-info-circle me-1"></i>
+        Tu navegador no permite elegir el micrófono ni la cámara.
+      </p>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className="d-flex flex-column gap-2" style={{ minWidth: '280px' }}>
+      {error && (
+        <div className="alert alert-warning small py-1 px-2 mb-0" role="alert">{error}</div>
+      )}
+
+      <div>
+        <label htmlFor="mediaMicrophone" className="form-label small mb-1">Micrófono</label>
+        <div className="d-flex gap-2">
+          <select
+            id="mediaMicrophone"
+            className="form-select form-select-sm"
+            value={audioInputId || ''}
+            onChange={(e) => handleMicrophoneChange(e.target.value)}
+          >
+            <option value="">Predeterminado del sistema</option>
+            {audioInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className={`btn btn-sm ${micTestStream ? 'btn-secondary' : 'btn-outline-secondary'} text-nowrap`}
+            onClick={() => (micTestStream ? stopMicTest() : startMicTest())}
+            aria-pressed={Boolean(micTestStream)}
+          >
+            {micTestStream ? 'Detener' : 'Probar'}
+          </button>
+        </div>
+        {micTestStream && <AudioLevelMeter stream={micTestStream} className="mt-2" />}
+      </div>
+
+      <div>
+        <label htmlFor="mediaCamera" className="form-label small mb-1">Cámara</label>
+        <div className="d-flex gap-2">
+          <select
+            id="mediaCamera"
+            className="form-select form-select-sm"
+            value={videoInputId || ''}
+            onChange={(e) => handleCameraChange(e.target.value)}
+          >
+            <option value="">Predeterminada del sistema</option>
+            {videoInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className={`btn btn-sm ${cameraTestStream ? 'btn-secondary' : 'btn-outline-secondary'} text-nowrap`}
+            onClick={() => (cameraTestStream ? stopCameraTest() : startCameraTest())}
+            aria-pressed={Boolean(cameraTestStream)}
+          >
+            {cameraTestStream ? 'Detener' : 'Probar'}
+          </button>
+        </div>
+        {cameraTestStream && (
+          <video
+            ref={videoRef}
+            className="w-100 rounded mt-2 bg-dark"
+            autoPlay
+            playsInline
+            muted
+            aria-label="Vista previa de la cámara"
+          />
+        )}
+      </div>
+
+      {audioInputs.length === 0 && videoInputs.length === 0 && (
+        <p className="small text-muted mb-0">No se encontraron dispositivos. Conecta un micrófono o una cámara.</p>
+      )}
+    </div>
+  );
+};
+
+export default MediaSettings;
@@ -1,6 +1,6 @@
 import React, { useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { playAudio } from '../../utils/media-utils';
+import ChatMessage from './ChatMessage';
 
 /**
  * Componente para mostrar la lista de mensajes del chat
@@ -8,85 +8,24 @@ import { playAudio } from '../../utils/media-utils';
  * @param {Array} props.messages - Array de mensajes
  * @param {boolean} props.isTyping - Indica si el bot está escribiendo
  * @param {boolean} props.autoPlayAudio - Indica si se reproduce el audio automáticamente
+ * @param {function} [props.onRetryMessage] - Reintenta un mensaje que no se pudo enviar (recibe clientMessageId)
+ * @param {function} [props.onCancelMessage] - Descarta un mensaje que no se pudo enviar (recibe clientMessageId)
  */
-const MessageList = ({ messages, isTyping, autoPlayAudio }) => {
+const MessageList = ({ messages, isTyping, autoPlayAudio, onRetryMessage, onCancelMessage }) => {
   const messagesEndRef = useRef(null);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages, isTyping]);
 
-  const handlePlayAudio = (audioUrl) => {
-    playAudio(audioUrl);
-  };
-
-  const renderMessageContent = (message) => {
-    // Contenido según el tipo de mensaje
-    switch (message.type) {
-      case 'text':
-        return <div>{message.text}</div>;
-
-      case 'image':
-        return (
-          <>
-            <img 
-              src={message.image} 
-              alt="Imagen adjunta" 
-              className="img-fluid rounded mb-2"
-              style={{ maxHeight: '200px' }}
-            />
-            {message.text && <div>{message.text}</div>}
-          </>
-        );
-
-      case 'audio':
-        return (
-          <div>
-            {message.text && <div className="mb-2">{message.text}</div>}
-            {message.audio && (
-              <div className="d-flex align-items-center">
-                <button
-                  className="btn btn-sm btn-outline-secondary me-2"
-                  onClick={() => handlePlayAudio(message.audio)}
-                >
-                  <i className="bi bi-play-fill"></i>
-                </button>
-                <audio controls className="w-100" preload="metadata">
-                  <source src={message.audio} type="audio/webm" />
-                  <track kind="captions" srcLang="es" label="Español" />
-                  Tu navegador no soporta la reproducción de audio.
-                </audio>
-              </div>
-            )}
-          </div>
-        );
-
-      case 'error':
-        return (
-          <div className="alert alert-danger d-flex align-items-center mb-0" role="alert">
-            <i className="bi bi-exclamation-triangle-fill me-2"></i>
-            <div>{message.text}</div>
-          </div>
-        );
-
-      default:
-        return <div>{message.text}</div>;
-    }
-  };
-
   return (
-    <div className="d-flex flex-column gap-3">
+    <div className="d-flex flex-column gap-3" role="list">
       {messages.map((message, index) => (
         <div
           key={index}
           className={`d-flex ${message.isUser ? 'justify-content-end' : 'justify-content-start'}`}
         >
-          <div
-            className={`message ${message.isUser ? 'user-message' : message.type === 'error' ? 'bot-message text-danger' : 'bot-message'}`}
-            style={{ maxWidth: '75%' }}
-          >
-            {renderMessageContent(message)}
-          </div>
+          <ChatMessage {...message} onRetry={onRetryMessage} onCancel={onCancelMessage} />
         </div>
       ))}
       
@@ -112,10 +51,18 @@ MessageList.propTypes = {
     isUser: PropTypes.bool.isRequired,
     type: PropTypes.string,
     image: PropTypes.string,
-    audio: PropTypes.string
+    audio: PropTypes.string,
+    prediction: PropTypes.string,
+    confidence: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    alternatives: PropTypes.array,
+    clientMessageId: PropTypes.string,
+    status: PropTypes.string,
+    isStreaming: PropTypes.bool
   })).isRequired,
   isTyping: PropTypes.bool.isRequired,
-  autoPlayAudio: PropTypes.bool
+  autoPlayAudio: PropTypes.bool,
+  onRetryMessage: PropTypes.func,
+  onCancelMessage: PropTypes.func
 };
 
 MessageList.defaultProps = {
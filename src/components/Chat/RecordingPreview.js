@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Logger from '../../utils/debug-utils';
+import { getWaveformPeaks } from '../../utils/audio-analysis';
+import useAudioPlayback from '../../hooks/useAudioPlayback';
+
+// Id de la grabación en el reproductor compartido
+const PREVIEW_PLAYBACK_ID = 'recording-preview';
+const WAVEFORM_BARS = 64;
+
+/**
+ * Formatea segundos como m:ss
+ * @param {number} seconds - Segundos
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Vista previa de una grabación antes de enviarla
+ *
+ * Muestra la forma de onda, permite escucharla (reproductor compartido,
+ * así no se solapa con las respuestas) y enviarla o descartarla.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Blob} props.blob - Audio grabado
+ * @param {function} props.onSend - Envía la grabación
+ * @param {function} props.onDiscard - Descarta la grabación
+ */
+const RecordingPreview = ({ blob, onSend, onDiscard }) => {
+  const [peaks, setPeaks] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const { currentId, isPlaying, currentTime, player } = useAudioPlayback();
+
+  const isCurrent = currentId === PREVIEW_PLAYBACK_ID;
+  const progress = isCurrent && duration > 0 ? currentTime / duration : 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    getWaveformPeaks(blob, WAVEFORM_BARS)
+      .then(result => {
+        if (cancelled) return;
+        setPeaks(result.peaks);
+        setDuration(result.duration);
+      })
+      .catch(error => {
+        // Sin forma de onda la grabación se puede escuchar y enviar igual
+        Logger.warn('RecordingPreview', 'No se pudo calcular la forma de onda', error);
+        if (!cancelled) setPeaks([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [blob]);
+
+  // Al enviar o descartar deja de sonar la vista previa
+  useEffect(() => () => {
+    if (player.getState().currentId === PREVIEW_PLAYBACK_ID) {
+      player.skip();
+    }
+  }, [player]);
+
+  const handlePlayPause = () => {
+    if (isCurrent && isPlaying) {
+      player.pause();
+    } else {
+      player.play(blob, { id: PREVIEW_PLAYBACK_ID });
+    }
+  };
+
+  return (
+    <div className='d-flex align-items-center gap-2 mt-2 p-2 border rounded' aria-label='Vista previa de la grabación'>
+      <button
+        type='button'
+        className='btn btn-sm btn-outline-secondary'
+        onClick={handlePlayPause}
+        aria-label={isCurrent && isPlaying ? 'Pausar grabación' : 'Escuchar grabación'}
+      >
+        <i className={`bi ${isCurrent && isPlaying ? 'bi-pause-fill' : 'bi-play-fill'}`}></i>
+      </button>
+
+      <div className='flex-grow-1' style={{ height: '32px' }}>
+        {peaks === null ? (
+          <div className='small text-muted'>Analizando grabación...</div>
+        ) : peaks.length > 0 && (
+          <svg
+            width='100%'
+            height='32'
+            viewBox={`0 0 ${peaks.length * 2} 32`}
+            preserveAspectRatio='none'
+            role='img'
+            aria-label='Forma de onda de la grabación'
+          >
+            {peaks.map((peak, index) => {
+              const height = Math.max(2, peak * 30);
+              const played = index / peaks.length < progress;
+              return (
+                <rect
+                  key={index}
+                  x={index * 2}
+                  y={(32 - height) / 2}
+                  width='1.4'
+                  height={height}
+                  className={played ? 'text-primary' : 'text-secondary'}
+                  fill='currentColor'
+                />
+              );
+            })}
+          </svg>
+        )}
+      </div>
+
+      <small className='text-muted'>{formatDuration(duration)}</small>
+
+      <button
+        type='button'
+        className='btn btn-sm btn-outline-danger'
+        onClick={onDiscard}
+        title='Descartar grabación'
+      >
+        <i className='bi bi-trash'></i>
+      </button>
+      <button
+        type='button'
+        className='btn btn-sm btn-primary'
+        onClick={onSend}
+        title='Enviar grabación'
+      >
+        <i className='bi bi-send'></i>
+      </button>
+    </div>
+  );
+};
+
+RecordingPreview.propTypes = {
+  blob: PropTypes.instanceOf(Blob).isRequired,
+  onSend: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired
+};
+
+export default RecordingPreview;
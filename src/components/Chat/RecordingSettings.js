@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Silencios ofrecidos para terminar la grabación (ms)
+const SILENCE_OPTIONS = [1000, 1500, 2000, 3000, 5000];
+
+/**
+ * Configuración de la grabación de mensajes de voz (detección de voz)
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.settings - Preferencias ({ autoStop, silenceMs, trimSilence, handsFree })
+ * @param {function} props.onChange - Recibe los campos modificados
+ */
+const RecordingSettings = ({ settings, onChange }) => {
+  // Manos libres siempre termina por silencio: sin eso no hay forma de enviar sin tocar
+  const autoStopEnabled = settings.autoStop || settings.handsFree;
+
+  return (
+    <div className="d-flex flex-column gap-2" style={{ minWidth: '260px' }}>
+      <div className="form-check form-switch mb-0">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="recordingHandsFreeSwitch"
+          checked={settings.handsFree}
+          onChange={(e) => onChange({ handsFree: e.target.checked })}
+        />
+        <label className="form-check-label small" htmlFor="recordingHandsFreeSwitch">
+          Manos libres: un toque para hablar, se envía al callar
+        </label>
+      </div>
+
+      <div className="form-check form-switch mb-0">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="recordingAutoStopSwitch"
+          checked={autoStopEnabled}
+          disabled={settings.handsFree}
+          onChange={(e) => onChange({ autoStop: e.target.checked })}
+        />
+        <label className="form-check-label small" htmlFor="recordingAutoStopSwitch">
+          Detener la grabación al dejar de hablar
+        </label>
+      </div>
+
+      <div>
+        <label htmlFor="recordingSilence" className="form-label small mb-1">Silencio para terminar</label>
+        <select
+          id="recordingSilence"
+          className="form-select form-select-sm"
+          value={settings.silenceMs}
+          onChange={(e) => onChange({ silenceMs: Number(e.target.value) })}
+          disabled={!autoStopEnabled}
+        >
+          {SILENCE_OPTIONS.map(ms => (
+            <option key={ms} value={ms}>{(ms / 1000).toLocaleString('es')} s</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-check form-switch mb-0">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="recordingTrimSwitch"
+          checked={settings.trimSilence}
+          onChange={(e) => onChange({ trimSilence: e.target.checked })}
+        />
+        <label className="form-check-label small" htmlFor="recordingTrimSwitch">
+          Recortar el silencio al principio y al final
+        </label>
+      </div>
+    </div>
+  );
+};
+
+RecordingSettings.propTypes = {
+  settings: PropTypes.shape({
+    autoStop: PropTypes.bool.isRequired,
+    silenceMs: PropTypes.number.isRequired,
+    trimSilence: PropTypes.bool.isRequired,
+    handsFree: PropTypes.bool.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default RecordingSettings;
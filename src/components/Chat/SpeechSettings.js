@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  SPEECH_LANGUAGES,
+  SPEECH_RATE,
+  isSpeechSynthesisSupported,
+  loadVoices,
+  getVoicesForLanguage
+} from '../../utils/speech-utils';
+
+/**
+ * Configuración de la voz del navegador para leer las respuestas
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.settings - Preferencias de voz ({ enabled, voiceURI, rate, lang })
+ * @param {function} props.onChange - Recibe los campos modificados
+ * @param {function} [props.onPreview] - Lee una frase de prueba con la configuración actual
+ */
+const SpeechSettings = ({ settings, onChange, onPreview }) => {
+  const [voices, setVoices] = useState([]);
+  const isSupported = isSpeechSynthesisSupported();
+
+  useEffect(() => {
+    let cancelled = false;
+    loadVoices().then(available => {
+      if (!cancelled) setVoices(available);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!isSupported) {
+    return (
+      <p className="small text-muted mb-0">
+        <i className="bi bi-info-circle me-1"></i>
+        Tu navegador no soporta la lectura en voz alta.
+      </p>
+    );
+  }
+
+  const languageVoices = getVoicesForLanguage(voices, settings.lang);
+
+  return (
+    <div className="d-flex flex-column gap-2" style={{ minWidth: '260px' }}>
+      <div className="form-check form-switch mb-0">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="speechEnabledSwitch"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        <label className="form-check-label small" htmlFor="speechEnabledSwitch">
+          Leer en voz alta las respuestas sin audio
+        </label>
+      </div>
+
+      <div>
+        <label htmlFor="speechLanguage" className="form-label small mb-1">Idioma</label>
+        <select
+          id="speechLanguage"
+          className="form-select form-select-sm"
+          value={settings.lang}
+          // Al cambiar de idioma la voz elegida deja de servir
+          onChange={(e) => onChange({ lang: e.target.value, voiceURI: null })}
+          disabled={!settings.enabled}
+        >
+          {SPEECH_LANGUAGES.map(language => (
+            <option key={language.value} value={language.value}>{language.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="speechVoice" className="form-label small mb-1">Voz</label>
+        <select
+          id="speechVoice"
+          className="form-select form-select-sm"
+          value={settings.voiceURI || ''}
+          onChange={(e) => onChange({ voiceURI: e.target.value || null })}
+          disabled={!settings.enabled}
+        >
+          <option value="">Automática</option>
+          {languageVoices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>
+              {voice.name}{voice.localService ? '' : ' (en línea)'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="speechRate" className="form-label small mb-1 d-flex justify-content-between">
+          <span>Velocidad</span>
+          <span className="text-muted">{Number(settings.rate).toFixed(1)}x</span>
+        </label>
+        <input
+          id="speechRate"
+          type="range"
+          className="form-range"
+          min={SPEECH_RATE.MIN}
+          max={SPEECH_RATE.MAX}
+          step={SPEECH_RATE.STEP}
+          value={settings.rate}
+          onChange={(e) => onChange({ rate: Number(e.target.value) })}
+          disabled={!settings.enabled}
+        />
+      </div>
+
+      {onPreview && (
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-primary"
+          onClick={onPreview}
+          disabled={!settings.enabled}
+        >
+          <i className="bi bi-play-circle me-1"></i>
+          Probar voz
+        </button>
+      )}
+    </div>
+  );
+};
+
+SpeechSettings.propTypes = {
+  settings: PropTypes.shape({
+    enabled: PropTypes.bool.isRequired,
+    voiceURI: PropTypes.string,
+    rate: PropTypes.number.isRequired,
+    lang: PropTypes.string.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onPreview: PropTypes.func
+};
+
+export default SpeechSettings;
@@ -0,0 +1,121 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { normalizeSignLanguageResult } from '../../services/chatUtils';
+import { ASL_CONFIG } from '../../config/constants';
+
+/**
+ * Elige el color del medidor según la confianza
+ * @param {number} confidence - Confianza entre 0 y 1
+ * @param {number} threshold - Umbral de baja confianza
+ * @returns {string} Clase de color de Bootstrap
+ */
+const getConfidenceVariant = (confidence, threshold) => {
+  if (confidence >= Math.max(threshold, 0.85)) return 'success';
+  if (confidence >= threshold) return 'info';
+  return 'warning';
+};
+
+/**
+ * Formatea una confianza (0-1) como porcentaje
+ * @param {number} confidence - Confianza entre 0 y 1
+ * @returns {string} Porcentaje con un decimal
+ */
+const formatPercent = (confidence) => `${(confidence * 100).toFixed(1)}%`;
+
+/**
+ * 🤟 PANEL DE RESULTADO ASL
+ *
+ * Muestra la predicción principal, un medidor de confianza, las alternativas
+ * ordenadas y una advertencia cuando la confianza no supera el umbral.
+ *
+ * Se usa en SignLanguageUploader (resultado de la imagen subida) y en
+ * ChatMessage (mensajes de tipo sign_language). Acepta la respuesta cruda del
+ * backend: normalizeSignLanguageResult unifica formatos (0.87 vs 87,
+ * simbolo/probabilidad vs prediction/confidence).
+ *
+ * @param {string} prediction - Letra o seña reconocida
+ * @param {number} confidence - Confianza (0-1 o 0-100)
+ * @param {Array} [alternatives] - Otras posibilidades del modelo
+ * @param {number} [threshold] - Umbral de baja confianza (0-1)
+ * @param {boolean} [compact] - Versión reducida para burbujas de chat
+ */
+const AslResultPanel = ({ prediction, confidence, alternatives, threshold, compact }) => {
+  const result = normalizeSignLanguageResult({ prediction, confidence, alternatives });
+  const ranked = result.alternatives
+    .filter(alt => alt.label !== result.prediction)
+    .slice(0, ASL_CONFIG.MAX_ALTERNATIVES);
+  const isLowConfidence = result.confidence < threshold;
+  const variant = getConfidenceVariant(result.confidence, threshold);
+
+  return (
+    <div className={`asl-result-panel ${compact ? 'small' : 'w-100'}`} aria-live="polite">
+      <div className="d-flex align-items-baseline gap-2 mb-1">
+        <span className="text-muted">{compact ? '🤟' : 'Seña reconocida:'}</span>
+        <span className={`fw-bold ${compact ? 'fs-5' : 'display-6'}`}>
+          {result.prediction || '—'}
+        </span>
+        <span className={`ms-auto badge bg-${variant}`}>{formatPercent(result.confidence)}</span>
+      </div>
+
+      {/* Medidor de confianza */}
+      <div
+        className="progress mb-2"
+        style={{ height: compact ? '6px' : '10px' }}
+        role="progressbar"
+        aria-label="Confianza de la predicción"
+        aria-valuenow={Math.round(result.confidence * 100)}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div
+          className={`progress-bar bg-${variant}`}
+          style={{ width: `${result.confidence * 100}%` }}
+        ></div>
+      </div>
+
+      {isLowConfidence && (
+        <div className="alert alert-warning py-1 px-2 mb-2 small" role="alert">
+          <i className="bi bi-exclamation-triangle me-1"></i>
+          Confianza baja (menor a {Math.round(threshold * 100)}%). Intenta con mejor iluminación
+          o centrando la mano en la imagen.
+        </div>
+      )}
+
+      {ranked.length > 0 && (
+        <div>
+          <div className="text-muted small mb-1">Otras posibilidades:</div>
+          <ol className="list-unstyled mb-0 small">
+            {ranked.map((alt, index) => (
+              <li key={`${alt.label}-${index}`} className="d-flex align-items-center gap-2 mb-1">
+                <span className="fw-semibold" style={{ minWidth: '2.5rem' }}>{alt.label}</span>
+                <div className="progress flex-grow-1" style={{ height: '4px' }}>
+                  <div className="progress-bar bg-secondary" style={{ width: `${alt.confidence * 100}%` }}></div>
+                </div>
+                <span className="text-muted" style={{ minWidth: '3.5rem', textAlign: 'right' }}>
+                  {formatPercent(alt.confidence)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+AslResultPanel.propTypes = {
+  prediction: PropTypes.string,
+  confidence: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  alternatives: PropTypes.arrayOf(PropTypes.object),
+  threshold: PropTypes.number,
+  compact: PropTypes.bool
+};
+
+AslResultPanel.defaultProps = {
+  alternatives: [],
+  confidence: 0,
+  threshold: ASL_CONFIG.LOW_CONFIDENCE_THRESHOLD,
+  compact: false
+};
+
+export default AslResultPanel;
@@ -0,0 +1,76 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * ✍️ COMPOSITOR DE DELETREO (FINGERSPELLING)
+ *
+ * Muestra las letras reconocidas agrupadas en palabras y permite:
+ * - Separar palabras manualmente (además del gesto "space" o sostener la seña)
+ * - Deshacer la última letra
+ * - Corregir el texto escribiendo directamente en el campo
+ * - Enviar la frase terminada al chat
+ *
+ * El estado vive en el hook useFingerspelling del componente padre.
+ */
+const FingerspellingComposer = ({ text, onTextChange, onSpace, onUndo, onClear, onSend }) => {
+  const hasText = text.trim().length > 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!hasText || !onSend) return;
+    onSend(text.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="w-100 border-top pt-3">
+      <label htmlFor="fingerspellingText" className="form-label small text-muted mb-1">
+        <i className="bi bi-fonts me-1"></i>
+        Frase deletreada
+      </label>
+      <input
+        id="fingerspellingText"
+        type="text"
+        className="form-control font-monospace mb-2"
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+        placeholder="Las letras reconocidas aparecerán aquí..."
+        aria-describedby="fingerspellingHelp"
+      />
+      <div id="fingerspellingHelp" className="form-text mb-2">
+        Haz el gesto «space» o sostén una seña para separar palabras. Puedes corregir el texto a mano.
+      </div>
+
+      <div className="d-flex flex-wrap gap-2">
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onSpace} disabled={!hasText}>
+          <i className="bi bi-distribute-horizontal me-1"></i>
+          Espacio
+        </button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onUndo} disabled={!text}>
+          <i className="bi bi-arrow-counterclockwise me-1"></i>
+          Deshacer
+        </button>
+        <button type="button" className="btn btn-outline-danger btn-sm" onClick={onClear} disabled={!text}>
+          <i className="bi bi-x-circle me-1"></i>
+          Limpiar
+        </button>
+        {onSend && (
+          <button type="submit" className="btn btn-primary btn-sm ms-auto" disabled={!hasText}>
+            <i className="bi bi-send me-1"></i>
+            Enviar al chat
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+FingerspellingComposer.propTypes = {
+  text: PropTypes.string.isRequired,
+  onTextChange: PropTypes.func.isRequired,
+  onSpace: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onSend: PropTypes.func
+};
+
+export default FingerspellingComposer;
@@ -0,0 +1,271 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Logger from '../../utils/debug-utils';
+import ApiService from '../../services/api';
+import { normalizeSignLanguageResult } from '../../services/chatUtils';
+import { getVideoStream, stopMediaStream, captureVideoFrame, optimizeImage } from '../../utils/media-utils';
+import { ASL_CONFIG, COMPONENT_NAMES } from '../../config/constants';
+
+const COMPONENT_NAME = COMPONENT_NAMES.LIVE_SIGN_CAMERA;
+
+/**
+ * Calcula la predicción "rodante" a partir de las últimas muestras
+ *
+ * Gana la letra con más apariciones en la ventana; en caso de empate,
+ * la de mayor confianza promedio. Así un fotograma aislado mal clasificado
+ * no hace parpadear el resultado.
+ *
+ * @param {Array<{prediction: string, confidence: number}>} samples - Últimas predicciones
+ * @returns {{prediction: string|null, confidence: number, votes: number, total: number}}
+ */
+export const computeRollingPrediction = (samples) => {
+  const stats = {};
+
+  samples.forEach(({ prediction, confidence }) => {
+    if (!prediction) return;
+    if (!stats[prediction]) {
+      stats[prediction] = { votes: 0, confidenceSum: 0 };
+    }
+    stats[prediction].votes += 1;
+    stats[prediction].confidenceSum += confidence;
+  });
+
+  let best = { prediction: null, confidence: 0, votes: 0, total: samples.length };
+
+  Object.entries(stats).forEach(([prediction, { votes, confidenceSum }]) => {
+    const confidence = confidenceSum / votes;
+    if (votes > best.votes || (votes === best.votes && confidence > best.confidence)) {
+      best = { prediction, confidence, votes, total: samples.length };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * 📷 MODO CÁMARA EN VIVO PARA RECONOCIMIENTO ASL
+ *
+ * Flujo por fotograma:
+ * getUserMedia (video) → captureVideoFrame → optimizeImage (reducido) →
+ * ApiService.processSignLanguage (ASL_PREDICT_SPACE) → ventana de predicciones
+ *
+ * - Solo hay una petición en vuelo a la vez: si el backend tarda más que
+ *   LIVE_FRAME_INTERVAL, los fotogramas intermedios se descartan.
+ * - La cámara se libera al detener el modo y al desmontar el componente.
+ *
+ * @param {function} [onPrediction] - Recibe cada resultado normalizado por fotograma
+ */
+const LiveSignCamera = ({ onPrediction }) => {
+  const [isCameraOn, setIsCameraOn] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const [rolling, setRolling] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const intervalRef = useRef(null);
+  const inFlightRef = useRef(false);
+  const samplesRef = useRef([]);
+  const onPredictionRef = useRef(onPrediction);
+  const unmountedRef = useRef(false);
+
+  useEffect(() => {
+    onPredictionRef.current = onPrediction;
+  }, [onPrediction]);
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // LIBERACIÓN DE LA CÁMARA
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Igual que stopMediaStream en VoiceRecorder: sin esto el LED de la cámara
+   * queda encendido y otras apps no pueden usarla.
+   */
+  const stopCamera = useCallback(() => {
+    if (intervalRef.current) {
+      clearInterval(intervalRef.current);
+      intervalRef.current = null;
+    }
+
+    if (streamRef.current) {
+      Logger.debug(COMPONENT_NAME, 'Liberando acceso a la cámara...');
+      stopMediaStream(streamRef.current);
+      streamRef.current = null;
+      Logger.info(COMPONENT_NAME, 'Cámara liberada completamente');
+    }
+
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+    }
+
+    inFlightRef.current = false;
+    samplesRef.current = [];
+  }, []);
+
+  // Liberar la cámara al desmontar (y marcar el desmontaje para un getUserMedia aún pendiente)
+  useEffect(() => {
+    unmountedRef.current = false;
+    return () => {
+      unmountedRef.current = true;
+      stopCamera();
+    };
+  }, [stopCamera]);
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // PROCESAMIENTO DE FOTOGRAMAS
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
+  const processFrame = useCallback(async () => {
+    if (inFlightRef.current || !streamRef.current) return;
+    inFlightRef.current = true;
+
+    try {
+      const frame = await captureVideoFrame(videoRef.current);
+      const { blob } = await optimizeImage(frame, {
+        maxWidth: ASL_CONFIG.LIVE_FRAME_MAX_WIDTH,
+        maxHeight: ASL_CONFIG.LIVE_FRAME_MAX_HEIGHT,
+        quality: ASL_CONFIG.LIVE_FRAME_QUALITY,
+        allowedFormats: ['image/jpeg'],
+        forceResize: true
+      });
+
+      const { success, data, error: apiError } = await ApiService.processSignLanguage(blob);
+
+      // La cámara pudo detenerse mientras esperábamos la respuesta
+      if (!streamRef.current) return;
+
+      if (!success || !data) {
+        setError(apiError?.message || 'No se pudo analizar el fotograma');
+        return;
+      }
+
+      const result = normalizeSignLanguageResult(data);
+      samplesRef.current = [...samplesRef.current, result].slice(-ASL_CONFIG.LIVE_WINDOW_SIZE);
+
+      setError(null);
+      setRolling(computeRollingPrediction(samplesRef.current));
+      onPredictionRef.current?.(result);
+    } catch (err) {
+      Logger.warn(COMPONENT_NAME, 'Fotograma descartado', err.message);
+    } finally {
+      inFlightRef.current = false;
+    }
+  }, []);
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // INICIO / DETENCIÓN DEL MODO EN VIVO
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
+  const startCamera = async () => {
+    setError(null);
+    setRolling(null);
+    setIsStarting(true);
+
+    try {
+      const stream = await getVideoStream();
+
+      // Se desmontó con el aviso de permisos abierto: la limpieza ya pasó, el stream llega tarde
+      if (unmountedRef.current) {
+        Logger.debug(COMPONENT_NAME, 'Componente desmontado antes de obtener la cámara, se libera el stream');
+        stopMediaStream(stream);
+        return;
+      }
+      streamRef.current = stream;
+
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+      }
+
+      if (unmountedRef.current) {
+        stopCamera();
+        return;
+      }
+
+      intervalRef.current = setInterval(processFrame, ASL_CONFIG.LIVE_FRAME_INTERVAL);
+      setIsCameraOn(true);
+      Logger.info(COMPONENT_NAME, `Modo en vivo iniciado (1 fotograma cada ${ASL_CONFIG.LIVE_FRAME_INTERVAL}ms)`);
+    } catch (err) {
+      Logger.error(COMPONENT_NAME, 'Error al iniciar la cámara', err);
+      stopCamera();
+      if (!unmountedRef.current) {
+        setError(err.message);
+      }
+    } finally {
+      if (!unmountedRef.current) {
+        setIsStarting(false);
+      }
+    }
+  };
+
+  const handleStop = () => {
+    stopCamera();
+    setIsCameraOn(false);
+    Logger.info(COMPONENT_NAME, 'Modo en vivo detenido');
+  };
+
+  return (
+    <div className="d-flex flex-column align-items-center gap-3 w-100">
+      <div className="position-relative w-100 text-center">
+        {/* El video se refleja para que el usuario se vea como en un espejo */}
+        <video
+          ref={videoRef}
+          className={`rounded w-100 bg-dark ${isCameraOn ? '' : 'd-none'}`}
+          style={{ maxHeight: '260px', objectFit: 'cover', transform: 'scaleX(-1)' }}
+          muted
+          playsInline
+          aria-label="Vista de la cámara para reconocimiento de señas"
+        />
+
+        {isCameraOn && rolling?.prediction && (
+          <div className="position-absolute top-0 start-0 m-2 badge bg-primary fs-5" aria-live="polite">
+            {rolling.prediction}
+            <small className="ms-2 fw-normal">{(rolling.confidence * 100).toFixed(0)}%</small>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="alert alert-warning w-100 mb-0" role="alert">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </div>
+      )}
+
+      {isCameraOn && (
+        <div className="w-100 small text-muted text-center">
+          {rolling?.prediction
+            ? `Predicción estable en ${rolling.votes} de ${rolling.total} fotogramas`
+            : 'Coloca tu mano frente a la cámara...'}
+        </div>
+      )}
+
+      {isCameraOn ? (
+        <button className="btn btn-outline-danger w-100" onClick={handleStop}>
+          <i className="bi bi-camera-video-off me-2"></i>
+          Detener cámara
+        </button>
+      ) : (
+        <button className="btn btn-primary w-100" onClick={startCamera} disabled={isStarting}>
+          {isStarting ? (
+            <>
+              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+              Iniciando cámara...
+            </>
+          ) : (
+            <>
+              <i className="bi bi-camera-video me-2"></i>
+              Iniciar cámara
+            </>
+          )}
+        </button>
+      )}
+    </div>
+  );
+};
+
+LiveSignCamera.propTypes = {
+  onPrediction: PropTypes.func
+};
+
+export default LiveSignCamera;
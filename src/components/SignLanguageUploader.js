@@ -1,6 +1,12 @@
 import React, { useState } from 'react';
+import PropTypes from 'prop-types';
 import Logger from '../utils/debug-utils';
 import { optimizeImage } from '../utils/media-utils';
+import LiveSignCamera from './SignLanguage/LiveSignCamera';
+import FingerspellingComposer from './SignLanguage/FingerspellingComposer';
+import AslResultPanel from './SignLanguage/AslResultPanel';
+import useFingerspelling from '../hooks/useFingerspelling';
+import { normalizeSignLanguageResult } from '../services/chatUtils';
 
 /**
  * COMPONENTE UPLOADER DE LENGUAJE DE SEÑAS ASL
@@ -24,7 +30,7 @@ import { optimizeImage } from '../utils/media-utils';
  * - Usuarios con discapacidad auditiva necesitan feedback visual claro
  */
 
-const SignLanguageUploader = () => {
+const SignLanguageUploader = ({ onSendText }) => {
   // ═══════════════════════════════════════════════════════════════════════════════════
   // ESTADO DEL COMPONENTE - GESTIÓN DE LA CARGA Y PROCESAMIENTO DE IMÁGENES ASL
   // ═══════════════════════════════════════════════════════════════════════════════════
@@ -61,6 +67,38 @@ const SignLanguageUploader = () => {
    */
   const [error, setError] = useState(null);
 
+  /**
+   * RESULTADO ASL (result)
+   * - Respuesta del backend para la imagen procesada (prediction, confidence, alternatives)
+   * - Se muestra con AslResultPanel debajo de la vista previa
+   * - Se limpia al seleccionar una nueva imagen
+   */
+  const [result, setResult] = useState(null);
+
+  /**
+   * MODO DE CAPTURA (mode)
+   * - 'upload': imagen estática elegida desde el disco
+   * - 'camera': fotogramas en vivo desde la webcam (LiveSignCamera)
+   * - Al salir del modo cámara, LiveSignCamera se desmonta y libera la cámara
+   */
+  const [mode, setMode] = useState('upload');
+
+  /**
+   * COMPOSITOR DE DELETREO (fingerspelling)
+   * - Junta las letras reconocidas (cámara o imágenes) en palabras
+   * - Debounce de letras repetidas y separación por gesto "space" o seña sostenida
+   */
+  const fingerspelling = useFingerspelling();
+
+  /**
+   * Envía la frase deletreada al chat (Chat.handleSendMessage) y reinicia el compositor
+   */
+  const handleSendSentence = (sentence) => {
+    Logger.info('SignLanguageUploader', `Enviando frase deletreada al chat: "${sentence}"`);
+    onSendText(sentence);
+    fingerspelling.clear();
+  };
+
   // ═══════════════════════════════════════════════════════════════════════════════════
   // CONFIGURACIÓN DE VALIDACIÓN - LÍMITES TÉCNICOS Y DE USABILIDAD
   // ═══════════════════════════════════════════════════════════════════════════════════
@@ -114,6 +152,7 @@ const SignLanguageUploader = () => {
   const handleFileChange = async (event) => {
     const file = event.target.files[0];
     setError(null); // Limpiar errores anteriores para UX limpia
+    setResult(null); // El resultado anterior ya no corresponde a la imagen
     
     if (file) {
       try {
@@ -306,29 +345,12 @@ const SignLanguageUploader = () => {
           confidence: data.confidence 
         });
         
-        /**
-         * AQUÍ PUEDES INTEGRAR CON OTROS COMPONENTES:
-         * 
-         * Opción 1: Mostrar resultado en este componente
-         * Opción 2: Enviar resultado al Chat principal
-         * Opción 3: Emitir evento para que padre maneje
-         * Opción 4: Actualizar estado global (Redux/Context)
-         * 
-         * Ejemplo de integración:
-         * - onResult?.(data) // Callback al componente padre
-         * - dispatch(addMessage({ type: 'asl', result: data })) // Redux
-         * - setGlobalResult(data) // Context API
-         */
-        
-        // Por ahora, loggeamos el resultado para debugging
-        console.log('🎯 Resultado ASL:', {
-          letra: data.prediction,
-          confianza: `${(data.confidence * 100).toFixed(1)}%`,
-          timestamp: new Date().toISOString()
-        });
+        // Mostrar resultado con confianza y alternativas (AslResultPanel)
+        setResult(data);
         
-        // TODO: Implementar integración con UI
-        // setResult(data); // Si agregamos estado para mostrar resultado
+        // La letra reconocida pasa al compositor de deletreo por el mismo camino que en vivo
+        // (space/del/nothing y umbral de confianza)
+        fingerspelling.addImagePrediction(normalizeSignLanguageResult(data));
         
       } else {
         // ═══════════════════════════════════════════════════════════════════════════════
@@ -418,9 +440,43 @@ const SignLanguageUploader = () => {
         </h5>
         
         {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        {/* CONTENEDOR PRINCIPAL - LAYOUT VERTICAL CON ESPACIADO CONSISTENTE */}
+        {/* SELECTOR DE MODO - IMAGEN ESTÁTICA O CÁMARA EN VIVO */}
         {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        
+
+        <ul className="nav nav-pills nav-fill mb-2" role="tablist">
+          <li className="nav-item" role="presentation">
+            <button
+              className={`nav-link ${mode === 'upload' ? 'active' : ''}`}
+              onClick={() => setMode('upload')}
+              role="tab"
+              aria-selected={mode === 'upload'}
+            >
+              <i className="bi bi-image me-2"></i>
+              Subir imagen
+            </button>
+          </li>
+          <li className="nav-item" role="presentation">
+            <button
+              className={`nav-link ${mode === 'camera' ? 'active' : ''}`}
+              onClick={() => setMode('camera')}
+              role="tab"
+              aria-selected={mode === 'camera'}
+            >
+              <i className="bi bi-camera-video me-2"></i>
+              Cámara en vivo
+            </button>
+          </li>
+        </ul>
+
+        {mode === 'camera' ? (
+          <div className="py-2">
+            <LiveSignCamera onPrediction={fingerspelling.addPrediction} />
+          </div>
+        ) : (
+        /* ══════════════════════════════════════════════════════════════════════════════ */
+        /* CONTENEDOR PRINCIPAL - LAYOUT VERTICAL CON ESPACIADO CONSISTENTE */
+        /* ══════════════════════════════════════════════════════════════════════════════ */
+
         <div className="d-flex flex-column align-items-center gap-3 py-2">
           
           {/* ═══════════════════════════════════════════════════════════════════════════ */}
@@ -514,6 +570,18 @@ const SignLanguageUploader = () => {
             </div>
           )}
           
+          {/* ═══════════════════════════════════════════════════════════════════════════ */}
+          {/* RESULTADO ASL - PREDICCIÓN, CONFIANZA Y ALTERNATIVAS */}
+          {/* ═══════════════════════════════════════════════════════════════════════════ */}
+          
+          {result && (
+            <AslResultPanel
+              prediction={result.prediction}
+              confidence={result.confidence}
+              alternatives={result.alternatives}
+            />
+          )}
+          
           {/* ═══════════════════════════════════════════════════════════════════════════ */}
           {/* BOTÓN DE ACCIÓN - PROCESAMIENTO CON ESTADOS VISUALES */}
           {/* ═══════════════════════════════════════════════════════════════════════════ */}
@@ -565,11 +633,29 @@ const SignLanguageUploader = () => {
           )}
           
         </div>
+        )}
+
+        {/* ══════════════════════════════════════════════════════════════════════════════ */}
+        {/* COMPOSITOR DE DELETREO - LETRAS → PALABRAS → CHAT */}
+        {/* ══════════════════════════════════════════════════════════════════════════════ */}
+
+        <FingerspellingComposer
+          text={fingerspelling.text}
+          onTextChange={fingerspelling.setText}
+          onSpace={fingerspelling.addSpace}
+          onUndo={fingerspelling.undo}
+          onClear={fingerspelling.clear}
+          onSend={onSendText ? handleSendSentence : undefined}
+        />
       </div>
     </div>
   );
 };
 
+SignLanguageUploader.propTypes = {
+  onSendText: PropTypes.func
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
  * EXPORTACIÓN Y DOCUMENTACIÓN DEL COMPONENTE
@@ -585,6 +671,8 @@ const SignLanguageUploader = () => {
  * ✅ Manejo robusto de errores con mensajes user-friendly
  * ✅ Estados de carga con feedback visual
  * ✅ Accesibilidad completa (ARIA, screen readers)
+ * ✅ Modo cámara en vivo con predicción rodante
+ * ✅ Resultado con medidor de confianza y alternativas (AslResultPanel)
  * 
  * CASOS DE USO:
  * - Subcomponente del Chat principal
@@ -605,9 +693,15 @@ const SignLanguageUploader = () => {
  * - Compresión inteligente manteniendo calidad para ASL
  * 
  * PRÓXIMOS PASOS POSIBLES:
- * - Integración con resultado en tiempo real
  * - Historial de procesamiento
  * - Batch processing de múltiples imágenes
- * - Integración con cámara web
+ *
+ * DELETREO:
+ * - hooks/useFingerspelling.js junta las letras en palabras y
+ *   onSendText envía la frase terminada al Chat
+ *
+ * MODO CÁMARA EN VIVO:
+ * - SignLanguage/LiveSignCamera.js captura fotogramas de la webcam,
+ *   los reduce con optimizeImage y los envía a ASL_PREDICT_SPACE
  */
 export default SignLanguageUploader;
\ No newline at end of file
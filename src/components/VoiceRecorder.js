@@ -1,952 +1,484 @@
 import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
 import Logger from '../utils/debug-utils';
 import { getAudioStream, createAudioRecorder } from '../utils/media-utils';
-import ApiService from '../services/api';
-import { COMPONENT_NAMES } from '../config/constants';
-import { ConnectionStatus, ErrorMessage } from './common';
-// import { processIncomingMessage, handleMessageActions } from '../utils/message-utils';
+import { COMPONENT_NAMES, AUDIO_CONFIG } from '../config/constants';
+import { processIncomingMessage } from '../utils/message-utils';
+import AudioStreamSender from '../utils/audio-stream';
+import audioPlayback from '../utils/audio-playback';
+import { cancelSpeech } from '../utils/speech-utils';
+import useChatConnection from '../hooks/useChatConnection';
+import useChatSubscription from '../hooks/useChatSubscription';
+import { AudioLevelMeter, ConnectionStatus, ErrorMessage } from './common';
 
 /**
- * COMPONENTE GRABADOR DE VOZ PARA ACCESIBILIDAD ASL
- * 
- * Como desarrollador fullstack, este componente maneja una funcionalidad crítica pero compleja.
- * Su propósito principal es:
- * 
- * 1. GRABACIÓN DE AUDIO: Captura desde micrófono del usuario
- * 2. PROCESAMIENTO EN TIEMPO REAL: Envía audio al backend para análisis
- * 3. FEEDBACK INMEDIATO: Muestra resultados de transcripción
- * 4. ACCESIBILIDAD: Interface diseñada para usuarios con necesidades especiales
- * 
- * ARQUITECTURA ACTUAL (OPTIMIZADA PARA EC2):
- * - Frontend captura audio → Backend FastAPI → [Servicios de audio deshabilitados]
- * - Versión simplificada sin WebSocket de audio para mejor rendimiento en servidor
- * 
+ * COMPONENTE DE DICTADO POR VOZ (VOZ → TEXTO → CHAT)
+ *
+ * Como desarrollador fullstack, este componente es la puerta de entrada para
+ * quienes prefieren hablar en lugar de escribir. Su propósito es:
+ *
+ * 1. GRABACIÓN DE AUDIO: Captura desde el micrófono del usuario
+ * 2. STREAMING: Envía el audio en fragmentos binarios por el WebSocket del chat
+ *    (audio_stream_start con purpose 'dictation' → frames binarios → audio_stream_end)
+ * 3. TRANSCRIPCIÓN EN VIVO: Muestra los segmentos parciales y finales que
+ *    devuelve el servidor mientras el usuario habla
+ * 4. EDICIÓN: Al terminar, el texto final se puede corregir antes de enviarlo
+ * 5. ENVÍO: El texto editado se envía al chat como un mensaje normal (onSendText)
+ *
+ * PROTOCOLO DE TRANSCRIPCIÓN (servidor → cliente):
+ * { type: 'transcription', stream_id, text, is_final, done }
+ * - is_final: false → parcial, reemplaza al parcial anterior
+ * - is_final: true → segmento definitivo, se acumula
+ * - done: true → último segmento del stream (el dictado terminó de procesarse)
+ *
  * CASOS DE USO REALES:
- * - Usuarios con discapacidad auditiva quieren comunicarse por voz
- * - Familiares sin conocimiento ASL necesitan transcripción
- * - Aplicaciones educativas para aprender pronunciación
- * - Debugging de problemas de micrófono en dispositivos
- * 
+ * - Familiares sin conocimiento ASL que se comunican hablando
+ * - Usuarios que dictan textos largos más rápido que escribiendo
+ * - Docentes que narran instrucciones durante una práctica
+ *
  * CONSIDERACIONES TÉCNICAS:
  * - Permisos de micrófono son críticos (getUserMedia)
- * - Diferentes navegadores manejan audio de forma distinta
- * - WebRTC tiene limitaciones en dispositivos móviles
- * - Tamaño de chunks afecta latencia vs calidad
- * 
- * ESTADO ACTUAL: SERVICIO DESHABILITADO
- * El backend optimizado para EC2 no incluye servicios de audio para reducir complejidad.
- * El código está preparado para reactivación fácil cuando sea necesario.
+ * - Con purpose 'dictation' el servidor SOLO transcribe: no responde en el chat
+ * - Si la conexión se cae a mitad del dictado, se conserva lo ya transcrito
  */
 
 const COMPONENT_NAME = COMPONENT_NAMES.VOICE_RECORDER;
 
-const VoiceRecorder = () => {
+/**
+ * Traduce los errores de getUserMedia a mensajes entendibles
+ * @param {Error} err - Error al acceder al micrófono
+ * @returns {string}
+ */
+const getMicrophoneErrorMessage = (err) => {
+  if (err.name === 'NotAllowedError') {
+    return 'Permisos de micrófono denegados. Por favor, permite el acceso al micrófono y recarga la página.';
+  }
+  if (err.name === 'NotFoundError') {
+    return 'No se encontró micrófono. Verifica que tienes un micrófono conectado.';
+  }
+  if (err.name === 'NotReadableError') {
+    return 'El micrófono está siendo usado por otra aplicación. Cierra otras apps que usen audio.';
+  }
+  return err.message || 'No se pudo acceder al micrófono';
+};
+
+/**
+ * Panel de dictado
+ * @param {Object} props - Propiedades del componente
+ * @param {function} props.onSendText - Envía el texto dictado al chat
+ * @param {function} [props.onClose] - Cierra el panel
+ */
+const VoiceRecorder = ({ onSendText, onClose }) => {
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // ESTADO DEL COMPONENTE - GESTIÓN DE GRABACIÓN Y CONEXIÓN DE AUDIO
+  // ESTADO DEL COMPONENTE - GRABACIÓN, CONEXIÓN Y TRANSCRIPCIÓN
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /**
-   * ESTADO DE GRABACIÓN (isRecording)
-   * - Controla si estamos capturando audio del micrófono
-   * - Cambia la UI del botón (play/stop) y el indicador visual
-   * - Crítico para prevenir grabaciones múltiples simultáneas
-   */
+
   const [isRecording, setIsRecording] = useState(false);
-  
-  /**
-   * URL DEL AUDIO GRABADO (audioUrl)
-   * - Blob URL creado con createObjectURL para previsualización
-   * - Permite al usuario escuchar lo que grabó antes de procesar
-   * - Se libera automáticamente cuando se graba nuevo audio
-   */
-  const [audioUrl, setAudioUrl] = useState(null);
-  
-  /**
-   * ESTADO DE CONEXIÓN (isConnected)
-   * - Indica si el backend/WebSocket está disponible para audio
-   * - ACTUALMENTE SIEMPRE FALSE porque servicios de audio están deshabilitados
-   * - Controla si se muestra el botón de grabación como habilitado
-   */
-  const [isConnected, setIsConnected] = useState(false);
-  
-  /**
-   * MANEJO DE ERRORES (error)
-   * - Errores de permisos de micrófono (más común)
-   * - Errores de conexión de red
-   * - Errores de formato de audio no soportado
-   * - Errores de hardware (micrófono no encontrado)
-   */
+  const [recordingStream, setRecordingStream] = useState(null); // Micrófono en uso (medidor de nivel)
   const [error, setError] = useState(null);
-  
+
   /**
-   * TRANSCRIPCIÓN DE AUDIO (transcript)
-   * - Resultado del procesamiento de voz a texto
-   * - Se actualizaría en tiempo real si el servicio estuviera activo
-   * - Preparado para integración futura
+   * TRANSCRIPCIÓN EN VIVO
+   * - segments: segmentos finales (is_final) en orden de llegada
+   * - interim: último resultado parcial, se reemplaza con cada frame
+   * - draft: texto editado por el usuario; null = seguir la transcripción
+   * - isFinalizing: grabación detenida, esperando los últimos segmentos (done)
    */
-  const [transcript] = useState('');
-  
+  const [segments, setSegments] = useState([]);
+  const [interim, setInterim] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [isFinalizing, setIsFinalizing] = useState(false);
+
+  // Conexión compartida del chat (la misma que usa Chat.js)
+  const { isConnected, connectionQuality, transport, protocolError, send } = useChatConnection();
+
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // REFERENCIAS DE REACT - ACCESO DIRECTO A APIs DEL NAVEGADOR
+  // REFERENCIAS - APIs DEL NAVEGADOR Y CONEXIÓN
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /**
-   * MEDIA RECORDER (mediaRecorderRef)
-   * - API nativa del navegador para grabar audio/video
-   * - Maneja la captura desde el stream del micrófono
-   * - Genera eventos ondataavailable con chunks de audio
-   */
+
   const mediaRecorderRef = useRef(null);
-  
-  /**
-   * CHUNKS DE AUDIO (audioChunksRef)
-   * - Array que acumula los pedazos de audio durante la grabación
-   * - Se combina en un Blob final cuando se detiene la grabación
-   * - Se reinicia en cada nueva grabación
-   */
-  const audioChunksRef = useRef([]);
-  
-  /**
-   * STREAM DE MEDIA (streamRef)
-   * - MediaStream del micrófono obtenido con getUserMedia
-   * - Necesario para parar todos los tracks cuando terminamos
-   * - Critical para liberar el micrófono y apagar el LED de "grabando"
-   */
-  const streamRef = useRef(null);
-  
+  const streamRef = useRef(null);           // MediaStream del micrófono (liberar = apagar LED)
+  const activeStreamIdRef = useRef(null);   // stream_id del dictado actual (ignora transcripciones viejas)
+  const finalizeTimerRef = useRef(null);    // Límite de espera de la transcripción final
+
+  // ═══════════════════════════════════════════════════════════════════════════════════
+  // GESTIÓN DE STREAM DE MEDIA - LIBERACIÓN DE RECURSOS DEL MICRÓFONO
+  // ═══════════════════════════════════════════════════════════════════════════════════
+
   /**
-   * WEBSOCKET DE AUDIO (wsRef)
-   * - Conexión en tiempo real para envío de audio al backend
-   * - ACTUALMENTE NO UTILIZADO (servicios de audio deshabilitados)
-   * - Preparado para reactivación futura con transcripción en vivo
+   * Sin esto el LED de grabación queda encendido y otras apps
+   * pueden no poder acceder al micrófono.
    */
-  const wsRef = useRef(null);
-  
+  const stopMediaStream = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+      Logger.debug(COMPONENT_NAME, 'MediaStream liberado completamente');
+    }
+    setRecordingStream(null);
+  };
+
+  const clearFinalizeTimer = () => {
+    if (finalizeTimerRef.current) {
+      clearTimeout(finalizeTimerRef.current);
+      finalizeTimerRef.current = null;
+    }
+  };
+
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // EFECTO DE INICIALIZACIÓN - CONFIGURACIÓN DE CONEXIONES Y RECURSOS
+  // CONEXIÓN AL WEBSOCKET DEL CHAT
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  useEffect(() => {
-    /**
-     * VERIFICACIÓN DE CONEXIÓN CON EL SERVIDOR
-     * 
-     * Antes de mostrar la UI como funcional, verificamos si el backend
-     * puede manejar requests de audio. Esto previene UX frustrante donde
-     * el usuario graba pero no puede procesar.
-     */
-    const checkConnection = async () => {
-      try {
-        Logger.debug(COMPONENT_NAME, 'Verificando disponibilidad del servidor de audio...');
-        
-        // Verificamos si el backend general está disponible
-        const isServerAvailable = await ApiService.checkServerStatus();
-        
-        if (!isServerAvailable) {
-          // Servidor completamente down
-          setIsConnected(false);
-          setError('No se pudo conectar al servidor de voz');
-          Logger.error(COMPONENT_NAME, 'Servidor no disponible');
+
+  /**
+   * Solo interesan las transcripciones del dictado en curso y los errores
+   * mientras se dicta; el resto del tráfico del chat (misma conexión) lo atiende Chat.js.
+   */
+  const handleWebSocketMessage = (event) => {
+    if (typeof event.data !== 'string') return;
+    const message = processIncomingMessage(event.data);
+
+    switch (message.type) {
+      case 'transcription':
+        if (!message.streamId || message.streamId !== activeStreamIdRef.current) return;
+
+        if (message.isFinal) {
+          if (message.text) {
+            setSegments(prev => [...prev, message.text]);
+            // Si el usuario ya editó el texto, los segmentos nuevos se agregan al final
+            setDraft(prev => (prev === null ? null : `${prev} ${message.text}`.trim()));
+          }
+          setInterim('');
         } else {
-          // Servidor up, pero servicios de audio están deshabilitados intencionalmente
-          Logger.info(COMPONENT_NAME, 'Servidor disponible, pero servicios de audio deshabilitados por optimización EC2');
+          setInterim(message.text);
         }
-        
-      } catch (err) {
-        Logger.error(COMPONENT_NAME, 'Error al verificar conexión', err);
-        setIsConnected(false);
-        setError('Error al conectar con el servidor');
-      }
-    };
 
-    /**
-     * CONFIGURACIÓN DE WEBSOCKET (ACTUALMENTE DESHABILITADO)
-     * 
-     * En versiones anteriores, aquí se establecía una conexión WebSocket
-     * para envío de audio en tiempo real. La funcionalidad está comentada
-     * pero preservada para reactivación futura.
-     * 
-     * RAZONES PARA DESHABILITAR:
-     * 1. OPTIMIZACIÓN EC2: Reduce carga del servidor
-     * 2. COMPLEJIDAD: Los WebSockets requieren más gestión de estado
-     * 3. RECURSOS: Audio processing es CPU-intensivo
-     * 4. PRIORIZACIÓN: ASL visual es más crítico que audio
-     */
-    const setupWebSocket = () => {
-      // ❌ WebSocket de audio DESHABILITADO - Endpoint removido del backend
-      // El backend optimizado para EC2 no incluye servicios de audio
-      Logger.warn(COMPONENT_NAME, 'Servicio de audio deshabilitado - Backend optimizado para EC2');
-      setIsConnected(false);
-      setError('Servicio de audio no disponible en esta versión optimizada');
-      
-      /* 
-      ══════════════════════════════════════════════════════════════════════════════════
-      CÓDIGO ORIGINAL PARA WEBSOCKET DE AUDIO (COMENTADO PARA PRESERVAR)
-      ══════════════════════════════════════════════════════════════════════════════════
-      
-      ESTE CÓDIGO FUNCIONABA EN VERSIONES ANTERIORES Y PUEDE REACTIVARSE:
-      
-      try {
-        const ws = ApiService.createWebSocketConnection(ApiService.WS_ROUTES.DETECT_AUDIO, {
-          onOpen: () => {
-            Logger.info(COMPONENT_NAME, 'WebSocket de audio conectado');
-            setIsConnected(true);
-            setError(null);
-          },
-          onMessage: handleWebSocketMessage,  // Procesaba transcripciones en tiempo real
-          onClose: () => {
-            Logger.warn(COMPONENT_NAME, 'WebSocket de audio desconectado');
-            setIsConnected(false);
-            setError('Conexión perdida');
-            
-            // Auto-reconnection después de 5 segundos
-            // Auto-reconnection después de 5 segundos
-            setTimeout(setupWebSocket, 5000);
-          },
-          onError: (err) => {
-            Logger.error(COMPONENT_NAME, 'Error en WebSocket de audio', err);
-            setIsConnected(false);
-            setError('Error en la conexión');
-          }
-        });
-        
-        wsRef.current = ws;
-      } catch (err) {
-        Logger.error(COMPONENT_NAME, 'Error al crear WebSocket', err);
-        setError('No se pudo establecer la conexión WebSocket');
-      }
-      
-      PARA REACTIVAR ESTE SERVICIO:
-      1. Descomentar este código
-      2. Agregar endpoint /ws/audio en el backend
-      3. Implementar handleWebSocketMessage
-      4. Configurar procesamiento de audio en tiempo real
-      ══════════════════════════════════════════════════════════════════════════════════
-      */
-    };
+        if (message.done) {
+          clearFinalizeTimer();
+          setIsFinalizing(false);
+          Logger.info(COMPONENT_NAME, '📝 Transcripción del dictado completa');
+        }
+        break;
+
+      case 'error':
+        if (!isRecording && !isFinalizing) return;
+        Logger.error(COMPONENT_NAME, 'Error del servidor durante el dictado', message);
+        setError(message.text);
+        clearFinalizeTimer();
+        setIsFinalizing(false);
+        break;
+
+      default:
+        break;
+    }
+  };
 
-    // Ejecutar verificaciones de conexión
-    checkConnection().then(setupWebSocket);
+  useChatSubscription(handleWebSocketMessage);
 
+  useEffect(() => {
     // ═══════════════════════════════════════════════════════════════════════════════
-    // CLEANUP AL DESMONTAR COMPONENTE
+    // CLEANUP AL DESMONTAR: micrófono y timers (la conexión es compartida)
     // ═══════════════════════════════════════════════════════════════════════════════
-    
-    /**
-     * CLEANUP CRÍTICO para prevenir memory leaks:
-     * 
-     * 1. Parar MediaStream (libera micrófono, apaga LED)
-     * 2. Cerrar WebSocket (libera conexión de red)
-     * 3. Limpiar referencias (previene acceso a objetos eliminados)
-     * 
-     * Sin este cleanup:
-     * - El micrófono queda "abierto" (LED rojo permanente)
-     * - WebSockets zombie consumen memoria
-     * - Possible memory leaks en mobile devices
-     */
     return () => {
       Logger.debug(COMPONENT_NAME, 'Limpiando recursos del componente...');
-      
-      stopMediaStream();  // Libera micrófono
-      
-      if (wsRef.current) {
-        wsRef.current.close();
-        wsRef.current = null;
-        Logger.debug(COMPONENT_NAME, 'WebSocket cerrado y referencia limpiada');
+
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        mediaRecorderRef.current.onstop = null;
+        mediaRecorderRef.current.stop();
       }
+      stopMediaStream();
+      clearFinalizeTimer();
     };
   }, []); // Dependencias vacías = solo se ejecuta una vez al montar
 
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // MANEJO DE MENSAJES WEBSOCKET (PRESERVADO PARA FUTURA REACTIVACIÓN)
+  // INICIO DE GRABACIÓN - MICRÓFONO → STREAM DE DICTADO
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /*
-  FUNCIÓN COMENTADA PARA PROCESAMIENTO DE MENSAJES EN TIEMPO REAL:
-  
-  Este código manejaba respuestas del backend cuando enviábamos audio via WebSocket.
-  Está preservado para documentar cómo funcionaba el sistema original.
-  
-  const handleWebSocketMessage = (event) => {
-    try {
-      const data = JSON.parse(event.data);
-      const message = processIncomingMessage(data);
-      
-      // Diferentes tipos de respuesta del backend:
-      switch (message.type) {
-        case 'text':
-          // Transcripción pura de voz a texto
-          setTranscript(message.text);
-          Logger.info(COMPONENT_NAME, 'Transcripción recibida', message.text);
-          break;
-          
-        case 'audio':
-          // Audio procesado con posible transcripción
-          if (message.text) setTranscript(message.text);
-          if (message.audio) handleMessageActions(message);
-          break;
-          
-        case 'error':
-          // Error del backend (formato no soportado, etc.)
-          Logger.error(COMPONENT_NAME, 'Error del servidor', message);
-          setError(message.text);
-          break;
-          
-        case 'connection':
-          // Estado de conexión actualizado
-          setIsConnected(message.status === 'connected');
-          break;
-          
-        default:
-          Logger.warn(COMPONENT_NAME, 'Tipo de mensaje no manejado', message);
-      }
-    } catch (error) {
-      Logger.error(COMPONENT_NAME, 'Error al procesar mensaje WebSocket', error);
-    }
-  };
-  */
 
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  // GESTIÓN DE STREAM DE MEDIA - LIBERACIÓN DE RECURSOS DEL MICRÓFONO
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  
   /**
-   * FUNCIÓN CRÍTICA: stopMediaStream()
-   * 
-   * Esta función es esencial para UX en dispositivos móviles:
-   * 
-   * PROBLEMAS QUE RESUELVE:
-   * 1. LED DE GRABACIÓN: Sin esto, queda prendido permanentemente
-   * 2. PERMISOS: El navegador piensa que seguimos usando el micrófono
-   * 3. BATERÍA: MediaStream activo consume energía continuamente
-   * 4. OTROS APPS: Pueden no poder acceder al micrófono
-   * 
-   * TECHNICAL DETAILS:
-   * - getTracks() devuelve array de AudioTrack objects
-   * - stop() en cada track libera el hardware
-   * - streamRef.current = null limpia la referencia
+   * FLUJO:
+   * 1. Limpia la transcripción anterior
+   * 2. Pide acceso al micrófono y crea el MediaRecorder
+   * 3. Abre el stream de dictado (audio_stream_start)
+   * 4. Cada fragmento del timeslice sale como frame binario
+   * 5. Al detener se cierra el stream y se espera la transcripción final
    */
-  const stopMediaStream = () => {
-    if (streamRef.current) {
-      Logger.debug(COMPONENT_NAME, 'Liberando acceso al micrófono...');
-      
-      // Para cada track de audio en el stream
-      streamRef.current.getTracks().forEach(track => {
-        track.stop();  // Liberar hardware del micrófono
-        Logger.debug(COMPONENT_NAME, `Track ${track.kind} liberado`);
-      });
-      
-      streamRef.current = null;  // Limpiar referencia
-      Logger.info(COMPONENT_NAME, 'MediaStream liberado completamente');
+  const startRecording = async () => {
+    if (!isConnected) {
+      setError('Sin conexión con el servidor: no se puede transcribir el dictado');
+      return;
     }
-  };
 
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  // INICIO DE GRABACIÓN - CAPTURA DE AUDIO DESDE MICRÓFONO
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /**
-   * FLUJO COMPLETO DE INICIO DE GRABACIÓN:
-   * 
-   * 1. LIMPIEZA PREVIA: Eliminar errores anteriores
-   * 2. PERMISOS: Solicitar acceso al micrófono (getUserMedia)
-   * 3. CONFIGURACIÓN: Crear MediaRecorder con settings optimizados
-   * 4. EVENTOS: Configurar handlers para recolectar datos
-   * 5. INICIO: Activar grabación con chunks regulares
-   * 6. UI UPDATE: Cambiar estado visual para feedback
-   * 
-   * CASOS EDGE QUE MANEJAMOS:
-   * - Usuario deniega permisos → Error específico con instrucciones
-   * - Micrófono no disponible → Hardware error con troubleshooting
-   * - Formato no soportado → Fallback o mensaje técnico
-   * - Multiple attempts → Prevención de grabaciones concurrentes
-   */
-  const startRecording = async () => {
     try {
-      // Limpieza previa de errores para UX clara
       setError(null);
-      Logger.info(COMPONENT_NAME, 'Iniciando proceso de grabación...');
-      
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // SOLICITUD DE ACCESO AL MICRÓFONO
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * getAudioStream() es nuestro wrapper de getUserMedia que:
-       * 
-       * 1. Solicita permisos de micrófono al usuario
-       * 2. Configura constrains de audio optimizados (sample rate, etc.)
-       * 3. Maneja errores específicos del navegador
-       * 4. Detecta si hay hardware de audio disponible
-       * 
-       * ERRORES COMUNES:
-       * - NotAllowedError: Usuario denegó permisos
-       * - NotFoundError: No hay micrófono conectado
-       * - NotReadableError: Micrófono siendo usado por otra app
-       * - OverconstrainedError: Configuración no soportada
-       */
+      setSegments([]);
+      setInterim('');
+      setDraft(null);
+      clearFinalizeTimer();
+      setIsFinalizing(false);
+
+      // 🔇 Silenciar respuestas en curso para no transcribirlas
+      audioPlayback.stop();
+      cancelSpeech();
+
       const stream = await getAudioStream();
       streamRef.current = stream;
-      Logger.debug(COMPONENT_NAME, 'Stream de audio obtenido exitosamente');
-      
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // CONFIGURACIÓN DEL MEDIA RECORDER
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * createAudioRecorder() configura MediaRecorder con:
-       * 
-       * - Format: WebM (mejor compresión, amplio soporte)
-       * - Codec: Opus (excelente para voz)
-       * - Bitrate: Optimizado para speech recognition
-       * - Error handling: Fallbacks para navegadores antiguos
-       */
+      setRecordingStream(stream);
+
       const mediaRecorder = createAudioRecorder(stream);
+      if (mediaRecorder.supportsStreaming === false) {
+        // Grabador WAV de respaldo: solo entrega el audio al final, no sirve para transcribir en vivo
+        stopMediaStream();
+        setError('Tu navegador no permite el dictado en vivo. Usa el botón de micrófono del chat para enviar un mensaje de voz.');
+        return;
+      }
       mediaRecorderRef.current = mediaRecorder;
-      
-      // Reiniciar array de chunks para nueva grabación
-      audioChunksRef.current = [];
-      Logger.debug(COMPONENT_NAME, 'MediaRecorder configurado, iniciando captura...');
-
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // CONFIGURACIÓN DE EVENTOS DEL MEDIA RECORDER
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * EVENTO: ondataavailable
-       * 
-       * Se dispara periódicamente (cada 1000ms según start() más abajo)
-       * con chunks de audio codificado. Es crítico verificar que
-       * event.data.size > 0 porque a veces llegan chunks vacíos.
-       */
+
+      const sender = new AudioStreamSender(send, {
+        mimeType: mediaRecorder.mimeType || 'audio/webm',
+        purpose: 'dictation'
+      });
+      if (!sender.start()) {
+        stopMediaStream();
+        setError('No se pudo iniciar el dictado. Intenta de nuevo.');
+        return;
+      }
+      activeStreamIdRef.current = sender.streamId;
+
       mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
-          audioChunksRef.current.push(event.data);
-          Logger.debug(COMPONENT_NAME, `Chunk de audio recibido: ${event.data.size} bytes`);
-        } else {
-          Logger.warn(COMPONENT_NAME, 'Chunk de audio vacío recibido');
+          sender.sendChunk(event.data);
         }
       };
 
-      /**
-       * EVENTO: onstop
-       * 
-       * Se ejecuta cuando llamamos stop() en el MediaRecorder.
-       * Aquí combinamos todos los chunks en un Blob final y
-       * lo enviamos para procesamiento.
-       */
-      mediaRecorder.onstop = async () => {
-        try {
-          Logger.info(COMPONENT_NAME, `Grabación finalizada. Procesando ${audioChunksRef.current.length} chunks...`);
-          
-          // Combinar todos los chunks en un Blob de audio WebM
-          const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-          
-          Logger.debug(COMPONENT_NAME, `Audio final: ${(audioBlob.size / 1024).toFixed(2)} KB`);
-          
-          // Enviar para procesamiento (creación de URL + envío al backend)
-          await processRecording(audioBlob);
-          
-        } catch (err) {
-          Logger.error(COMPONENT_NAME, 'Error al procesar grabación', err);
-          setError('Error al procesar la grabación de audio');
+      mediaRecorder.onstop = () => {
+        if (!sender.finish()) {
+          setError('Se perdió la conexión durante el dictado. Se conserva lo transcrito hasta ahora.');
+          return;
         }
+
+        // Esperar los últimos segmentos, pero sin bloquear la edición para siempre
+        setIsFinalizing(true);
+        finalizeTimerRef.current = setTimeout(() => {
+          finalizeTimerRef.current = null;
+          setIsFinalizing(false);
+          Logger.warn(COMPONENT_NAME, '⏰ No llegó la transcripción final a tiempo');
+        }, AUDIO_CONFIG.TRANSCRIPTION_TIMEOUT);
       };
 
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // INICIO DE GRABACIÓN REAL
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * start(1000): Enviar chunks cada 1 segundo
-       * 
-       * ¿Por qué 1000ms?
-       * - Latencia aceptable para feedback en tiempo real
-       * - Chunks no demasiado pequeños (overhead de procesamiento)
-       * - Chunks no demasiado grandes (delay perceptible)
-       * - Balance entre calidad y responsividad
-       */
-      mediaRecorder.start(1000);
+      mediaRecorder.start(AUDIO_CONFIG.STREAM_TIMESLICE);
       setIsRecording(true);
-      
-      Logger.info(COMPONENT_NAME, 'Grabación iniciada exitosamente');
-      
+      Logger.info(COMPONENT_NAME, 'Dictado iniciado', { streamId: sender.streamId });
+
     } catch (err) {
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // MANEJO DE ERRORES DE GRABACIÓN
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
       Logger.error(COMPONENT_NAME, 'Error al iniciar grabación', {
         error: err.message,
-        name: err.name,
-        code: err.code
+        name: err.name
       });
-      
-      /**
-       * TRADUCCIÓN DE ERRORES TÉCNICOS A MENSAJES USER-FRIENDLY:
-       * 
-       * Los errores de getUserMedia tienen nombres específicos pero
-       * confusos para usuarios normales. Los traducimos a instrucciones
-       * actionables.
-       */
-      let userMessage = `Error al acceder al micrófono: ${err.message}`;
-      
-      // Mensajes específicos para errores comunes
-      if (err.name === 'NotAllowedError') {
-        userMessage = 'Permisos de micrófono denegados. Por favor, permite el acceso al micrófono y recarga la página.';
-      } else if (err.name === 'NotFoundError') {
-        userMessage = 'No se encontró micrófono. Verifica que tienes un micrófono conectado.';
-      } else if (err.name === 'NotReadableError') {
-        userMessage = 'El micrófono está siendo usado por otra aplicación. Cierra otras apps que usen audio.';
-      }
-      
-      setError(userMessage);
-      setIsRecording(false);  // Asegurar que UI no quede en estado inconsistente
+      stopMediaStream();
+      setError(getMicrophoneErrorMessage(err));
+      setIsRecording(false);
     }
   };
 
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // DETENCIÓN DE GRABACIÓN - FINALIZACIÓN LIMPIA DEL PROCESO
+  // DETENCIÓN DE GRABACIÓN
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
+
   /**
-   * FUNCIÓN CRÍTICA: stopRecording()
-   * 
-   * Esta función debe ejecutarse de forma robusta porque:
-   * 1. Libera recursos del micrófono (crítico en móviles)
-   * 2. Dispara el procesamiento del audio grabado
-   * 3. Actualiza UI para mostrar estado correcto
-   * 
-   * VALIDACIONES IMPORTANTES:
-   * - Verificar que realmente estamos grabando
-   * - Verificar que MediaRecorder existe y está activo
-   * - Asegurar que el cleanup se ejecuta siempre
+   * stop() dispara onstop (cierra el stream de dictado) y luego
+   * se libera el micrófono.
    */
   const stopRecording = () => {
-    // Validación de estado - prevenir llamadas múltiples o erróneas
     if (mediaRecorderRef.current && isRecording) {
-      Logger.info(COMPONENT_NAME, 'Deteniendo grabación...');
-      
-      /**
-       * ORDEN IMPORTANTE:
-       * 1. stop() en MediaRecorder → dispara evento onstop → processRecording()
-       * 2. stopMediaStream() → libera hardware del micrófono
-       * 3. setIsRecording(false) → actualiza UI
-       */
-      
-      // Detener grabación (esto dispara mediaRecorder.onstop)
       mediaRecorderRef.current.stop();
-      
-      // Liberar acceso al micrófono inmediatamente
       stopMediaStream();
-      
-      // Actualizar estado UI
       setIsRecording(false);
-      
-      Logger.info(COMPONENT_NAME, 'Grabación detenida exitosamente');
-    } else {
-      // Log para debugging - no debería pasar en uso normal
-      Logger.warn(COMPONENT_NAME, 'stopRecording llamado pero no hay grabación activa', {
-        hasMediaRecorder: !!mediaRecorderRef.current,
-        isRecording: isRecording
-      });
+      Logger.info(COMPONENT_NAME, 'Dictado detenido');
     }
   };
 
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // PROCESAMIENTO DE GRABACIÓN - CREACIÓN DE PREVIEW Y ENVÍO AL BACKEND
+  // EDICIÓN Y ENVÍO DEL TEXTO
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /**
-   * FLUJO DE PROCESAMIENTO POST-GRABACIÓN:
-   * 
-   * 1. CREACIÓN DE URL: Generar blob URL para preview del usuario
-   * 2. ENVÍO AL BACKEND: Transmitir via WebSocket para transcripción
-   * 3. MANEJO DE ERRORES: Feedback claro si algo falla
-   * 
-   * NOTA ACTUAL: WebSocket deshabilitado, pero preview funciona
-   * Esta función está preparada para reactivación del servicio completo.
-   */
-  const processRecording = async (audioBlob) => {
-    try {
-      Logger.info(COMPONENT_NAME, `Procesando grabación de ${(audioBlob.size / 1024).toFixed(2)} KB`);
-      
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // GENERACIÓN DE URL PARA PREVIEW
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * createObjectURL() crea una URL temporal que permite:
-       * 1. Mostrar player de audio para que usuario escuche su grabación
-       * 2. Confirmar que la grabación fue exitosa
-       * 3. Debugging de problemas de audio (silencio, distorsión, etc.)
-       * 
-       * IMPORTANTE: Esta URL debe liberarse con revokeObjectURL() eventualmente
-       * para prevenir memory leaks, pero React maneja esto automáticamente
-       * cuando el componente se desmonta.
-       */
-      const url = URL.createObjectURL(audioBlob);
-      setAudioUrl(url);
-      Logger.debug(COMPONENT_NAME, 'URL de preview generada exitosamente');
-      
-      // ═══════════════════════════════════════════════════════════════════════════════
-      // ENVÍO AL BACKEND VIA WEBSOCKET (ACTUALMENTE DESHABILITADO)
-      // ═══════════════════════════════════════════════════════════════════════════════
-      
-      /**
-       * EN LA VERSIÓN COMPLETA, aquí enviaríamos el audioBlob al backend:
-       * 
-       * 1. Verificar que WebSocket está conectado
-       * 2. Enviar blob binario via send()
-       * 3. Backend procesaría con speech-to-text
-       * 4. Respuesta llegaría via handleWebSocketMessage
-       * 5. setTranscript() se actualizaría con el resultado
-       */
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-        // Esta sección se ejecutaría si el WebSocket estuviera activo
-        wsRef.current.send(audioBlob);
-        Logger.info(COMPONENT_NAME, 'Audio enviado para procesamiento en tiempo real');
-      } else {
-        // Estado actual: servicio deshabilitado
-        Logger.warn(COMPONENT_NAME, 'WebSocket no disponible - procesamiento de audio deshabilitado');
-        
-        /**
-         * OPCIONES FUTURAS PARA PROCESAMIENTO SIN WEBSOCKET:
-         * 1. Upload via FormData a endpoint REST
-         * 2. Conversión a base64 y envío via JSON
-         * 3. Procesamiento local con Web Speech API
-         * 4. Integración con servicios externos (Google Speech, etc.)
-         */
-        throw new Error('Servicio de procesamiento de audio no disponible en esta versión optimizada');
-      }
-      
-    } catch (err) {
-      Logger.error(COMPONENT_NAME, 'Error al procesar audio', {
-        error: err.message,
-        blobSize: audioBlob?.size,
-        blobType: audioBlob?.type
-      });
-      
-      /**
-       * MENSAJES DE ERROR CONTEXTUALES:
-       * Diferenciamos entre problemas técnicos y limitaciones de servicio
-       */
-      let userMessage = `Error al procesar el audio: ${err.message}`;
-      
-      if (err.message.includes('no disponible')) {
-        userMessage = 'El servicio de transcripción de audio está temporalmente deshabilitado. El audio se guardó para preview.';
-      }
-      
-      setError(userMessage);
-    }
+
+  const transcript = segments.join(' ');
+  // Si la transcripción final no llegó, el último parcial también cuenta
+  const editableText = draft ?? [transcript, isFinalizing ? '' : interim].filter(Boolean).join(' ');
+
+  const resetTranscript = () => {
+    activeStreamIdRef.current = null;
+    clearFinalizeTimer();
+    setIsFinalizing(false);
+    setSegments([]);
+    setInterim('');
+    setDraft(null);
   };
-  
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  // UTILIDAD DE LIMPIEZA DE ERRORES
-  // ═══════════════════════════════════════════════════════════════════════════════════
-  
-  /**
-   * Función simple pero importante para UX:
-   * Permite al usuario limpiar mensajes de error manualmente
-   * sin tener que recargar o hacer otra acción.
-   */
+
+  const handleSend = () => {
+    const text = editableText.trim();
+    if (!text) return;
+
+    Logger.info(COMPONENT_NAME, '📤 Texto dictado enviado al chat', { length: text.length });
+    onSendText(text);
+    resetTranscript();
+  };
+
   const clearError = () => {
     setError(null);
-    Logger.debug(COMPONENT_NAME, 'Error limpiado por usuario');
   };
 
   // ═══════════════════════════════════════════════════════════════════════════════════
-  // RENDERIZADO DE LA INTERFAZ - COMPONENTE UI PARA GRABACIÓN DE VOZ
+  // RENDERIZADO DE LA INTERFAZ
   // ═══════════════════════════════════════════════════════════════════════════════════
-  
+
   /**
    * ESTRUCTURA DE LA UI:
-   * 
-   * 1. CARD CONTAINER: Bootstrap card consistente con otros componentes
-   * 2. HEADER: Título con ícono de micrófono
-   * 3. ERROR DISPLAY: Alert dismissible para problemas
-   * 4. CONNECTION STATUS: Indicador visual de disponibilidad del servicio
-   * 5. RECORD BUTTON: Botón circular grande para grabación (diseño móvil-friendly)
-   * 6. STATUS TEXT: Feedback textual del estado actual
-   * 7. AUDIO PREVIEW: Player para escuchar la grabación
-   * 8. TRANSCRIPT DISPLAY: Resultado de transcripción (cuando esté disponible)
-   * 
-   * CONSIDERACIONES DE ACCESIBILIDAD:
-   * - Botón grande para fácil targeting en móviles
-   * - Estados visuales claros (grabando vs detenido)
-   * - Feedback audio/visual para usuarios con discapacidades
-   * - Controles estándar de HTML5 audio
+   * 1. HEADER: Título, estado de conexión y botón de cierre
+   * 2. RECORD BUTTON: Botón circular grande (móvil-friendly)
+   * 3. TRANSCRIPCIÓN EN VIVO: segmentos finales + parcial en cursiva (aria-live)
+   * 4. EDITOR: textarea con el texto final, enviar o descartar
    */
   return (
     <div className="card shadow-sm">
       <div className="card-body">
-        {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        {/* HEADER DEL COMPONENTE - TÍTULO CON ICONOGRAFÍA DESCRIPTIVA */}
-        {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        
-        <h5 className="card-title d-flex align-items-center">
-          {/*
-            ÍCONO: bi-mic es universalmente reconocido para audio
-            - Representa función de micrófono/grabación
-            - Consistent con otros iconos del sistema
-            - Accessible para screen readers
-          */}
-          <i className="bi bi-mic me-2"></i>
-          Grabador de Voz
-        </h5>
-        
-        {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        {/* CONTENEDOR PRINCIPAL - LAYOUT VERTICAL CENTRADO */}
-        {/* ══════════════════════════════════════════════════════════════════════════════ */}
-        
-        <div className="d-flex flex-column align-items-center gap-3 py-3">
-          
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* DISPLAY DE ERRORES - FEEDBACK CLARO CON OPCIÓN DE DISMISSAL */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
-          {error && (
-            /*
-              ErrorMessage es un componente común que maneja:
-              - Styling consistente de errores
-              - Botón X para cerrar
-              - Iconografía apropiada
-              - ARIA roles para accesibilidad
-            */
-            <ErrorMessage 
-              message={error} 
-              onDismiss={clearError}
-              type="warning"  // Tipo warning porque el servicio está intencionalmente deshabilitado
-            />
-          )}
-
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* INDICADOR DE ESTADO DE CONEXIÓN */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
-          <div className="d-flex align-items-center mb-2">
-            {/*
-              ConnectionStatus muestra:
-              - Punto verde/rojo para conexión
-              - Texto descriptivo del estado
-              - Tooltip con detalles técnicos
-              
-              En el estado actual, siempre mostrará "desconectado"
-              porque los servicios de audio están deshabilitados.
-            */}
-            <ConnectionStatus 
+        <div className="d-flex align-items-center justify-content-between mb-2">
+          <h5 className="card-title d-flex align-items-center mb-0">
+            <i className="bi bi-mic me-2"></i>
+            Dictado por voz
+          </h5>
+          <div className="d-flex align-items-center gap-2">
+            <ConnectionStatus
               isConnected={isConnected}
-              label="Servicio de Audio"
-              helpText="Estado actual: Servicios de audio deshabilitados para optimización de servidor"
+              quality={connectionQuality.quality}
+              latency={connectionQuality.averageRtt}
+              transport={transport}
+              protocolError={protocolError}
             />
+            {onClose && (
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={isRecording}
+                aria-label="Cerrar dictado"
+              ></button>
+            )}
           </div>
-          
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* BOTÓN PRINCIPAL DE GRABACIÓN - INTERFAZ TOUCH-FRIENDLY */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
+        </div>
+
+        <div className="d-flex flex-column align-items-center gap-3 py-2">
+          {error && (
+            <ErrorMessage message={error} onDismiss={clearError} />
+          )}
+
           <button
+            type="button"
             onClick={isRecording ? stopRecording : startRecording}
             className={`btn ${isRecording ? 'btn-danger' : 'btn-primary'} btn-lg rounded-circle d-flex align-items-center justify-content-center`}
-            disabled={!isConnected}  // Deshabilitado cuando no hay servicio
+            disabled={!isConnected && !isRecording}
             style={{ width: '80px', height: '80px' }}
-            aria-label={isRecording ? 'Detener grabación' : 'Iniciar grabación'}
+            aria-label={isRecording ? 'Detener dictado' : 'Iniciar dictado'}
           >
-            {/*
-              ICONOGRAFÍA DINÁMICA:
-              - bi-mic: Estado normal, listo para grabar
-              - bi-stop-fill: Grabando, click para detener
-              - fs-4: Tamaño grande para visibilidad
-              
-              COLORES:
-              - btn-primary (azul): Estado normal
-              - btn-danger (rojo): Grabando (estándar UI para grabación)
-            */}
             <i className={`bi ${isRecording ? 'bi-stop-fill' : 'bi-mic'} fs-4`}></i>
           </button>
 
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* TEXTO DE ESTADO - FEEDBACK TEXTUAL DEL PROCESO */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
           <div className="text-muted small text-center">
             {isRecording ? (
-              /*
-                ESTADO GRABANDO:
-                - Color rojo para consistency con botón
-                - Texto animado opcional (pulsing)
-                - Instrucciones claras
-              */
               <span className="text-danger">
                 <i className="bi bi-record-circle me-1"></i>
-                Grabando... Haz clic en el botón para detener
+                Escuchando... Haz clic en el botón para terminar
               </span>
             ) : !isConnected ? (
-              /*
-                ESTADO DESCONECTADO:
-                - Explicación clara de por qué no funciona
-                - Información sobre cuándo estará disponible
-              */
               <span className="text-warning">
                 <i className="bi bi-exclamation-triangle me-1"></i>
-                Servicio temporalmente no disponible
+                Conectando con el servidor de transcripción...
               </span>
             ) : (
-              /*
-                ESTADO NORMAL:
-                - Instrucciones claras para usar
-                - Hint sobre funcionalidad
-              */
               <span>
                 <i className="bi bi-info-circle me-1"></i>
-                Haz clic para iniciar grabación de voz
+                Haz clic y habla: el texto aparecerá mientras hablas
               </span>
             )}
           </div>
 
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* PREVIEW DE AUDIO - PLAYER PARA ESCUCHAR GRABACIÓN */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
-          {audioUrl && (
-            <div className="w-100 mt-3">
-              {/*
-                AUDIO PLAYER NATIVO:
-                - controls: Muestra play, pause, seeking, volume
-                - w-100: Ancho completo para mejor usabilidad
-                - src: Blob URL de la grabación
-                
-                TRACK ELEMENT:
-                - Requerido para accesibilidad
-                - Placeholder para captions futuras
-                
-                BENEFICIOS:
-                - Usuario puede verificar que grabó correctamente
-                - Útil para debugging de problemas de audio
-                - Preview antes de procesar (si servicio estuviera activo)
-              */}
-              <audio controls className="w-100" src={audioUrl}>
-                <track kind="captions" srcLang="es" label="Spanish captions" />
-                Tu navegador no soporta el elemento de audio.
-              </audio>
-              
-              <div className="mt-2 text-center text-muted small">
-                <i className="bi bi-headphones me-1"></i>
-                Grabación completada - Puedes escuchar tu audio arriba
-              </div>
+          {/* NIVEL DEL MICRÓFONO: confirma que se está captando la voz */}
+          {isRecording && <AudioLevelMeter stream={recordingStream} className="w-100" />}
+
+          {/* TRANSCRIPCIÓN EN VIVO: finales + parcial en cursiva */}
+          {isRecording && (
+            <div className="w-100 p-3 border rounded bg-theme-secondary" aria-live="polite" style={{ minHeight: '4rem' }}>
+              {transcript}
+              {interim && (
+                <span className="text-muted fst-italic">{transcript ? ' ' : ''}{interim}</span>
+              )}
+              {!transcript && !interim && (
+                <span className="text-muted">Esperando voz...</span>
+              )}
             </div>
           )}
-          
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* DISPLAY DE TRANSCRIPCIÓN - RESULTADO DEL PROCESAMIENTO */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
-          {transcript && (
-            <div className="w-100 mt-3">
-              {/*
-                TRANSCRIPCIÓN RESULT:
-                - alert-info: Color azul para información positiva
-                - w-100: Ancho completo para legibilidad
-                - Texto destacado para enfatizar el resultado
-                
-                ACTUALMENTE NO SE USA porque servicios de audio están deshabilitados,
-                pero está preparado para cuando se reactive el sistema.
-              */}
-              <div className="alert alert-info">
-                <div className="d-flex align-items-start">
-                  <i className="bi bi-chat-text me-2 mt-1"></i>
-                  <div>
-                    <strong>Transcripción:</strong>
-                    <div className="mt-1">{transcript}</div>
-                  </div>
+
+          {/* EDITOR DEL TEXTO FINAL */}
+          {!isRecording && (editableText || isFinalizing) && (
+            <div className="w-100">
+              <label htmlFor="dictationText" className="form-label small text-muted mb-1">
+                Revisa el texto antes de enviarlo
+              </label>
+              <textarea
+                id="dictationText"
+                className="form-control"
+                rows={3}
+                value={editableText}
+                onChange={(e) => setDraft(e.target.value)}
+              />
+              {isFinalizing && (
+                <div className="small text-muted mt-1">
+                  <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+                  Terminando de transcribir...
                 </div>
+              )}
+              <div className="d-flex justify-content-end gap-2 mt-2">
+                <button type="button" className="btn btn-sm btn-outline-secondary" onClick={resetTranscript}>
+                  <i className="bi bi-x-lg me-1"></i>
+                  Descartar
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-primary"
+                  onClick={handleSend}
+                  disabled={!editableText.trim()}
+                >
+                  <i className="bi bi-send me-1"></i>
+                  Enviar al chat
+                </button>
               </div>
             </div>
           )}
-          
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          {/* INFORMACIÓN ADICIONAL - CONTEXTO PARA EL USUARIO */}
-          {/* ═══════════════════════════════════════════════════════════════════════════ */}
-          
-          {!isConnected && (
-            <div className="mt-3 p-3 bg-light rounded w-100">
-              <h6 className="small mb-2">
-                <i className="bi bi-info-circle me-1"></i>
-                Información sobre servicios de audio:
-              </h6>
-              <ul className="small text-muted mb-0 ps-3">
-                <li>Los servicios de transcripción están temporalmente deshabilitados</li>
-                <li>Puedes grabar y escuchar audio localmente</li>
-                <li>La transcripción automática se activará en futuras versiones</li>
-                <li>Para comunicación inmediata, usa el chat de texto o imágenes ASL</li>
-              </ul>
-            </div>
-          )}
-          
         </div>
       </div>
     </div>
   );
 };
 
+VoiceRecorder.propTypes = {
+  onSendText: PropTypes.func.isRequired,
+  onClose: PropTypes.func
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════════
- * EXPORTACIÓN Y DOCUMENTACIÓN DEL COMPONENTE
+ * VOICERECORDER - Dictado por voz con transcripción en vivo
  * ═══════════════════════════════════════════════════════════════════════════════════
- * 
- * VOICERECORDER - Componente para grabación y procesamiento de audio
- * 
- * FUNCIONALIDADES IMPLEMENTADAS:
- * ✅ Solicitud de permisos de micrófono con manejo robusto de errores
- * ✅ Grabación de audio con MediaRecorder API nativa
- * ✅ Vista previa de audio con player HTML5
- * ✅ Gestión completa de recursos (cleanup de streams)
- * ✅ Estados visuales claros (grabando/detenido/error)
- * ✅ Accesibilidad completa con ARIA labels
- * ✅ Responsive design para dispositivos móviles
- * 
- * FUNCIONALIDADES PREPARADAS (DESHABILITADAS):
- * 🔄 Conexión WebSocket para transcripción en tiempo real
- * 🔄 Envío de audio al backend para speech-to-text
- * 🔄 Display de transcripciones automáticas
- * 🔄 Integración con sistemas de IA de procesamiento de voz
- * 
- * CASOS DE USO ACTUALES:
- * - Grabación local de notas de voz
- * - Testing de funcionalidad de micrófono
- * - Preview de calidad de audio del usuario
- * - Preparación para futura integración de transcripción
- * 
- * CASOS DE USO FUTUROS (CUANDO SE REACTIVE):
- * - Transcripción automática de voz a texto
- * - Comunicación bidireccional en aplicaciones ASL
- * - Herramientas educativas para pronunciación
- * - Sistemas de accesibilidad avanzados
- * 
+ *
+ * FUNCIONALIDADES:
+ * ✅ Grabación con MediaRecorder y envío en streaming (frames binarios)
+ * ✅ Transcripción parcial y final en tiempo real
+ * ✅ Edición del texto antes de enviarlo al chat
+ * ✅ Gestión completa de recursos (micrófono, timers, WebSocket)
+ *
  * INTEGRACIONES:
- * - utils/media-utils.js: Gestión de MediaStream y MediaRecorder
- * - utils/debug-utils.js: Sistema de logging detallado
- * - services/api.js: Verificación de estado del servidor
- * - components/common: ConnectionStatus y ErrorMessage
- * 
- * CONSIDERACIONES TÉCNICAS:
- * - Formato de salida: WebM con codec Opus (mejor para voz)
- * - Chunks de 1 segundo para balance latencia/calidad
- * - Gestión completa de memoria (URL.createObjectURL cleanup)
- * - Permisos de micrófono manejados gracefully
- * - Compatible con navegadores modernos (Chrome 47+, Firefox 29+)
- * 
- * OPTIMIZACIONES APLICADAS:
- * - Servicios de backend deshabilitados para reducir carga del servidor
- * - UI adaptativa que comunica claramente las limitaciones actuales
- * - Código preparado para reactivación sin refactoring mayor
- * - Error handling específico para cada tipo de problema
- * 
- * REACTIVACIÓN DE SERVICIOS:
- * Para habilitar transcripción completa:
- * 1. Descomentar código de WebSocket en setupWebSocket()
- * 2. Implementar endpoint /ws/audio en el backend
- * 3. Agregar handleWebSocketMessage() funcional
- * 4. Configurar servicio de speech-to-text (Google Cloud Speech, etc.)
- * 5. Actualizar ConnectionStatus para mostrar estado real
+ * - utils/audio-stream.js: Protocolo audio_stream_start / binario / audio_stream_end
+ * - utils/message-utils.js: Frames 'transcription'
+ * - context/ChatConnectionContext.js: Conexión WebSocket compartida con el chat
+ * - components/Chat.js: Panel de dictado (onSendText = handleSendMessage)
  */
-export default VoiceRecorder;
\ No newline at end of file
+export default VoiceRecorder;
@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { createLevelMeter, isAudioAnalysisSupported } from '../../utils/audio-analysis';
+
+// Nivel por debajo del cual se considera que el micrófono no capta nada
+const SILENCE_LEVEL = 0.03;
+
+/**
+ * Medidor del nivel del micrófono mientras se graba
+ * @param {Object} props - Propiedades del componente
+ * @param {MediaStream|null} props.stream - Stream del micrófono (getAudioStream)
+ * @param {string} [props.className] - Clases CSS adicionales
+ */
+const AudioLevelMeter = ({ stream, className = '' }) => {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    setLevel(0);
+    if (!stream) return undefined;
+    return createLevelMeter(stream, setLevel);
+  }, [stream]);
+
+  if (!stream || !isAudioAnalysisSupported()) return null;
+
+  const percent = Math.round(level * 100);
+  const isSilent = level < SILENCE_LEVEL;
+
+  return (
+    <div className={`d-flex align-items-center gap-2 ${className}`}>
+      <i className={`bi ${isSilent ? 'bi-mic-mute' : 'bi-mic-fill'} ${isSilent ? 'text-muted' : 'text-danger'}`}></i>
+      <div
+        className="progress flex-grow-1"
+        style={{ height: '6px' }}
+        role="meter"
+        aria-label="Nivel del micrófono"
+        aria-valuenow={percent}
+        aria-valuemin="0"
+        aria-valuemax="100"
+      >
+        <div
+          className={`progress-bar ${level > 0.85 ? 'bg-warning' : 'bg-success'}`}
+          style={{ width: `${percent}%`, transition: 'width 50ms linear' }}
+        ></div>
+      </div>
+      <small className="text-muted" style={{ minWidth: '7rem' }}>
+        {isSilent ? 'No se oye nada' : 'Captando voz'}
+      </small>
+    </div>
+  );
+};
+
+AudioLevelMeter.propTypes = {
+  stream: PropTypes.object,
+  className: PropTypes.string
+};
+
+export default AudioLevelMeter;
@@ -1,21 +1,53 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
+// Aspecto de la insignia según la calidad medida con el heartbeat
+const QUALITY_BADGES = {
+  good: { className: 'bg-success', label: 'Conectado' },
+  degraded: { className: 'bg-warning text-dark', label: 'Conexión lenta' },
+  poor: { className: 'bg-danger', label: 'Conexión inestable' },
+  unknown: { className: 'bg-success', label: 'Conectado' }
+};
+
 /**
  * Componente que muestra el estado de la conexión
  * @param {boolean} isConnected - Indica si está conectado al servidor 
+ * @param {string} [quality] - Calidad de la conexión: good | degraded | poor | unknown
+ * @param {number} [latency] - Latencia media en ms (se muestra en el tooltip)
+ * @param {string} [transport] - Transporte activo: websocket | http (respaldo si el proxy bloquea WebSocket)
+ * @param {string} [protocolError] - Motivo si el servidor usa una versión de protocolo incompatible
  */
-const ConnectionStatus = ({ isConnected }) => (
-  <div className={`badge ${isConnected ? 'bg-success' : 'bg-danger'} d-flex align-items-center`}>
-    <div className={`spinner-grow spinner-grow-sm me-1 ${isConnected ? '' : 'd-none'}`} role="status">
-      <span className="visually-hidden">Conectando...</span>
+const ConnectionStatus = ({ isConnected, quality = 'unknown', latency = null, transport = 'websocket', protocolError = null }) => {
+  let badge = isConnected
+    ? (QUALITY_BADGES[quality] || QUALITY_BADGES.unknown)
+    : { className: 'bg-danger', label: 'Desconectado' };
+  if (isConnected && protocolError) {
+    badge = { className: 'bg-danger', label: 'Versión incompatible' };
+  }
+  const usingHttp = isConnected && transport === 'http';
+  const title = [
+    isConnected && protocolError ? protocolError : null,
+    isConnected && latency !== null ? `Latencia: ${latency} ms` : null,
+    usingHttp ? 'Transporte: HTTP (WebSocket bloqueado por la red)' : null
+  ].filter(Boolean).join(' · ') || undefined;
+
+  return (
+    <div className={`badge ${badge.className} d-flex align-items-center`} title={title}>
+      <div className={`spinner-grow spinner-grow-sm me-1 ${isConnected ? '' : 'd-none'}`} role="status">
+        <span className="visually-hidden">Conectando...</span>
+      </div>
+      {badge.label}
+      {usingHttp && <span className="ms-1 fw-normal">(HTTP)</span>}
     </div>
-    {isConnected ? 'Conectado' : 'Desconectado'}
-  </div>
-);
+  );
+};
 
 ConnectionStatus.propTypes = {
-  isConnected: PropTypes.bool.isRequired
+  isConnected: PropTypes.bool.isRequired,
+  quality: PropTypes.oneOf(['good', 'degraded', 'poor', 'unknown']),
+  latency: PropTypes.number,
+  transport: PropTypes.oneOf(['websocket', 'http']),
+  protocolError: PropTypes.string
 };
 
-export default ConnectionStatus;
\ No newline at end of file
+export default ConnectionStatus;
@@ -1,6 +1,7 @@
+import AudioLevelMeter from './AudioLevelMeter';
 import ConnectionStatus from './ConnectionStatus';
 import ErrorMessage from './ErrorMessage';
 import LoadingSpinner from './LoadingSpinner';
 
 // Exportar componentes comunes
-export { ConnectionStatus, ErrorMessage, LoadingSpinner };
\ No newline at end of file
+export { AudioLevelMeter, ConnectionStatus, ErrorMessage, LoadingSpinner };
\ No newline at end of file
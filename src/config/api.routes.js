@@ -5,6 +5,8 @@
 // Definir valores por defecto para los entornos
 const DEFAULT_PROD_API_URL = 'https://www.api.ovaonline.tech';
 const DEFAULT_DEV_API_URL = 'http://localhost:8000';
+const DEFAULT_MOCK_API_URL = 'http://localhost:8787'; // scripts/mock-server.js
+const USE_MOCK_API = process.env.REACT_APP_ENV === 'mock';
 // Ya no usamos la IP directa para evitar errores de certificado SSL
 const BACKUP_API_URL = DEFAULT_PROD_API_URL; // Usamos el dominio en lugar de la IP
 
@@ -12,17 +14,23 @@ const BACKUP_API_URL = DEFAULT_PROD_API_URL; // Usamos el dominio en lugar de la
 export const API_TIMEOUT = 10000; // 10 segundos
 
 // URL base de la API - Determina automáticamente basado en el entorno
-let apiBaseUrl = process.env.NODE_ENV === 'production' 
-  ? process.env.REACT_APP_PROD_API_URL || DEFAULT_PROD_API_URL
-  : process.env.REACT_APP_DEV_API_URL || DEFAULT_DEV_API_URL;
+// (con REACT_APP_ENV=mock todo va al backend simulado local)
+let apiBaseUrl;
+if (USE_MOCK_API) {
+  apiBaseUrl = process.env.REACT_APP_MOCK_API_URL || DEFAULT_MOCK_API_URL;
+} else {
+  apiBaseUrl = process.env.NODE_ENV === 'production' 
+    ? process.env.REACT_APP_PROD_API_URL || DEFAULT_PROD_API_URL
+    : process.env.REACT_APP_DEV_API_URL || DEFAULT_DEV_API_URL;
+}
 
 // Asegurar que en producción siempre usemos HTTPS
-if (process.env.NODE_ENV === 'production' && apiBaseUrl.startsWith('http:')) {
+if (process.env.NODE_ENV === 'production' && !USE_MOCK_API && apiBaseUrl.startsWith('http:')) {
   apiBaseUrl = apiBaseUrl.replace('http:', 'https:');
 }
 
 // Normalizar dominio canónico en producción para evitar redirecciones cruzadas (api -> www.api)
-if (process.env.NODE_ENV === 'production') {
+if (process.env.NODE_ENV === 'production' && !USE_MOCK_API) {
   // Canonicalizar api -> www.api sin necesidad de try/catch
   apiBaseUrl = apiBaseUrl.replace(/^https?:\/\/api\.ovaonline\.tech\b/i, 'https://www.api.ovaonline.tech');
 }
@@ -30,10 +38,11 @@ if (process.env.NODE_ENV === 'production') {
 export const API_BASE_URL = apiBaseUrl;
 
 // URL de respaldo para intentar si la principal falla
-let backupUrl = process.env.REACT_APP_BACKUP_API_URL || BACKUP_API_URL;
+// (con el mock no hay respaldo remoto: el respaldo es el propio mock)
+let backupUrl = USE_MOCK_API ? apiBaseUrl : process.env.REACT_APP_BACKUP_API_URL || BACKUP_API_URL;
 
 // Asegurar que la URL de respaldo también use HTTPS en producción
-if (process.env.NODE_ENV === 'production' && backupUrl.startsWith('http:')) {
+if (process.env.NODE_ENV === 'production' && !USE_MOCK_API && backupUrl.startsWith('http:')) {
   backupUrl = backupUrl.replace('http:', 'https:');
 }
 
@@ -15,11 +15,40 @@ export const COMPONENT_NAMES = {
   CHAT_UTILS: 'ChatUtils',
   DATABASE_SERVICE: 'DatabaseService',
   AUTH_SERVICE: 'AuthService',  // Añadido para el servicio de autenticación
+  SIGN_LANGUAGE_UPLOADER: 'SignLanguageUploader',
+  LIVE_SIGN_CAMERA: 'LiveSignCamera',
+  CHAT_STORAGE: 'ChatStorageService',
+  CHAT_CONNECTION: 'ChatConnection',
 };
 
 // Configuración de WebSocket
 export const WEBSOCKET_CONFIG = {
   RECONNECT_INTERVAL: 5000, // 5 segundos
+  ACK_TIMEOUT: 10000, // ms sin confirmación (ack) antes de marcar un mensaje como fallido
+  RESUME_TIMEOUT: 5000, // ms de espera del frame `resumed` antes de seguir con la sesión nueva
+};
+
+// Configuración de la grabación de audio
+export const AUDIO_CONFIG = {
+  STREAM_TIMESLICE: 250, // ms de audio por fragmento binario enviado durante la grabación
+  TRANSCRIPTION_TIMEOUT: 10000, // ms de espera de la transcripción final tras detener un dictado
+  VAD_THRESHOLD: 0.08, // Nivel (0 - 1, ver createLevelMeter) a partir del cual se considera voz
+  SILENCE_TIMEOUT: 1500, // ms de silencio tras hablar que terminan la grabación (valor por defecto)
+  NO_SPEECH_TIMEOUT: 8000, // ms sin detectar voz antes de abandonar una grabación automática
+  SILENCE_PADDING: 200, // ms de margen que se conservan al recortar silencios
+};
+
+// Configuración del reconocimiento ASL
+export const ASL_CONFIG = {
+  LIVE_FRAME_INTERVAL: 800, // ms entre fotogramas enviados en modo cámara
+  LIVE_FRAME_MAX_WIDTH: 320, // Los fotogramas se reducen antes de enviarlos
+  LIVE_FRAME_MAX_HEIGHT: 240,
+  LIVE_FRAME_QUALITY: 0.7,
+  LIVE_WINDOW_SIZE: 5, // Predicciones usadas para la predicción "rodante"
+  FINGERSPELLING_MIN_CONFIDENCE: 0.5, // Letras con menos confianza no se deletrean
+  FINGERSPELLING_HOLD_MS: 2000, // Sostener una seña este tiempo separa palabras
+  LOW_CONFIDENCE_THRESHOLD: 0.6, // Por debajo se advierte que el resultado es dudoso
+  MAX_ALTERNATIVES: 4, // Alternativas mostradas en el panel de resultados
 };
 
 // Configuración de UI
@@ -36,6 +65,8 @@ const constants = {
   API_ROUTES,
   COMPONENT_NAMES,
   WEBSOCKET_CONFIG,
+  AUDIO_CONFIG,
+  ASL_CONFIG,
   UI_CONFIG,
 };
 
@@ -14,6 +14,17 @@ const ENV_CONFIG = {
     HEARTBEAT_INTERVAL: 30000,
     CONNECTION_TIMEOUT: 10000
   },
+
+  // Backend simulado local (npm run mock-server): sin servicios externos
+  mock: {
+    API_BASE_URL: 'http://localhost:8787',
+    WS_BASE_URL: 'ws://localhost:8787',
+    WS_FALLBACK_URL: 'ws://127.0.0.1:8787',
+    DEBUG_ENABLED: true,
+    RETRY_ATTEMPTS: 3,
+    HEARTBEAT_INTERVAL: 30000,
+    CONNECTION_TIMEOUT: 5000
+  },
   
   staging: {
     API_BASE_URL: 'https://staging-api.ovaonline.tech',
@@ -160,6 +171,9 @@ export const isProduction = () => currentEnv === 'production';
 // Función para verificar si estamos en staging
 export const isStaging = () => currentEnv === 'staging';
 
+// Función para verificar si estamos contra el backend simulado
+export const isMock = () => currentEnv === 'mock';
+
 // Función para forzar HTTPS en producción
 export const enforceHTTPS = () => {
   if (isProduction() && typeof window !== 'undefined') {
@@ -0,0 +1,256 @@
+/**
+ * 🔌 CONEXIÓN DEL CHAT COMPARTIDA POR TODA LA APP
+ *
+ * Un único WebSocketManager para todos los componentes: el chat, el panel
+ * de dictado y cualquier indicador de estado usan la misma conexión, con
+ * una sola lógica de reintentos.
+ *
+ * - La conexión se abre con la primera suscripción (useChatSubscription),
+ *   así las páginas que no usan el chat no conectan con el backend
+ * - Se mantiene abierta al cambiar de página y se cierra al desmontar la app
+ * - Cada mensaje entrante se reparte a todos los suscriptores: cada uno
+ *   se queda con los tipos que le interesan
+ * - connectionQuality refleja la latencia del heartbeat (good / degraded / poor)
+ * - transport indica si se usa WebSocket o el respaldo HTTP (proxies que bloquean el upgrade)
+ * - Al reconectar se reanuda la sesión (ChatSession): los mensajes que el
+ *   servidor reenvía llegan a los suscriptores como eventos con `replayed: true`
+ * - Cada conexión empieza con el handshake de versión (`hello`) y todos los
+ *   frames JSON entrantes se validan contra el protocolo (message-protocol.js);
+ *   protocolError explica a la interfaz si el servidor usa una versión incompatible
+ *
+ * 💼 USO:
+ * ```javascript
+ * const { isConnected, send } = useChatConnection();
+ * useChatSubscription((event) => { ... });
+ * ```
+ */
+
+import React, { createContext, useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Logger from '../utils/debug-utils';
+import WebSocketManager, { WS_CONFIG } from '../utils/websocket-manager';
+import ChatSession from '../utils/chat-session';
+import { MESSAGE_TYPES, createHelloMessage } from '../utils/message-utils';
+import { DIRECTIONS, checkFrame, checkProtocolVersion } from '../utils/message-protocol';
+import { COMPONENT_NAMES } from '../config/constants';
+
+const COMPONENT_NAME = COMPONENT_NAMES.CHAT_CONNECTION;
+
+// 📶 Calidad mientras no hay medidas del heartbeat
+const INITIAL_QUALITY = {
+  quality: WS_CONFIG.CONNECTION_QUALITY.UNKNOWN,
+  rtt: null,
+  averageRtt: null,
+  missedPongs: 0
+};
+
+export const ChatConnectionContext = createContext(null);
+
+/**
+ * Proveedor de la conexión del chat (envuelve el Router en App.js)
+ * @param {Object} props - Propiedades del componente
+ * @param {React.ReactNode} props.children - Árbol de la aplicación
+ */
+export const ChatConnectionProvider = ({ children }) => {
+  const [connectionState, setConnectionState] = useState(WS_CONFIG.CONNECTION_STATES.DISCONNECTED);
+  const [connectionQuality, setConnectionQuality] = useState(INITIAL_QUALITY);
+  const [transport, setTransport] = useState(WS_CONFIG.TRANSPORTS.WEBSOCKET);
+  const [protocol, setProtocol] = useState(null); // Resultado del último `hello` del servidor
+
+  const managerRef = useRef(null);          // WebSocketManager compartido (se crea al primer uso)
+  const listenersRef = useRef(new Set());   // Suscriptores de mensajes entrantes
+  const startedRef = useRef(false);         // connect() ya llamado (evita conexiones duplicadas)
+  const sessionRef = useRef(null);          // ChatSession: client_id y último mensaje para reanudar
+  const protocolRef = useRef(null);         // Resultado del último handshake de versión
+
+  const getManager = useCallback(() => {
+    if (!managerRef.current) {
+      managerRef.current = new WebSocketManager(COMPONENT_NAME);
+    }
+    return managerRef.current;
+  }, []);
+
+  const getSession = useCallback(() => {
+    if (!sessionRef.current) {
+      sessionRef.current = new ChatSession();
+    }
+    return sessionRef.current;
+  }, []);
+
+  /**
+   * Reparte un evento a todos los suscriptores
+   * @param {MessageEvent|Object} event - { data, replayed? }
+   */
+  const dispatch = useCallback((event) => {
+    listenersRef.current.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        Logger.error(COMPONENT_NAME, '💥 Error en un suscriptor de mensajes:', error);
+      }
+    });
+  }, []);
+
+  /**
+   * Valida cada frame contra el protocolo y lo pasa por la sesión antes de
+   * repartirlo: el `hello` del servidor cierra el handshake y el `resumed` se
+   * sustituye por los mensajes que el servidor reenvía
+   * @param {MessageEvent} event
+   */
+  const handleMessage = useCallback((event) => {
+    let frame = null;
+    if (typeof event.data === 'string') {
+      try {
+        frame = JSON.parse(event.data);
+      } catch (error) {
+        // Texto plano: no afecta a la sesión
+      }
+    }
+
+    if (frame !== null) {
+      checkFrame(frame, DIRECTIONS.IN);
+    }
+
+    if (frame?.type === MESSAGE_TYPES.HELLO) {
+      protocolRef.current = checkProtocolVersion(frame);
+      setProtocol(protocolRef.current);
+      return;
+    }
+
+    const replayed = getSession().observe(frame);
+    if (frame?.type === MESSAGE_TYPES.RESUMED) {
+      (replayed || []).forEach(message => {
+        checkFrame(message, DIRECTIONS.IN);
+        dispatch({ data: JSON.stringify(message), replayed: true });
+      });
+      return;
+    }
+    dispatch(event);
+  }, [dispatch, getSession]);
+
+  /**
+   * Abre la conexión una sola vez; los reintentos los gestiona el manager
+   */
+  const connect = useCallback(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    const manager = getManager();
+    manager.connect({
+      onOpen: () => {
+        Logger.info(COMPONENT_NAME, '✅ Conexión del chat establecida');
+        // 🤝 Lo primero de cada conexión: anunciar la versión del protocolo
+        protocolRef.current = null;
+        manager.send(createHelloMessage());
+        // 🔁 Antes de vaciar el outbox: el servidor debe saber qué sesión continúa
+        const resume = getSession().createResumeMessage();
+        if (resume) {
+          manager.send(resume);
+        }
+      },
+      onMessage: handleMessage,
+      onStateChange: setConnectionState,
+      onQualityChange: setConnectionQuality,
+      onTransportChange: (nextTransport) => {
+        Logger.info(COMPONENT_NAME, `🌐 Transporte del chat: ${nextTransport}`);
+        setTransport(nextTransport);
+      }
+    }).catch(error => {
+      // El manager ya programó el reintento (onClose): aquí solo queda registrarlo
+      Logger.debug(COMPONENT_NAME, '🔄 Primer intento de conexión fallido, se reintentará', error);
+    });
+  }, [getManager, getSession, handleMessage]);
+
+  /**
+   * Suscribe un handler a los mensajes entrantes (y abre la conexión si hace falta)
+   * @param {function(MessageEvent|{data: string, replayed: boolean}): void} listener
+   * @returns {function} Cancela la suscripción
+   */
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    connect();
+    return () => listenersRef.current.delete(listener);
+  }, [connect]);
+
+  /**
+   * Envía un mensaje (objeto → JSON, Blob/ArrayBuffer → frame binario)
+   * @param {string|Object|Blob|ArrayBuffer} data
+   * @returns {boolean} false si no hay conexión
+   */
+  const send = useCallback((data) => {
+    return managerRef.current ? managerRef.current.send(data) : false;
+  }, []);
+
+  /**
+   * Asocia la cola de mensajes pendientes: se vacía en cada (re)conexión
+   * @param {MessageOutbox|null} outbox
+   */
+  const setOutbox = useCallback((outbox) => {
+    getManager().setOutbox(outbox);
+  }, [getManager]);
+
+  const flushOutbox = useCallback(() => {
+    return managerRef.current ? managerRef.current.flushOutbox() : 0;
+  }, []);
+
+  /**
+   * Reconexión manual (p.ej. tras agotar los reintentos automáticos)
+   */
+  const reconnect = useCallback(() => {
+    if (!startedRef.current) {
+      connect();
+      return;
+    }
+    getManager().restart();
+  }, [connect, getManager]);
+
+  /**
+   * Endpoint activo y salud de cada candidato (WebSocketManager.getConnectionDetails)
+   * más el resultado del handshake de versión ({ compatible, serverVersion, clientVersion } o null)
+   * @returns {Object|null} null si todavía no se intentó conectar
+   */
+  const getConnectionDetails = useCallback(() => {
+    if (!managerRef.current) return null;
+    return { ...managerRef.current.getConnectionDetails(), protocol: protocolRef.current };
+  }, []);
+
+  // 🧹 Cerrar la conexión al desmontar la app
+  useEffect(() => {
+    return () => {
+      startedRef.current = false;
+      if (sessionRef.current) {
+        sessionRef.current.reset();
+      }
+      if (managerRef.current) {
+        managerRef.current.disconnect(WS_CONFIG.CLOSE_CODES.NORMAL, 'Aplicación cerrada');
+      }
+    };
+  }, []);
+
+  const value = useMemo(() => ({
+    connectionState,
+    isConnected: connectionState === WS_CONFIG.CONNECTION_STATES.CONNECTED,
+    connectionQuality,
+    transport,
+    protocol,
+    protocolError: protocol && !protocol.compatible ? protocol.error : null,
+    send,
+    subscribe,
+    setOutbox,
+    flushOutbox,
+    reconnect,
+    getConnectionDetails
+  }), [connectionState, connectionQuality, transport, protocol, send, subscribe, setOutbox, flushOutbox, reconnect, getConnectionDetails]);
+
+  return (
+    <ChatConnectionContext.Provider value={value}>
+      {children}
+    </ChatConnectionContext.Provider>
+  );
+};
+
+ChatConnectionProvider.propTypes = {
+  children: PropTypes.node
+};
+
+export default ChatConnectionProvider;
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+import audioPlayback from '../utils/audio-playback';
+
+/**
+ * Hook para seguir el reproductor de audio compartido del chat
+ *
+ * Devuelve el estado de audioPlayback (actual, cola, velocidad, progreso)
+ * y el propio gestor para pausar, saltar o cambiar la velocidad.
+ */
+const useAudioPlayback = () => {
+  const [state, setState] = useState(() => audioPlayback.getState());
+
+  useEffect(() => {
+    // Por si cambió entre el primer render y la suscripción
+    setState(audioPlayback.getState());
+    return audioPlayback.subscribe(setState);
+  }, []);
+
+  return { ...state, player: audioPlayback };
+};
+
+export default useAudioPlayback;
@@ -0,0 +1,19 @@
+import { useContext } from 'react';
+import { ChatConnectionContext } from '../context/ChatConnectionContext';
+
+/**
+ * Hook con la conexión compartida del chat (ChatConnectionProvider)
+ *
+ * Devuelve { connectionState, isConnected, connectionQuality, transport, protocol,
+ * protocolError, send, subscribe, setOutbox, flushOutbox, reconnect, getConnectionDetails }. Leer el estado no abre
+ * la conexión: para eso hay que suscribirse a los mensajes (useChatSubscription).
+ */
+const useChatConnection = () => {
+  const connection = useContext(ChatConnectionContext);
+  if (!connection) {
+    throw new Error('useChatConnection debe usarse dentro de ChatConnectionProvider');
+  }
+  return connection;
+};
+
+export default useChatConnection;
@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback } from 'react';
+import Logger from '../utils/debug-utils';
+import { SPEECH_RATE } from '../utils/speech-utils';
+import { AUDIO_CONFIG } from '../config/constants';
+
+const COMPONENT_NAME = 'useChatPreferences';
+
+// 💾 Clave de localStorage con las preferencias del chat
+const STORAGE_KEY = 'chat_preferences';
+
+/**
+ * Preferencias por defecto
+ * - autoPlayAudio: reproducir/leer automáticamente las respuestas del asistente
+ * - speech: lectura con la voz del navegador cuando la respuesta no trae audio
+ * - recording: detección de voz al grabar (fin automático por silencio, manos libres)
+ */
+export const DEFAULT_CHAT_PREFERENCES = {
+  autoPlayAudio: true,
+  speech: {
+    enabled: true,
+    voiceURI: null,
+    rate: SPEECH_RATE.DEFAULT,
+    lang: 'es-ES'
+  },
+  recording: {
+    autoStop: true,                             // Terminar la grabación tras silenceMs de silencio
+    silenceMs: AUDIO_CONFIG.SILENCE_TIMEOUT,
+    trimSilence: false,                         // Recortar el silencio inicial y final antes de enviar
+    handsFree: false                            // Un toque: grabar, parar al callar y enviar sin vista previa
+  }
+};
+
+/**
+ * Lee las preferencias guardadas (las claves nuevas toman el valor por defecto)
+ * @returns {Object}
+ */
+const loadPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      ...DEFAULT_CHAT_PREFERENCES,
+      ...stored,
+      speech: { ...DEFAULT_CHAT_PREFERENCES.speech, ...stored.speech },
+      recording: { ...DEFAULT_CHAT_PREFERENCES.recording, ...stored.recording }
+    };
+  } catch (error) {
+    Logger.warn(COMPONENT_NAME, 'Preferencias guardadas inválidas, se usan las de por defecto', error);
+    return DEFAULT_CHAT_PREFERENCES;
+  }
+};
+
+/**
+ * Hook de preferencias del chat persistidas en localStorage
+ */
+const useChatPreferences = () => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  }, [preferences]);
+
+  /**
+   * Actualiza preferencias de primer nivel ({ autoPlayAudio: false })
+   * @param {Object} changes - Campos a modificar
+   */
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  /**
+   * Actualiza la configuración de voz ({ rate: 1.2 })
+   * @param {Object} changes - Campos de speech a modificar
+   */
+  const updateSpeechPreferences = useCallback((changes) => {
+    setPreferences(prev => ({ ...prev, speech: { ...prev.speech, ...changes } }));
+  }, []);
+
+  /**
+   * Actualiza la configuración de grabación ({ handsFree: true })
+   * @param {Object} changes - Campos de recording a modificar
+   */
+  const updateRecordingPreferences = useCallback((changes) => {
+    setPreferences(prev => ({ ...prev, recording: { ...prev.recording, ...changes } }));
+  }, []);
+
+  return {
+    preferences,
+    updatePreferences,
+    updateSpeechPreferences,
+    updateRecordingPreferences
+  };
+};
+
+export default useChatPreferences;
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from 'react';
+import useChatConnection from './useChatConnection';
+
+/**
+ * Hook para recibir los mensajes de la conexión compartida del chat
+ *
+ * El handler puede cambiar en cada render (se usa siempre el último) sin
+ * volver a suscribirse. La primera suscripción abre la conexión.
+ *
+ * @param {function(MessageEvent): void} onMessage - Recibe cada mensaje entrante
+ */
+const useChatSubscription = (onMessage) => {
+  const { subscribe } = useChatConnection();
+  const handlerRef = useRef(onMessage);
+  handlerRef.current = onMessage;
+
+  useEffect(() => {
+    return subscribe(event => handlerRef.current(event));
+  }, [subscribe]);
+};
+
+export default useChatSubscription;
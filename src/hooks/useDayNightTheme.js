@@ -1,5 +1,9 @@
 import { useState, useEffect } from 'react';
 
+// Evento de ventana para sincronizar todas las instancias del hook
+// (App, Sidebar, comandos /theme del chat...)
+export const THEME_CHANGE_EVENT = 'ova:theme-change';
+
 /**
  * Hook personalizado para manejar el tema día/noche automáticamente
  * basado en la hora local del usuario
@@ -27,8 +31,9 @@ const useDayNightTheme = () => {
   /**
    * Aplicar el tema al documento
    * @param {string} newTheme - 'light' o 'dark'
+   * @param {boolean} [autoMode] - Modo automático a guardar (el estado puede no haberse actualizado aún)
    */
-  const applyTheme = (newTheme) => {
+  const applyTheme = (newTheme, autoMode = isAutoMode) => {
     const root = document.documentElement;
     
     if (newTheme === 'dark') {
@@ -41,7 +46,18 @@ const useDayNightTheme = () => {
     
     // Guardar preferencia en localStorage
     localStorage.setItem('theme-preference', newTheme);
-    localStorage.setItem('auto-theme', isAutoMode.toString());
+    localStorage.setItem('auto-theme', autoMode.toString());
+  };
+
+  /**
+   * Avisar a las demás instancias del hook del cambio manual
+   * @param {string} newTheme - Tema aplicado
+   * @param {boolean} autoMode - Si quedó en modo automático
+   */
+  const broadcastTheme = (newTheme, autoMode) => {
+    window.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, {
+      detail: { theme: newTheme, isAutoMode: autoMode }
+    }));
   };
 
   /**
@@ -61,12 +77,16 @@ const useDayNightTheme = () => {
    */
   const setManualTheme = (newTheme) => {
     if (newTheme === 'auto') {
+      const autoTheme = day_night();
       setIsAutoMode(true);
-      updateAutoTheme();
+      setTheme(autoTheme);
+      applyTheme(autoTheme, true);
+      broadcastTheme(autoTheme, true);
     } else {
       setIsAutoMode(false);
       setTheme(newTheme);
-      applyTheme(newTheme);
+      applyTheme(newTheme, false);
+      broadcastTheme(newTheme, false);
     }
   };
 
@@ -111,6 +131,18 @@ const useDayNightTheme = () => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Effect para seguir los cambios hechos desde otra instancia del hook
+  // (el documento y localStorage ya los actualizó quien hizo el cambio)
+  useEffect(() => {
+    const handleThemeChange = (event) => {
+      setIsAutoMode(event.detail.isAutoMode);
+      setTheme(event.detail.theme);
+    };
+
+    window.addEventListener(THEME_CHANGE_EVENT, handleThemeChange);
+    return () => window.removeEventListener(THEME_CHANGE_EVENT, handleThemeChange);
+  }, []);
+
   // Effect para actualizar tema automáticamente cada minuto
   // Intentional: depend only on isAutoMode to tick every minuto
   useEffect(() => {
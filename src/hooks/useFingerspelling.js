@@ -0,0 +1,72 @@
+import { useReducer, useCallback } from 'react';
+import {
+  createFingerspellingState,
+  getFingerspellingText,
+  applyPrediction,
+  addWordBreak,
+  undoLast,
+  setFingerspellingText
+} from '../utils/fingerspelling-utils';
+
+/**
+ * Reducer del compositor de deletreo
+ * Delegamos toda la lógica en fingerspelling-utils para mantenerla pura
+ */
+const fingerspellingReducer = (state, action) => {
+  switch (action.type) {
+    case 'prediction':
+      return applyPrediction(state, action.result, action.now, { discrete: action.discrete });
+    case 'break':
+      return addWordBreak(state);
+    case 'undo':
+      return undoLast(state);
+    case 'set_text':
+      return setFingerspellingText(state, action.text);
+    case 'clear':
+      return createFingerspellingState();
+    default:
+      return state;
+  }
+};
+
+/**
+ * Hook personalizado para componer palabras a partir de predicciones ASL
+ * letra por letra (cámara en vivo o imágenes sueltas)
+ */
+const useFingerspelling = () => {
+  const [state, dispatch] = useReducer(fingerspellingReducer, undefined, createFingerspellingState);
+
+  /**
+   * Agrega una predicción por fotograma (con debounce y detección de seña sostenida)
+   * @param {{prediction: string, confidence: number}} result - Predicción normalizada
+   */
+  const addPrediction = useCallback((result) => {
+    dispatch({ type: 'prediction', result, now: Date.now() });
+  }, []);
+
+  /**
+   * Agrega la predicción de una imagen subida: mismos gestos especiales y
+   * umbral de confianza que en vivo, pero sin debounce entre imágenes
+   * @param {{prediction: string, confidence: number}} result - Predicción normalizada
+   */
+  const addImagePrediction = useCallback((result) => {
+    dispatch({ type: 'prediction', result, now: Date.now(), discrete: true });
+  }, []);
+
+  const addSpace = useCallback(() => dispatch({ type: 'break' }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const setText = useCallback((text) => dispatch({ type: 'set_text', text }), []);
+  const clear = useCallback(() => dispatch({ type: 'clear' }), []);
+
+  return {
+    text: getFingerspellingText(state),
+    addPrediction,
+    addImagePrediction,
+    addSpace,
+    undo,
+    setText,
+    clear
+  };
+};
+
+export default useFingerspelling;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import Logger from '../utils/debug-utils';
+import {
+  MEDIA_DEVICE_KINDS,
+  listMediaDevices,
+  onDeviceChange,
+  getPreferredDeviceIds,
+  setPreferredDevice
+} from '../utils/media-devices';
+
+const COMPONENT_NAME = 'useMediaDevices';
+
+/**
+ * Hook con los micrófonos y cámaras disponibles y los elegidos
+ *
+ * La lista se actualiza sola al conectar o retirar dispositivos. Si el
+ * dispositivo elegido desaparece se muestra el predeterminado (la preferencia
+ * se conserva por si se vuelve a conectar).
+ */
+const useMediaDevices = () => {
+  const [devices, setDevices] = useState({ audioInputs: [], videoInputs: [] });
+  const [selected, setSelected] = useState(getPreferredDeviceIds);
+
+  const refresh = useCallback(async () => {
+    try {
+      setDevices(await listMediaDevices());
+    } catch (error) {
+      Logger.warn(COMPONENT_NAME, 'No se pudieron listar los dispositivos', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return onDeviceChange(() => {
+      Logger.info(COMPONENT_NAME, '🎧 Cambio de dispositivos detectado');
+      refresh();
+    });
+  }, [refresh]);
+
+  /**
+   * Elige y recuerda un dispositivo
+   * @param {string} kind - MEDIA_DEVICE_KINDS
+   * @param {string|null} deviceId - null = predeterminado
+   */
+  const selectDevice = useCallback((kind, deviceId) => {
+    setPreferredDevice(kind, deviceId);
+    setSelected(getPreferredDeviceIds());
+  }, []);
+
+  const isAvailable = (list, deviceId) => list.some(device => device.deviceId === deviceId);
+
+  return {
+    audioInputs: devices.audioInputs,
+    videoInputs: devices.videoInputs,
+    audioInputId: isAvailable(devices.audioInputs, selected.audioInputId) ? selected.audioInputId : null,
+    videoInputId: isAvailable(devices.videoInputs, selected.videoInputId) ? selected.videoInputId : null,
+    selectMicrophone: (deviceId) => selectDevice(MEDIA_DEVICE_KINDS.AUDIO_INPUT, deviceId),
+    selectCamera: (deviceId) => selectDevice(MEDIA_DEVICE_KINDS.VIDEO_INPUT, deviceId),
+    refresh
+  };
+};
+
+export default useMediaDevices;
@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-disable camelcase */ // Frames del protocolo: client_id, client_message_id…
+
+import http from 'http';
+import crypto from 'crypto';
+
+const { startMockServer, CONFIG } = require('../scripts/mock-server');
+
+const FRAME_TIMEOUT = 2000;
+// El transporte HTTP abandona un handshake retenido (HTTP_TRANSPORT_CONFIG.HANDSHAKE_TIMEOUT)
+const HANDSHAKE_LIMIT = 1000;
+
+let server;
+let port;
+let logSpy;
+
+// Cola de frames recibidos: next() espera al siguiente
+const createFrameQueue = () => {
+  const frames = [];
+  const waiting = [];
+  return {
+    push(frame) {
+      const resolve = waiting.shift();
+      if (resolve) resolve(frame);
+      else frames.push(frame);
+    },
+    next() {
+      if (frames.length > 0) return Promise.resolve(frames.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('No llegó ningún frame')), FRAME_TIMEOUT);
+        waiting.push(frame => {
+          clearTimeout(timer);
+          resolve(frame);
+        });
+      });
+    }
+  };
+};
+
+// Petición HTTP sin keep-alive para que el servidor pueda cerrarse
+const request = (method, path, body) => new Promise((resolve, reject) => {
+  const req = http.request({ port, path, method, agent: false, headers: { 'Content-Type': 'application/json' } }, res => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+  });
+  req.on('error', reject);
+  req.end(body ? JSON.stringify(body) : undefined);
+});
+
+// 🔌 Cliente WebSocket mínimo: los frames del cliente van enmascarados
+const encodeClientFrame = (text, opcode = 0x1) => {
+  const payload = Buffer.from(text);
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  return Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]);
+};
+
+const openWebSocket = () => new Promise((resolve, reject) => {
+  const req = http.request({
+    port,
+    path: '/api/chat',
+    agent: false,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Version': '13',
+      'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+    }
+  });
+  req.on('upgrade', (res, socket, head) => {
+    const queue = createFrameQueue();
+    let buffer = head;
+    const parse = () => {
+      while (buffer.length >= 2) {
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          if (buffer.length < 4) return;
+          length = buffer.readUInt16BE(2);
+          offset = 4;
+        }
+        if (buffer.length < offset + length) return;
+        const opcode = buffer[0] & 0x0f;
+        const payload = buffer.subarray(offset, offset + length);
+        buffer = buffer.subarray(offset + length);
+        if (opcode === 0x1) queue.push(JSON.parse(payload.toString('utf8')));
+      }
+    };
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      parse();
+    });
+    parse();
+    resolve({ status: res.statusCode, socket, queue, send: frame => socket.write(encodeClientFrame(JSON.stringify(frame))) });
+  });
+  req.on('response', res => reject(new Error(`Upgrade rechazado: ${res.statusCode}`)));
+  req.on('error', reject);
+  req.end();
+});
+
+// 📡 Cliente SSE mínimo: cada evento `data:` es un frame
+const openEventStream = () => new Promise((resolve, reject) => {
+  const req = http.get({ port, path: '/api/chat/events', agent: false }, res => {
+    const queue = createFrameQueue();
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      events
+        .filter(event => event.startsWith('data: '))
+        .forEach(event => queue.push(JSON.parse(event.slice('data: '.length))));
+    });
+    resolve({ status: res.statusCode, headers: res.headers, queue, close: () => req.destroy() });
+  });
+  req.on('error', reject);
+});
+
+describe('mock server', () => {
+  beforeAll(async () => {
+    // El mock registra cada conexión en consola
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    CONFIG.replyDelay = 0;
+    server = await startMockServer(0);
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    logSpy.mockRestore();
+  });
+
+  test('WebSocket: el upgrade entrega el client_id y responde al hello', async () => {
+    const ws = await openWebSocket();
+    try {
+      expect(ws.status).toBe(101);
+      const connected = await ws.queue.next();
+      expect(connected).toMatchObject({ type: 'connected', client_id: expect.any(String) });
+
+      ws.send({ type: 'hello', version: CONFIG.protocolVersion });
+      expect(await ws.queue.next()).toMatchObject({ type: 'hello', version: CONFIG.protocolVersion });
+
+      ws.send({ type: 'text', text: 'hola', client_message_id: 'c1' });
+      expect(await ws.queue.next()).toMatchObject({ type: 'ack', client_message_id: 'c1', status: 'received' });
+    } finally {
+      ws.socket.destroy();
+    }
+  });
+
+  test('SSE: el primer evento trae el client_id que aceptan los POST', async () => {
+    const stream = await openEventStream();
+    try {
+      expect(stream.status).toBe(200);
+      expect(stream.headers['content-type']).toBe('text/event-stream');
+
+      const connected = await stream.queue.next();
+      expect(connected).toMatchObject({ type: 'connected', client_id: expect.any(String) });
+
+      // Sin client_id el servidor no sabe a qué stream responder
+      expect((await request('POST', '/api/chat/messages', { type: 'hello' })).status).toBe(404);
+
+      const accepted = await request('POST', `/api/chat/messages?client_id=${connected.client_id}`, { type: 'hello' });
+      expect(accepted).toEqual({ status: 202, body: { accepted: true } });
+      expect(await stream.queue.next()).toMatchObject({ type: 'hello', version: CONFIG.protocolVersion });
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('long-polling: el primer poll responde enseguida y los siguientes traen las respuestas', async () => {
+    const startedAt = Date.now();
+    const handshake = await request('GET', '/api/chat/poll');
+
+    expect(Date.now() - startedAt).toBeLessThan(HANDSHAKE_LIMIT);
+    expect(handshake.status).toBe(200);
+    const { client_id, messages } = handshake.body;
+    expect(messages).toEqual([expect.objectContaining({ type: 'connected', client_id })]);
+
+    const sent = await request('POST', `/api/chat/messages?client_id=${client_id}`, { type: 'text', text: 'hola', client_message_id: 'c1' });
+    expect(sent.status).toBe(202);
+
+    const poll = await request('GET', `/api/chat/poll?client_id=${client_id}`);
+    expect(poll.body.client_id).toBe(client_id);
+    expect(poll.body.messages[0]).toMatchObject({ type: 'ack', client_message_id: 'c1' });
+  });
+});
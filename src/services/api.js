@@ -5,7 +5,7 @@ Este archivo es el centro de todas las comunicaciones entre el frontend React
 y el backend FastAPI. Maneja:
 
 - Llamadas HTTP a endpoints REST (imágenes ASL, contacto, etc.)
-- Conexiones WebSocket para chat en tiempo real
+- Envío de mensajes por el WebSocket del chat (la conexión la abre ChatConnectionProvider)
 - Verificación de estado del servidor
 - Procesamiento de archivos multimedia
 
@@ -16,12 +16,11 @@ Como desarrollador fullstack, aquí es donde:
 - Configuras timeouts y reintentos
 */
 
-import Logger, { safeApiCall, createMonitoredWebSocket } from '../utils/debug-utils';
-import { WebSocketManager } from '../utils/websocket-manager';
+import Logger, { safeApiCall } from '../utils/debug-utils';
 import { API_BASE_URL, API_ROUTES, WS_ROUTES } from '../config/api.routes';
 import { COMPONENT_NAMES } from '../config/constants';
-import { blobToBase64 } from '../utils/media-utils';
-import { createImageMessage, createTextMessage, createAudioMessage } from '../utils/message-utils';
+import { blobToBase64, getAudioExtension } from '../utils/media-utils';
+import { createImageMessage, createTextMessage, createAudioMessage, isBinaryData } from '../utils/message-utils';
 
 /**
  * Servicio principal para toda la comunicación con el backend.
@@ -69,219 +68,6 @@ class ApiService {
     }
   }
 
-  /**
-   * Crea una conexión WebSocket robusta para el chat en tiempo real.
-   * 
-   * Esta función maneja automáticamente:
-   * - Reconexión automática si se pierde la conexión
-   * - Buffereo de mensajes durante desconexiones
-   * - Logging detallado para debugging
-   * 
-   * @param {string} url - Ruta WebSocket (manejada internamente)
-   * @param {Object} handlers - Callbacks para eventos del WebSocket
-   * @returns {Promise<Object>} - Manager del WebSocket con API estándar
-   */
-  static async createRobustWebSocketConnection(url, handlers = {}) {
-    try {
-  Logger.debug(this.COMPONENT_NAME, 'Iniciando conexión WebSocket con manejo robusto');
-      
-      // Creamos instancia del WebSocketManager (maneja reconexión automática)
-      const wsManager = new WebSocketManager(this.COMPONENT_NAME);
-      
-      // Conectamos con los handlers del chat
-      await wsManager.connect({
-        onOpen: (event) => {
-          // ✅ Esta es la línea de éxito que queremos mantener visible
-          Logger.info(this.COMPONENT_NAME, '✅ WebSocket conectado exitosamente');
-          if (handlers.onOpen) {
-            handlers.onOpen(event);
-          }
-        },
-        
-        onMessage: (event) => {
-          Logger.debug(this.COMPONENT_NAME, `📨 Mensaje recibido: ${event.data?.substring(0, 100)}...`);
-          if (handlers.onMessage) {
-            handlers.onMessage(event);
-          }
-        },
-        
-        onClose: (event) => {
-          const closeInfo = {
-            code: event.code || 'N/A',
-            reason: event.reason || 'Sin razón',
-            wasClean: event.wasClean || false
-          };
-          Logger.warn(this.COMPONENT_NAME, `🔌 WebSocket cerrado: ${JSON.stringify(closeInfo)}`);
-          if (handlers.onClose) {
-            handlers.onClose(event);
-          }
-        },
-        
-        onError: (error) => {
-          // Solo loggeamos errores de conexiones activas, no de reconexión
-          if (wsManager.getConnectionState() === 'connected') {
-            Logger.error(this.COMPONENT_NAME, '❌ Error en WebSocket activo:', error);
-          } else {
-            Logger.debug(this.COMPONENT_NAME, '🔄 Error de conexión (se reintentará automáticamente):', error);
-          }
-          
-          if (handlers.onError) {
-            handlers.onError(error);
-          }
-        }
-      });
-      
-      // Crear wrapper para compatibilidad con código existente
-      const wsWrapper = {
-        // Propiedades del WebSocket estándar
-        get readyState() {
-          return wsManager.isConnected() ? WebSocket.OPEN : WebSocket.CLOSED;
-        },
-        
-        get url() {
-          return wsManager.currentUrl || 'unknown';
-        },
-        
-        // Métodos del WebSocket estándar
-        send: (data) => {
-          return wsManager.send(data);
-        },
-        
-        close: (code, reason) => {
-          wsManager.disconnect(code, reason);
-        },
-        
-        // Métodos adicionales del manager
-        restart: () => {
-          wsManager.restart();
-        },
-        
-        getConnectionState: () => {
-          return wsManager.getConnectionState();
-        },
-        
-        isConnected: () => {
-          return wsManager.isConnected();
-        },
-        
-        // Referencia al manager para acceso avanzado
-        _manager: wsManager,
-        
-        // Función de limpieza para compatibilidad
-        cleanupListeners: () => {
-          wsManager.cleanup();
-        }
-      };
-      
-  Logger.debug(this.COMPONENT_NAME, 'WebSocket wrapper creado exitosamente');
-      return wsWrapper;
-      
-    } catch (error) {
-      Logger.error(this.COMPONENT_NAME, `❌ Error al crear conexión WebSocket robusta: ${error.message}`, error);
-      
-      // Retornar un objeto fallback que maneje errores graciosamente
-      return {
-        readyState: WebSocket.CLOSED,
-        url: 'failed',
-        send: () => {
-          Logger.warn(this.COMPONENT_NAME, '⚠️ Intento de envío en WebSocket fallido');
-          return false;
-        },
-        close: () => {
-          Logger.debug(this.COMPONENT_NAME, '🔌 Cierre solicitado en WebSocket fallido');
-        },
-        restart: () => {
-          Logger.debug(this.COMPONENT_NAME, 'Reinicio solicitado - creando nueva conexión');
-          return this.createRobustWebSocketConnection(url, handlers);
-        },
-        getConnectionState: () => 'failed',
-        isConnected: () => false,
-        cleanupListeners: () => {}
-      };
-    }
-  }
-
-  /**
-   * Crea una conexión WebSocket con manejo robusto de estado
-   * @param {string} url - Ruta específica para la conexión WebSocket
-   * @param {Object} handlers - Manejadores de eventos del WebSocket
-   * @returns {WebSocket} - Instancia del WebSocket
-   */
-  static createWebSocketConnection(url, handlers = {}) {
-    try {
-      // Construir la URL del WebSocket correctamente
-      let wsUrl = '';
-      
-      if (url.startsWith('ws://') || url.startsWith('wss://')) {
-        wsUrl = url;
-      } else if (API_BASE_URL.startsWith('https://')) {
-        wsUrl = API_BASE_URL.replace('https://', 'wss://');
-        wsUrl += url;
-      } else if (API_BASE_URL.startsWith('http://')) {
-        wsUrl = API_BASE_URL.replace('http://', 'ws://');
-        wsUrl += url;
-      } else {
-        // Si no tiene protocolo, asumimos que es una URL relativa y usamos wss en producción
-        wsUrl = window.location.protocol === 'https:' 
-          ? `wss://${window.location.host}${url}`
-          : `ws://${window.location.host}${url}`;
-      }
-      
-  Logger.debug(this.COMPONENT_NAME, `Creando conexión WebSocket (fallback/simple) a: ${wsUrl}`);
-      
-      const wsInstance = createMonitoredWebSocket(wsUrl, this.COMPONENT_NAME);
-      
-      // Configurar manejadores con logging mejorado
-      if (handlers.onOpen) {
-        wsInstance.onopen = (event) => {
-          // Mantener en debug para no duplicar mensaje info
-          Logger.debug(this.COMPONENT_NAME, `WebSocket conectado exitosamente a ${wsUrl}`);
-          handlers.onOpen(event);
-        };
-      }
-      
-      if (handlers.onMessage) {
-        wsInstance.onmessage = (event) => {
-          Logger.debug(this.COMPONENT_NAME, `Mensaje recibido desde ${wsUrl}: ${event.data?.substring(0, 100)}...`);
-          handlers.onMessage(event);
-        };
-      }
-      
-      if (handlers.onClose) {
-        wsInstance.onclose = (event) => {
-          const closeInfo = {
-            code: event.code || 'N/A',
-            reason: event.reason || 'Sin razón',
-            wasClean: event.wasClean || false
-          };
-          Logger.warn(this.COMPONENT_NAME, `WebSocket cerrado: ${JSON.stringify(closeInfo)}`);
-          handlers.onClose(event);
-        };
-      }
-      
-      if (handlers.onError) {
-        wsInstance.onerror = (error) => {
-          Logger.error(this.COMPONENT_NAME, `Error en WebSocket ${wsUrl}:`, error);
-          handlers.onError(error);
-        };
-      }
-      
-      // Función de limpieza personalizada
-      wsInstance.cleanupListeners = () => {
-        Logger.debug(this.COMPONENT_NAME, `Limpiando listeners de WebSocket ${wsUrl}`);
-        wsInstance.onopen = null;
-        wsInstance.onmessage = null;
-        wsInstance.onclose = null;
-        wsInstance.onerror = null;
-      };
-      
-      return wsInstance;
-    } catch (error) {
-      Logger.error(this.COMPONENT_NAME, `Error al crear WebSocket: ${error.message}`, error);
-      throw error;
-    }
-  }
-
   /**
    * Método base para procesar imágenes (método interno)
    * @param {string|Blob|File} imageInput - Imagen para procesar (base64 o Blob/File)
@@ -394,6 +180,9 @@ class ApiService {
    * Toma un blob de audio grabado desde el micrófono
    * y lo envía al backend para transcripción.
    * 
+   * El nombre del archivo y mime_type reflejan el formato real de la
+   * grabación (webm, ogg, m4a o wav según el navegador).
+   * 
    * @param {Blob} audioBlob - Audio grabado desde el micrófono
    * @returns {Promise<Object>} - Texto transcrito y respuesta del bot
    */
@@ -405,7 +194,9 @@ class ApiService {
       async () => {
         // Creamos FormData porque el audio va como archivo
         const formData = new FormData();
-        formData.append('audio', audioBlob, 'audio.webm');
+        const mimeType = audioBlob.type || 'audio/webm';
+        formData.append('audio', audioBlob, `audio.${getAudioExtension(mimeType)}`);
+        formData.append('mime_type', mimeType);
 
         const response = await fetch(endpoint, {
           method: 'POST',
@@ -431,7 +222,7 @@ class ApiService {
    * para evitar errores de conexión cerrada.
    * 
    * @param {WebSocket} ws - Conexión WebSocket activa
-   * @param {Object|string} data - Datos a enviar (se serializan a JSON)
+   * @param {Object|string|Blob|ArrayBuffer} data - Datos a enviar (los objetos se serializan a JSON, los binarios van tal cual)
    * @param {string} errorMessage - Mensaje personalizado si falla
    * @returns {boolean} - true si se envió correctamente
    * @private
@@ -442,7 +233,7 @@ class ApiService {
     }
 
     try {
-      if (typeof data === 'string') {
+      if (typeof data === 'string' || isBinaryData(data)) {
         ws.send(data);
       } else {
         ws.send(JSON.stringify(data));
@@ -473,7 +264,7 @@ class ApiService {
       } else {
         // Convertir a base64 para enviar como JSON
         const base64Audio = await blobToBase64(audioBlob);
-        const audioMessage = createAudioMessage(base64Audio);
+        const audioMessage = createAudioMessage(base64Audio, '', null, null, audioBlob.type || undefined);
         return this._sendToWebSocket(ws, audioMessage, 'Error al enviar audio por WebSocket');
       }
     } catch (error) {
@@ -0,0 +1,382 @@
+import Logger from '../utils/debug-utils';
+import { COMPONENT_NAMES } from '../config/constants';
+
+/**
+ * Configuración de la base de datos local del historial de chat
+ */
+const DB_NAME = 'ova_chat_history';
+const DB_VERSION = 3;
+const STORES = {
+  MESSAGES: 'messages',
+  CONVERSATIONS: 'conversations',
+  OUTBOX: 'outbox'
+};
+
+// Conversación inicial (y la que reciben los mensajes guardados antes de existir varios hilos)
+export const DEFAULT_CONVERSATION_ID = 'default';
+export const DEFAULT_CONVERSATION_TITLE = 'Conversación principal';
+
+// Tipos de mensaje que vale la pena conservar (errores y "escribiendo" son efímeros)
+export const PERSISTED_MESSAGE_TYPES = ['text', 'audio', 'image', 'sign_language'];
+
+// Campos del mensaje de UI que se guardan (ver processIncomingMessage)
+const PERSISTED_FIELDS = [
+  'id', 'clientMessageId', 'status', 'deliveryError', 'type', 'text', 'isUser', 'image', 'audio', 'audioBlob',
+  'prediction', 'confidence', 'alternatives', 'objects', 'cancelled', 'timestamp'
+];
+
+/**
+ * Convierte un IDBRequest en promesa
+ * @param {IDBRequest} request - Petición de IndexedDB
+ * @returns {Promise<any>} Resultado de la petición
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Servicio para guardar el historial del chat en IndexedDB
+ *
+ * Los mensajes se guardan en el navegador del usuario (nunca en el servidor)
+ * y se restauran al volver a abrir /chat. Si IndexedDB no está disponible
+ * (modo privado de algunos navegadores, tests), los métodos no fallan:
+ * simplemente no persisten nada.
+ */
+class ChatStorageService {
+  static COMPONENT_NAME = COMPONENT_NAMES.CHAT_STORAGE;
+
+  static _dbPromise = null;
+
+  /**
+   * Indica si el navegador soporta IndexedDB
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Abre (o crea) la base de datos, reutilizando la conexión
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  static _openDb() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.MESSAGES)) {
+          const store = db.createObjectStore(STORES.MESSAGES, { keyPath: 'localId', autoIncrement: true });
+          store.createIndex('conversationId', 'conversationId', { unique: false });
+        }
+        // v2: conversaciones con nombre
+        if (!db.objectStoreNames.contains(STORES.CONVERSATIONS)) {
+          db.createObjectStore(STORES.CONVERSATIONS, { keyPath: 'id' });
+        }
+        // v3: outbox de mensajes pendientes + búsqueda de mensajes por id local
+        if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+          db.createObjectStore(STORES.OUTBOX, { keyPath: 'id' });
+        }
+        const messages = request.transaction.objectStore(STORES.MESSAGES);
+        if (!messages.indexNames.contains('clientMessageId')) {
+          messages.createIndex('clientMessageId', 'clientMessageId', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this._dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Ejecuta una operación dentro de una transacción
+   * @param {string} storeName - Almacén a usar
+   * @param {IDBTransactionMode} mode - 'readonly' o 'readwrite'
+   * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Operación a ejecutar
+   * @returns {Promise<any>} Resultado de la operación
+   * @private
+   */
+  static async _withStore(storeName, mode, operation) {
+    const db = await this._openDb();
+    const transaction = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    // La operación puede devolver un IDBRequest (lecturas) o nada (varios deletes)
+    const request = operation(transaction.objectStore(storeName));
+    const [result] = await Promise.all([request ? promisifyRequest(request) : undefined, completed]);
+    return result;
+  }
+
+  /**
+   * Prepara un mensaje de UI para guardarlo (sin URLs temporales ni funciones)
+   * @param {Object} message - Mensaje de UI
+   * @returns {Object} Registro para IndexedDB
+   * @private
+   */
+  static _serialize(message) {
+    const record = {};
+    PERSISTED_FIELDS.forEach(field => {
+      if (message[field] !== undefined) record[field] = message[field];
+    });
+
+    // Las URLs blob: mueren con la pestaña; del audio del usuario guardamos el Blob
+    if (record.audioBlob && typeof record.audio === 'string' && record.audio.startsWith('blob:')) {
+      delete record.audio;
+    }
+
+    return record;
+  }
+
+  /**
+   * Reconstruye un mensaje de UI desde IndexedDB
+   * @param {Object} record - Registro guardado
+   * @returns {Object} Mensaje de UI
+   * @private
+   */
+  static _deserialize(record) {
+    const message = { ...record };
+    if (message.audioBlob && !message.audio) {
+      message.audio = URL.createObjectURL(message.audioBlob);
+    }
+    return message;
+  }
+
+  /**
+   * Guarda un mensaje en el historial de una conversación
+   * @param {string} conversationId - Conversación a la que pertenece
+   * @param {Object} message - Mensaje de UI (formato processIncomingMessage)
+   * @returns {Promise<number|null>} Id local del registro, o null si no se guardó
+   */
+  static async saveMessage(conversationId, message) {
+    if (!this.isAvailable() || !PERSISTED_MESSAGE_TYPES.includes(message.type)) return null;
+
+    try {
+      const record = { ...this._serialize(message), conversationId };
+      return await this._withStore(STORES.MESSAGES, 'readwrite', store => store.add(record));
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al guardar mensaje en el historial', error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene los mensajes de una conversación en orden de llegada
+   * @param {string} conversationId - Conversación a restaurar
+   * @returns {Promise<Array<Object>>} Mensajes de UI
+   */
+  static async getMessages(conversationId) {
+    if (!this.isAvailable()) return [];
+
+    try {
+      const records = await this._withStore(STORES.MESSAGES, 'readonly',
+        store => store.index('conversationId').getAll(conversationId));
+
+      Logger.debug(this.COMPONENT_NAME, `${records.length} mensajes restaurados de "${conversationId}"`);
+      return records
+        .sort((a, b) => a.localId - b.localId)
+        .map(record => this._deserialize(record));
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al leer el historial', error);
+      return [];
+    }
+  }
+
+  /**
+   * Actualiza un mensaje guardado a partir de su id local (p.ej. su estado de envío)
+   * @param {string} clientMessageId - Id local del mensaje (generateClientMessageId)
+   * @param {Object} changes - Campos a modificar
+   * @returns {Promise<boolean>} true si se actualizó algún registro
+   */
+  static async updateMessageByClientId(clientMessageId, changes) {
+    if (!this.isAvailable() || !clientMessageId) return false;
+
+    try {
+      const records = await this._withStore(STORES.MESSAGES, 'readonly',
+        store => store.index('clientMessageId').getAll(clientMessageId));
+      if (records.length === 0) return false;
+
+      await this._withStore(STORES.MESSAGES, 'readwrite', store => {
+        records.forEach(record => store.put({ ...record, ...changes }));
+      });
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al actualizar mensaje del historial', error);
+      return false;
+    }
+  }
+
+  /**
+   * Borra el historial de una conversación
+   * @param {string} conversationId - Conversación a borrar
+   * @returns {Promise<boolean>} true si se borró
+   */
+  static async clearConversation(conversationId) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      const keys = await this._withStore(STORES.MESSAGES, 'readonly',
+        store => store.index('conversationId').getAllKeys(conversationId));
+
+      await this._withStore(STORES.MESSAGES, 'readwrite', store => {
+        keys.forEach(key => store.delete(key));
+      });
+
+      Logger.info(this.COMPONENT_NAME, `Historial de "${conversationId}" borrado (${keys.length} mensajes)`);
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al borrar la conversación', error);
+      return false;
+    }
+  }
+
+  /**
+   * Crea el registro de una conversación nueva (no la guarda)
+   * @param {string} title - Nombre visible de la conversación
+   * @param {string} [id] - Id fijo (solo para la conversación por defecto)
+   * @returns {{id: string, title: string, createdAt: string, updatedAt: string}}
+   */
+  static createConversation(title, id = null) {
+    const now = new Date().toISOString();
+    return {
+      id: id || `conv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      title,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Obtiene las conversaciones guardadas, de la más antigua a la más reciente
+   * @returns {Promise<Array<Object>>} Conversaciones
+   */
+  static async getConversations() {
+    if (!this.isAvailable()) return [];
+
+    try {
+      const conversations = await this._withStore(STORES.CONVERSATIONS, 'readonly', store => store.getAll());
+      return conversations.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al leer las conversaciones', error);
+      return [];
+    }
+  }
+
+  /**
+   * Crea o actualiza una conversación (p.ej. al renombrarla)
+   * @param {Object} conversation - Conversación a guardar
+   * @returns {Promise<boolean>} true si se guardó
+   */
+  static async saveConversation(conversation) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._withStore(STORES.CONVERSATIONS, 'readwrite', store => store.put(conversation));
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al guardar la conversación', error);
+      return false;
+    }
+  }
+
+  /**
+   * Elimina una conversación y todos sus mensajes
+   * @param {string} conversationId - Conversación a eliminar
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async deleteConversation(conversationId) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this.clearConversation(conversationId);
+      await this._withStore(STORES.CONVERSATIONS, 'readwrite', store => store.delete(conversationId));
+      Logger.info(this.COMPONENT_NAME, `Conversación "${conversationId}" eliminada`);
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al eliminar la conversación', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtiene los mensajes pendientes de envío (ver MessageOutbox)
+   * @returns {Promise<Array<Object>>} Elementos del outbox
+   */
+  static async getOutbox() {
+    if (!this.isAvailable()) return [];
+
+    try {
+      return await this._withStore(STORES.OUTBOX, 'readonly', store => store.getAll());
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al leer el outbox', error);
+      return [];
+    }
+  }
+
+  /**
+   * Crea o actualiza un elemento del outbox
+   * @param {Object} item - Elemento de MessageOutbox
+   * @returns {Promise<boolean>} true si se guardó
+   */
+  static async putOutboxItem(item) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._withStore(STORES.OUTBOX, 'readwrite', store => store.put(item));
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al guardar en el outbox', error);
+      return false;
+    }
+  }
+
+  /**
+   * Elimina un elemento del outbox (enviado o cancelado)
+   * @param {string} id - Id local del mensaje
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  static async deleteOutboxItem(id) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._withStore(STORES.OUTBOX, 'readwrite', store => store.delete(id));
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al eliminar del outbox', error);
+      return false;
+    }
+  }
+
+  /**
+   * Borra todo el historial guardado en este navegador
+   * @returns {Promise<boolean>} true si se borró
+   */
+  static async clearAll() {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._withStore(STORES.MESSAGES, 'readwrite', store => store.clear());
+      await this._withStore(STORES.CONVERSATIONS, 'readwrite', store => store.clear());
+      await this._withStore(STORES.OUTBOX, 'readwrite', store => store.clear());
+      Logger.info(this.COMPONENT_NAME, 'Todo el historial de chat fue borrado');
+      return true;
+    } catch (error) {
+      Logger.error(this.COMPONENT_NAME, 'Error al borrar todo el historial', error);
+      return false;
+    }
+  }
+}
+
+export default ChatStorageService;
@@ -0,0 +1,124 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { serialize, deserialize } from 'v8';
+import ChatStorageService, { PERSISTED_MESSAGE_TYPES } from './chatStorage.service';
+
+// fake-indexeddb clona con structuredClone, que el entorno jsdom de Jest no expone
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => deserialize(serialize(value));
+}
+
+const audioBlob = new Blob(['audio'], { type: 'audio/webm' });
+
+describe('serialización', () => {
+  const originalCreateObjectURL = URL.createObjectURL;
+
+  afterEach(() => {
+    URL.createObjectURL = originalCreateObjectURL;
+  });
+
+  test('solo guarda los campos persistentes', () => {
+    const record = ChatStorageService._serialize({
+      id: 'msg-1',
+      type: 'text',
+      text: 'hola',
+      isUser: true,
+      isStreaming: true,
+      onRetry: () => {},
+      timestamp: '2024-05-01T10:00:00.000Z',
+      confidence: undefined
+    });
+
+    expect(record).toEqual({ id: 'msg-1', type: 'text', text: 'hola', isUser: true, timestamp: '2024-05-01T10:00:00.000Z' });
+  });
+
+  test('descarta la URL blob: del audio cuando se guarda el Blob', () => {
+    expect(ChatStorageService._serialize({ type: 'audio', audio: 'blob:http://localhost/1', audioBlob }))
+      .toEqual({ type: 'audio', audioBlob });
+  });
+
+  test('conserva las URLs de audio que no son blob: o que no tienen Blob', () => {
+    expect(ChatStorageService._serialize({ type: 'audio', audio: 'https://cdn.example.com/a.mp3', audioBlob }).audio)
+      .toBe('https://cdn.example.com/a.mp3');
+    expect(ChatStorageService._serialize({ type: 'audio', audio: 'blob:http://localhost/1' }).audio)
+      .toBe('blob:http://localhost/1');
+  });
+
+  test('al restaurar crea una URL nueva para el Blob guardado', () => {
+    URL.createObjectURL = jest.fn(() => 'blob:http://localhost/nueva');
+
+    expect(ChatStorageService._deserialize({ type: 'audio', audioBlob })).toEqual({
+      type: 'audio',
+      audioBlob,
+      audio: 'blob:http://localhost/nueva'
+    });
+    expect(ChatStorageService._deserialize({ type: 'audio', audio: 'https://cdn.example.com/a.mp3', audioBlob }).audio)
+      .toBe('https://cdn.example.com/a.mp3');
+  });
+});
+
+describe('ChatStorageService con IndexedDB', () => {
+  beforeEach(() => {
+    // Base de datos limpia en cada test
+    global.indexedDB = new IDBFactory();
+    ChatStorageService._dbPromise = null;
+  });
+
+  test('guarda y restaura los mensajes de una conversación en orden', async () => {
+    await ChatStorageService.saveMessage('conv-1', { type: 'text', text: 'uno', isUser: true });
+    await ChatStorageService.saveMessage('conv-2', { type: 'text', text: 'otra conversación', isUser: true });
+    await ChatStorageService.saveMessage('conv-1', { type: 'sign_language', text: 'A', prediction: 'A', confidence: 0.9 });
+
+    const messages = await ChatStorageService.getMessages('conv-1');
+    expect(messages.map(message => message.text)).toEqual(['uno', 'A']);
+    expect(messages[1]).toMatchObject({ conversationId: 'conv-1', prediction: 'A', confidence: 0.9 });
+  });
+
+  test('no guarda los tipos efímeros', async () => {
+    expect(PERSISTED_MESSAGE_TYPES).not.toContain('error');
+
+    expect(await ChatStorageService.saveMessage('conv-1', { type: 'error', text: 'sin conexión' })).toBeNull();
+    expect(await ChatStorageService.saveMessage('conv-1', { type: 'typing' })).toBeNull();
+    expect(await ChatStorageService.getMessages('conv-1')).toEqual([]);
+  });
+
+  test('actualiza el estado de un mensaje por su id local', async () => {
+    await ChatStorageService.saveMessage('conv-1', { type: 'text', text: 'hola', clientMessageId: 'c1', status: 'pending' });
+
+    expect(await ChatStorageService.updateMessageByClientId('c1', { status: 'sent' })).toBe(true);
+    expect(await ChatStorageService.updateMessageByClientId('c2', { status: 'sent' })).toBe(false);
+    expect((await ChatStorageService.getMessages('conv-1'))[0].status).toBe('sent');
+  });
+
+  test('eliminar una conversación borra también sus mensajes', async () => {
+    const conversation = ChatStorageService.createConversation('Práctica');
+    await ChatStorageService.saveConversation(conversation);
+    await ChatStorageService.saveMessage(conversation.id, { type: 'text', text: 'hola' });
+    await ChatStorageService.saveMessage('otra', { type: 'text', text: 'sigue' });
+
+    expect(await ChatStorageService.getConversations()).toEqual([conversation]);
+    expect(await ChatStorageService.deleteConversation(conversation.id)).toBe(true);
+
+    expect(await ChatStorageService.getConversations()).toEqual([]);
+    expect(await ChatStorageService.getMessages(conversation.id)).toEqual([]);
+    expect(await ChatStorageService.getMessages('otra')).toHaveLength(1);
+  });
+
+  test('outbox: guarda, actualiza y elimina elementos', async () => {
+    await ChatStorageService.putOutboxItem({ id: 'c1', status: 'queued' });
+    await ChatStorageService.putOutboxItem({ id: 'c1', status: 'failed' });
+    expect(await ChatStorageService.getOutbox()).toEqual([{ id: 'c1', status: 'failed' }]);
+
+    await ChatStorageService.deleteOutboxItem('c1');
+    expect(await ChatStorageService.getOutbox()).toEqual([]);
+  });
+
+  test('sin IndexedDB no guarda nada y no falla', async () => {
+    delete global.indexedDB;
+
+    expect(ChatStorageService.isAvailable()).toBe(false);
+    expect(await ChatStorageService.saveMessage('conv-1', { type: 'text', text: 'hola' })).toBeNull();
+    expect(await ChatStorageService.getMessages('conv-1')).toEqual([]);
+    expect(await ChatStorageService.clearAll()).toBe(false);
+  });
+});
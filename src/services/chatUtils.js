@@ -31,6 +31,39 @@ export const formatImageAnalysisResult = (data) => {
   }
 };
 
+/**
+ * Normaliza la confianza a un valor entre 0 y 1
+ * (el backend a veces responde 0.87 y a veces 87)
+ * @param {number|string} value - Confianza recibida
+ * @returns {number} - Confianza normalizada
+ */
+const normalizeConfidence = (value) => {
+  const number = Number(value) || 0;
+  const ratio = number > 1 ? number / 100 : number;
+  return Math.min(Math.max(ratio, 0), 1);
+};
+
+/**
+ * Normaliza la respuesta de reconocimiento ASL a un formato único
+ * @param {Object} data - Respuesta de processSignLanguage o mensaje sign_language
+ * @returns {{prediction: string|null, confidence: number, alternatives: Array<{label: string, confidence: number}>}}
+ */
+export const normalizeSignLanguageResult = (data = {}) => {
+  const alternatives = Array.isArray(data.alternatives) ? data.alternatives : [];
+
+  return {
+    prediction: data.prediction || data.text || null,
+    confidence: normalizeConfidence(data.confidence),
+    alternatives: alternatives
+      .map(alt => ({
+        label: alt.simbolo || alt.prediction || alt.label,
+        confidence: normalizeConfidence(alt.probabilidad ?? alt.confidence)
+      }))
+      .filter(alt => alt.label)
+      .sort((a, b) => b.confidence - a.confidence)
+  };
+};
+
 /**
  * Agrega un mensaje al historial de mensajes
  * @param {function} setMessages - Función setState para actualizar los mensajes
@@ -118,6 +151,7 @@ export const formatMessage = (data) => {
 
 const ChatUtils = {
   formatImageAnalysisResult,
+  normalizeSignLanguageResult,
   addMessage,
   addErrorMessage,
   readImageAsBase64,
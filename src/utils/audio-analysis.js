@@ -0,0 +1,296 @@
+/**
+ * Utilidades de análisis de audio (Web Audio API)
+ *
+ * - createLevelMeter: nivel del micrófono en vivo (AnalyserNode) mientras se graba
+ * - getWaveformPeaks: forma de onda de una grabación terminada para previsualizarla
+ * - createVoiceActivityDetector: detección de voz por energía (fin automático por silencio)
+ * - trimSilence / encodeWav: recorta el silencio inicial y final de una grabación
+ */
+
+import Logger from './debug-utils';
+import { AUDIO_CONFIG } from '../config/constants';
+
+const COMPONENT_NAME = 'AudioAnalysis';
+
+// Cada cuánto se avisa del nivel (ms): suficiente para verse fluido sin re-renderizar de más
+const LEVEL_INTERVAL = 50;
+
+/**
+ * Constructor de AudioContext del navegador (con prefijo en Safari antiguo)
+ * @returns {Function|null}
+ */
+const getAudioContextClass = () => {
+  if (typeof window === 'undefined') return null;
+  return window.AudioContext || window.webkitAudioContext || null;
+};
+
+/**
+ * Indica si el navegador soporta Web Audio
+ * @returns {boolean}
+ */
+export const isAudioAnalysisSupported = () => getAudioContextClass() !== null;
+
+/**
+ * Mide el nivel de entrada de un MediaStream
+ * @param {MediaStream} stream - Stream del micrófono (getAudioStream)
+ * @param {function(number): void} onLevel - Recibe el nivel (0 - 1) cada LEVEL_INTERVAL ms
+ * @returns {function} Detiene la medición y libera el AudioContext
+ */
+export const createLevelMeter = (stream, onLevel) => {
+  const AudioContextClass = getAudioContextClass();
+  if (!AudioContextClass || !stream) {
+    return () => {};
+  }
+
+  let context;
+  try {
+    context = new AudioContextClass();
+  } catch (error) {
+    Logger.warn(COMPONENT_NAME, 'No se pudo crear el AudioContext para el medidor', error);
+    return () => {};
+  }
+
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  // Solo se analiza: no se conecta a la salida para no oírse a uno mismo
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    // RMS escalado: la voz normal ronda 0.05 - 0.2 de RMS
+    const rms = Math.sqrt(sum / samples.length);
+    onLevel(Math.min(1, rms * 4));
+  }, LEVEL_INTERVAL);
+
+  return () => {
+    clearInterval(timer);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+};
+
+/**
+ * Calcula la forma de onda de una grabación
+ * @param {Blob} blob - Audio grabado
+ * @param {number} [bars] - Número de barras
+ * @returns {Promise<{peaks: Array<number>, duration: number}>} Picos normalizados (0 - 1) y duración en segundos
+ */
+export const getWaveformPeaks = async (blob, bars = 64) => {
+  const AudioContextClass = getAudioContextClass();
+  if (!AudioContextClass) {
+    throw new Error('Tu navegador no soporta el análisis de audio');
+  }
+
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const data = buffer.getChannelData(0);
+    const step = Math.max(1, Math.floor(data.length / bars));
+
+    const peaks = [];
+    for (let bar = 0; bar < bars; bar++) {
+      let peak = 0;
+      const end = Math.min(data.length, (bar + 1) * step);
+      for (let i = bar * step; i < end; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+      peaks.push(peak);
+    }
+
+    // Normalizar para que una grabación baja también se vea
+    const max = Math.max(...peaks, 0.01);
+    return {
+      peaks: peaks.map(peak => peak / max),
+      duration: buffer.duration
+    };
+  } finally {
+    context.close().catch(() => {});
+  }
+};
+
+/**
+ * Detecta actividad de voz por energía sobre el medidor de nivel
+ *
+ * - onSpeechStart: el nivel superó el umbral por primera vez
+ * - onSilence: tras hablar, el nivel quedó bajo el umbral durante silenceMs
+ * - onNoSpeech: pasaron noSpeechMs sin que se detectara voz
+ *
+ * Cada aviso se dispara una sola vez.
+ *
+ * @param {MediaStream} stream - Stream del micrófono
+ * @param {Object} options - Opciones
+ * @param {number} [options.threshold] - Nivel mínimo de voz (0 - 1)
+ * @param {number} [options.silenceMs] - Silencio que termina la grabación
+ * @param {number} [options.noSpeechMs] - Espera máxima hasta que empiece a hablar
+ * @param {function} [options.onSpeechStart]
+ * @param {function} [options.onSilence]
+ * @param {function} [options.onNoSpeech]
+ * @param {function(number): void} [options.onLevel] - Nivel en vivo (para un medidor)
+ * @returns {function} Detiene la detección
+ */
+export const createVoiceActivityDetector = (stream, {
+  threshold = AUDIO_CONFIG.VAD_THRESHOLD,
+  silenceMs = AUDIO_CONFIG.SILENCE_TIMEOUT,
+  noSpeechMs = AUDIO_CONFIG.NO_SPEECH_TIMEOUT,
+  onSpeechStart,
+  onSilence,
+  onNoSpeech,
+  onLevel
+} = {}) => {
+  const startedAt = Date.now();
+  let speechDetected = false;
+  let silenceSince = null;
+  let finished = false;
+
+  const finish = (callback) => {
+    finished = true;
+    callback?.();
+  };
+
+  return createLevelMeter(stream, (level) => {
+    onLevel?.(level);
+    if (finished) return;
+
+    const now = Date.now();
+    if (level >= threshold) {
+      silenceSince = null;
+      if (!speechDetected) {
+        speechDetected = true;
+        Logger.debug(COMPONENT_NAME, '🗣️ Voz detectada');
+        onSpeechStart?.();
+      }
+      return;
+    }
+
+    if (!speechDetected) {
+      if (now - startedAt >= noSpeechMs) {
+        Logger.debug(COMPONENT_NAME, '🔇 No se detectó voz');
+        finish(onNoSpeech);
+      }
+      return;
+    }
+
+    silenceSince = silenceSince ?? now;
+    if (now - silenceSince >= silenceMs) {
+      Logger.debug(COMPONENT_NAME, `🔇 ${silenceMs} ms de silencio: fin de la grabación`);
+      finish(onSilence);
+    }
+  });
+};
+
+/**
+ * Codifica muestras PCM (mono, -1 a 1) como WAV de 16 bits
+ * @param {Float32Array} samples - Muestras de audio
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Blob} audio/wav
+ */
+export const encodeWav = (samples, sampleRate) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // Cabecera RIFF / fmt / data
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);          // Tamaño del bloque fmt
+  view.setUint16(20, 1, true);           // PCM
+  view.setUint16(22, 1, true);           // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Bytes por segundo
+  view.setUint16(32, 2, true);           // Bytes por muestra
+  view.setUint16(34, 16, true);          // Bits por muestra
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+/**
+ * Recorta el silencio inicial y final de una grabación
+ *
+ * El resultado es WAV (el formato original no se puede cortar sin recodificar).
+ * Si no hay nada que recortar, o el navegador no puede decodificar el audio,
+ * devuelve la grabación original.
+ *
+ * @param {Blob} blob - Audio grabado
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.threshold] - Nivel de voz (misma escala que el medidor)
+ * @param {number} [options.paddingMs] - Margen que se conserva antes y después de la voz
+ * @returns {Promise<Blob>}
+ */
+export const trimSilence = async (blob, {
+  threshold = AUDIO_CONFIG.VAD_THRESHOLD,
+  paddingMs = AUDIO_CONFIG.SILENCE_PADDING
+} = {}) => {
+  const AudioContextClass = getAudioContextClass();
+  if (!AudioContextClass) return blob;
+
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const data = buffer.getChannelData(0);
+    // El medidor escala el RMS x4: se compara la amplitud con el mismo criterio
+    const amplitude = threshold / 4;
+
+    let start = 0;
+    while (start < data.length && Math.abs(data[start]) < amplitude) start++;
+    let end = data.length - 1;
+    while (end > start && Math.abs(data[end]) < amplitude) end--;
+
+    if (start >= end) {
+      Logger.debug(COMPONENT_NAME, 'Grabación sin voz: no se recorta');
+      return blob;
+    }
+
+    const padding = Math.floor(buffer.sampleRate * paddingMs / 1000);
+    start = Math.max(0, start - padding);
+    // `end` es la última muestra con voz: el corte final es exclusivo
+    end = Math.min(data.length, end + 1 + padding);
+
+    // Menos de un 5% de silencio: no compensa recodificar
+    if ((start + (data.length - end)) < data.length * 0.05) {
+      return blob;
+    }
+
+    Logger.debug(COMPONENT_NAME, '✂️ Silencio recortado', {
+      before: buffer.duration,
+      after: (end - start) / buffer.sampleRate
+    });
+    return encodeWav(data.subarray(start, end), buffer.sampleRate);
+  } catch (error) {
+    Logger.warn(COMPONENT_NAME, 'No se pudo recortar el silencio de la grabación', error);
+    return blob;
+  } finally {
+    context.close().catch(() => {});
+  }
+};
+
+const AudioAnalysis = {
+  isAudioAnalysisSupported,
+  createLevelMeter,
+  getWaveformPeaks,
+  createVoiceActivityDetector,
+  encodeWav,
+  trimSilence
+};
+
+export default AudioAnalysis;
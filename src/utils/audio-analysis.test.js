@@ -0,0 +1,236 @@
+import { createVoiceActivityDetector, encodeWav, trimSilence } from './audio-analysis';
+
+const THRESHOLD = 0.1;
+const SAMPLE_RATE = 1000;
+
+// AudioContext falso: el analizador devuelve la amplitud que fije el test
+// y decodeAudioData entrega las muestras de `decoded`
+const createFakeAudio = () => {
+  const audio = { amplitude: 0, decoded: new Float32Array(0), closed: 0 };
+  audio.AudioContext = class {
+    createMediaStreamSource() {
+      return { connect: () => {}, disconnect: () => {} };
+    }
+
+    createAnalyser() {
+      return { getFloatTimeDomainData: (samples) => samples.fill(audio.amplitude) };
+    }
+
+    async decodeAudioData() {
+      return {
+        sampleRate: SAMPLE_RATE,
+        duration: audio.decoded.length / SAMPLE_RATE,
+        getChannelData: () => audio.decoded
+      };
+    }
+
+    close() {
+      audio.closed++;
+      return Promise.resolve();
+    }
+  };
+  return audio;
+};
+
+// Nivel del medidor = RMS x 4: una amplitud de THRESHOLD / 2 es voz, 0 es silencio
+const SPEECH = THRESHOLD / 2;
+
+// Lee un Blob como DataView (jsdom no implementa Blob.arrayBuffer)
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new DataView(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const readString = (view, offset, length) => (
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)))
+);
+
+describe('encodeWav', () => {
+  test('escribe la cabecera RIFF / fmt / data de un PCM mono de 16 bits', async () => {
+    const samples = new Float32Array([0, 0.5, -0.5, 1]);
+    const blob = encodeWav(samples, 16000);
+    const view = await readBlob(blob);
+
+    expect(blob.type).toBe('audio/wav');
+    expect(blob.size).toBe(44 + samples.length * 2);
+
+    expect(readString(view, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + samples.length * 2);
+    expect(readString(view, 8, 4)).toBe('WAVE');
+
+    expect(readString(view, 12, 4)).toBe('fmt ');
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1);      // PCM
+    expect(view.getUint16(22, true)).toBe(1);      // Mono
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint32(28, true)).toBe(32000);  // Bytes por segundo
+    expect(view.getUint16(32, true)).toBe(2);
+    expect(view.getUint16(34, true)).toBe(16);
+
+    expect(readString(view, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(samples.length * 2);
+  });
+
+  test('convierte las muestras a enteros de 16 bits y recorta las que se salen de rango', async () => {
+    const view = await readBlob(encodeWav(new Float32Array([0, 1, -1, 2, -2]), 8000));
+    const pcm = [0, 1, 2, 3, 4].map(i => view.getInt16(44 + i * 2, true));
+
+    expect(pcm).toEqual([0, 32767, -32768, 32767, -32768]);
+  });
+
+  test('una grabación vacía es solo la cabecera', async () => {
+    const blob = encodeWav(new Float32Array(0), 44100);
+    const view = await readBlob(blob);
+
+    expect(blob.size).toBe(44);
+    expect(view.getUint32(28, true)).toBe(88200);
+    expect(view.getUint32(40, true)).toBe(0);
+  });
+});
+
+describe('createVoiceActivityDetector', () => {
+  const originalAudioContext = window.AudioContext;
+  const stream = { id: 'mic' };
+  let audio;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    audio = createFakeAudio();
+    window.AudioContext = audio.AudioContext;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    window.AudioContext = originalAudioContext;
+  });
+
+  const createDetector = () => {
+    const callbacks = { onSpeechStart: jest.fn(), onSilence: jest.fn(), onNoSpeech: jest.fn() };
+    const stop = createVoiceActivityDetector(stream, { threshold: THRESHOLD, silenceMs: 1000, noSpeechMs: 3000, ...callbacks });
+    return { ...callbacks, stop };
+  };
+
+  test('el silencio solo termina la grabación después de hablar y tras silenceMs', () => {
+    const detector = createDetector();
+
+    // Silencio inicial más largo que silenceMs: todavía no ha hablado
+    jest.advanceTimersByTime(2000);
+    expect(detector.onSilence).not.toHaveBeenCalled();
+
+    audio.amplitude = SPEECH;
+    jest.advanceTimersByTime(500);
+    expect(detector.onSpeechStart).toHaveBeenCalledTimes(1);
+
+    audio.amplitude = 0;
+    jest.advanceTimersByTime(900);
+    expect(detector.onSilence).not.toHaveBeenCalled();
+
+    // Una palabra más reinicia la cuenta del silencio
+    audio.amplitude = SPEECH;
+    jest.advanceTimersByTime(100);
+    audio.amplitude = 0;
+    jest.advanceTimersByTime(900);
+    expect(detector.onSilence).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(200);
+    expect(detector.onSilence).toHaveBeenCalledTimes(1);
+    expect(detector.onNoSpeech).not.toHaveBeenCalled();
+    detector.stop();
+  });
+
+  test('sin voz durante noSpeechMs avisa de que no se habló', () => {
+    const detector = createDetector();
+
+    jest.advanceTimersByTime(2950);
+    expect(detector.onNoSpeech).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    expect(detector.onNoSpeech).toHaveBeenCalledTimes(1);
+    expect(detector.onSilence).not.toHaveBeenCalled();
+    detector.stop();
+  });
+
+  test('cada aviso se dispara una sola vez', () => {
+    const detector = createDetector();
+    audio.amplitude = SPEECH;
+    jest.advanceTimersByTime(200);
+    audio.amplitude = 0;
+    jest.advanceTimersByTime(5000);
+
+    // Ya terminó: volver a hablar y callar no repite los avisos
+    audio.amplitude = SPEECH;
+    jest.advanceTimersByTime(200);
+    audio.amplitude = 0;
+    jest.advanceTimersByTime(5000);
+
+    expect(detector.onSpeechStart).toHaveBeenCalledTimes(1);
+    expect(detector.onSilence).toHaveBeenCalledTimes(1);
+    expect(detector.onNoSpeech).not.toHaveBeenCalled();
+    detector.stop();
+  });
+
+  test('detenerlo para la medición y cierra el AudioContext', () => {
+    const detector = createDetector();
+    detector.stop();
+    jest.advanceTimersByTime(5000);
+
+    expect(detector.onNoSpeech).not.toHaveBeenCalled();
+    expect(audio.closed).toBe(1);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('trimSilence', () => {
+  const originalAudioContext = window.AudioContext;
+  const recording = { type: 'audio/webm', arrayBuffer: async () => new ArrayBuffer(8) };
+  let audio;
+
+  // `silence` muestras de silencio, `speech` de voz y otra vez `silence`
+  const samples = (silence, speech) => Float32Array.from(
+    { length: silence * 2 + speech },
+    (_, i) => (i >= silence && i < silence + speech ? 0.5 : 0)
+  );
+
+  beforeEach(() => {
+    audio = createFakeAudio();
+    window.AudioContext = audio.AudioContext;
+  });
+
+  afterEach(() => {
+    window.AudioContext = originalAudioContext;
+  });
+
+  test('recorta el silencio inicial y final conservando el margen', async () => {
+    audio.decoded = samples(1000, 1000);
+    const trimmed = await trimSilence(recording, { threshold: THRESHOLD, paddingMs: 100 });
+
+    expect(trimmed.type).toBe('audio/wav');
+    // 100 ms de margen a cada lado a 1000 Hz: 1200 muestras de 16 bits
+    expect(trimmed.size).toBe(44 + 1200 * 2);
+    expect(audio.closed).toBe(1);
+  });
+
+  test('sin margen conserva la última muestra con voz', async () => {
+    audio.decoded = samples(1000, 1000);
+    const trimmed = await trimSilence(recording, { threshold: THRESHOLD, paddingMs: 0 });
+
+    expect(trimmed.size).toBe(44 + 1000 * 2);
+  });
+
+  test('con menos de un 5% de silencio devuelve la grabación original', async () => {
+    audio.decoded = samples(20, 1000);
+    expect(await trimSilence(recording, { threshold: THRESHOLD, paddingMs: 0 })).toBe(recording);
+  });
+
+  test('una grabación sin voz o que no se puede decodificar no se toca', async () => {
+    audio.decoded = new Float32Array(500);
+    expect(await trimSilence(recording, { threshold: THRESHOLD })).toBe(recording);
+
+    audio.AudioContext.prototype.decodeAudioData = async () => {
+      throw new Error('EncodingError');
+    };
+    expect(await trimSilence(recording, { threshold: THRESHOLD })).toBe(recording);
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * 🔊 AudioPlaybackManager - Reproducción centralizada del audio del chat
+ *
+ * Todo el audio de los mensajes pasa por aquí para que nunca suenen dos a la vez:
+ * - Las respuestas del asistente se ENCOLAN (enqueue) y suenan una detrás de otra
+ * - Pulsar "reproducir" en un mensaje lo reproduce YA (play) y la cola sigue después
+ * - Pausa, reanudar, saltar al siguiente y velocidad se aplican al audio actual
+ * - stop() corta el actual y vacía la cola (p.ej. al empezar a grabar)
+ *
+ * Se usa un solo elemento <audio> reutilizado. Los componentes se suscriben
+ * con subscribe() (ver hooks/useAudioPlayback) y reciben el estado completo.
+ */
+
+import Logger from './debug-utils';
+import { base64ToBlob } from './media-utils';
+
+const COMPONENT_NAME = 'AudioPlaybackManager';
+
+// Velocidades ofrecidas en los controles de los mensajes
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Convierte el audio de un mensaje (base64, data URL o URL) en algo reproducible
+ * @param {string|Blob} source - Audio del mensaje
+ * @returns {{url: string, revoke: boolean}} URL y si hay que liberarla al terminar
+ */
+const resolveAudioUrl = (source) => {
+  if (source instanceof Blob) {
+    return { url: URL.createObjectURL(source), revoke: true };
+  }
+  // base64 puro (sin prefijo data:) → Blob
+  if (typeof source === 'string' && /^[A-Za-z0-9+/=]+$/.test(source)) {
+    return { url: URL.createObjectURL(base64ToBlob(source, 'audio/mp3')), revoke: true };
+  }
+  return { url: source, revoke: false };
+};
+
+export class AudioPlaybackManager {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.audio = null;
+    this.rate = 1;
+    this.isPaused = false;
+    this.listeners = new Set();
+    this.state = this._buildState();
+  }
+
+  /**
+   * Se suscribe a los cambios de reproducción
+   * @param {function(Object): void} listener - Recibe el estado (getState)
+   * @returns {function} Cancela la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Estado actual (mismo objeto hasta el siguiente cambio)
+   * @returns {{currentId: string|null, isPlaying: boolean, isPaused: boolean, queuedIds: Array<string>, rate: number, currentTime: number, duration: number}}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @private
+   */
+  _buildState() {
+    const duration = this.audio && Number.isFinite(this.audio.duration) ? this.audio.duration : 0;
+    return {
+      currentId: this.current ? this.current.id : null,
+      isPlaying: !!this.current && !this.isPaused,
+      isPaused: !!this.current && this.isPaused,
+      queuedIds: this.queue.map(item => item.id),
+      rate: this.rate,
+      currentTime: this.audio ? this.audio.currentTime : 0,
+      duration
+    };
+  }
+
+  /**
+   * Recalcula el estado y avisa a los listeners
+   * @private
+   */
+  _emit() {
+    this.state = this._buildState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        Logger.error(COMPONENT_NAME, 'Error en listener de reproducción', error);
+      }
+    });
+  }
+
+  /**
+   * Crea el elemento <audio> compartido la primera vez
+   * @private
+   */
+  _getAudioElement() {
+    if (!this.audio) {
+      this.audio = new Audio();
+      this.audio.addEventListener('ended', () => this._finishCurrent());
+      this.audio.addEventListener('error', () => {
+        Logger.error(COMPONENT_NAME, 'Error al reproducir audio', this.audio.error);
+        this._finishCurrent();
+      });
+      this.audio.addEventListener('timeupdate', () => this._emit());
+      this.audio.addEventListener('loadedmetadata', () => this._emit());
+    }
+    return this.audio;
+  }
+
+  /**
+   * Libera el audio actual
+   * @private
+   */
+  _releaseCurrent() {
+    if (!this.current) return;
+    if (this.audio) {
+      this.audio.pause();
+    }
+    if (this.current.revoke) {
+      URL.revokeObjectURL(this.current.url);
+    }
+    this.current.resolve();
+    this.current = null;
+    this.isPaused = false;
+  }
+
+  /**
+   * El audio actual terminó (o falló): pasa al siguiente de la cola
+   * @private
+   */
+  _finishCurrent() {
+    this._releaseCurrent();
+    this._playNext();
+  }
+
+  /**
+   * Reproduce el siguiente elemento de la cola, si lo hay
+   * @private
+   */
+  _playNext() {
+    const next = this.queue.shift();
+    if (!next) {
+      this._emit();
+      return;
+    }
+    this._start(next);
+  }
+
+  /**
+   * Empieza a reproducir un elemento
+   * @private
+   */
+  _start(item) {
+    let resolved;
+    try {
+      resolved = resolveAudioUrl(item.source);
+    } catch (error) {
+      Logger.error(COMPONENT_NAME, 'Audio del mensaje no reproducible', error);
+      item.resolve();
+      this._playNext();
+      return;
+    }
+
+    this.current = { ...item, ...resolved };
+    this.isPaused = false;
+
+    const audio = this._getAudioElement();
+    audio.src = resolved.url;
+    audio.playbackRate = this.rate;
+
+    Logger.debug(COMPONENT_NAME, '🔊 Reproduciendo audio', { id: item.id, queued: this.queue.length });
+    audio.play().catch(error => {
+      // Autoplay bloqueado por el navegador: se deja en pausa para que el usuario lo inicie
+      Logger.warn(COMPONENT_NAME, 'El navegador no permitió iniciar la reproducción', error);
+      if (this.current && this.current.id === item.id) {
+        this.isPaused = true;
+        this._emit();
+      }
+    });
+    this._emit();
+  }
+
+  /**
+   * Crea un elemento de la cola
+   * @private
+   */
+  _createItem(source, id) {
+    let resolve;
+    const done = new Promise(res => {
+      resolve = res;
+    });
+    return { item: { id: id || source, source, resolve }, done };
+  }
+
+  /**
+   * Añade un audio a la cola (respuestas del asistente)
+   * @param {string|Blob} source - Audio (base64, data URL, URL o Blob)
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.id] - Id del mensaje (para que sus controles sepan que es el actual)
+   * @returns {Promise<void>} Se resuelve cuando termina, se salta o se detiene
+   */
+  enqueue(source, { id } = {}) {
+    if (!source) return Promise.resolve();
+
+    const { item, done } = this._createItem(source, id);
+    this.queue.push(item);
+
+    if (!this.current) {
+      this._playNext();
+    } else {
+      Logger.debug(COMPONENT_NAME, '📥 Audio en cola', { id: item.id, queued: this.queue.length });
+      this._emit();
+    }
+    return done;
+  }
+
+  /**
+   * Reproduce un audio ahora (el usuario pulsó reproducir); la cola sigue después
+   * Si ya es el actual, solo lo reanuda.
+   * @param {string|Blob} source - Audio del mensaje
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.id] - Id del mensaje
+   * @returns {Promise<void>}
+   */
+  play(source, { id } = {}) {
+    if (!source) return Promise.resolve();
+
+    if (this.current && this.current.id === (id || source)) {
+      this.resume();
+      return Promise.resolve();
+    }
+
+    this.queue = this.queue.filter(queued => {
+      if (queued.id !== (id || source)) return true;
+      queued.resolve();
+      return false;
+    });
+
+    const { item, done } = this._createItem(source, id);
+    this._releaseCurrent();
+    this._start(item);
+    return done;
+  }
+
+  /**
+   * Pausa el audio actual
+   */
+  pause() {
+    if (!this.current || this.isPaused) return;
+    this.audio.pause();
+    this.isPaused = true;
+    this._emit();
+  }
+
+  /**
+   * Reanuda el audio actual
+   */
+  resume() {
+    if (!this.current || !this.isPaused) return;
+    this.isPaused = false;
+    this.audio.play().catch(error => {
+      Logger.warn(COMPONENT_NAME, 'No se pudo reanudar el audio', error);
+      this.isPaused = true;
+      this._emit();
+    });
+    this._emit();
+  }
+
+  /**
+   * Salta al siguiente audio de la cola
+   */
+  skip() {
+    if (!this.current) return;
+    Logger.debug(COMPONENT_NAME, '⏭️ Audio saltado', { id: this.current.id });
+    this._finishCurrent();
+  }
+
+  /**
+   * Detiene el audio actual y vacía la cola
+   */
+  stop() {
+    if (!this.current && this.queue.length === 0) return;
+
+    this.queue.forEach(item => item.resolve());
+    this.queue = [];
+    this._releaseCurrent();
+    Logger.debug(COMPONENT_NAME, '⏹️ Reproducción detenida');
+    this._emit();
+  }
+
+  /**
+   * Cambia la velocidad (se mantiene para los siguientes audios)
+   * @param {number} rate - Velocidad (PLAYBACK_RATES)
+   */
+  setRate(rate) {
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) return;
+
+    this.rate = value;
+    if (this.audio) {
+      this.audio.playbackRate = value;
+    }
+    this._emit();
+  }
+}
+
+// Instancia única compartida por todo el chat
+export const audioPlayback = new AudioPlaybackManager();
+
+export default audioPlayback;
@@ -0,0 +1,130 @@
+/**
+ * 🎙️ AudioStreamSender - Envía el micrófono por el WebSocket mientras se graba
+ *
+ * Protocolo de un stream de audio:
+ * 1. { type: 'audio_stream_start', stream_id, mime_type, extension, client_message_id, purpose, ... }
+ * 2. N frames BINARIOS con los fragmentos del MediaRecorder (timeslice), en orden
+ * 3. { type: 'audio_stream_end', stream_id, chunks, cancelled }
+ *
+ * El servidor puede responder con frames 'transcription' (parciales y finales)
+ * del mismo stream_id; con purpose 'dictation' SOLO transcribe (VoiceRecorder).
+ *
+ * Así el backend puede transcribir mientras el usuario habla y el audio
+ * no paga el ~33% extra del base64. Si un envío falla (p.ej. se cayó la
+ * conexión) el stream queda marcado como fallido y el que llama decide
+ * qué hacer con la grabación completa (ver Chat.handleAudioRecord).
+ */
+
+import Logger from './debug-utils';
+import {
+  createAudioStreamStartMessage,
+  createAudioStreamEndMessage
+} from './message-utils';
+
+const COMPONENT_NAME = 'AudioStreamSender';
+
+/**
+ * Genera un id para un stream de audio
+ * @returns {string}
+ */
+const generateStreamId = () => `audio_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+export class AudioStreamSender {
+  /**
+   * @param {function(*): boolean} send - Envía un mensaje (objeto) o un fragmento binario; false si no salió
+   * @param {Object} meta - Datos del mensaje de audio
+   * @param {string} meta.mimeType - Formato de los fragmentos
+   * @param {string|null} [meta.conversationId] - Conversación del mensaje
+   * @param {string|null} [meta.clientMessageId] - Id local del mensaje (para el ack)
+   * @param {string} [meta.purpose] - 'message' | 'dictation'
+   */
+  constructor(send, { mimeType, conversationId = null, clientMessageId = null, purpose = 'message' }) {
+    this.send = send;
+    this.streamId = generateStreamId();
+    this.mimeType = mimeType;
+    this.conversationId = conversationId;
+    this.clientMessageId = clientMessageId;
+    this.purpose = purpose;
+    this.chunks = 0;
+    this.bytes = 0;
+    this.started = false;
+    this.finished = false;
+    this.failed = false;
+  }
+
+  /**
+   * Envía por el socket sin dejar escapar errores
+   * @private
+   */
+  _send(data) {
+    if (this.failed) return false;
+
+    let ok = false;
+    try {
+      ok = this.send(data) !== false;
+    } catch (error) {
+      Logger.error(COMPONENT_NAME, 'Error enviando datos del stream de audio', error);
+    }
+
+    if (!ok) {
+      this.failed = true;
+      Logger.warn(COMPONENT_NAME, `⚠️ Stream ${this.streamId} interrumpido tras ${this.chunks} fragmentos`);
+    }
+    return ok;
+  }
+
+  /**
+   * Abre el stream (mensaje audio_stream_start)
+   * @returns {boolean} true si el servidor puede empezar a recibir fragmentos
+   */
+  start() {
+    this.started = this._send(createAudioStreamStartMessage(
+      this.streamId, this.mimeType, this.conversationId, this.clientMessageId, this.purpose
+    ));
+    if (this.started) {
+      Logger.debug(COMPONENT_NAME, `🎙️ Stream de audio iniciado (${this.streamId})`, { mimeType: this.mimeType });
+    }
+    return this.started;
+  }
+
+  /**
+   * Envía un fragmento de audio como frame binario
+   * @param {Blob} chunk - Fragmento del MediaRecorder (ondataavailable)
+   * @returns {boolean} true si salió
+   */
+  sendChunk(chunk) {
+    if (!this.started || this.finished || !chunk || chunk.size === 0) return false;
+
+    const ok = this._send(chunk);
+    if (ok) {
+      this.chunks += 1;
+      this.bytes += chunk.size;
+    }
+    return ok;
+  }
+
+  /**
+   * Cierra el stream (mensaje audio_stream_end)
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.cancelled] - true si la grabación se descarta
+   * @returns {boolean} true si el stream completo llegó al socket
+   */
+  finish({ cancelled = false } = {}) {
+    if (!this.started || this.finished) return false;
+    this.finished = true;
+
+    // Si algo se perdió por el camino, el servidor no debe procesar un audio incompleto
+    const wasComplete = !this.failed;
+    this.failed = false;
+    const ok = this._send(createAudioStreamEndMessage(this.streamId, this.chunks, cancelled || !wasComplete));
+
+    Logger.info(COMPONENT_NAME, `🎙️ Stream de audio ${cancelled ? 'cancelado' : 'finalizado'}`, {
+      streamId: this.streamId,
+      chunks: this.chunks,
+      bytes: this.bytes
+    });
+    return ok && wasComplete && !cancelled;
+  }
+}
+
+export default AudioStreamSender;
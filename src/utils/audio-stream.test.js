@@ -0,0 +1,128 @@
+/* eslint-disable camelcase */ // Frames del protocolo: stream_id, client_message_id…
+
+import { AudioStreamSender } from './audio-stream';
+
+const chunk = (size = 4) => new Blob([new Uint8Array(size)]);
+
+// send falso: registra lo enviado y falla en las llamadas indicadas
+const createSend = ({ failOn = [], throwOn = [] } = {}) => {
+  const sent = [];
+  const send = jest.fn((data) => {
+    const call = send.mock.calls.length;
+    if (throwOn.includes(call)) throw new Error('Socket cerrado');
+    if (failOn.includes(call)) return false;
+    sent.push(data);
+    return true;
+  });
+  return { send, sent };
+};
+
+const createSender = (send) => new AudioStreamSender(send, {
+  mimeType: 'audio/webm;codecs=opus',
+  conversationId: 'conv-1',
+  clientMessageId: 'c1'
+});
+
+describe('AudioStreamSender', () => {
+  test('un stream completo envía start, los fragmentos y end', () => {
+    const { send, sent } = createSend();
+    const sender = createSender(send);
+
+    expect(sender.start()).toBe(true);
+    expect(sender.sendChunk(chunk(4))).toBe(true);
+    expect(sender.sendChunk(chunk(6))).toBe(true);
+    expect(sender.finish()).toBe(true);
+
+    expect(sent[0]).toMatchObject({
+      type: 'audio_stream_start',
+      stream_id: sender.streamId,
+      mime_type: 'audio/webm;codecs=opus',
+      client_message_id: 'c1',
+      purpose: 'message'
+    });
+    expect(sent.slice(1, 3).every(data => data instanceof Blob)).toBe(true);
+    expect(sent[3]).toMatchObject({ type: 'audio_stream_end', stream_id: sender.streamId, chunks: 2, cancelled: false });
+    expect(sender.bytes).toBe(10);
+  });
+
+  test('ignora fragmentos vacíos y los que llegan antes de start o después de finish', () => {
+    const { send } = createSend();
+    const sender = createSender(send);
+
+    expect(sender.sendChunk(chunk())).toBe(false);
+    sender.start();
+    expect(sender.sendChunk(chunk(0))).toBe(false);
+    expect(sender.sendChunk(null)).toBe(false);
+    sender.finish();
+    expect(sender.sendChunk(chunk())).toBe(false);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(sender.finish()).toBe(false);
+  });
+
+  describe('fallo a mitad del stream', () => {
+    test('tras el primer fragmento fallido no se envía ninguno más', () => {
+      const { send, sent } = createSend({ failOn: [3] });
+      const sender = createSender(send);
+      sender.start();
+      sender.sendChunk(chunk());
+
+      expect(sender.sendChunk(chunk())).toBe(false);
+      expect(sender.sendChunk(chunk())).toBe(false);
+
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(sender.failed).toBe(true);
+      expect(sent).toHaveLength(2);
+    });
+
+    test('finish avisa al servidor con cancelled y devuelve false para que se use el outbox', () => {
+      const { send, sent } = createSend({ failOn: [3] });
+      const sender = createSender(send);
+      sender.start();
+      sender.sendChunk(chunk());
+      sender.sendChunk(chunk());
+
+      expect(sender.finish()).toBe(false);
+      expect(sent[sent.length - 1]).toMatchObject({ type: 'audio_stream_end', chunks: 1, cancelled: true });
+    });
+
+    test('un send que lanza cuenta como fallo', () => {
+      const { send } = createSend({ throwOn: [2] });
+      const sender = createSender(send);
+      sender.start();
+
+      expect(sender.sendChunk(chunk())).toBe(false);
+      expect(sender.failed).toBe(true);
+      expect(sender.finish()).toBe(false);
+    });
+  });
+
+  test('si start no sale, no se envía nada más', () => {
+    const { send } = createSend({ failOn: [1] });
+    const sender = createSender(send);
+
+    expect(sender.start()).toBe(false);
+    expect(sender.sendChunk(chunk())).toBe(false);
+    expect(sender.finish()).toBe(false);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('si el end no sale el stream no se da por entregado', () => {
+    const { send } = createSend({ failOn: [3] });
+    const sender = createSender(send);
+    sender.start();
+    sender.sendChunk(chunk());
+
+    expect(sender.finish()).toBe(false);
+  });
+
+  test('una grabación cancelada se cierra con cancelled y devuelve false', () => {
+    const { send, sent } = createSend();
+    const sender = createSender(send);
+    sender.start();
+    sender.sendChunk(chunk());
+
+    expect(sender.finish({ cancelled: true })).toBe(false);
+    expect(sent[sent.length - 1]).toMatchObject({ type: 'audio_stream_end', cancelled: true });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * ⌨️ Comandos del chat ("/comando argumentos")
+ *
+ * Los comandos se ejecutan en el navegador y NUNCA se envían al servidor.
+ * Cada comando recibe sus argumentos y un contexto con las acciones que
+ * expone Chat.js; así este módulo no depende del estado del componente.
+ *
+ * Contexto que usan los comandos por defecto:
+ * - reply(text): muestra una respuesta local en el chat
+ * - clearConversation(): borra la conversación actual
+ * - exportConversation(format): descarga la conversación
+ * - setTheme(theme): cambia el tema ('light' | 'dark' | 'auto')
+ * - openSignLanguage(): abre el panel de lenguaje de señas
+ *
+ * Para agregar un comando: registry.register({ name, description, usage, args, run })
+ */
+
+import Logger from './debug-utils';
+import { parseTextCommand } from '../services/chatUtils';
+import { TRANSCRIPT_FORMATS } from './transcript-utils';
+
+const COMPONENT_NAME = 'ChatCommands';
+
+// Valores aceptados por /export y /theme
+export const EXPORT_FORMATS = TRANSCRIPT_FORMATS;
+export const THEME_OPTIONS = ['light', 'dark', 'auto'];
+
+/**
+ * Comandos incluidos por defecto
+ * - args: valores posibles del primer argumento (se autocompletan)
+ */
+export const DEFAULT_COMMANDS = [
+  {
+    name: 'help',
+    description: 'Muestra los comandos disponibles',
+    usage: '/help',
+    run: (args, context, registry) => {
+      const lines = registry.getCommands().map(command => `${command.usage} — ${command.description}`);
+      context.reply(`Comandos disponibles:\n${lines.join('\n')}`);
+    }
+  },
+  {
+    name: 'clear',
+    description: 'Borra los mensajes de esta conversación',
+    usage: '/clear',
+    run: (args, context) => context.clearConversation()
+  },
+  {
+    name: 'export',
+    description: 'Descarga la conversación',
+    usage: `/export [${EXPORT_FORMATS.join('|')}]`,
+    args: EXPORT_FORMATS,
+    // Solo delega: la validación del formato y la descarga viven en transcript-utils
+    // (las comparte con el menú de exportación de ChatHeader)
+    run: ([format = EXPORT_FORMATS[0]], context) => context.exportConversation(format)
+  },
+  {
+    name: 'theme',
+    description: 'Cambia el tema de la aplicación',
+    usage: `/theme <${THEME_OPTIONS.join('|')}>`,
+    args: THEME_OPTIONS,
+    run: ([theme], context) => {
+      if (!THEME_OPTIONS.includes(theme)) {
+        context.reply('Indica un tema: /theme light, /theme dark o /theme auto');
+        return;
+      }
+      context.setTheme(theme);
+      context.reply(`Tema cambiado a "${theme}"`);
+    }
+  },
+  {
+    name: 'asl',
+    description: 'Abre el panel de lenguaje de señas (imagen, cámara y deletreo)',
+    usage: '/asl',
+    run: (args, context) => context.openSignLanguage()
+  }
+];
+
+/**
+ * Crea un registro de comandos
+ * @param {Array<Object>} [commands] - Comandos iniciales
+ * @returns {Object} - Registro con register, get, getCommands, getSuggestions, getHint y execute
+ */
+export const createCommandRegistry = (commands = DEFAULT_COMMANDS) => {
+  const registry = new Map();
+
+  const api = {
+    /**
+     * Agrega (o reemplaza) un comando
+     * @param {Object} command - { name, description, usage, args?, run(args, context, registry) }
+     */
+    register(command) {
+      registry.set(command.name.toLowerCase(), command);
+      return api;
+    },
+
+    /**
+     * Busca un comando por nombre (sin "/")
+     * @param {string} name - Nombre del comando
+     * @returns {Object|undefined}
+     */
+    get(name) {
+      return registry.get(name.toLowerCase());
+    },
+
+    /**
+     * Lista los comandos registrados
+     * @returns {Array<Object>}
+     */
+    getCommands() {
+      return [...registry.values()];
+    },
+
+    /**
+     * Sugerencias para lo que el usuario está escribiendo
+     *
+     * - "/th" → comandos que empiezan por "th"
+     * - "/theme d" → argumentos de /theme que empiezan por "d"
+     *
+     * @param {string} input - Texto del campo de mensaje
+     * @returns {Array<{value: string, label: string, description: string}>}
+     */
+    getSuggestions(input) {
+      if (!input || !input.startsWith('/')) return [];
+
+      const spaceIndex = input.indexOf(' ');
+      if (spaceIndex === -1) {
+        const prefix = input.slice(1).toLowerCase();
+        return api.getCommands()
+          .filter(command => command.name.startsWith(prefix))
+          .map(command => ({
+            value: `/${command.name}${command.args || command.usage.includes(' ') ? ' ' : ''}`,
+            label: command.usage,
+            description: command.description
+          }));
+      }
+
+      const command = api.get(input.slice(1, spaceIndex));
+      if (!command || !command.args) return [];
+
+      const partial = input.slice(spaceIndex + 1).toLowerCase();
+      if (partial.includes(' ')) return [];
+
+      return command.args
+        .filter(arg => arg.startsWith(partial) && arg !== partial)
+        .map(arg => ({
+          value: `/${command.name} ${arg}`,
+          label: arg,
+          description: command.description
+        }));
+    },
+
+    /**
+     * Pista de argumentos del comando que se está escribiendo ("/theme " → uso de /theme)
+     * @param {string} input - Texto del campo de mensaje
+     * @returns {string|null} - "uso — descripción", o null si no aplica
+     */
+    getHint(input) {
+      if (!input || !input.startsWith('/') || !input.includes(' ')) return null;
+
+      const command = api.get(input.slice(1, input.indexOf(' ')));
+      return command ? `${command.usage} — ${command.description}` : null;
+    },
+
+    /**
+     * Ejecuta el texto si es un comando
+     * @param {string} text - Texto enviado por el usuario
+     * @param {Object} context - Acciones disponibles (ver cabecera del archivo)
+     * @returns {boolean} true si era un comando (y no debe enviarse al servidor)
+     */
+    execute(text, context) {
+      const parsed = parseTextCommand(text.trim());
+      if (!parsed.isCommand || !parsed.command) return false;
+
+      const command = api.get(parsed.command);
+      if (!command) {
+        context.reply(`Comando desconocido: /${parsed.command}. Escribe /help para ver la lista.`);
+        return true;
+      }
+
+      const args = parsed.args.filter(Boolean).map(arg => arg.toLowerCase());
+      Logger.debug(COMPONENT_NAME, `⌨️ Ejecutando /${command.name}`, { args });
+      try {
+        command.run(args, context, api);
+      } catch (error) {
+        Logger.error(COMPONENT_NAME, `💥 Error ejecutando /${command.name}`, error);
+        context.reply(`No se pudo ejecutar /${command.name}`);
+      }
+      return true;
+    }
+  };
+
+  commands.forEach(command => api.register(command));
+  return api;
+};
+
+const ChatCommands = {
+  EXPORT_FORMATS,
+  THEME_OPTIONS,
+  DEFAULT_COMMANDS,
+  createCommandRegistry
+};
+
+export default ChatCommands;
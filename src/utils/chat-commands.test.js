@@ -0,0 +1,100 @@
+import { createCommandRegistry, EXPORT_FORMATS } from './chat-commands';
+
+const createContext = () => ({
+  reply: jest.fn(),
+  clearConversation: jest.fn(),
+  exportConversation: jest.fn(),
+  setTheme: jest.fn(),
+  openSignLanguage: jest.fn()
+});
+
+describe('execute', () => {
+  test('el texto normal no es un comando', () => {
+    const context = createContext();
+    const registry = createCommandRegistry();
+
+    expect(registry.execute('hola', context)).toBe(false);
+    expect(registry.execute('/', context)).toBe(false);
+    expect(context.reply).not.toHaveBeenCalled();
+  });
+
+  test('ejecuta comandos sin distinguir mayúsculas ni espacios sobrantes', () => {
+    const context = createContext();
+    const registry = createCommandRegistry();
+
+    expect(registry.execute('  /THEME   Dark ', context)).toBe(true);
+    expect(context.setTheme).toHaveBeenCalledWith('dark');
+  });
+
+  test('un comando desconocido responde localmente y no se envía', () => {
+    const context = createContext();
+
+    expect(createCommandRegistry().execute('/bailar', context)).toBe(true);
+    expect(context.reply).toHaveBeenCalledWith(expect.stringContaining('Comando desconocido: /bailar'));
+  });
+
+  test('/theme sin argumento válido muestra el uso', () => {
+    const context = createContext();
+    createCommandRegistry().execute('/theme sepia', context);
+
+    expect(context.setTheme).not.toHaveBeenCalled();
+    expect(context.reply).toHaveBeenCalledWith(expect.stringContaining('/theme light'));
+  });
+
+  test('/export delega en el contexto con el formato por defecto', () => {
+    const context = createContext();
+    const registry = createCommandRegistry();
+
+    registry.execute('/export', context);
+    registry.execute('/export md', context);
+
+    expect(context.exportConversation.mock.calls).toEqual([[EXPORT_FORMATS[0]], ['md']]);
+  });
+
+  test('un error dentro del comando se informa sin propagarse', () => {
+    const context = createContext();
+    context.clearConversation.mockImplementation(() => {
+      throw new Error('fallo');
+    });
+
+    expect(createCommandRegistry().execute('/clear', context)).toBe(true);
+    expect(context.reply).toHaveBeenCalledWith('No se pudo ejecutar /clear');
+  });
+
+  test('/help lista los comandos registrados, incluidos los nuevos', () => {
+    const context = createContext();
+    const registry = createCommandRegistry().register({
+      name: 'ping',
+      description: 'Responde pong',
+      usage: '/ping',
+      run: (args, ctx) => ctx.reply('pong')
+    });
+
+    registry.execute('/help', context);
+    expect(context.reply.mock.calls[0][0]).toMatch(/\/ping — Responde pong/);
+  });
+});
+
+describe('autocompletado', () => {
+  test('sugiere comandos por prefijo', () => {
+    const suggestions = createCommandRegistry().getSuggestions('/th');
+    expect(suggestions).toEqual([expect.objectContaining({ value: '/theme ', label: '/theme <light|dark|auto>' })]);
+  });
+
+  test('sugiere argumentos y deja de hacerlo cuando ya están completos', () => {
+    const registry = createCommandRegistry();
+
+    expect(registry.getSuggestions('/theme d').map(item => item.value)).toEqual(['/theme dark']);
+    expect(registry.getSuggestions('/theme dark')).toEqual([]);
+    expect(registry.getSuggestions('/theme dark extra')).toEqual([]);
+    expect(registry.getSuggestions('hola')).toEqual([]);
+  });
+
+  test('muestra la pista de argumentos del comando escrito', () => {
+    const registry = createCommandRegistry();
+
+    expect(registry.getHint('/export ')).toMatch(/^\/export \[/);
+    expect(registry.getHint('/export')).toBeNull();
+    expect(registry.getHint('/nada ')).toBeNull();
+  });
+});
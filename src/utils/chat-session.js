@@ -0,0 +1,173 @@
+/**
+ * 🔁 Reanudación de la Sesión del Chat
+ *
+ * Cada conexión nueva es un cliente nuevo para el backend: lo que respondió
+ * mientras el socket estaba caído se pierde. Para evitarlo, al reconectar se
+ * envía un frame `resume` con el client_id anterior y el id del último mensaje
+ * recibido; el servidor contesta con `resumed` y los mensajes que faltan.
+ *
+ * 🔄 HANDSHAKE:
+ * 1. `connected` { client_id }                    → se guarda el id del cliente
+ * 2. (se cae la conexión y el manager reconecta)
+ * 3. → `resume` { client_id, last_message_id }    ← lo envía el provider al abrir
+ * 4. ← `connected` { client_id: nuevo }           → se aparca hasta saber si se reanudó
+ * 5. ← `resumed` { ok, client_id, messages: [] }  → los mensajes se reenvían al chat
+ *
+ * Si el servidor no conserva la sesión (ok: false o status 'expired') se adopta
+ * el client_id nuevo y el chat sigue como una conexión normal. Lo mismo si no
+ * entiende `resume` (backend sin soporte): cuando llega otro frame antes que
+ * `resumed`, o pasa RESUME_TIMEOUT sin respuesta, se abandona la reanudación.
+ */
+
+import Logger from './debug-utils';
+import { MESSAGE_TYPES, createResumeMessage } from './message-utils';
+import { WEBSOCKET_CONFIG } from '../config/constants';
+
+const COMPONENT_NAME = 'ChatSession';
+
+// Tipos que el servidor puede reenviar al reanudar (los que tienen id propio)
+const REPLAYABLE_TYPES = [
+  MESSAGE_TYPES.TEXT,
+  MESSAGE_TYPES.AUDIO,
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.SIGN_LANGUAGE,
+  MESSAGE_TYPES.STREAM_DONE
+];
+
+// Frames que pueden llegar entre `resume` y `resumed` sin que signifique que el
+// servidor lo ignoró (saludo de la conexión nueva y heartbeat)
+const RESUME_PRELUDE_TYPES = [
+  MESSAGE_TYPES.CONNECTED,
+  MESSAGE_TYPES.HELLO,
+  MESSAGE_TYPES.PONG
+];
+
+export class ChatSession {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.resumeTimeout] - ms de espera de `resumed` antes de abandonar la reanudación
+   */
+  constructor({ resumeTimeout = WEBSOCKET_CONFIG.RESUME_TIMEOUT } = {}) {
+    this.resumeTimeout = resumeTimeout;
+    this.clientId = null;         // Cliente que el servidor nos asignó
+    this.lastMessageId = null;    // Último mensaje recibido con id
+    this.resumePending = false;   // Enviado `resume`, esperando `resumed`
+    this.pendingClientId = null;  // client_id de la conexión nueva mientras se reanuda
+    this.resumeTimer = null;
+  }
+
+  /**
+   * Frame de reanudación para enviar al abrir la conexión
+   * @returns {Object|null} null en la primera conexión (no hay sesión que reanudar)
+   */
+  createResumeMessage() {
+    if (!this.clientId) {
+      return null;
+    }
+    this.resumePending = true;
+    this.pendingClientId = null;
+    this._clearResumeTimer();
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this._abandonResume('sin respuesta del servidor');
+    }, this.resumeTimeout);
+    Logger.info(COMPONENT_NAME, `🔁 Reanudando sesión ${this.clientId}`, { lastMessageId: this.lastMessageId });
+    return createResumeMessage(this.clientId, this.lastMessageId);
+  }
+
+  /**
+   * Actualiza la sesión con un frame entrante
+   * @param {Object} frame - Mensaje del servidor ya parseado (formato del backend)
+   * @returns {Array<Object>|null} Mensajes reenviados por el servidor si el frame es `resumed`
+   */
+  observe(frame) {
+    if (!frame || typeof frame !== 'object') {
+      return null;
+    }
+
+    switch (frame.type) {
+      case MESSAGE_TYPES.CONNECTED:
+        if (this.resumePending) {
+          this.pendingClientId = frame.client_id || null;
+        } else {
+          this.clientId = frame.client_id || this.clientId;
+        }
+        return null;
+
+      case MESSAGE_TYPES.RESUMED:
+        return this._handleResumed(frame);
+
+      default:
+        // El servidor respondió otra cosa: no va a reanudar
+        if (this.resumePending && !RESUME_PRELUDE_TYPES.includes(frame.type)) {
+          this._abandonResume(`llegó "${frame.type}" antes que "resumed"`);
+        }
+        if (REPLAYABLE_TYPES.includes(frame.type)) {
+          this._track(frame);
+        }
+        return null;
+    }
+  }
+
+  /**
+   * Olvida la sesión (p.ej. al cerrar la app)
+   */
+  reset() {
+    this._clearResumeTimer();
+    this.clientId = null;
+    this.lastMessageId = null;
+    this.resumePending = false;
+    this.pendingClientId = null;
+  }
+
+  _handleResumed(frame) {
+    const resumed = frame.ok !== false && frame.status !== 'expired';
+    this.resumePending = false;
+    this._clearResumeTimer();
+
+    if (!resumed) {
+      Logger.warn(COMPONENT_NAME, '⚠️ El servidor no pudo reanudar la sesión, se continúa con una nueva', frame);
+      this.clientId = this.pendingClientId || frame.client_id || null;
+      this.pendingClientId = null;
+      return [];
+    }
+
+    this.clientId = frame.client_id || this.clientId;
+    this.pendingClientId = null;
+
+    const messages = Array.isArray(frame.messages) ? frame.messages : [];
+    messages.forEach(message => this._track(message));
+    Logger.info(COMPONENT_NAME, `✅ Sesión reanudada, ${messages.length} mensajes reenviados`);
+    return messages;
+  }
+
+  /**
+   * Deja de esperar `resumed` y sigue con el cliente de la conexión nueva
+   * (si el servidor aún no lo envió, lo toma el próximo `connected`)
+   * @private
+   */
+  _abandonResume(reason) {
+    if (!this.resumePending) return;
+    this._clearResumeTimer();
+    Logger.warn(COMPONENT_NAME, `⚠️ Reanudación abandonada (${reason}), se continúa con una sesión nueva`);
+    this.resumePending = false;
+    this.clientId = this.pendingClientId;
+    this.pendingClientId = null;
+  }
+
+  _clearResumeTimer() {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+  }
+
+  _track(message) {
+    const id = message.message_id || message.id;
+    if (id) {
+      this.lastMessageId = id;
+    }
+  }
+}
+
+export default ChatSession;
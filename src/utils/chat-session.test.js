@@ -0,0 +1,121 @@
+/* eslint-disable camelcase */ // Frames del protocolo: client_id, message_id…
+
+import { ChatSession } from './chat-session';
+
+// Sesión ya establecida: primer `connected` y un mensaje con id
+const createEstablishedSession = (options) => {
+  const session = new ChatSession(options);
+  session.observe({ type: 'connected', client_id: 'client-1' });
+  session.observe({ type: 'text', message_id: 'msg-1', text: 'hola' });
+  return session;
+};
+
+describe('ChatSession', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('la primera conexión no envía resume', () => {
+    const session = new ChatSession();
+    expect(session.createResumeMessage()).toBeNull();
+  });
+
+  test('reanuda con el client_id anterior y el último mensaje recibido', () => {
+    const session = createEstablishedSession();
+    session.observe({ type: 'stream_done', id: 'msg-2' });
+    session.observe({ type: 'typing', id: 'no-cuenta' });
+
+    const resume = session.createResumeMessage();
+    expect(resume).toMatchObject({ type: 'resume', client_id: 'client-1', last_message_id: 'msg-2' });
+    session.reset();
+  });
+
+  test('resumed devuelve los mensajes reenviados y conserva la sesión', () => {
+    const session = createEstablishedSession();
+    session.createResumeMessage();
+    session.observe({ type: 'connected', client_id: 'client-2' });
+
+    const replayed = session.observe({
+      type: 'resumed',
+      ok: true,
+      client_id: 'client-1',
+      messages: [{ type: 'text', message_id: 'msg-3', text: 'perdido' }]
+    });
+
+    expect(replayed).toHaveLength(1);
+    expect(session.clientId).toBe('client-1');
+    expect(session.lastMessageId).toBe('msg-3');
+    expect(session.resumePending).toBe(false);
+  });
+
+  test('una sesión expirada adopta el client_id de la conexión nueva', () => {
+    const session = createEstablishedSession();
+    session.createResumeMessage();
+    session.observe({ type: 'connected', client_id: 'client-2' });
+
+    expect(session.observe({ type: 'resumed', ok: false, status: 'expired' })).toEqual([]);
+    expect(session.clientId).toBe('client-2');
+  });
+
+  describe('servidor sin soporte de resume', () => {
+    test('otro frame antes de resumed abandona la reanudación', () => {
+      const session = createEstablishedSession();
+      session.createResumeMessage();
+      session.observe({ type: 'connected', client_id: 'client-2' });
+      session.observe({ type: 'hello', version: 1 });
+      session.observe({ type: 'pong' });
+      expect(session.resumePending).toBe(true);
+
+      session.observe({ type: 'error', message: 'Tipo de mensaje desconocido: resume' });
+
+      expect(session.resumePending).toBe(false);
+      expect(session.clientId).toBe('client-2');
+      expect(session.createResumeMessage()).toMatchObject({ client_id: 'client-2' });
+      session.reset();
+    });
+
+    test('sin respuesta en resumeTimeout se sigue con la sesión nueva', () => {
+      jest.useFakeTimers();
+      const session = createEstablishedSession({ resumeTimeout: 1000 });
+      session.createResumeMessage();
+      session.observe({ type: 'connected', client_id: 'client-2' });
+
+      jest.advanceTimersByTime(1000);
+
+      expect(session.resumePending).toBe(false);
+      expect(session.clientId).toBe('client-2');
+    });
+
+    test('si connected llega después del timeout también se adopta', () => {
+      jest.useFakeTimers();
+      const session = createEstablishedSession({ resumeTimeout: 1000 });
+      session.createResumeMessage();
+
+      jest.advanceTimersByTime(1000);
+      session.observe({ type: 'connected', client_id: 'client-3' });
+
+      expect(session.clientId).toBe('client-3');
+    });
+
+    test('resumed a tiempo cancela el timeout', () => {
+      jest.useFakeTimers();
+      const session = createEstablishedSession({ resumeTimeout: 1000 });
+      session.createResumeMessage();
+      session.observe({ type: 'connected', client_id: 'client-2' });
+      session.observe({ type: 'resumed', ok: true, client_id: 'client-1', messages: [] });
+
+      jest.advanceTimersByTime(5000);
+      expect(session.clientId).toBe('client-1');
+    });
+  });
+
+  test('reset olvida la sesión y cancela la espera', () => {
+    jest.useFakeTimers();
+    const session = createEstablishedSession({ resumeTimeout: 1000 });
+    session.createResumeMessage();
+    session.reset();
+
+    expect(jest.getTimerCount()).toBe(0);
+    expect(session.createResumeMessage()).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * 🩺 Salud de los Endpoints WebSocket
+ *
+ * Lleva, para cada URL candidata del chat, cuántas conexiones salieron bien
+ * o mal, la latencia de las últimas aperturas y el último fallo. Con eso
+ * WebSocketManager elige el mejor endpoint en vez de rotar a ciegas.
+ *
+ * 📊 PUNTUACIÓN (0 - 1, más es mejor):
+ * - Tasa de éxito suavizada: (éxitos + 1) / (intentos + 2)
+ * - Penalización por latencia media: 1 / (1 + latencia / 1000)
+ * - Un fallo reciente (FAILURE_COOLDOWN) reduce la puntuación a la cuarta parte
+ *
+ * 💾 Todo se guarda en sessionStorage: al recargar la pestaña se reutiliza
+ * el endpoint elegido durante PREFERRED_TTL, pero no sobrevive entre sesiones.
+ */
+
+import Logger from './debug-utils';
+
+const COMPONENT_NAME = 'EndpointHealth';
+
+export const ENDPOINT_HEALTH_CONFIG = {
+  STORAGE_KEY: 'ws_endpoint_health',
+  PREFERRED_TTL: 10 * 60 * 1000,  // 10 minutos recordando el endpoint elegido
+  FAILURE_COOLDOWN: 30000,        // 30 segundos penalizando un endpoint que acaba de fallar
+  LATENCY_SAMPLES: 5,             // Latencias recientes que se promedian
+  RECENT_FAILURE_PENALTY: 0.25    // Factor aplicado a la puntuación durante el cooldown
+};
+
+const emptyStats = () => ({
+  successes: 0,
+  failures: 0,
+  latencies: [],
+  lastSuccessAt: null,
+  lastFailureAt: null
+});
+
+const average = (values) => (
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+export class EndpointHealthTracker {
+  /**
+   * @param {Storage|null} [storage] - Dónde persistir (sessionStorage por defecto)
+   */
+  constructor(storage = typeof window !== 'undefined' ? window.sessionStorage : null) {
+    this.storage = storage;
+    this.data = this._load();
+  }
+
+  _load() {
+    try {
+      const stored = this.storage && JSON.parse(this.storage.getItem(ENDPOINT_HEALTH_CONFIG.STORAGE_KEY));
+      if (stored && typeof stored.endpoints === 'object') {
+        return { preferred: stored.preferred || null, endpoints: stored.endpoints };
+      }
+    } catch (error) {
+      Logger.warn(COMPONENT_NAME, 'Salud de endpoints guardada inválida, se descarta', error);
+    }
+    return { preferred: null, endpoints: {} };
+  }
+
+  _save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(ENDPOINT_HEALTH_CONFIG.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      Logger.debug(COMPONENT_NAME, 'No se pudo guardar la salud de endpoints', error);
+    }
+  }
+
+  _stats(url) {
+    if (!this.data.endpoints[url]) {
+      this.data.endpoints[url] = emptyStats();
+    }
+    return this.data.endpoints[url];
+  }
+
+  /**
+   * Registra una conexión (o sonda) exitosa
+   * @param {string} url - Endpoint
+   * @param {number} [latency] - ms hasta abrir la conexión
+   */
+  recordSuccess(url, latency) {
+    const stats = this._stats(url);
+    stats.successes++;
+    stats.lastSuccessAt = Date.now();
+    if (Number.isFinite(latency)) {
+      stats.latencies = [...stats.latencies, Math.round(latency)].slice(-ENDPOINT_HEALTH_CONFIG.LATENCY_SAMPLES);
+    }
+    this._save();
+  }
+
+  /**
+   * Registra un fallo (servidor caído, timeout, error antes de abrir)
+   * @param {string} url - Endpoint
+   */
+  recordFailure(url) {
+    const stats = this._stats(url);
+    stats.failures++;
+    stats.lastFailureAt = Date.now();
+
+    // El endpoint recordado dejó de servir: se vuelve a elegir por puntuación
+    if (this.data.preferred?.url === url) {
+      this.data.preferred = null;
+    }
+    this._save();
+  }
+
+  /**
+   * @param {string} url - Endpoint
+   * @returns {boolean} true si falló hace menos de FAILURE_COOLDOWN
+   */
+  hasRecentFailure(url) {
+    const { lastFailureAt } = this.data.endpoints[url] || {};
+    return Boolean(lastFailureAt) && Date.now() - lastFailureAt < ENDPOINT_HEALTH_CONFIG.FAILURE_COOLDOWN;
+  }
+
+  /**
+   * Puntuación del endpoint (ver cabecera del archivo)
+   * @param {string} url - Endpoint
+   * @returns {number}
+   */
+  getScore(url) {
+    const stats = this.data.endpoints[url] || emptyStats();
+    const successRate = (stats.successes + 1) / (stats.successes + stats.failures + 2);
+    const latency = average(stats.latencies);
+    const latencyFactor = latency === null ? 1 : 1 / (1 + latency / 1000);
+    const penalty = this.hasRecentFailure(url) ? ENDPOINT_HEALTH_CONFIG.RECENT_FAILURE_PENALTY : 1;
+    return successRate * latencyFactor * penalty;
+  }
+
+  /**
+   * Ordena los candidatos de mejor a peor (empate = orden de configuración)
+   * @param {string[]} urls
+   * @returns {string[]}
+   */
+  rank(urls) {
+    return urls
+      .map((url, index) => ({ url, index, score: this.getScore(url) }))
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .map(({ url }) => url);
+  }
+
+  /**
+   * Endpoint recordado, si sigue vigente y no ha fallado
+   * @returns {string|null}
+   */
+  getPreferred() {
+    const { preferred } = this.data;
+    if (!preferred || preferred.until <= Date.now() || this.hasRecentFailure(preferred.url)) {
+      return null;
+    }
+    return preferred.url;
+  }
+
+  /**
+   * Recuerda el endpoint que funcionó durante PREFERRED_TTL
+   * @param {string} url
+   */
+  setPreferred(url) {
+    this.data.preferred = { url, until: Date.now() + ENDPOINT_HEALTH_CONFIG.PREFERRED_TTL };
+    this._save();
+  }
+
+  /**
+   * Elige el endpoint para el próximo intento
+   * @param {string[]} urls - Candidatos válidos
+   * @returns {string}
+   */
+  pickEndpoint(urls) {
+    const preferred = this.getPreferred();
+    if (preferred && urls.includes(preferred)) {
+      return preferred;
+    }
+    return this.rank(urls)[0];
+  }
+
+  /**
+   * Endpoints degradados: los que fallaron alguna vez y no son el activo
+   * (son los que vale la pena sondear para saber si ya se recuperaron)
+   * @param {string[]} urls - Candidatos
+   * @param {string|null} activeUrl - Endpoint en uso
+   * @returns {string[]} De mejor a peor puntuación
+   */
+  getDemoted(urls, activeUrl) {
+    return this.rank(urls).filter(url => url !== activeUrl && this.data.endpoints[url]?.lastFailureAt);
+  }
+
+  /**
+   * Resumen legible para diagnóstico
+   * @param {string[]} urls - Candidatos
+   * @returns {Array<Object>} { url, score, successRate, latency, successes, failures, lastFailureAt }
+   */
+  snapshot(urls) {
+    return urls.map(url => {
+      const stats = this.data.endpoints[url] || emptyStats();
+      const attempts = stats.successes + stats.failures;
+      const latency = average(stats.latencies);
+      return {
+        url,
+        score: Number(this.getScore(url).toFixed(3)),
+        successRate: attempts ? stats.successes / attempts : null,
+        latency: latency === null ? null : Math.round(latency),
+        successes: stats.successes,
+        failures: stats.failures,
+        lastFailureAt: stats.lastFailureAt
+      };
+    });
+  }
+}
+
+export default EndpointHealthTracker;
@@ -0,0 +1,146 @@
+import { EndpointHealthTracker, ENDPOINT_HEALTH_CONFIG } from './endpoint-health';
+
+const PRIMARY = 'wss://www.api.ovaonline.tech/api/chat';
+const BACKUP = 'wss://api.ovaonline.tech/api/chat';
+const LOCAL = 'ws://localhost:8000/api/chat';
+const URLS = [PRIMARY, BACKUP, LOCAL];
+
+// Storage en memoria con la interfaz de sessionStorage
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: jest.fn(key => (key in items ? items[key] : null)),
+    setItem: jest.fn((key, value) => { items[key] = String(value); })
+  };
+};
+
+describe('EndpointHealthTracker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-05-01T10:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('rank', () => {
+    test('sin historial respeta el orden de configuración', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      expect(tracker.rank(URLS)).toEqual(URLS);
+    });
+
+    test('ordena por tasa de éxito y latencia; los empates siguen la configuración', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.recordSuccess(LOCAL, 50);
+      tracker.recordSuccess(BACKUP, 100);
+
+      expect(tracker.rank(URLS)).toEqual([LOCAL, BACKUP, PRIMARY]);
+
+      // Mismo historial que LOCAL: empata y gana el que va antes en la configuración
+      tracker.recordSuccess(PRIMARY, 50);
+      expect(tracker.rank(URLS)).toEqual([PRIMARY, LOCAL, BACKUP]);
+    });
+
+    test('solo promedia las últimas LATENCY_SAMPLES latencias', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.recordSuccess(PRIMARY, 5000);
+      for (let i = 0; i < ENDPOINT_HEALTH_CONFIG.LATENCY_SAMPLES; i += 1) {
+        tracker.recordSuccess(PRIMARY, 100);
+      }
+
+      expect(tracker.snapshot([PRIMARY])[0]).toMatchObject({ latency: 100, successes: 6, successRate: 1 });
+    });
+  });
+
+  describe('fallo reciente', () => {
+    test('penaliza la puntuación durante FAILURE_COOLDOWN', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.recordFailure(PRIMARY);
+      const penalized = tracker.getScore(PRIMARY);
+
+      expect(tracker.hasRecentFailure(PRIMARY)).toBe(true);
+      expect(tracker.rank(URLS)[0]).toBe(BACKUP);
+
+      jest.advanceTimersByTime(ENDPOINT_HEALTH_CONFIG.FAILURE_COOLDOWN);
+
+      expect(tracker.hasRecentFailure(PRIMARY)).toBe(false);
+      expect(penalized).toBeCloseTo(tracker.getScore(PRIMARY) * ENDPOINT_HEALTH_CONFIG.RECENT_FAILURE_PENALTY);
+    });
+  });
+
+  describe('endpoint preferido', () => {
+    test('se usa hasta que expira PREFERRED_TTL', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.setPreferred(LOCAL);
+      expect(tracker.pickEndpoint(URLS)).toBe(LOCAL);
+
+      jest.advanceTimersByTime(ENDPOINT_HEALTH_CONFIG.PREFERRED_TTL);
+
+      expect(tracker.getPreferred()).toBeNull();
+      expect(tracker.pickEndpoint(URLS)).toBe(PRIMARY);
+    });
+
+    test('recordFailure lo olvida', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.setPreferred(LOCAL);
+      tracker.recordFailure(LOCAL);
+
+      expect(tracker.data.preferred).toBeNull();
+      jest.advanceTimersByTime(ENDPOINT_HEALTH_CONFIG.FAILURE_COOLDOWN);
+      expect(tracker.getPreferred()).toBeNull();
+    });
+
+    test('solo se elige si está entre los candidatos', () => {
+      const tracker = new EndpointHealthTracker(createStorage());
+      tracker.setPreferred(LOCAL);
+      expect(tracker.pickEndpoint([PRIMARY, BACKUP])).toBe(PRIMARY);
+    });
+  });
+
+  test('getDemoted devuelve los que fallaron, sin el activo', () => {
+    const tracker = new EndpointHealthTracker(createStorage());
+    tracker.recordFailure(PRIMARY);
+    tracker.recordFailure(BACKUP);
+    tracker.recordSuccess(LOCAL, 20);
+
+    expect(tracker.getDemoted(URLS, BACKUP)).toEqual([PRIMARY]);
+    expect(tracker.getDemoted(URLS, LOCAL)).toEqual([PRIMARY, BACKUP]);
+  });
+
+  describe('persistencia', () => {
+    test('una pestaña recargada recupera la salud y el preferido guardados', () => {
+      const storage = createStorage();
+      const tracker = new EndpointHealthTracker(storage);
+      tracker.recordSuccess(BACKUP, 30);
+      tracker.setPreferred(BACKUP);
+
+      const reloaded = new EndpointHealthTracker(storage);
+      expect(reloaded.getPreferred()).toBe(BACKUP);
+      expect(reloaded.snapshot([BACKUP])[0]).toMatchObject({ successes: 1, latency: 30 });
+    });
+
+    test.each([
+      ['JSON inválido', '{'],
+      ['sin endpoints', '{"preferred":null}'],
+      ['un valor que no es objeto', '42']
+    ])('descarta lo guardado corrupto (%s)', (_, stored) => {
+      const tracker = new EndpointHealthTracker(createStorage({ [ENDPOINT_HEALTH_CONFIG.STORAGE_KEY]: stored }));
+
+      expect(tracker.data).toEqual({ preferred: null, endpoints: {} });
+      expect(tracker.rank(URLS)).toEqual(URLS);
+    });
+
+    test('funciona sin storage y tolera un storage lleno', () => {
+      const full = createStorage();
+      full.setItem.mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+
+      [new EndpointHealthTracker(null), new EndpointHealthTracker(full)].forEach(tracker => {
+        expect(() => tracker.recordFailure(PRIMARY)).not.toThrow();
+        expect(tracker.rank(URLS)[0]).toBe(BACKUP);
+      });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Utilidades para deletreo manual (fingerspelling) a partir de predicciones ASL
+ *
+ * El modelo devuelve una letra por fotograma. Estas funciones convierten esa
+ * secuencia en texto: ignoran repeticiones de la misma letra, interpretan
+ * los gestos especiales (space/del/nothing) y una seña sostenida como
+ * separación de palabras.
+ *
+ * Todas las funciones son puras: reciben un estado y devuelven uno nuevo.
+ */
+
+import { ASL_CONFIG } from '../config/constants';
+
+// Etiquetas especiales del modelo (dataset ASL Alphabet)
+export const SPECIAL_GESTURES = {
+  SPACE: 'space',
+  DELETE: 'del',
+  NOTHING: 'nothing'
+};
+
+/**
+ * Estado inicial del compositor
+ * @returns {Object} Estado vacío
+ */
+export const createFingerspellingState = () => ({
+  tokens: [],          // Letras y espacios aceptados
+  lastLabel: null,     // Última etiqueta vista (para ignorar repeticiones)
+  lastLabelSince: 0,   // Momento en que empezó a verse lastLabel
+  holdConsumed: false  // Si la seña sostenida ya generó un espacio
+});
+
+/**
+ * Obtiene el texto compuesto
+ * @param {Object} state - Estado del compositor
+ * @returns {string} Texto con palabras separadas por espacios
+ */
+export const getFingerspellingText = (state) => state.tokens.join('');
+
+/**
+ * Agrega una separación de palabras (nunca dos seguidas ni al inicio)
+ * @param {Object} state - Estado del compositor
+ * @returns {Object} Nuevo estado
+ */
+export const addWordBreak = (state) => {
+  const last = state.tokens[state.tokens.length - 1];
+  if (!last || last === ' ') return state;
+  return { ...state, tokens: [...state.tokens, ' '] };
+};
+
+/**
+ * Agrega una letra explícitamente (sin debounce), p.ej. desde una imagen subida
+ * @param {Object} state - Estado del compositor
+ * @param {string} letter - Letra a agregar
+ * @returns {Object} Nuevo estado
+ */
+export const appendLetter = (state, letter) => {
+  if (!letter) return state;
+  return { ...state, tokens: [...state.tokens, letter.toUpperCase()] };
+};
+
+/**
+ * Deshace el último elemento (letra o espacio)
+ * @param {Object} state - Estado del compositor
+ * @returns {Object} Nuevo estado
+ */
+export const undoLast = (state) => ({
+  ...state,
+  tokens: state.tokens.slice(0, -1)
+});
+
+/**
+ * Reemplaza el texto completo (corrección manual del usuario)
+ * @param {Object} state - Estado del compositor
+ * @param {string} text - Texto corregido
+ * @returns {Object} Nuevo estado
+ */
+export const setFingerspellingText = (state, text) => ({
+  ...state,
+  tokens: text.toUpperCase().split('')
+});
+
+/**
+ * Aplica una predicción por fotograma al estado
+ *
+ * Reglas:
+ * - Confianza menor a minConfidence → se ignora
+ * - Misma etiqueta que la anterior → no se repite la letra; si se sostiene
+ *   más de holdMs se interpreta como separación de palabras
+ * - 'nothing' → reinicia el debounce (permite deletrear letras dobles)
+ * - 'space' → separación de palabras, 'del' → deshacer
+ * - discrete: cada predicción es una seña aparte (imagen subida), así que
+ *   repetir la etiqueta anterior sí agrega la letra (p.ej. la doble L)
+ *
+ * @param {Object} state - Estado del compositor
+ * @param {{prediction: string, confidence: number}} result - Predicción normalizada
+ * @param {number} [now] - Marca de tiempo en ms
+ * @param {Object} [options] - Umbrales y modo
+ * @param {boolean} [options.discrete] - La predicción viene de una imagen suelta, no de un fotograma
+ * @returns {Object} Nuevo estado
+ */
+export const applyPrediction = (state, result, now = Date.now(), options = {}) => {
+  const {
+    minConfidence = ASL_CONFIG.FINGERSPELLING_MIN_CONFIDENCE,
+    holdMs = ASL_CONFIG.FINGERSPELLING_HOLD_MS,
+    discrete = false
+  } = options;
+
+  if (!result?.prediction || result.confidence < minConfidence) return state;
+
+  const label = result.prediction.trim();
+  const normalized = label.toLowerCase();
+
+  if (normalized === SPECIAL_GESTURES.NOTHING) {
+    return { ...state, lastLabel: null, lastLabelSince: now, holdConsumed: false };
+  }
+
+  // Misma seña que el fotograma anterior: solo cuenta si se sostiene
+  if (!discrete && normalized === state.lastLabel) {
+    if (!state.holdConsumed && now - state.lastLabelSince >= holdMs) {
+      return { ...addWordBreak(state), holdConsumed: true };
+    }
+    return state;
+  }
+
+  const next = { ...state, lastLabel: normalized, lastLabelSince: now, holdConsumed: false };
+
+  if (normalized === SPECIAL_GESTURES.SPACE) return addWordBreak(next);
+  if (normalized === SPECIAL_GESTURES.DELETE) return undoLast(next);
+
+  // Solo letras o dígitos sueltos se agregan al texto
+  if (label.length !== 1) return next;
+
+  return appendLetter(next, label);
+};
+
+// Exportar objeto con todas las funciones
+const FingerspellingUtils = {
+  SPECIAL_GESTURES,
+  createFingerspellingState,
+  getFingerspellingText,
+  addWordBreak,
+  appendLetter,
+  undoLast,
+  setFingerspellingText,
+  applyPrediction
+};
+
+export default FingerspellingUtils;
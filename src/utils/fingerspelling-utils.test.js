@@ -0,0 +1,62 @@
+import {
+  createFingerspellingState,
+  getFingerspellingText,
+  applyPrediction,
+  addWordBreak,
+  setFingerspellingText
+} from './fingerspelling-utils';
+
+const OPTIONS = { minConfidence: 0.5, holdMs: 2000 };
+
+// Aplica una secuencia de [etiqueta, confianza, ms] y devuelve el texto
+const spell = (frames, options = OPTIONS) => getFingerspellingText(
+  frames.reduce(
+    (state, [prediction, confidence, now]) => applyPrediction(state, { prediction, confidence }, now, options),
+    createFingerspellingState()
+  )
+);
+
+describe('applyPrediction', () => {
+  test('ignora fotogramas repetidos de la misma letra', () => {
+    expect(spell([['H', 0.9, 0], ['H', 0.9, 100], ['O', 0.9, 200], ['L', 0.9, 300], ['A', 0.9, 400]])).toBe('HOLA');
+  });
+
+  test('descarta letras con confianza baja', () => {
+    expect(spell([['H', 0.9, 0], ['X', 0.2, 100], ['I', 0.8, 200]])).toBe('HI');
+  });
+
+  test('nothing reinicia el debounce para poder deletrear letras dobles', () => {
+    expect(spell([['L', 0.9, 0], ['nothing', 0.9, 100], ['L', 0.9, 200]])).toBe('LL');
+  });
+
+  test('space separa palabras y del deshace la última letra', () => {
+    expect(spell([['H', 0.9, 0], ['I', 0.9, 100], ['space', 0.9, 200], ['Y', 0.9, 300], ['del', 0.9, 400], ['O', 0.9, 500]])).toBe('HI O');
+  });
+
+  test('los gestos especiales en mayúsculas no se escriben como texto', () => {
+    expect(spell([['A', 0.9, 0], ['SPACE', 0.9, 100], ['NOTHING', 0.9, 200], ['DEL', 0.9, 300]])).toBe('A');
+  });
+
+  test('sostener una seña separa palabras una sola vez', () => {
+    expect(spell([['A', 0.9, 0], ['A', 0.9, 2500], ['A', 0.9, 5000], ['B', 0.9, 5100]])).toBe('A B');
+  });
+
+  test('ignora etiquetas de más de un carácter que no son gestos', () => {
+    expect(spell([['A', 0.9, 0], ['unknown', 0.9, 100]])).toBe('A');
+  });
+
+  test('en modo discrete la misma letra seguida sí se agrega', () => {
+    const options = { ...OPTIONS, discrete: true };
+    expect(spell([['L', 0.9, 0], ['L', 0.9, 100], ['space', 0.9, 200], ['del', 0.9, 300]], options)).toBe('LL');
+    expect(spell([['L', 0.3, 0]], options)).toBe('');
+  });
+});
+
+describe('edición manual', () => {
+  test('addWordBreak no agrega espacios al inicio ni dos seguidos', () => {
+    const state = addWordBreak(createFingerspellingState());
+    expect(getFingerspellingText(state)).toBe('');
+    const text = getFingerspellingText(addWordBreak(addWordBreak(setFingerspellingText(state, 'hola'))));
+    expect(text).toBe('HOLA ');
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * 🌐 Transporte HTTP de Respaldo (SSE / long-polling)
+ *
+ * Algunos proxies de colegios y empresas bloquean el upgrade a WebSocket:
+ * el servidor responde por HTTP pero el socket nunca abre. Para esos casos
+ * WebSocketManager usa este transporte, que imita la interfaz de WebSocket
+ * (readyState, send, close, onopen / onmessage / onclose / onerror y
+ * addEventListener) para que el resto del manager no cambie.
+ *
+ * 🔗 RUTAS (derivadas de la URL del WebSocket, ws://host/api/chat):
+ * - GET  http://host/api/chat/events?client_id=…    → Server-Sent Events (recepción)
+ * - GET  http://host/api/chat/poll?client_id=…      → long-polling si no hay EventSource
+ *                                                     o el stream SSE no llega a abrir
+ * - POST http://host/api/chat/messages?client_id=…  → envío (mismo JSON que por WebSocket;
+ *                                                     los fragmentos de audio como binario)
+ *
+ * 🤝 APERTURA: el transporte solo pasa a OPEN (y dispara onopen) cuando conoce
+ * el client_id, porque cada POST lo necesita. El servidor lo asigna:
+ * - SSE: en el primer evento, un frame `connected` { client_id }. Los eventos
+ *   anteriores a él se descartan; las cabeceras del stream no bastan para abrir.
+ * - long-polling: el primer GET /poll (sin client_id) es el handshake y el
+ *   servidor DEBE responderlo de inmediato con { client_id, messages } (sin
+ *   retenerlo como los siguientes). Si tarda más de HANDSHAKE_TIMEOUT, o responde
+ *   sin client_id, el transporte falla como un socket caído.
+ * Después el client_id se reutiliza en cada petición.
+ */
+
+import Logger from './debug-utils';
+import { isBinaryData } from './message-utils';
+
+const COMPONENT_NAME = 'HttpTransport';
+
+export const HTTP_TRANSPORT_CONFIG = {
+  EVENTS_PATH: '/events',
+  POLL_PATH: '/poll',
+  MESSAGES_PATH: '/messages',
+  POLL_TIMEOUT: 30000,       // 30 segundos máximo por petición de long-polling
+  HANDSHAKE_TIMEOUT: 5000,   // El primer GET /poll se responde al momento (menos que el CONNECTION_TIMEOUT del manager)
+  POLL_RETRY_DELAY: 1000,    // Pausa tras una respuesta sin mensajes o un error puntual
+  SEND_TIMEOUT: 10000,       // 10 segundos máximo por POST
+  CLOSE_ABNORMAL: 1006       // Mismo código que un WebSocket caído (el manager reconecta)
+};
+
+export const HTTP_TRANSPORT_MODES = {
+  SSE: 'sse',
+  POLLING: 'polling'
+};
+
+// Mismos valores que WebSocket.readyState
+const READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+/**
+ * Convierte la URL del WebSocket en la base HTTP del chat
+ * @param {string} wsUrl - ws://host/api/chat o wss://host/api/chat
+ * @returns {string} http://host/api/chat o https://host/api/chat
+ */
+export const toHttpBaseUrl = (wsUrl) => {
+  const parsed = new URL(wsUrl);
+  parsed.protocol = parsed.protocol === 'wss:' ? 'https:' : 'http:';
+  return parsed.toString().replace(/\/$/, '');
+};
+
+export class HttpFallbackTransport extends EventTarget {
+  /**
+   * @param {string} url - URL del WebSocket que sustituye (se convierte a HTTP)
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Forzar 'sse' o 'polling' (por defecto SSE si hay EventSource)
+   */
+  constructor(url, { mode } = {}) {
+    super();
+    this.url = url;
+    this.baseUrl = toHttpBaseUrl(url);
+    this.mode = mode || (typeof EventSource !== 'undefined' ? HTTP_TRANSPORT_MODES.SSE : HTTP_TRANSPORT_MODES.POLLING);
+    this.readyState = READY_STATES.CONNECTING;
+    this.clientId = null;
+    this.eventSource = null;
+    this.pollController = null;
+    this.pollTimer = null;
+    this.sendQueue = Promise.resolve();   // Los POST salen en orden, uno detrás de otro
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    // Como WebSocket: la conexión empieza sola, después de que el llamador registre los handlers
+    setTimeout(() => this._open(), 0);
+  }
+
+  /**
+   * Envía un mensaje por POST
+   * @param {string|Blob|ArrayBuffer} data - JSON ya serializado o fragmento binario
+   */
+  send(data) {
+    if (this.readyState !== READY_STATES.OPEN) {
+      throw new Error('HttpFallbackTransport no está abierto');
+    }
+
+    const binary = isBinaryData(data);
+    this.sendQueue = this.sendQueue
+      .then(() => this._post(data, binary))
+      .catch(error => {
+        Logger.warn(COMPONENT_NAME, `🚫 Error enviando por HTTP: ${error.message}`);
+        this._fail('Error enviando mensaje por HTTP');
+      });
+  }
+
+  /**
+   * Cierra el transporte (no dispara reconexiones: el close es limpio)
+   * @param {number} [code]
+   * @param {string} [reason]
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === READY_STATES.CLOSED) return;
+    this._teardown();
+    this._emitClose(code, reason, true);
+  }
+
+  _open() {
+    if (this.readyState !== READY_STATES.CONNECTING) return;
+
+    Logger.debug(COMPONENT_NAME, `🌐 Abriendo transporte HTTP (${this.mode}) en ${this.baseUrl}`);
+    if (this.mode === HTTP_TRANSPORT_MODES.SSE) {
+      this._openEventSource();
+    } else {
+      this._poll();
+    }
+  }
+
+  _openEventSource() {
+    const source = new EventSource(this._buildUrl(HTTP_TRANSPORT_CONFIG.EVENTS_PATH));
+    this.eventSource = source;
+
+    // Sin onopen: las cabeceras llegan antes que el client_id (se abre con el frame `connected`)
+    source.onmessage = (event) => this._receive(event.data);
+    source.onerror = () => {
+      if (this.readyState === READY_STATES.CONNECTING) {
+        // El stream no llegó a entregar el `connected` (proxy que corta o retiene SSE):
+        // se prueba con long-polling
+        Logger.warn(COMPONENT_NAME, '⚠️ Server-Sent Events no disponible, se usa long-polling');
+        source.close();
+        this.eventSource = null;
+        this.mode = HTTP_TRANSPORT_MODES.POLLING;
+        this._poll();
+        return;
+      }
+      // EventSource reintentaría por su cuenta: los reintentos (y la reanudación) los lleva el manager
+      this._fail('Stream de eventos interrumpido');
+    };
+  }
+
+  async _poll() {
+    if (this.readyState === READY_STATES.CLOSING || this.readyState === READY_STATES.CLOSED) return;
+
+    const controller = new AbortController();
+    this.pollController = controller;
+    const isHandshake = this.readyState === READY_STATES.CONNECTING;
+    const timeoutId = setTimeout(
+      () => controller.abort(),
+      isHandshake ? HTTP_TRANSPORT_CONFIG.HANDSHAKE_TIMEOUT : HTTP_TRANSPORT_CONFIG.POLL_TIMEOUT
+    );
+
+    try {
+      const response = await fetch(this._buildUrl(HTTP_TRANSPORT_CONFIG.POLL_PATH), {
+        method: 'GET',
+        cache: 'no-cache',
+        signal: controller.signal
+      });
+      clearTimeout(timeoutId);
+      if (this.pollController !== controller) return;
+
+      if (!response.ok) {
+        throw new Error(`Long-polling respondió ${response.status}`);
+      }
+
+      // { client_id?, messages: [ ...frames ] }
+      const body = await response.json();
+      if (body?.client_id) {
+        this.clientId = body.client_id;
+      }
+      if (this.clientId) {
+        this._markOpen();
+      }
+      (Array.isArray(body?.messages) ? body.messages : []).forEach(message => {
+        this._receive(typeof message === 'string' ? message : JSON.stringify(message));
+      });
+
+      if (this.readyState === READY_STATES.CONNECTING) {
+        throw new Error('El handshake de long-polling no asignó client_id');
+      }
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (this.pollController !== controller) return;
+
+      // Un timeout con la conexión abierta es normal: no había mensajes
+      if (error.name !== 'AbortError' || this.readyState !== READY_STATES.OPEN) {
+        const reason = error.name === 'AbortError' && isHandshake
+          ? `el servidor retuvo el handshake más de ${HTTP_TRANSPORT_CONFIG.HANDSHAKE_TIMEOUT}ms`
+          : error.message;
+        Logger.warn(COMPONENT_NAME, `🚫 Error en long-polling: ${reason}`);
+        this._fail('Long-polling interrumpido');
+        return;
+      }
+    }
+
+    this.pollTimer = setTimeout(() => this._poll(), this.readyState === READY_STATES.OPEN ? 0 : HTTP_TRANSPORT_CONFIG.POLL_RETRY_DELAY);
+  }
+
+  async _post(data, binary) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), HTTP_TRANSPORT_CONFIG.SEND_TIMEOUT);
+
+    try {
+      const response = await fetch(this._buildUrl(HTTP_TRANSPORT_CONFIG.MESSAGES_PATH), {
+        method: 'POST',
+        headers: { 'Content-Type': binary ? 'application/octet-stream' : 'application/json' },
+        body: data,
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`POST respondió ${response.status}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  _receive(data) {
+    if (this.readyState !== READY_STATES.OPEN && this.readyState !== READY_STATES.CONNECTING) return;
+
+    // El client_id llega en el frame `connected` (o cambia al reanudar con `resumed`):
+    // se usa en las peticiones siguientes
+    if (typeof data === 'string' && data.includes('client_id')) {
+      try {
+        const frame = JSON.parse(data);
+        const assignsClient = frame?.type === 'connected' || (frame?.type === 'resumed' && frame.ok !== false);
+        if (assignsClient && frame.client_id) {
+          this.clientId = frame.client_id;
+        }
+      } catch (error) {
+        // No es JSON: se entrega tal cual
+      }
+    }
+
+    if (this.readyState === READY_STATES.CONNECTING) {
+      if (!this.clientId) {
+        Logger.debug(COMPONENT_NAME, 'Frame recibido antes de `connected`, se descarta');
+        return;
+      }
+      // Como un WebSocket: onopen antes que el primer mensaje
+      this._markOpen();
+    }
+
+    this._emit('message', new MessageEvent('message', { data }));
+  }
+
+  _markOpen() {
+    if (this.readyState !== READY_STATES.CONNECTING) return;
+    this.readyState = READY_STATES.OPEN;
+    Logger.debug(COMPONENT_NAME, `✅ Transporte HTTP abierto (${this.mode})`);
+    this._emit('open', new Event('open'));
+  }
+
+  _fail(reason) {
+    if (this.readyState === READY_STATES.CLOSED) return;
+    this._teardown();
+    this._emit('error', new Event('error'));
+    this._emitClose(HTTP_TRANSPORT_CONFIG.CLOSE_ABNORMAL, reason, false);
+  }
+
+  _teardown() {
+    this.readyState = READY_STATES.CLOSING;
+    if (this.eventSource) {
+      this.eventSource.onopen = null;
+      this.eventSource.onmessage = null;
+      this.eventSource.onerror = null;
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.pollController) {
+      const controller = this.pollController;
+      this.pollController = null;
+      controller.abort();
+    }
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  _emitClose(code, reason, wasClean) {
+    this.readyState = READY_STATES.CLOSED;
+    const event = new Event('close');
+    Object.assign(event, { code, reason, wasClean });
+    this._emit('close', event);
+  }
+
+  _emit(type, event) {
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+    this.dispatchEvent(event);
+  }
+
+  _buildUrl(path) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    if (this.clientId) {
+      url.searchParams.set('client_id', this.clientId);
+    }
+    return url.toString();
+  }
+}
+
+HttpFallbackTransport.CONNECTING = READY_STATES.CONNECTING;
+HttpFallbackTransport.OPEN = READY_STATES.OPEN;
+HttpFallbackTransport.CLOSING = READY_STATES.CLOSING;
+HttpFallbackTransport.CLOSED = READY_STATES.CLOSED;
+
+export default HttpFallbackTransport;
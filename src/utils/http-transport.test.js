@@ -0,0 +1,217 @@
+/* eslint-disable camelcase */ // Frames del protocolo: client_id…
+
+import {
+  HttpFallbackTransport,
+  HTTP_TRANSPORT_CONFIG,
+  HTTP_TRANSPORT_MODES,
+  toHttpBaseUrl
+} from './http-transport';
+import { WS_CONFIG } from './websocket-manager';
+
+const WS_URL = 'ws://localhost:8787/api/chat';
+
+// EventSource controlado desde el test
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  emit(frame) {
+    this.onmessage?.({ data: JSON.stringify(frame) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+FakeEventSource.instances = [];
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+// Petición que solo termina al abortarla (long-polling retenido)
+const heldRequest = (options) => new Promise((resolve, reject) => {
+  options.signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Registra el orden de los eventos del transporte
+const record = (transport) => {
+  const events = [];
+  transport.onopen = () => events.push('open');
+  transport.onmessage = (event) => events.push(`message:${JSON.parse(event.data).type}`);
+  transport.onerror = () => events.push('error');
+  transport.onclose = (event) => events.push(`close:${event.code}`);
+  return events;
+};
+
+describe('HttpFallbackTransport', () => {
+  const originalFetch = global.fetch;
+  const originalEventSource = global.EventSource;
+
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+    global.fetch = jest.fn((url, options) => (options?.method === 'POST'
+      ? Promise.resolve(jsonResponse({ accepted: true }, 202))
+      : heldRequest(options)));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    global.fetch = originalFetch;
+    global.EventSource = originalEventSource;
+  });
+
+  test('toHttpBaseUrl convierte ws/wss en http/https', () => {
+    expect(toHttpBaseUrl(WS_URL)).toBe('http://localhost:8787/api/chat');
+    expect(toHttpBaseUrl('wss://www.api.ovaonline.tech/api/chat/')).toBe('https://www.api.ovaonline.tech/api/chat');
+  });
+
+  describe('SSE', () => {
+    test('no se abre hasta recibir el client_id en el frame connected', async () => {
+      const transport = new HttpFallbackTransport(WS_URL);
+      const events = record(transport);
+      await flush();
+
+      const [source] = FakeEventSource.instances;
+      expect(transport.mode).toBe(HTTP_TRANSPORT_MODES.SSE);
+      expect(source.url).toBe('http://localhost:8787/api/chat/events');
+
+      // Las cabeceras del stream llegan antes que el client_id
+      source.onopen?.();
+      source.emit({ type: 'typing', is_typing: true });
+      expect(transport.readyState).toBe(HttpFallbackTransport.CONNECTING);
+      expect(() => transport.send('{}')).toThrow();
+
+      source.emit({ type: 'connected', client_id: 'client-1' });
+      expect(transport.readyState).toBe(HttpFallbackTransport.OPEN);
+      expect(events).toEqual(['open', 'message:connected']);
+
+      transport.close();
+    });
+
+    test('los envíos hechos en onopen ya llevan el client_id', async () => {
+      const transport = new HttpFallbackTransport(WS_URL);
+      transport.onopen = () => transport.send(JSON.stringify({ type: 'hello' }));
+      await flush();
+
+      FakeEventSource.instances[0].emit({ type: 'connected', client_id: 'client-1' });
+      await flush();
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8787/api/chat/messages?client_id=client-1');
+      expect(options).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+      transport.close();
+    });
+
+    test('si el stream falla antes del connected pasa a long-polling', async () => {
+      const transport = new HttpFallbackTransport(WS_URL);
+      await flush();
+
+      const [source] = FakeEventSource.instances;
+      source.onerror();
+
+      expect(source.closed).toBe(true);
+      expect(transport.mode).toBe(HTTP_TRANSPORT_MODES.POLLING);
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8787/api/chat/poll');
+      transport.close();
+    });
+
+    test('un corte con el stream abierto cierra como un socket caído', async () => {
+      const transport = new HttpFallbackTransport(WS_URL);
+      const events = record(transport);
+      await flush();
+
+      const [source] = FakeEventSource.instances;
+      source.emit({ type: 'connected', client_id: 'client-1' });
+      source.onerror();
+
+      expect(events).toEqual(['open', 'message:connected', 'error', `close:${HTTP_TRANSPORT_CONFIG.CLOSE_ABNORMAL}`]);
+      expect(source.closed).toBe(true);
+    });
+
+    test('adopta el client_id de un resumed correcto', async () => {
+      const transport = new HttpFallbackTransport(WS_URL);
+      await flush();
+
+      const [source] = FakeEventSource.instances;
+      source.emit({ type: 'connected', client_id: 'client-2' });
+      source.emit({ type: 'resumed', ok: false, client_id: 'client-1' });
+      expect(transport.clientId).toBe('client-2');
+      source.emit({ type: 'resumed', ok: true, client_id: 'client-1' });
+      expect(transport.clientId).toBe('client-1');
+      transport.close();
+    });
+  });
+
+  describe('long-polling', () => {
+    test('el handshake asigna el client_id y abre antes de entregar los mensajes', async () => {
+      global.fetch.mockImplementationOnce(async () => jsonResponse({
+        client_id: 'client-1',
+        messages: [{ type: 'connected', client_id: 'client-1' }]
+      }));
+
+      const transport = new HttpFallbackTransport(WS_URL, { mode: HTTP_TRANSPORT_MODES.POLLING });
+      const events = record(transport);
+      await flush();
+      await flush();
+
+      expect(events).toEqual(['open', 'message:connected']);
+      // El siguiente poll ya lleva el client_id
+      expect(global.fetch.mock.calls[1][0]).toBe('http://localhost:8787/api/chat/poll?client_id=client-1');
+      transport.close();
+    });
+
+    test('un handshake sin client_id falla como un socket caído', async () => {
+      global.fetch.mockImplementationOnce(async () => jsonResponse({ messages: [{ type: 'typing' }] }));
+
+      const transport = new HttpFallbackTransport(WS_URL, { mode: HTTP_TRANSPORT_MODES.POLLING });
+      const events = record(transport);
+      await flush();
+      await flush();
+
+      expect(events).toEqual(['error', `close:${HTTP_TRANSPORT_CONFIG.CLOSE_ABNORMAL}`]);
+    });
+
+    test('un handshake retenido falla antes que el timeout de conexión del manager', async () => {
+      expect(HTTP_TRANSPORT_CONFIG.HANDSHAKE_TIMEOUT).toBeLessThan(WS_CONFIG.CONNECTION_TIMEOUT);
+      jest.useFakeTimers();
+      const transport = new HttpFallbackTransport(WS_URL, { mode: HTTP_TRANSPORT_MODES.POLLING });
+      const events = record(transport);
+
+      jest.advanceTimersByTime(0);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(HTTP_TRANSPORT_CONFIG.HANDSHAKE_TIMEOUT);
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(events).toEqual(['error', `close:${HTTP_TRANSPORT_CONFIG.CLOSE_ABNORMAL}`]);
+      expect(transport.readyState).toBe(HttpFallbackTransport.CLOSED);
+    });
+
+    test('un poll vacío con la conexión abierta no la cierra', async () => {
+      global.fetch
+        .mockImplementationOnce(async () => jsonResponse({ client_id: 'client-1', messages: [] }))
+        .mockImplementationOnce(async () => jsonResponse({ messages: [] }));
+      const transport = new HttpFallbackTransport(WS_URL, { mode: HTTP_TRANSPORT_MODES.POLLING });
+      const events = record(transport);
+      for (let tick = 0; tick < 4; tick += 1) {
+        await flush();
+      }
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(events).toEqual(['open']);
+      expect(transport.readyState).toBe(HttpFallbackTransport.OPEN);
+      transport.close();
+      expect(events).toEqual(['open', 'close:1000']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Utilidades de dispositivos de entrada (micrófono y cámara)
+ *
+ * - Lista los dispositivos con enumerateDevices
+ * - Recuerda el micrófono y la cámara elegidos (localStorage)
+ * - Avisa cuando se conecta o desconecta un dispositivo (devicechange)
+ * - Consulta el permiso sin abrir el micrófono (Permissions API)
+ *
+ * getAudioStream / getVideoStream (media-utils) usan el dispositivo guardado.
+ */
+
+import Logger from './debug-utils';
+
+const COMPONENT_NAME = 'MediaDevices';
+
+// 💾 Clave de localStorage con los dispositivos elegidos
+const STORAGE_KEY = 'media_device_preferences';
+
+export const MEDIA_DEVICE_KINDS = {
+  AUDIO_INPUT: 'audioinput',
+  VIDEO_INPUT: 'videoinput'
+};
+
+// Preferencia guardada para cada tipo de dispositivo
+const PREFERENCE_KEYS = {
+  [MEDIA_DEVICE_KINDS.AUDIO_INPUT]: 'audioInputId',
+  [MEDIA_DEVICE_KINDS.VIDEO_INPUT]: 'videoInputId'
+};
+
+/**
+ * Indica si el navegador permite listar dispositivos
+ * @returns {boolean}
+ */
+export const isDeviceSelectionSupported = () => {
+  return typeof navigator !== 'undefined' &&
+    Boolean(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices);
+};
+
+/**
+ * Dispositivos elegidos por el usuario (null = el predeterminado del sistema)
+ * @returns {{audioInputId: string|null, videoInputId: string|null}}
+ */
+export const getPreferredDeviceIds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      audioInputId: stored.audioInputId || null,
+      videoInputId: stored.videoInputId || null
+    };
+  } catch (error) {
+    Logger.warn(COMPONENT_NAME, 'Preferencias de dispositivos inválidas', error);
+    return { audioInputId: null, videoInputId: null };
+  }
+};
+
+/**
+ * Guarda el dispositivo elegido
+ * @param {string} kind - MEDIA_DEVICE_KINDS
+ * @param {string|null} deviceId - Id del dispositivo (null = predeterminado)
+ */
+export const setPreferredDevice = (kind, deviceId) => {
+  const key = PREFERENCE_KEYS[kind];
+  if (!key) return;
+
+  const preferences = { ...getPreferredDeviceIds(), [key]: deviceId || null };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  Logger.debug(COMPONENT_NAME, `Dispositivo ${kind} guardado`, { deviceId });
+};
+
+/**
+ * Lista micrófonos y cámaras
+ *
+ * Sin permiso concedido los navegadores devuelven etiquetas vacías:
+ * se numeran para que la lista siga siendo usable.
+ *
+ * @returns {Promise<{audioInputs: Array<{deviceId: string, label: string}>, videoInputs: Array<{deviceId: string, label: string}>}>}
+ */
+export const listMediaDevices = async () => {
+  if (!isDeviceSelectionSupported()) {
+    return { audioInputs: [], videoInputs: [] };
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const byKind = (kind, fallbackLabel) => devices
+    // 'default' y 'communications' son alias de Chrome: ya está la opción "Predeterminado"
+    .filter(device => device.kind === kind && device.deviceId && !['default', 'communications'].includes(device.deviceId))
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${fallbackLabel} ${index + 1}`
+    }));
+
+  return {
+    audioInputs: byKind(MEDIA_DEVICE_KINDS.AUDIO_INPUT, 'Micrófono'),
+    videoInputs: byKind(MEDIA_DEVICE_KINDS.VIDEO_INPUT, 'Cámara')
+  };
+};
+
+/**
+ * Escucha cambios de dispositivos (auriculares conectados o retirados...)
+ * @param {function} listener - Se llama sin argumentos en cada cambio
+ * @returns {function} Cancela la suscripción
+ */
+export const onDeviceChange = (listener) => {
+  if (!isDeviceSelectionSupported() || !navigator.mediaDevices.addEventListener) {
+    return () => {};
+  }
+  navigator.mediaDevices.addEventListener('devicechange', listener);
+  return () => navigator.mediaDevices.removeEventListener('devicechange', listener);
+};
+
+/**
+ * Consulta un permiso sin pedirlo (no abre el micrófono ni la cámara)
+ *
+ * Firefox y Safari antiguos no conocen 'microphone' / 'camera' en la
+ * Permissions API: en ese caso se devuelve 'unknown' y se deja intentar.
+ *
+ * @param {string} name - 'microphone' | 'camera'
+ * @param {function(string): void} [onChange] - Recibe el nuevo estado si el usuario lo cambia
+ * @returns {Promise<{state: string, unsubscribe: function}>} state: granted | denied | prompt | unknown
+ */
+export const queryMediaPermission = async (name, onChange) => {
+  const noop = () => {};
+  if (typeof navigator === 'undefined' || !navigator.permissions || !navigator.permissions.query) {
+    return { state: 'unknown', unsubscribe: noop };
+  }
+
+  try {
+    const status = await navigator.permissions.query({ name });
+    if (!onChange) {
+      return { state: status.state, unsubscribe: noop };
+    }
+    const handleChange = () => onChange(status.state);
+    status.addEventListener('change', handleChange);
+    return {
+      state: status.state,
+      unsubscribe: () => status.removeEventListener('change', handleChange)
+    };
+  } catch (error) {
+    Logger.debug(COMPONENT_NAME, `Permiso '${name}' no consultable en este navegador`);
+    return { state: 'unknown', unsubscribe: noop };
+  }
+};
+
+const MediaDevices = {
+  MEDIA_DEVICE_KINDS,
+  isDeviceSelectionSupported,
+  getPreferredDeviceIds,
+  setPreferredDevice,
+  listMediaDevices,
+  onDeviceChange,
+  queryMediaPermission
+};
+
+export default MediaDevices;
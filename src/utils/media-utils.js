@@ -3,22 +3,91 @@
  */
 
 import Logger from './debug-utils';
+import WavRecorder, { isWavRecordingSupported } from './wav-recorder';
+import { getPreferredDeviceIds, setPreferredDevice, MEDIA_DEVICE_KINDS } from './media-devices';
 
 const COMPONENT_NAME = 'MediaUtils';
 
 /**
- * Obtiene acceso al micrófono del usuario
+ * Formatos de grabación en orden de preferencia (se usa el primero que soporte MediaRecorder)
+ * - webm/opus: Chrome, Edge, Firefox
+ * - ogg/opus: Firefox antiguo
+ * - mp4/aac: Safari (iOS y macOS)
+ */
+export const AUDIO_RECORDING_FORMATS = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/ogg;codecs=opus',
+  'audio/ogg',
+  'audio/mp4;codecs=mp4a.40.2',
+  'audio/mp4',
+  'audio/aac'
+];
+
+// Extensión de archivo para cada tipo MIME (sin parámetros de codec)
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav'
+};
+
+/**
+ * Errores de getUserMedia que indican que el dispositivo pedido ya no existe
+ * @param {Error} error - Error de getUserMedia
+ * @returns {boolean}
+ */
+const isMissingDeviceError = (error) => {
+  return error && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError');
+};
+
+/**
+ * getUserMedia con el dispositivo elegido; si ya no está conectado,
+ * se olvida la preferencia y se usa el predeterminado
+ * @param {string} kind - MEDIA_DEVICE_KINDS
+ * @param {string|null} deviceId - Dispositivo elegido
+ * @param {function(Object): Object} buildConstraints - Recibe { deviceId } (o {}) y devuelve las constraints
+ * @returns {Promise<MediaStream>}
+ */
+const getUserMediaWithDevice = async (kind, deviceId, buildConstraints) => {
+  if (!deviceId) {
+    return navigator.mediaDevices.getUserMedia(buildConstraints({}));
+  }
+
+  try {
+    return await navigator.mediaDevices.getUserMedia(buildConstraints({ deviceId: { exact: deviceId } }));
+  } catch (error) {
+    if (!isMissingDeviceError(error)) throw error;
+    Logger.warn(COMPONENT_NAME, `El dispositivo elegido (${kind}) no está disponible: se usa el predeterminado`);
+    setPreferredDevice(kind, null);
+    return navigator.mediaDevices.getUserMedia(buildConstraints({}));
+  }
+};
+
+/**
+ * Obtiene acceso al micrófono del usuario (el elegido en la configuración, si hay)
+ * @param {Object} [options] - Opciones
+ * @param {string|null} [options.deviceId] - Micrófono concreto (por defecto el guardado)
  * @returns {Promise<MediaStream>} Stream de audio
  */
-export const getAudioStream = async () => {
+export const getAudioStream = async (options = {}) => {
+  const { deviceId = getPreferredDeviceIds().audioInputId } = options;
+
   try {
-    return await navigator.mediaDevices.getUserMedia({ 
+    return await getUserMediaWithDevice(MEDIA_DEVICE_KINDS.AUDIO_INPUT, deviceId, device => ({
       audio: {
+        ...device,
         echoCancellation: true,
         noiseSuppression: true,
         sampleRate: 16000
-      } 
-    });
+      }
+    }));
   } catch (error) {
     Logger.error(COMPONENT_NAME, 'Error al acceder al micrófono', error);
     throw new Error('No se pudo acceder al micrófono: ' + error.message);
@@ -26,22 +95,140 @@ export const getAudioStream = async () => {
 };
 
 /**
- * Crea un grabador de audio con configuración optimizada
+ * Obtiene acceso a la cámara del usuario (la elegida en la configuración, si hay)
+ * @param {Object} options - Opciones de captura
+ * @param {string|null} [options.deviceId] - Cámara concreta (por defecto la guardada; tiene prioridad sobre facingMode)
+ * @param {string} options.facingMode - Cámara preferida ('user' frontal, 'environment' trasera)
+ * @param {number} options.width - Ancho ideal en píxeles
+ * @param {number} options.height - Alto ideal en píxeles
+ * @returns {Promise<MediaStream>} Stream de video
+ */
+export const getVideoStream = async (options = {}) => {
+  const {
+    deviceId = getPreferredDeviceIds().videoInputId,
+    facingMode = 'user',
+    width = 640,
+    height = 480
+  } = options;
+
+  try {
+    return await getUserMediaWithDevice(MEDIA_DEVICE_KINDS.VIDEO_INPUT, deviceId, device => ({
+      video: {
+        ...(device.deviceId ? device : { facingMode }),
+        width: { ideal: width },
+        height: { ideal: height }
+      },
+      audio: false
+    }));
+  } catch (error) {
+    Logger.error(COMPONENT_NAME, 'Error al acceder a la cámara', error);
+    throw new Error('No se pudo acceder a la cámara: ' + error.message);
+  }
+};
+
+/**
+ * Detiene todos los tracks de un MediaStream y libera el hardware (micrófono/cámara)
+ * @param {MediaStream|null} stream - Stream a liberar
+ */
+export const stopMediaStream = (stream) => {
+  if (!stream) return;
+
+  stream.getTracks().forEach(track => {
+    track.stop();
+    Logger.debug(COMPONENT_NAME, `Track ${track.kind} liberado`);
+  });
+};
+
+/**
+ * Captura el fotograma actual de un elemento <video> como imagen
+ * @param {HTMLVideoElement} video - Elemento de video reproduciendo el stream
+ * @param {Object} options - Opciones de captura
+ * @param {string} options.mimeType - Formato de salida
+ * @param {number} options.quality - Calidad de compresión (0-1)
+ * @returns {Promise<Blob>} Fotograma capturado
+ */
+export const captureVideoFrame = (video, options = {}) => {
+  const { mimeType = 'image/jpeg', quality = 0.85 } = options;
+
+  return new Promise((resolve, reject) => {
+    if (!video || !video.videoWidth || !video.videoHeight) {
+      reject(new Error('El video aún no tiene fotogramas disponibles'));
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Error al capturar el fotograma'));
+        return;
+      }
+      resolve(blob);
+    }, mimeType, quality);
+  });
+};
+
+/**
+ * Devuelve el primer formato de AUDIO_RECORDING_FORMATS que soporta MediaRecorder
+ * @returns {string|null} Tipo MIME, o null si MediaRecorder no existe o no soporta ninguno
+ */
+export const getSupportedAudioMimeType = () => {
+  if (typeof window === 'undefined' || typeof window.MediaRecorder === 'undefined') {
+    return null;
+  }
+  // Safari < 14.1 tiene MediaRecorder sin isTypeSupported
+  if (typeof window.MediaRecorder.isTypeSupported !== 'function') {
+    return null;
+  }
+  return AUDIO_RECORDING_FORMATS.find(type => window.MediaRecorder.isTypeSupported(type)) || null;
+};
+
+/**
+ * Extensión de archivo para un tipo MIME de audio
+ * @param {string} mimeType - Tipo MIME (puede incluir ';codecs=...')
+ * @returns {string} Extensión sin punto ('webm' si no se reconoce)
+ */
+export const getAudioExtension = (mimeType) => {
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return AUDIO_EXTENSIONS[baseType] || 'webm';
+};
+
+/**
+ * Crea un grabador de audio con el mejor formato disponible
+ *
+ * Usa MediaRecorder con el primer formato soportado; si no hay ninguno
+ * recurre a WavRecorder (PCM con Web Audio). Ambos exponen mimeType con el
+ * formato real; supportsStreaming = false indica que no entrega fragmentos.
+ *
  * @param {MediaStream} stream - Stream de audio
- * @returns {MediaRecorder} Grabador de audio
+ * @returns {MediaRecorder|WavRecorder} Grabador de audio
  */
 export const createAudioRecorder = (stream) => {
-  const options = { 
-    mimeType: 'audio/webm',
-    audioBitsPerSecond: 16000
-  };
-  
+  const mimeType = getSupportedAudioMimeType();
+
   try {
-    return new MediaRecorder(stream, options);
+    if (mimeType) {
+      const recorder = new MediaRecorder(stream, {
+        mimeType,
+        audioBitsPerSecond: 16000
+      });
+      Logger.debug(COMPONENT_NAME, `Grabador de audio creado (${mimeType})`);
+      return recorder;
+    }
+
+    if (isWavRecordingSupported()) {
+      Logger.info(COMPONENT_NAME, 'MediaRecorder no soporta ningún formato conocido: se graba en WAV');
+      return new WavRecorder(stream);
+    }
   } catch (error) {
     Logger.error(COMPONENT_NAME, 'Error al crear grabador de audio', error);
     throw new Error('No se pudo crear el grabador de audio: ' + error.message);
   }
+
+  throw new Error('Tu navegador no permite grabar audio');
 };
 
 /**
@@ -165,6 +352,7 @@ export const playAudio = (audioSource) => {
  * @param {number} options.quality - Calidad de compresión (0-1)
  * @param {number} options.maxSizeBytes - Tamaño máximo en bytes
  * @param {Array<string>} options.allowedFormats - Formatos MIME permitidos
+ * @param {boolean} options.forceResize - Redimensionar aunque ya cumpla maxSizeBytes (p.ej. fotogramas de cámara)
  * @returns {Promise<{blob: Blob, tooBig: boolean, invalidFormat: boolean}>} Resultado de la optimización
  */
 export const optimizeImage = async (imageFile, options = {}) => {
@@ -173,7 +361,8 @@ export const optimizeImage = async (imageFile, options = {}) => {
     maxHeight = 900, 
     quality = 0.8, 
     maxSizeBytes = 5 * 1024 * 1024, // 5MB por defecto
-    allowedFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']
+    allowedFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+    forceResize = false
   } = options;
   
   try {
@@ -194,7 +383,7 @@ export const optimizeImage = async (imageFile, options = {}) => {
     }
     
     // Si la imagen ya es menor que el tamaño máximo, podríamos devolverla directamente
-    if (imageFile.size <= maxSizeBytes) {
+    if (!forceResize && imageFile.size <= maxSizeBytes) {
       Logger.debug(COMPONENT_NAME, `Imagen ya es menor que ${maxSizeBytes/1024/1024}MB, no requiere optimización`);
       return { 
         blob: imageFile, 
@@ -360,6 +549,11 @@ export const detectImageType = (file) => {
 // Exportar objeto con todas las funciones
 const MediaUtils = {
   getAudioStream,
+  getVideoStream,
+  stopMediaStream,
+  captureVideoFrame,
+  getSupportedAudioMimeType,
+  getAudioExtension,
   createAudioRecorder,
   blobToBase64,
   base64ToBlob,
@@ -0,0 +1,108 @@
+import {
+  AUDIO_RECORDING_FORMATS,
+  getSupportedAudioMimeType,
+  getAudioExtension,
+  createAudioRecorder
+} from './media-utils';
+import WavRecorder from './wav-recorder';
+
+// MediaRecorder falso que solo soporta los tipos indicados
+const mockMediaRecorder = (supported) => {
+  class FakeMediaRecorder {
+    constructor(stream, options) {
+      this.stream = stream;
+      this.mimeType = options.mimeType;
+    }
+  }
+  FakeMediaRecorder.isTypeSupported = jest.fn(type => supported.includes(type));
+  window.MediaRecorder = FakeMediaRecorder;
+  return FakeMediaRecorder;
+};
+
+describe('negociación del formato de grabación', () => {
+  const originalMediaRecorder = window.MediaRecorder;
+  const originalAudioContext = window.AudioContext;
+
+  afterEach(() => {
+    window.MediaRecorder = originalMediaRecorder;
+    window.AudioContext = originalAudioContext;
+  });
+
+  test('elige el primer formato soportado en orden de preferencia', () => {
+    mockMediaRecorder(['audio/mp4', 'audio/ogg;codecs=opus']);
+    expect(getSupportedAudioMimeType()).toBe('audio/ogg;codecs=opus');
+
+    mockMediaRecorder(AUDIO_RECORDING_FORMATS);
+    expect(getSupportedAudioMimeType()).toBe('audio/webm;codecs=opus');
+  });
+
+  test('sin MediaRecorder o sin isTypeSupported (Safari antiguo) no hay formato', () => {
+    delete window.MediaRecorder;
+    expect(getSupportedAudioMimeType()).toBeNull();
+
+    const FakeMediaRecorder = mockMediaRecorder(['audio/mp4']);
+    delete FakeMediaRecorder.isTypeSupported;
+    expect(getSupportedAudioMimeType()).toBeNull();
+  });
+
+  test('ningún formato soportado devuelve null', () => {
+    mockMediaRecorder([]);
+    expect(getSupportedAudioMimeType()).toBeNull();
+  });
+
+  describe('createAudioRecorder', () => {
+    const stream = { id: 'mic' };
+
+    test('usa MediaRecorder con el formato negociado', () => {
+      const FakeMediaRecorder = mockMediaRecorder(['audio/mp4']);
+      const recorder = createAudioRecorder(stream);
+
+      expect(recorder).toBeInstanceOf(FakeMediaRecorder);
+      expect(recorder.mimeType).toBe('audio/mp4');
+    });
+
+    test('recurre a WavRecorder si MediaRecorder no soporta ningún formato', () => {
+      mockMediaRecorder([]);
+      window.AudioContext = jest.fn();
+      const recorder = createAudioRecorder(stream);
+
+      expect(recorder).toBeInstanceOf(WavRecorder);
+      expect(recorder).toMatchObject({ mimeType: 'audio/wav', supportsStreaming: false, state: 'inactive' });
+    });
+
+    test('recurre a WavRecorder en Safari sin isTypeSupported', () => {
+      delete mockMediaRecorder([]).isTypeSupported;
+      window.AudioContext = jest.fn();
+
+      expect(createAudioRecorder(stream)).toBeInstanceOf(WavRecorder);
+    });
+
+    test('sin MediaRecorder ni Web Audio no se puede grabar', () => {
+      delete window.MediaRecorder;
+      delete window.AudioContext;
+
+      expect(() => createAudioRecorder(stream)).toThrow('Tu navegador no permite grabar audio');
+    });
+  });
+});
+
+describe('getAudioExtension', () => {
+  test.each([
+    ['audio/webm;codecs=opus', 'webm'],
+    ['audio/ogg; codecs=opus', 'ogg'],
+    ['audio/mp4;codecs=mp4a.40.2', 'm4a'],
+    ['AUDIO/MP4', 'm4a'],
+    ['audio/aac', 'aac'],
+    ['audio/mpeg', 'mp3'],
+    ['audio/wav', 'wav'],
+    ['audio/x-wav', 'wav']
+  ])('%s → %s', (mimeType, extension) => {
+    expect(getAudioExtension(mimeType)).toBe(extension);
+  });
+
+  test('los tipos desconocidos o vacíos usan webm', () => {
+    expect(getAudioExtension('audio/flac')).toBe('webm');
+    expect(getAudioExtension('')).toBe('webm');
+    expect(getAudioExtension(null)).toBe('webm');
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * 📮 Outbox - Cola persistente de mensajes salientes del chat
+ *
+ * Cuando el WebSocket está caído, los mensajes del usuario no se pierden:
+ * se guardan aquí (y en IndexedDB a través del adaptador de almacenamiento),
+ * se muestran como "pendientes" y se envían EN ORDEN cuando la conexión vuelve
+ * (WebSocketManager.onConnectionOpen → flushOutbox).
+ *
+ * Estados de cada elemento:
+ * - pending: esperando conexión (o un reintento del usuario)
+ * - awaiting_ack: ya salió por el socket, falta la confirmación del servidor
+ *   ({ type: 'ack', client_message_id })
+ * - failed: se intentó enviar MAX_ATTEMPTS veces sin éxito, el servidor lo
+ *   rechazó o no llegó el ack a tiempo; el usuario puede reintentar o cancelar
+ *
+ * Eventos: 'queued' → 'sent' (salió por el socket) → 'acked' (el servidor lo
+ * recibió; el elemento sale de la cola). También 'failed', 'retry' y 'cancelled'.
+ */
+
+import Logger from './debug-utils';
+import { WEBSOCKET_CONFIG } from '../config/constants';
+
+const COMPONENT_NAME = 'MessageOutbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  AWAITING_ACK: 'awaiting_ack',
+  FAILED: 'failed'
+};
+
+// Intentos de envío antes de marcar un mensaje como fallido
+export const OUTBOX_MAX_ATTEMPTS = 3;
+
+/**
+ * Cola de mensajes salientes con persistencia opcional
+ *
+ * El adaptador de almacenamiento (p.ej. ChatStorageService) debe exponer:
+ * - getOutbox(): Promise<Array<Object>>
+ * - putOutboxItem(item): Promise<any>
+ * - deleteOutboxItem(id): Promise<any>
+ */
+export class MessageOutbox {
+  /**
+   * @param {Object} [storage] - Adaptador de persistencia (sin él, la cola vive solo en memoria)
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.ackTimeout] - ms de espera del ack antes de marcar el mensaje como fallido
+   */
+  constructor(storage = null, { ackTimeout = WEBSOCKET_CONFIG.ACK_TIMEOUT } = {}) {
+    this.storage = storage;
+    this.ackTimeout = ackTimeout;
+    this.items = [];
+    this.listeners = new Set();
+    this.ackTimers = new Map();
+    this.isFlushing = false;
+  }
+
+  /**
+   * Restaura los elementos guardados de una sesión anterior
+   * @returns {Promise<Array<Object>>} Elementos restaurados
+   */
+  async load() {
+    if (!this.storage) return this.items;
+
+    const stored = await this.storage.getOutbox();
+    const known = new Set(this.items.map(item => item.id));
+    // Los que ya están vivos en this.items siguen con su propio estado y timer
+    // (p.ej. la segunda ejecución del efecto bajo React.StrictMode)
+    const restored = stored.filter(item => !known.has(item.id));
+
+    // Si la página se cerró esperando un ack no sabemos si el servidor lo recibió:
+    // el usuario decide si reenviarlo (el backend puede deduplicar por client_message_id)
+    restored
+      .filter(item => item.status === OUTBOX_STATUS.AWAITING_ACK)
+      .forEach(item => {
+        item.status = OUTBOX_STATUS.FAILED;
+        item.error = 'ack_timeout';
+        this._persist(item);
+        this._emit('failed', item);
+      });
+
+    this.items = [...restored, ...this.items]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (restored.length > 0) {
+      Logger.info(COMPONENT_NAME, `📮 ${restored.length} mensajes pendientes restaurados`);
+    }
+    return this.items;
+  }
+
+  /**
+   * Suscribe un listener a los cambios de la cola
+   * @param {function({type: string, item: Object})} listener - Recibe 'queued' | 'sent' | 'acked' | 'failed' | 'retry' | 'cancelled'
+   * @returns {function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notifica un cambio a todos los listeners
+   * @private
+   */
+  _emit(type, item) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ type, item });
+      } catch (error) {
+        Logger.error(COMPONENT_NAME, 'Error en listener del outbox', error);
+      }
+    });
+  }
+
+  /**
+   * Guarda o elimina un elemento en el almacenamiento (sin bloquear el envío)
+   * @private
+   */
+  _persist(item, remove = false) {
+    if (!this.storage) return;
+
+    const operation = remove ? this.storage.deleteOutboxItem(item.id) : this.storage.putOutboxItem(item);
+    Promise.resolve(operation).catch(error => {
+      Logger.error(COMPONENT_NAME, 'Error al persistir el outbox', error);
+    });
+  }
+
+  /**
+   * Quita un elemento de la cola (y su timer de ack)
+   * @private
+   */
+  _remove(item) {
+    this._clearAckTimer(item.id);
+    this.items = this.items.filter(queued => queued.id !== item.id);
+    this._persist(item, true);
+  }
+
+  /**
+   * Cancela la espera del ack de un elemento
+   * @private
+   */
+  _clearAckTimer(id) {
+    if (this.ackTimers.has(id)) {
+      clearTimeout(this.ackTimers.get(id));
+      this.ackTimers.delete(id);
+    }
+  }
+
+  /**
+   * Marca un elemento como fallido y avisa a los listeners
+   * @private
+   */
+  _fail(item, error) {
+    this._clearAckTimer(item.id);
+    item.status = OUTBOX_STATUS.FAILED;
+    item.error = error;
+    this._persist(item);
+    this._emit('failed', item);
+    Logger.warn(COMPONENT_NAME, `❌ Mensaje marcado como fallido (${error})`, { id: item.id });
+  }
+
+  /**
+   * Pasa un elemento a "esperando ack" y arranca su timer
+   * @private
+   */
+  _awaitAck(item) {
+    item.status = OUTBOX_STATUS.AWAITING_ACK;
+    item.sentAt = new Date().toISOString();
+    this._persist(item);
+    this.ackTimers.set(item.id, setTimeout(() => {
+      this.ackTimers.delete(item.id);
+      if (item.status === OUTBOX_STATUS.AWAITING_ACK) this._fail(item, 'ack_timeout');
+    }, this.ackTimeout));
+    this._emit('sent', item);
+  }
+
+  /**
+   * Agrega un mensaje a la cola
+   * @param {Object} payload - Mensaje del protocolo (createTextMessage, createAudioMessage...)
+   * @param {Object} meta - Metadatos
+   * @param {string} meta.id - Id local del mensaje (el mismo que ve ChatMessage)
+   * @param {string} [meta.conversationId] - Conversación del mensaje
+   * @returns {Object} Elemento encolado
+   */
+  enqueue(payload, { id, conversationId = null }) {
+    const item = {
+      id,
+      conversationId,
+      payload,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    this.items.push(item);
+    this._persist(item);
+    this._emit('queued', item);
+    Logger.debug(COMPONENT_NAME, `📮 Mensaje encolado (${this.items.length} en cola)`, { id, type: payload.type });
+    return item;
+  }
+
+  /**
+   * Envía en orden los mensajes pendientes
+   *
+   * Se detiene en el primer envío fallido para no desordenar la conversación:
+   * el resto espera a la próxima conexión.
+   *
+   * @param {function(Object): boolean} sendFn - Envía un payload y devuelve true si salió
+   * @returns {number} Cantidad de mensajes enviados
+   */
+  flush(sendFn) {
+    if (this.isFlushing) return 0;
+    this.isFlushing = true;
+    let sent = 0;
+
+    try {
+      for (const item of [...this.items]) {
+        if (item.status !== OUTBOX_STATUS.PENDING) continue;
+
+        let ok = false;
+        try {
+          ok = sendFn(item.payload) !== false;
+        } catch (error) {
+          Logger.error(COMPONENT_NAME, 'Error al enviar mensaje de la cola', error);
+        }
+
+        if (ok) {
+          // Queda en la cola hasta que el servidor confirme la recepción
+          this._awaitAck(item);
+          sent += 1;
+          continue;
+        }
+
+        item.attempts += 1;
+        if (item.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          this._fail(item, 'send_failed');
+        } else {
+          this._persist(item);
+        }
+        break;
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (sent > 0) {
+      Logger.info(COMPONENT_NAME, `📤 ${sent} mensajes de la cola enviados`);
+    }
+    return sent;
+  }
+
+  /**
+   * Registra un mensaje que ya salió por otra vía (p.ej. audio en streaming)
+   *
+   * Queda esperando el ack como cualquier otro; si falla, el reintento
+   * lo reenvía con `payload` por el camino normal.
+   *
+   * @param {Object} payload - Mensaje equivalente para reenviar (createAudioMessage...)
+   * @param {Object} meta - Mismos metadatos que enqueue
+   * @returns {Object} Elemento registrado
+   */
+  track(payload, { id, conversationId = null }) {
+    const item = {
+      id,
+      conversationId,
+      payload,
+      status: OUTBOX_STATUS.AWAITING_ACK,
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    this.items.push(item);
+    this._awaitAck(item);
+    Logger.debug(COMPONENT_NAME, '📮 Mensaje enviado por streaming, esperando ack', { id, type: payload.type });
+    return item;
+  }
+
+  /**
+   * Registra la confirmación del servidor (mensaje { type: 'ack' })
+   * @param {string} id - client_message_id confirmado
+   * @returns {Object|null} Elemento confirmado, o null si no estaba en la cola
+   */
+  acknowledge(id) {
+    const item = this.items.find(queued => queued.id === id);
+    if (!item) return null;
+
+    this._remove(item);
+    this._emit('acked', item);
+    return item;
+  }
+
+  /**
+   * Registra que el servidor rechazó un mensaje (ack con error)
+   * @param {string} id - client_message_id rechazado
+   * @param {string} [error] - Motivo informado por el servidor
+   * @returns {boolean} true si estaba en la cola
+   */
+  reject(id, error = 'rejected') {
+    const item = this.items.find(queued => queued.id === id);
+    if (!item) return false;
+
+    this._fail(item, error);
+    return true;
+  }
+
+  /**
+   * Vuelve a poner en cola un mensaje fallido
+   * @param {string} id - Id del mensaje
+   * @returns {boolean} true si existía
+   */
+  retry(id) {
+    const item = this.items.find(queued => queued.id === id);
+    if (!item) return false;
+
+    this._clearAckTimer(id);
+    item.status = OUTBOX_STATUS.PENDING;
+    item.attempts = 0;
+    delete item.error;
+    this._persist(item);
+    this._emit('retry', item);
+    return true;
+  }
+
+  /**
+   * Quita un mensaje de la cola sin enviarlo
+   * @param {string} id - Id del mensaje
+   * @returns {boolean} true si existía
+   */
+  cancel(id) {
+    const item = this.items.find(queued => queued.id === id);
+    if (!item) return false;
+
+    this._remove(item);
+    this._emit('cancelled', item);
+    return true;
+  }
+
+  /**
+   * Descarta los mensajes de una conversación (o todos) al borrar el historial
+   * @param {string|null} [conversationId] - Conversación a limpiar; null = toda la cola
+   * @returns {number} Cantidad de mensajes descartados
+   */
+  clear(conversationId = null) {
+    const discarded = this.items.filter(item => conversationId === null || item.conversationId === conversationId);
+    discarded.forEach(item => this.cancel(item.id));
+    return discarded.length;
+  }
+
+  /**
+   * Detiene los timers de ack (al desmontar el chat)
+   */
+  dispose() {
+    this.ackTimers.forEach(timer => clearTimeout(timer));
+    this.ackTimers.clear();
+  }
+
+  /**
+   * Cantidad de mensajes esperando envío
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.items.filter(item => item.status === OUTBOX_STATUS.PENDING).length;
+  }
+}
+
+export default MessageOutbox;
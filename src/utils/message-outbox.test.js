@@ -0,0 +1,166 @@
+import { MessageOutbox, OUTBOX_STATUS, OUTBOX_MAX_ATTEMPTS } from './message-outbox';
+
+// Adaptador en memoria con la misma interfaz que ChatStorageService
+const createStorage = (items = []) => {
+  const rows = new Map(items.map(item => [item.id, { ...item }]));
+  return {
+    rows,
+    getOutbox: jest.fn(async () => [...rows.values()].map(item => ({ ...item }))),
+    putOutboxItem: jest.fn(async item => rows.set(item.id, { ...item })),
+    deleteOutboxItem: jest.fn(async id => rows.delete(id))
+  };
+};
+
+const storedItem = (id, status, createdAt) => ({
+  id,
+  conversationId: 'conv-1',
+  payload: { type: 'text', text: id },
+  status,
+  attempts: 0,
+  createdAt
+});
+
+describe('MessageOutbox', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('load', () => {
+    test('restaura en orden y marca como fallidos los que esperaban ack', async () => {
+      const storage = createStorage([
+        storedItem('b', OUTBOX_STATUS.AWAITING_ACK, '2024-01-01T00:00:02.000Z'),
+        storedItem('a', OUTBOX_STATUS.PENDING, '2024-01-01T00:00:01.000Z')
+      ]);
+      const outbox = new MessageOutbox(storage);
+      const events = [];
+      outbox.subscribe(event => events.push(event));
+
+      const items = await outbox.load();
+
+      expect(items.map(item => item.id)).toEqual(['a', 'b']);
+      expect(items[1]).toMatchObject({ status: OUTBOX_STATUS.FAILED, error: 'ack_timeout' });
+      expect(events).toEqual([{ type: 'failed', item: items[1] }]);
+      expect(outbox.pendingCount).toBe(1);
+    });
+
+    test('no marca como fallidos los mensajes que siguen vivos (doble efecto de StrictMode)', async () => {
+      const storage = createStorage();
+      const outbox = new MessageOutbox(storage);
+      await outbox.load();
+
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+      outbox.flush(() => true);
+      await Promise.resolve();
+      expect(storage.rows.get('m1').status).toBe(OUTBOX_STATUS.AWAITING_ACK);
+
+      const events = [];
+      outbox.subscribe(event => events.push(event.type));
+      await outbox.load();
+
+      expect(outbox.items).toHaveLength(1);
+      expect(outbox.items[0].status).toBe(OUTBOX_STATUS.AWAITING_ACK);
+      expect(events).toEqual([]);
+      outbox.dispose();
+    });
+
+    test('sin almacenamiento devuelve la cola en memoria', async () => {
+      const outbox = new MessageOutbox();
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+      await expect(outbox.load()).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('flush', () => {
+    test('envía en orden y se detiene en el primer fallo', () => {
+      const outbox = new MessageOutbox();
+      ['m1', 'm2', 'm3'].forEach(id => outbox.enqueue({ type: 'text', text: id }, { id }));
+      const sent = [];
+
+      const count = outbox.flush(payload => {
+        if (payload.text === 'm2') return false;
+        sent.push(payload.text);
+        return true;
+      });
+
+      expect(count).toBe(1);
+      expect(sent).toEqual(['m1']);
+      expect(outbox.items.map(item => item.status)).toEqual([
+        OUTBOX_STATUS.AWAITING_ACK,
+        OUTBOX_STATUS.PENDING,
+        OUTBOX_STATUS.PENDING
+      ]);
+      outbox.dispose();
+    });
+
+    test('marca el mensaje como fallido tras OUTBOX_MAX_ATTEMPTS envíos fallidos', () => {
+      const outbox = new MessageOutbox();
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+
+      for (let attempt = 0; attempt < OUTBOX_MAX_ATTEMPTS; attempt += 1) {
+        outbox.flush(() => false);
+      }
+
+      expect(outbox.items[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, error: 'send_failed' });
+    });
+  });
+
+  describe('ack', () => {
+    test('el ack saca el mensaje de la cola', () => {
+      const outbox = new MessageOutbox();
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+      outbox.flush(() => true);
+
+      expect(outbox.acknowledge('m1')).toMatchObject({ id: 'm1' });
+      expect(outbox.items).toHaveLength(0);
+      expect(outbox.acknowledge('m1')).toBeNull();
+    });
+
+    test('sin ack a tiempo el mensaje pasa a fallido y se puede reintentar', () => {
+      jest.useFakeTimers();
+      const outbox = new MessageOutbox(null, { ackTimeout: 1000 });
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+      outbox.flush(() => true);
+
+      jest.advanceTimersByTime(999);
+      expect(outbox.items[0].status).toBe(OUTBOX_STATUS.AWAITING_ACK);
+      jest.advanceTimersByTime(1);
+      expect(outbox.items[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, error: 'ack_timeout' });
+
+      expect(outbox.retry('m1')).toBe(true);
+      expect(outbox.items[0]).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 0 });
+      expect(outbox.items[0].error).toBeUndefined();
+    });
+
+    test('un ack que llega a tiempo cancela el timer', () => {
+      jest.useFakeTimers();
+      const outbox = new MessageOutbox(null, { ackTimeout: 1000 });
+      const events = [];
+      outbox.subscribe(event => events.push(event.type));
+      outbox.track({ type: 'audio' }, { id: 'a1' });
+
+      outbox.acknowledge('a1');
+      jest.advanceTimersByTime(5000);
+
+      expect(events).toEqual(['sent', 'acked']);
+    });
+
+    test('reject marca el mensaje como fallido con el motivo del servidor', () => {
+      const outbox = new MessageOutbox();
+      outbox.enqueue({ type: 'text', text: 'hola' }, { id: 'm1' });
+      outbox.flush(() => true);
+
+      expect(outbox.reject('m1', 'too_long')).toBe(true);
+      expect(outbox.items[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, error: 'too_long' });
+      expect(outbox.reject('desconocido')).toBe(false);
+    });
+  });
+
+  test('clear descarta solo los mensajes de la conversación indicada', () => {
+    const outbox = new MessageOutbox();
+    outbox.enqueue({ type: 'text', text: '1' }, { id: 'm1', conversationId: 'a' });
+    outbox.enqueue({ type: 'text', text: '2' }, { id: 'm2', conversationId: 'b' });
+
+    expect(outbox.clear('a')).toBe(1);
+    expect(outbox.items.map(item => item.id)).toEqual(['m2']);
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * 📜 Protocolo de Mensajes Cliente ↔ Servidor (versionado)
+ *
+ * Declara, para cada tipo de MESSAGE_TYPES, qué campos lleva el frame en cada
+ * dirección ('in' = del servidor, 'out' = hacia el servidor) y los valida en
+ * tiempo de ejecución. Un frame mal formado no se descarta: se reporta al
+ * Logger con el campo que falla, para que cualquier desajuste entre frontend
+ * y backend aparezca en consola en cuanto ocurre.
+ *
+ * 🧾 FORMATO DE LOS CAMPOS:
+ * - 'string' | 'number' | 'boolean' | 'array' | 'object' | 'any' → obligatorio
+ * - con '?' al final ('string?') → opcional (puede faltar o ser null)
+ * - un array de valores (['message', 'dictation']) → enumerado obligatorio
+ *   (si incluye undefined es opcional: puede faltar o ser null)
+ * Los campos no declarados se aceptan (el backend puede añadir información).
+ *
+ * 🤝 HANDSHAKE DE VERSIÓN:
+ * Al abrir la conexión el cliente envía `hello` { version, min_version } y el
+ * servidor responde con su `hello`; checkProtocolVersion decide si son compatibles
+ * (si no lo son, ChatConnectionProvider expone el motivo como protocolError).
+ * Todos los frames salientes llevan `version` (ver los creadores de message-utils).
+ */
+
+/* eslint-disable camelcase */ // Frames del protocolo: client_id, stream_id, min_version…
+
+import Logger from './debug-utils';
+
+const COMPONENT_NAME = 'MessageProtocol';
+
+// Versión del protocolo que habla este frontend y la mínima del servidor que acepta
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Tipos de mensajes soportados
+ */
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  AUDIO: 'audio',
+  IMAGE: 'image',
+  SIGN_LANGUAGE: 'sign_language',
+  TYPING: 'typing',
+  ERROR: 'error',
+  ACK: 'ack',
+  STREAM_CHUNK: 'stream_chunk',
+  STREAM_DONE: 'stream_done',
+  CANCEL: 'cancel',
+  AUDIO_STREAM_START: 'audio_stream_start',
+  AUDIO_STREAM_END: 'audio_stream_end',
+  TRANSCRIPTION: 'transcription',
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  RESUME: 'resume',
+  RESUMED: 'resumed',
+  HELLO: 'hello',
+  PING: 'ping',
+  PONG: 'pong'
+};
+
+export const DIRECTIONS = {
+  IN: 'in',
+  OUT: 'out'
+};
+
+// Campos comunes
+const INCOMING_BASE = { version: 'number?' };
+const OUTGOING_BASE = { version: 'number', timestamp: 'string' };
+const UI_MESSAGE_IN = {
+  id: 'string?',
+  is_user: 'boolean?',
+  conversation_id: 'string?',
+  timestamp: 'string?'
+};
+
+/**
+ * Esquema de cada tipo: { in?: campos del servidor, out?: campos del cliente }
+ * Un tipo sin la dirección correspondiente no se espera en ese sentido.
+ */
+export const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.TEXT]: {
+    in: { ...UI_MESSAGE_IN, text: 'string' },
+    out: {
+      text: 'string',
+      is_user: 'boolean',
+      conversation_id: 'string?',
+      client_message_id: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.AUDIO]: {
+    in: { ...UI_MESSAGE_IN, text: 'string?', audio: 'string' },
+    out: {
+      audio: 'string',
+      text: 'string?',
+      mime_type: 'string',
+      extension: 'string?',
+      is_user: 'boolean',
+      conversation_id: 'string?',
+      client_message_id: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.IMAGE]: {
+    in: { ...UI_MESSAGE_IN, text: 'string?', image: 'string?', objects: 'array?' },
+    out: {
+      image: 'string',
+      text: 'string?',
+      is_user: 'boolean'
+    }
+  },
+  [MESSAGE_TYPES.SIGN_LANGUAGE]: {
+    in: {
+      ...UI_MESSAGE_IN,
+      text: 'string?',
+      image: 'string?',
+      prediction: 'string?',
+      confidence: 'number?',
+      alternatives: 'array?'
+    }
+  },
+  [MESSAGE_TYPES.TYPING]: {
+    in: { is_typing: 'boolean?' },
+    out: { is_typing: 'boolean' }
+  },
+  [MESSAGE_TYPES.ERROR]: {
+    in: { error: 'string', code: 'any?', details: 'any?' }
+  },
+  [MESSAGE_TYPES.ACK]: {
+    in: {
+      client_message_id: 'string',
+      message_id: 'string?',
+      id: 'string?',
+      status: ['received', 'error', undefined],
+      error: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.STREAM_CHUNK]: {
+    in: {
+      stream_id: 'string?',
+      id: 'string?',
+      text: 'string?',
+      delta: 'string?',
+      conversation_id: 'string?',
+      timestamp: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.STREAM_DONE]: {
+    in: {
+      stream_id: 'string?',
+      id: 'string?',
+      text: 'string?',
+      cancelled: 'boolean?',
+      conversation_id: 'string?',
+      timestamp: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.CANCEL]: {
+    out: {
+      stream_id: 'string?',
+      conversation_id: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.AUDIO_STREAM_START]: {
+    out: {
+      stream_id: 'string',
+      mime_type: 'string',
+      extension: 'string?',
+      is_user: 'boolean',
+      conversation_id: 'string?',
+      client_message_id: 'string?',
+      purpose: ['message', 'dictation']
+    }
+  },
+  [MESSAGE_TYPES.AUDIO_STREAM_END]: {
+    out: {
+      stream_id: 'string',
+      chunks: 'number',
+      cancelled: 'boolean'
+    }
+  },
+  [MESSAGE_TYPES.TRANSCRIPTION]: {
+    in: {
+      stream_id: 'string',
+      text: 'string?',
+      is_final: 'boolean?',
+      done: 'boolean?'
+    }
+  },
+  [MESSAGE_TYPES.CONNECTED]: {
+    in: { client_id: 'string?' }
+  },
+  [MESSAGE_TYPES.DISCONNECTED]: {
+    in: {}
+  },
+  [MESSAGE_TYPES.RESUME]: {
+    out: {
+      client_id: 'string',
+      last_message_id: 'string?'
+    }
+  },
+  [MESSAGE_TYPES.RESUMED]: {
+    in: {
+      ok: 'boolean?',
+      status: 'string?',
+      client_id: 'string?',
+      messages: 'array?'
+    }
+  },
+  [MESSAGE_TYPES.HELLO]: {
+    in: { version: 'number', min_version: 'number?' },
+    out: { min_version: 'number', client: 'string?' }
+  },
+  [MESSAGE_TYPES.PING]: {
+    out: { timestamp: 'number' }
+  },
+  [MESSAGE_TYPES.PONG]: {
+    in: { timestamp: 'number?' }
+  }
+};
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Comprueba un valor contra la especificación de un campo
+ * @returns {string|null} Motivo del fallo o null si es válido
+ */
+const checkField = (spec, value) => {
+  if (Array.isArray(spec)) {
+    // Un enumerado que admite undefined es opcional: también acepta null (None en el backend)
+    const allowed = spec.includes(value) || (value === null && spec.includes(undefined));
+    return allowed
+      ? null
+      : `se esperaba uno de ${spec.filter(v => v !== undefined).map(v => `"${v}"`).join(', ')}, llegó ${JSON.stringify(value)}`;
+  }
+
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined || value === null) {
+    return optional ? null : `obligatorio (${type}), llegó ${describe(value)}`;
+  }
+  if (type === 'any' || describe(value) === type) {
+    return null;
+  }
+  return `se esperaba ${type}, llegó ${describe(value)}`;
+};
+
+// Un frame entrante sin type es texto (igual que en processIncomingMessage)
+const resolveType = (frame, direction) => frame.type ?? (direction === DIRECTIONS.IN ? MESSAGE_TYPES.TEXT : undefined);
+
+/**
+ * Valida un frame contra el esquema de su tipo
+ * @param {Object} frame - Mensaje ya parseado (formato del backend, snake_case)
+ * @param {string} [direction] - DIRECTIONS.IN (del servidor) o DIRECTIONS.OUT (hacia el servidor)
+ * @returns {{valid: boolean, errors: Array<{field: string, reason: string}>}}
+ */
+export const validateFrame = (frame, direction = DIRECTIONS.IN) => {
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return { valid: false, errors: [{ field: '(frame)', reason: `se esperaba un objeto, llegó ${describe(frame)}` }] };
+  }
+
+  const type = resolveType(frame, direction);
+  const schema = MESSAGE_SCHEMAS[type];
+  if (!schema) {
+    return { valid: false, errors: [{ field: 'type', reason: `tipo desconocido ${JSON.stringify(type)}` }] };
+  }
+
+  const fields = schema[direction];
+  if (!fields) {
+    const expected = direction === DIRECTIONS.IN ? 'del servidor' : 'hacia el servidor';
+    return { valid: false, errors: [{ field: 'type', reason: `"${type}" no se espera ${expected}` }] };
+  }
+
+  const declared = { ...(direction === DIRECTIONS.IN ? INCOMING_BASE : OUTGOING_BASE), ...fields };
+  const errors = Object.entries(declared)
+    .map(([field, spec]) => ({ field, reason: checkField(spec, frame[field]) }))
+    .filter(({ reason }) => reason !== null);
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Reporta al Logger un frame que no cumple el protocolo
+ * @param {Object} frame - Frame validado
+ * @param {Array<{field: string, reason: string}>} errors - Resultado de validateFrame
+ * @param {string} [direction] - 'in' | 'out'
+ */
+export const reportInvalidFrame = (frame, errors, direction = DIRECTIONS.IN) => {
+  const label = direction === DIRECTIONS.IN ? 'entrante' : 'saliente';
+  const type = frame && typeof frame === 'object' ? resolveType(frame, direction) : undefined;
+  const summary = errors.map(({ field, reason }) => `"${field}" ${reason}`).join('; ');
+  Logger.warn(COMPONENT_NAME, `📜 Frame ${label} "${type ?? '?'}" no cumple el protocolo v${PROTOCOL_VERSION}: ${summary}`, { errors, frame });
+};
+
+/**
+ * Valida y, si falla, reporta (atajo para los puntos de entrada / salida de la conexión)
+ * @param {Object} frame - Mensaje parseado
+ * @param {string} [direction] - 'in' | 'out'
+ * @returns {boolean} true si el frame es válido
+ */
+export const checkFrame = (frame, direction = DIRECTIONS.IN) => {
+  const { valid, errors } = validateFrame(frame, direction);
+  if (!valid) {
+    reportInvalidFrame(frame, errors, direction);
+  }
+  return valid;
+};
+
+/**
+ * Compara la versión anunciada por el servidor (su `hello`) con la del cliente
+ * @param {Object} hello - Frame `hello` del servidor { version, min_version? }
+ * @returns {{compatible: boolean, serverVersion: number|null, clientVersion: number, error: string|null}}
+ *   error: motivo legible para la interfaz cuando no son compatibles
+ */
+export const checkProtocolVersion = (hello) => {
+  const serverVersion = Number.isInteger(hello?.version) ? hello.version : null;
+  const serverMinVersion = Number.isInteger(hello?.min_version) ? hello.min_version : serverVersion;
+  const compatible = serverVersion !== null &&
+    serverVersion >= MIN_PROTOCOL_VERSION &&
+    serverMinVersion <= PROTOCOL_VERSION;
+
+  let error = null;
+  if (compatible) {
+    Logger.info(COMPONENT_NAME, `🤝 Protocolo acordado: cliente v${PROTOCOL_VERSION}, servidor v${serverVersion}`);
+  } else {
+    if (serverVersion === null) {
+      error = 'El servidor no indicó la versión del protocolo';
+    } else if (serverVersion < MIN_PROTOCOL_VERSION) {
+      error = `El servidor usa el protocolo v${serverVersion} y esta versión de la app necesita v${MIN_PROTOCOL_VERSION} o superior`;
+    } else {
+      error = `El servidor necesita el protocolo v${serverMinVersion} o superior y esta versión de la app usa v${PROTOCOL_VERSION}: recarga la página`;
+    }
+    Logger.error(COMPONENT_NAME, `🤝 Protocolo incompatible: cliente v${PROTOCOL_VERSION} (acepta desde v${MIN_PROTOCOL_VERSION}), servidor v${serverVersion ?? '?'} (acepta desde v${serverMinVersion ?? '?'})`, hello);
+  }
+  return { compatible, serverVersion, clientVersion: PROTOCOL_VERSION, error };
+};
+
+const MessageProtocol = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  MESSAGE_SCHEMAS,
+  DIRECTIONS,
+  validateFrame,
+  reportInvalidFrame,
+  checkFrame,
+  checkProtocolVersion
+};
+
+export default MessageProtocol;
@@ -0,0 +1,119 @@
+/* eslint-disable camelcase */ // Frames del protocolo: client_message_id, is_user…
+
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  DIRECTIONS,
+  validateFrame,
+  checkProtocolVersion
+} from './message-protocol';
+import {
+  createTextMessage,
+  createAudioMessage,
+  createCancelMessage,
+  createResumeMessage,
+  createHelloMessage,
+  createAudioStreamStartMessage,
+  createAudioStreamEndMessage,
+  createTypingMessage
+} from './message-utils';
+
+const fields = (result) => result.errors.map(error => error.field);
+
+describe('validateFrame', () => {
+  test('los mensajes que crea message-utils cumplen el protocolo de salida', () => {
+    const frames = [
+      createTextMessage('hola', true, 'conv-1', 'c1'),
+      createAudioMessage('UklGRg==', '', null, 'c2', 'audio/wav'),
+      createCancelMessage('stream-1'),
+      createResumeMessage('client-1', 'msg-1'),
+      createHelloMessage(),
+      createAudioStreamStartMessage('stream-2', 'audio/webm'),
+      createAudioStreamEndMessage('stream-2', 3),
+      createTypingMessage(true)
+    ];
+
+    frames.forEach(frame => {
+      expect({ type: frame.type, ...validateFrame(frame, DIRECTIONS.OUT) }).toEqual({ type: frame.type, valid: true, errors: [] });
+    });
+  });
+
+  test('acepta frames entrantes válidos y campos no declarados', () => {
+    expect(validateFrame({ type: 'ack', client_message_id: 'c1', status: 'received', extra: 1 }).valid).toBe(true);
+    expect(validateFrame({ type: 'connected', client_id: 'client-1', version: 1 }).valid).toBe(true);
+  });
+
+  test('un enumerado opcional acepta null como si faltara', () => {
+    expect(validateFrame({ type: 'ack', client_message_id: 'c1', status: null })).toEqual({ valid: true, errors: [] });
+    expect(validateFrame({ type: 'ack', client_message_id: 'c1' }).valid).toBe(true);
+    // Un enumerado obligatorio sigue rechazando null
+    const start = { ...createAudioStreamStartMessage('stream-1', 'audio/webm'), purpose: null };
+    expect(fields(validateFrame(start, DIRECTIONS.OUT))).toEqual(['purpose']);
+  });
+
+  test('un frame entrante sin type se valida como texto', () => {
+    expect(validateFrame({ text: 'hola' })).toEqual({ valid: true, errors: [] });
+    expect(fields(validateFrame({ message: 'hola' }))).toEqual(['text']);
+  });
+
+  test('un frame saliente sin type no es válido', () => {
+    expect(validateFrame({ text: 'hola' }, DIRECTIONS.OUT).errors[0]).toMatchObject({ field: 'type' });
+  });
+
+  test('informa el campo y el motivo de cada error', () => {
+    const result = validateFrame({ type: 'ack', client_message_id: 5, status: 'done' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'client_message_id', reason: 'se esperaba string, llegó number' },
+      { field: 'status', reason: 'se esperaba uno de "received", "error", llegó "done"' }
+    ]);
+  });
+
+  test('rechaza tipos desconocidos, direcciones inesperadas y frames que no son objetos', () => {
+    expect(validateFrame({ type: 'bailar' }).errors[0].reason).toBe('tipo desconocido "bailar"');
+    expect(validateFrame({ type: 'cancel' }).errors[0].reason).toBe('"cancel" no se espera del servidor');
+    expect(validateFrame({ type: 'pong' }, DIRECTIONS.OUT).errors[0].reason).toBe('"pong" no se espera hacia el servidor');
+    expect(fields(validateFrame(['hola']))).toEqual(['(frame)']);
+    expect(fields(validateFrame(null))).toEqual(['(frame)']);
+  });
+
+  test('los frames salientes deben llevar version y timestamp', () => {
+    expect(fields(validateFrame({ type: 'typing', is_typing: true }, DIRECTIONS.OUT))).toEqual(['version', 'timestamp']);
+  });
+});
+
+describe('checkProtocolVersion', () => {
+  test('acepta un servidor con la misma versión', () => {
+    expect(checkProtocolVersion({ type: 'hello', version: PROTOCOL_VERSION })).toEqual({
+      compatible: true,
+      serverVersion: PROTOCOL_VERSION,
+      clientVersion: PROTOCOL_VERSION,
+      error: null
+    });
+  });
+
+  test('acepta un servidor más nuevo que aún habla nuestra versión', () => {
+    expect(checkProtocolVersion({ version: PROTOCOL_VERSION + 1, min_version: PROTOCOL_VERSION }).compatible).toBe(true);
+  });
+
+  test('rechaza un servidor que exige una versión más nueva', () => {
+    const result = checkProtocolVersion({ version: PROTOCOL_VERSION + 1, min_version: PROTOCOL_VERSION + 1 });
+    expect(result.compatible).toBe(false);
+    expect(result.error).toMatch(/recarga la página/);
+  });
+
+  test('rechaza un servidor más antiguo que la mínima aceptada', () => {
+    const result = checkProtocolVersion({ version: MIN_PROTOCOL_VERSION - 1 });
+    expect(result.compatible).toBe(false);
+    expect(result.error).toMatch(`necesita v${MIN_PROTOCOL_VERSION}`);
+  });
+
+  test('rechaza un hello sin versión', () => {
+    expect(checkProtocolVersion({ type: 'hello' })).toMatchObject({
+      compatible: false,
+      serverVersion: null,
+      error: 'El servidor no indicó la versión del protocolo'
+    });
+  });
+});
@@ -2,36 +2,54 @@
  * Utilidades para manejar mensajes estandarizados entre cliente y servidor
  */
 
+/* eslint-disable camelcase */ // Frames del protocolo: is_user, conversation_id, client_message_id…
+
 import Logger from './debug-utils';
+import { getAudioExtension } from './media-utils';
+import { MESSAGE_TYPES, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from './message-protocol';
 
 const COMPONENT_NAME = 'MessageUtils';
 
+// Los tipos y su esquema viven en message-protocol.js (se reexportan por compatibilidad)
+export { MESSAGE_TYPES, PROTOCOL_VERSION };
+
 /**
- * Tipos de mensajes soportados
+ * Estados de envío de los mensajes del usuario (se muestran en ChatMessage)
+ * pending (sin conexión) → sending (salió, esperando ack) → sent (el servidor confirmó)
  */
-export const MESSAGE_TYPES = {
-  TEXT: 'text',
-  AUDIO: 'audio',
-  IMAGE: 'image',
-  SIGN_LANGUAGE: 'sign_language',
-  TYPING: 'typing',
-  ERROR: 'error',
-  CONNECTED: 'connected',
-  DISCONNECTED: 'disconnected'
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Genera un id local para un mensaje saliente
+ * (identifica el mensaje en el outbox y en el historial antes de que el servidor responda)
+ * @returns {string} - Id único en este navegador
+ */
+export const generateClientMessageId = () => {
+  return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
 };
 
 /**
  * Crea un mensaje de texto para enviar al servidor
  * @param {string} text - Texto del mensaje
  * @param {boolean} isUser - Si el mensaje es del usuario
+ * @param {string|null} [conversationId] - Conversación a la que pertenece (contexto en el backend)
+ * @param {string|null} [clientMessageId] - Id local; el servidor lo devuelve en el ack
  * @returns {Object} - Mensaje en formato estandarizado
  */
-export const createTextMessage = (text, isUser = true) => {
+export const createTextMessage = (text, isUser = true, conversationId = null, clientMessageId = null) => {
   return {
     type: MESSAGE_TYPES.TEXT,
     text: text,
-  // eslint-disable-next-line camelcase
   is_user: isUser,
+  conversation_id: conversationId,
+  client_message_id: clientMessageId,
+    version: PROTOCOL_VERSION,
     timestamp: new Date().toISOString()
   };
 };
@@ -44,8 +62,8 @@ export const createTextMessage = (text, isUser = true) => {
 export const createTypingMessage = (isTyping = true) => {
   return {
     type: MESSAGE_TYPES.TYPING,
-  // eslint-disable-next-line camelcase
   is_typing: isTyping,
+    version: PROTOCOL_VERSION,
     timestamp: new Date().toISOString()
   };
 };
@@ -61,8 +79,8 @@ export const createImageMessage = (imageBase64, text = '') => {
     type: MESSAGE_TYPES.IMAGE,
     image: imageBase64,
     text: text,
-  // eslint-disable-next-line camelcase
   is_user: true,
+    version: PROTOCOL_VERSION,
     timestamp: new Date().toISOString()
   };
 };
@@ -71,21 +89,131 @@ export const createImageMessage = (imageBase64, text = '') => {
  * Crea un mensaje de audio para enviar al servidor
  * @param {string} audioBase64 - Audio en formato base64
  * @param {string} [text] - Transcripción opcional
+ * @param {string|null} [conversationId] - Conversación a la que pertenece (contexto en el backend)
+ * @param {string|null} [clientMessageId] - Id local; el servidor lo devuelve en el ack
+ * @param {string} [mimeType] - Formato real de la grabación (ver createAudioRecorder)
  * @returns {Object} - Mensaje en formato estandarizado
  */
-export const createAudioMessage = (audioBase64, text = '') => {
+export const createAudioMessage = (audioBase64, text = '', conversationId = null, clientMessageId = null, mimeType = 'audio/webm') => {
   return {
     type: MESSAGE_TYPES.AUDIO,
     audio: audioBase64,
     text: text,
-  // eslint-disable-next-line camelcase
+  mime_type: mimeType,
+    extension: getAudioExtension(mimeType),
+  is_user: true,
+  conversation_id: conversationId,
+  client_message_id: clientMessageId,
+    version: PROTOCOL_VERSION,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Crea un mensaje para detener la respuesta que el servidor está generando
+ * @param {string|null} streamId - Stream a cancelar (null = la generación en curso de la conversación)
+ * @param {string|null} [conversationId] - Conversación de la respuesta
+ * @returns {Object} - Mensaje en formato estandarizado
+ */
+export const createCancelMessage = (streamId, conversationId = null) => {
+  return {
+    type: MESSAGE_TYPES.CANCEL,
+  stream_id: streamId,
+  conversation_id: conversationId,
+    version: PROTOCOL_VERSION,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Crea el mensaje para reanudar la sesión tras reconectar
+ * (el servidor reenvía lo que respondió después de last_message_id)
+ * @param {string} clientId - client_id de la conexión anterior
+ * @param {string|null} [lastMessageId] - Último mensaje recibido
+ * @returns {Object} - Mensaje en formato estandarizado
+ */
+export const createResumeMessage = (clientId, lastMessageId = null) => {
+  return {
+    type: MESSAGE_TYPES.RESUME,
+  client_id: clientId,
+  last_message_id: lastMessageId,
+    version: PROTOCOL_VERSION,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Crea el saludo con el que se abre cada conexión (handshake de versión)
+ * El servidor responde con su propio `hello` { version, min_version }
+ * @returns {Object} - Mensaje en formato estandarizado
+ */
+export const createHelloMessage = () => {
+  return {
+    type: MESSAGE_TYPES.HELLO,
+  min_version: MIN_PROTOCOL_VERSION,
+    client: 'ovafrontend',
+    version: PROTOCOL_VERSION,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Indica si un dato se envía como frame binario (fragmentos de audio) en lugar de JSON
+ * @param {*} data - Dato a enviar
+ * @returns {boolean}
+ */
+export const isBinaryData = (data) => {
+  return (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data);
+};
+
+/**
+ * Crea el mensaje que abre un stream de audio
+ * (después llegan los fragmentos como frames binarios, en orden)
+ * @param {string} streamId - Id del stream de audio
+ * @param {string} mimeType - Formato de los fragmentos (p.ej. 'audio/webm;codecs=opus' o 'audio/mp4')
+ * @param {string|null} [conversationId] - Conversación a la que pertenece
+ * @param {string|null} [clientMessageId] - Id local; el servidor lo devuelve en el ack
+ * @param {string} [purpose] - 'message' (mensaje de voz del chat) | 'dictation' (solo transcribir, no responder)
+ * @returns {Object} - Mensaje en formato estandarizado
+ */
+export const createAudioStreamStartMessage = (streamId, mimeType, conversationId = null, clientMessageId = null, purpose = 'message') => {
+  return {
+    type: MESSAGE_TYPES.AUDIO_STREAM_START,
+  stream_id: streamId,
+  mime_type: mimeType,
+    extension: getAudioExtension(mimeType),
   is_user: true,
+  conversation_id: conversationId,
+  client_message_id: clientMessageId,
+    purpose,
+    version: PROTOCOL_VERSION,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Crea el mensaje que cierra un stream de audio
+ * @param {string} streamId - Id del stream de audio
+ * @param {number} chunks - Fragmentos enviados (el servidor puede verificar que no falte ninguno)
+ * @param {boolean} [cancelled] - true si la grabación se descartó y no debe procesarse
+ * @returns {Object} - Mensaje en formato estandarizado
+ */
+export const createAudioStreamEndMessage = (streamId, chunks, cancelled = false) => {
+  return {
+    type: MESSAGE_TYPES.AUDIO_STREAM_END,
+  stream_id: streamId,
+    chunks,
+    cancelled,
+    version: PROTOCOL_VERSION,
     timestamp: new Date().toISOString()
   };
 };
 
 /**
  * Procesa un mensaje recibido del servidor y lo convierte a formato de UI
+ * (el frame ya se validó contra el protocolo al entrar por la conexión: ChatConnectionProvider)
  * @param {Object} message - Mensaje recibido del servidor
  * @returns {Object} - Mensaje procesado para mostrar en UI
  */
@@ -109,8 +237,8 @@ export const processIncomingMessage = (message) => {
         return {
           id: message.id,
           text: message.text,
-          // eslint-disable-next-line camelcase
           isUser: message.is_user || false,
+          conversationId: message.conversation_id,
           timestamp: message.timestamp,
           type: 'text'
         };
@@ -119,9 +247,9 @@ export const processIncomingMessage = (message) => {
         return {
           id: message.id,
           text: message.text || 'Mensaje de audio recibido',
-          // eslint-disable-next-line camelcase
           isUser: message.is_user || false,
           audio: message.audio,
+          conversationId: message.conversation_id,
           timestamp: message.timestamp,
           type: 'audio'
         };
@@ -130,10 +258,10 @@ export const processIncomingMessage = (message) => {
         return {
           id: message.id,
           text: message.text || 'Imagen recibida',
-          // eslint-disable-next-line camelcase
           isUser: message.is_user || false,
           image: message.image,
           objects: message.objects,
+          conversationId: message.conversation_id,
           timestamp: message.timestamp,
           type: 'image'
         };
@@ -142,11 +270,12 @@ export const processIncomingMessage = (message) => {
         return {
           id: message.id,
           text: message.text || 'Análisis de lenguaje de señas',
-          // eslint-disable-next-line camelcase
           isUser: message.is_user || false,
           image: message.image,
+          prediction: message.prediction,
           confidence: message.confidence,
           alternatives: message.alternatives,
+          conversationId: message.conversation_id,
           timestamp: message.timestamp,
           type: 'sign_language'
         };
@@ -166,12 +295,55 @@ export const processIncomingMessage = (message) => {
           type: 'error'
         };
       
+      // Respuesta en streaming: varios stream_chunk con el mismo stream_id y un stream_done final
+      case MESSAGE_TYPES.STREAM_CHUNK:
+        return {
+          streamId: message.stream_id || message.id,
+          text: message.text || message.delta || '',
+          isUser: false,
+          conversationId: message.conversation_id,
+          timestamp: message.timestamp,
+          type: 'stream_chunk'
+        };
+      
+      case MESSAGE_TYPES.STREAM_DONE:
+        return {
+          streamId: message.stream_id || message.id,
+          // Texto completo opcional: si viene, reemplaza lo acumulado
+          text: message.text,
+          cancelled: message.cancelled === true,
+          isUser: false,
+          conversationId: message.conversation_id,
+          timestamp: message.timestamp,
+          type: 'stream_done'
+        };
+      
+      // Transcripción de un stream de audio: parciales (is_final: false) que se reemplazan
+      // y segmentos finales que se acumulan; done marca el último segmento del stream
+      case MESSAGE_TYPES.TRANSCRIPTION:
+        return {
+          type: 'transcription',
+          streamId: message.stream_id,
+          text: message.text || '',
+          isFinal: message.is_final === true,
+          done: message.done === true
+        };
+      
+      // Confirmación de recepción: { type: 'ack', client_message_id, message_id?, status?: 'received' | 'error', error? }
+      case MESSAGE_TYPES.ACK:
+        return {
+          type: 'ack',
+          clientMessageId: message.client_message_id,
+          messageId: message.message_id || message.id,
+          ok: message.status !== 'error',
+          error: message.error
+        };
+      
       case MESSAGE_TYPES.CONNECTED:
       case MESSAGE_TYPES.DISCONNECTED:
         return {
           type: 'connection',
           status: message.type,
-          // eslint-disable-next-line camelcase
           clientId: message.client_id,
           text: `Conexión ${message.type === 'connected' ? 'establecida' : 'cerrada'}`
         };
@@ -204,10 +376,9 @@ export const handleMessageActions = (message) => {
       case 'audio':
         // Reproducir audio si está disponible
         if (message.audio) {
-          import('./media-utils').then(({ playAudio }) => {
-            playAudio(message.audio).catch(error => {
-              Logger.error(COMPONENT_NAME, 'Error al reproducir audio', error);
-            });
+          // A la cola del reproductor compartido: nunca se solapa con otro audio
+          import('./audio-playback').then(({ audioPlayback }) => {
+            audioPlayback.enqueue(message.audio, { id: message.id });
           });
         }
         break;
@@ -228,10 +399,19 @@ export const handleMessageActions = (message) => {
 
 const MessageUtils = {
   MESSAGE_TYPES,
+  MESSAGE_STATUS,
+  PROTOCOL_VERSION,
+  generateClientMessageId,
   createTextMessage,
   createTypingMessage,
   createImageMessage,
   createAudioMessage,
+  createCancelMessage,
+  createResumeMessage,
+  createHelloMessage,
+  isBinaryData,
+  createAudioStreamStartMessage,
+  createAudioStreamEndMessage,
   processIncomingMessage,
   handleMessageActions
 };
@@ -0,0 +1,172 @@
+/**
+ * Utilidades de síntesis de voz del navegador (Web Speech API)
+ *
+ * Se usan para leer en voz alta las respuestas del asistente que llegan
+ * sin audio del servidor. La voz, velocidad e idioma vienen de las
+ * preferencias del chat (useChatPreferences).
+ */
+
+import Logger from './debug-utils';
+
+const COMPONENT_NAME = 'SpeechUtils';
+
+// Idiomas ofrecidos en la configuración de voz
+export const SPEECH_LANGUAGES = [
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'es-MX', label: 'Español (México)' },
+  { value: 'es-CO', label: 'Español (Colombia)' },
+  { value: 'en-US', label: 'English (US)' }
+];
+
+export const SPEECH_RATE = {
+  MIN: 0.5,
+  MAX: 2,
+  STEP: 0.1,
+  DEFAULT: 1
+};
+
+// Algunos navegadores nunca disparan voiceschanged: no esperamos más que esto
+const VOICES_TIMEOUT = 1500;
+
+/**
+ * Indica si el navegador soporta síntesis de voz
+ * @returns {boolean}
+ */
+export const isSpeechSynthesisSupported = () => {
+  return typeof window !== 'undefined' &&
+    'speechSynthesis' in window &&
+    typeof window.SpeechSynthesisUtterance !== 'undefined';
+};
+
+/**
+ * Obtiene las voces instaladas (en Chrome llegan de forma asíncrona)
+ * @returns {Promise<Array<SpeechSynthesisVoice>>}
+ */
+export const loadVoices = () => {
+  if (!isSpeechSynthesisSupported()) return Promise.resolve([]);
+
+  const synth = window.speechSynthesis;
+  const voices = synth.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      synth.removeEventListener('voiceschanged', done);
+      resolve(synth.getVoices());
+    };
+    const timer = setTimeout(done, VOICES_TIMEOUT);
+    synth.addEventListener('voiceschanged', done);
+  });
+};
+
+/**
+ * Filtra las voces de un idioma ('es-MX' también acepta otras variantes de 'es')
+ * @param {Array<SpeechSynthesisVoice>} voices - Voces disponibles
+ * @param {string} lang - Código de idioma (BCP 47)
+ * @returns {Array<SpeechSynthesisVoice>}
+ */
+export const getVoicesForLanguage = (voices, lang) => {
+  const base = (lang || '').split('-')[0].toLowerCase();
+  return voices.filter(voice => (voice.lang || '').toLowerCase().startsWith(base));
+};
+
+/**
+ * Elige la voz a usar: la guardada, una del idioma exacto o una del mismo idioma base
+ * @param {Array<SpeechSynthesisVoice>} voices - Voces disponibles
+ * @param {Object} options - { voiceURI, lang }
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export const pickVoice = (voices, { voiceURI = null, lang = 'es-ES' } = {}) => {
+  return voices.find(voice => voice.voiceURI === voiceURI) ||
+    voices.find(voice => voice.lang === lang) ||
+    getVoicesForLanguage(voices, lang)[0] ||
+    null;
+};
+
+/**
+ * Limpia un texto para leerlo en voz alta (emojis, markdown y URLs)
+ * @param {string} text - Texto del mensaje
+ * @returns {string}
+ */
+export const cleanTextForSpeech = (text) => {
+  if (!text) return '';
+  return text
+    .replace(/https?:\/\/\S+/g, 'enlace')
+    .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}]/gu, '')
+    .replace(/\u{FE0F}|\u{200D}/gu, '')
+    .replace(/[*_`#>~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Lee un texto en voz alta
+ *
+ * Las lecturas se encolan en el navegador: si llegan varias respuestas
+ * seguidas se leen una detrás de otra (cancelSpeech las corta todas).
+ *
+ * @param {string} text - Texto a leer
+ * @param {Object} [options] - Preferencias de voz
+ * @param {string|null} [options.voiceURI] - Voz elegida (null = automática)
+ * @param {number} [options.rate] - Velocidad (0.5 - 2)
+ * @param {string} [options.lang] - Idioma (BCP 47)
+ * @returns {Promise<boolean>} true si se leyó completo
+ */
+export const speakText = async (text, { voiceURI = null, rate = SPEECH_RATE.DEFAULT, lang = 'es-ES' } = {}) => {
+  if (!isSpeechSynthesisSupported()) {
+    Logger.debug(COMPONENT_NAME, 'Síntesis de voz no soportada en este navegador');
+    return false;
+  }
+
+  const spokenText = cleanTextForSpeech(text);
+  if (!spokenText) return false;
+
+  const voices = await loadVoices();
+  const utterance = new window.SpeechSynthesisUtterance(spokenText);
+  utterance.lang = lang;
+  utterance.rate = Math.min(SPEECH_RATE.MAX, Math.max(SPEECH_RATE.MIN, Number(rate) || SPEECH_RATE.DEFAULT));
+
+  const voice = pickVoice(voices, { voiceURI, lang });
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  }
+
+  return new Promise(resolve => {
+    utterance.onend = () => resolve(true);
+    utterance.onerror = (event) => {
+      // 'interrupted' / 'canceled' = cancelSpeech(), no es un error real
+      if (event.error !== 'interrupted' && event.error !== 'canceled') {
+        Logger.warn(COMPONENT_NAME, `Error de síntesis de voz: ${event.error}`);
+      }
+      resolve(false);
+    };
+
+    Logger.debug(COMPONENT_NAME, '🗣️ Leyendo respuesta en voz alta', { length: spokenText.length, voice: voice?.name });
+    window.speechSynthesis.speak(utterance);
+  });
+};
+
+/**
+ * Detiene la lectura actual y las pendientes
+ */
+export const cancelSpeech = () => {
+  if (isSpeechSynthesisSupported()) {
+    window.speechSynthesis.cancel();
+  }
+};
+
+const SpeechUtils = {
+  SPEECH_LANGUAGES,
+  SPEECH_RATE,
+  isSpeechSynthesisSupported,
+  loadVoices,
+  getVoicesForLanguage,
+  pickVoice,
+  cleanTextForSpeech,
+  speakText,
+  cancelSpeech
+};
+
+export default SpeechUtils;
@@ -0,0 +1,357 @@
+/**
+ * Utilidades para exportar e importar conversaciones del chat
+ *
+ * Formatos de exportación:
+ * - json: transcripción completa, se puede volver a importar en el chat
+ * - md: Markdown legible (imágenes embebidas como data URL)
+ * - html: documento autocontenido listo para imprimir o guardar como PDF
+ *
+ * Las imágenes siempre viajan como data URL: al exportar se descargan y se
+ * embeben (nada depende de recursos remotos) y al importar se descarta
+ * cualquier otra URL.
+ */
+
+import Logger from './debug-utils';
+import { normalizeSignLanguageResult, readImageAsBase64 } from '../services/chatUtils';
+
+const COMPONENT_NAME = 'TranscriptUtils';
+
+// Versión del formato de exportación (las transcripciones más nuevas no se importan)
+export const TRANSCRIPT_VERSION = 1;
+
+// Tipos de mensaje que se recuperan al importar una transcripción
+const IMPORTABLE_TYPES = ['text', 'audio', 'image', 'sign_language'];
+
+/**
+ * Solo las imágenes en data URL son portables (las URLs blob: mueren con la pestaña
+ * y las http(s) dependen de un servidor externo)
+ * @param {string} [image] - Imagen del mensaje
+ * @returns {string|null}
+ */
+const getPortableImage = (image) => {
+  if (typeof image !== 'string') return null;
+  return image.startsWith('data:image/') ? image : null;
+};
+
+/**
+ * Descarga una imagen (blob: o http/https) y la convierte en data URL
+ * @param {string} [image] - Imagen del mensaje
+ * @returns {Promise<string|null>} null si no se pudo embeber
+ */
+const inlineImage = async (image) => {
+  if (typeof image !== 'string') return null;
+  if (getPortableImage(image)) return image;
+  if (!/^(blob:|https?:\/\/)/.test(image)) return null;
+
+  try {
+    const response = await fetch(image);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`tipo ${blob.type || 'desconocido'}`);
+    }
+    return await readImageAsBase64(blob);
+  } catch (error) {
+    Logger.warn(COMPONENT_NAME, `Imagen omitida de la exportación (${error.message})`, { image });
+    return null;
+  }
+};
+
+/**
+ * Embebe como data URL las imágenes de los mensajes antes de exportarlos
+ * @param {Array<Object>} messages - Mensajes de UI
+ * @returns {Promise<Array<Object>>} Mismos mensajes con `image` en data URL (o sin imagen)
+ */
+export const inlineMessageImages = (messages) => Promise.all(messages.map(async message => {
+  if (!message.image) return message;
+  const image = await inlineImage(message.image);
+  if (image) return { ...message, image };
+
+  const { image: _omitted, ...rest } = message;
+  return rest;
+}));
+
+/**
+ * Construye una transcripción portable de una conversación
+ * (sin Blobs ni URLs temporales: el audio del usuario no se exporta)
+ * @param {Object} conversation - Conversación ({ id, title })
+ * @param {Array<Object>} messages - Mensajes de UI
+ * @returns {Object} - Transcripción serializable
+ */
+export const buildTranscript = (conversation, messages) => {
+  return {
+    version: TRANSCRIPT_VERSION,
+    conversation: {
+      id: conversation?.id || null,
+      title: conversation?.title || 'Conversación'
+    },
+    exportedAt: new Date().toISOString(),
+    messages: messages
+      .filter(message => message.type !== 'error' && message.type !== 'system' && !message.isStreaming)
+      .map(message => ({
+        role: message.isUser ? 'user' : 'assistant',
+        type: message.type || 'text',
+        text: message.text || '',
+        timestamp: message.timestamp || null,
+        ...(getPortableImage(message.image) && { image: getPortableImage(message.image) }),
+        ...(message.prediction !== undefined && {
+          prediction: message.prediction,
+          confidence: message.confidence,
+          alternatives: message.alternatives || []
+        })
+      }))
+  };
+};
+
+/**
+ * Formatea la fecha de un mensaje para las transcripciones legibles
+ * @param {string|null} timestamp - Fecha ISO
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString('es');
+};
+
+/**
+ * Resume la predicción ASL de un mensaje ("A (92.0%) · alternativas: B (5.1%)")
+ * @param {Object} message - Mensaje de la transcripción
+ * @returns {string|null}
+ */
+const formatPrediction = (message) => {
+  if (message.prediction === undefined || message.prediction === null) return null;
+
+  const result = normalizeSignLanguageResult(message);
+  const percent = (confidence) => `${(confidence * 100).toFixed(1)}%`;
+  const alternatives = result.alternatives
+    .map(alt => `${alt.label} (${percent(alt.confidence)})`)
+    .join(', ');
+
+  return `${result.prediction} (${percent(result.confidence)})${alternatives ? ` · alternativas: ${alternatives}` : ''}`;
+};
+
+const getAuthor = (message) => (message.role === 'user' ? 'Tú' : 'Asistente');
+
+/**
+ * Convierte una transcripción en Markdown
+ * @param {Object} transcript - Resultado de buildTranscript
+ * @returns {string}
+ */
+export const transcriptToMarkdown = (transcript) => {
+  const lines = [
+    `# ${transcript.conversation.title}`,
+    '',
+    `_Exportado el ${formatTimestamp(transcript.exportedAt)} · ${transcript.messages.length} mensajes_`,
+    ''
+  ];
+
+  transcript.messages.forEach(message => {
+    const time = formatTimestamp(message.timestamp);
+    lines.push(`### ${getAuthor(message)}${time ? ` · ${time}` : ''}`, '');
+    if (message.text) lines.push(message.text, '');
+
+    const prediction = formatPrediction(message);
+    if (prediction) lines.push(`> 🤟 Predicción ASL: ${prediction}`, '');
+    if (message.image) lines.push(`![Imagen del mensaje](${message.image})`, '');
+  });
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Convierte una transcripción en un documento HTML autocontenido (estilos e imágenes
+ * embebidos) pensado para imprimir o "Guardar como PDF" desde el navegador
+ * @param {Object} transcript - Resultado de buildTranscript
+ * @returns {string}
+ */
+export const transcriptToHtml = (transcript) => {
+  const title = escapeHtml(transcript.conversation.title);
+  const items = transcript.messages.map(message => {
+    const time = formatTimestamp(message.timestamp);
+    const prediction = formatPrediction(message);
+    return `
+    <article class="message ${message.role}">
+      <header><strong>${getAuthor(message)}</strong>${time ? ` <time datetime="${escapeHtml(message.timestamp)}">${escapeHtml(time)}</time>` : ''}</header>
+      ${message.text ? `<p>${escapeHtml(message.text)}</p>` : ''}
+      ${prediction ? `<p class="prediction">🤟 Predicción ASL: ${escapeHtml(prediction)}</p>` : ''}
+      ${message.image ? `<img src="${escapeHtml(message.image)}" alt="Imagen del mensaje">` : ''}
+    </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 780px; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .meta { color: #6c757d; margin-bottom: 2rem; }
+    .message { border: 1px solid #dee2e6; border-radius: 0.5rem; padding: 0.75rem 1rem; margin-bottom: 0.75rem; break-inside: avoid; }
+    .message.user { background: #e7f1ff; margin-left: 15%; }
+    .message.assistant { background: #f8f9fa; margin-right: 15%; }
+    .message header { font-size: 0.85rem; color: #495057; margin-bottom: 0.25rem; }
+    .message p { margin: 0.25rem 0; white-space: pre-line; }
+    .prediction { font-size: 0.9rem; color: #0f5132; }
+    .message img { max-width: 100%; max-height: 320px; border-radius: 0.25rem; margin-top: 0.5rem; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .message { background: none !important; margin-left: 0; margin-right: 0; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="meta">Exportado el ${escapeHtml(formatTimestamp(transcript.exportedAt))} · ${transcript.messages.length} mensajes</p>${items}
+</body>
+</html>
+`;
+};
+
+/**
+ * Genera un nombre de archivo seguro a partir del título de la conversación
+ * @param {string} title - Título de la conversación
+ * @param {string} extension - Extensión sin punto (json, md...)
+ * @returns {string} - Nombre de archivo
+ */
+export const getTranscriptFilename = (title, extension) => {
+  const slug = (title || 'conversacion')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'conversacion';
+  const date = new Date().toISOString().slice(0, 10);
+  return `chat-${slug}-${date}.${extension}`;
+};
+
+/**
+ * Descarga un contenido como archivo desde el navegador
+ * @param {string} content - Contenido del archivo
+ * @param {string} filename - Nombre del archivo
+ * @param {string} mimeType - Tipo MIME
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Dar tiempo al navegador a iniciar la descarga antes de liberar la URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  Logger.debug(COMPONENT_NAME, `Archivo descargado: ${filename}`, { size: blob.size });
+};
+
+// Serializador, extensión y tipo MIME de cada formato
+const EXPORTERS = {
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: transcript => JSON.stringify(transcript, null, 2)
+  },
+  md: {
+    extension: 'md',
+    mimeType: 'text/markdown;charset=utf-8',
+    serialize: transcriptToMarkdown
+  },
+  html: {
+    extension: 'html',
+    mimeType: 'text/html;charset=utf-8',
+    serialize: transcriptToHtml
+  }
+};
+
+export const TRANSCRIPT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Exporta una conversación y la descarga como archivo
+ * @param {Object} conversation - Conversación ({ id, title })
+ * @param {Array<Object>} messages - Mensajes de UI
+ * @param {string} [format] - 'json' | 'md' | 'html'
+ * @returns {Promise<Object>} - Transcripción exportada
+ */
+export const exportConversation = async (conversation, messages, format = 'json') => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Formato de exportación no soportado: ${format}`);
+  }
+
+  const transcript = buildTranscript(conversation, await inlineMessageImages(messages));
+  downloadFile(
+    exporter.serialize(transcript),
+    getTranscriptFilename(transcript.conversation.title, exporter.extension),
+    exporter.mimeType
+  );
+  return transcript;
+};
+
+/**
+ * Lee una transcripción JSON exportada y la convierte en mensajes de UI
+ * @param {string} content - Contenido del archivo .json
+ * @returns {{title: string, messages: Array<Object>}}
+ * @throws {Error} Si el archivo no es una transcripción válida
+ */
+export const parseTranscript = (content) => {
+  let transcript;
+  try {
+    transcript = JSON.parse(content);
+  } catch (error) {
+    throw new Error('El archivo no es un JSON válido');
+  }
+
+  if (!transcript || !Array.isArray(transcript.messages)) {
+    throw new Error('El archivo no es una transcripción del chat');
+  }
+  if (typeof transcript.version !== 'number' || transcript.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Versión de transcripción no soportada: ${transcript.version}`);
+  }
+
+  const messages = transcript.messages
+    .filter(message => message && typeof message.text === 'string' && IMPORTABLE_TYPES.includes(message.type || 'text'))
+    .map(message => ({
+      text: message.text,
+      isUser: message.role === 'user',
+      type: message.type || 'text',
+      timestamp: message.timestamp || null,
+      ...(getPortableImage(message.image) && { image: getPortableImage(message.image) }),
+      ...(message.prediction !== undefined && {
+        prediction: message.prediction,
+        confidence: message.confidence,
+        alternatives: Array.isArray(message.alternatives) ? message.alternatives : []
+      })
+    }));
+
+  Logger.debug(COMPONENT_NAME, `Transcripción leída: ${messages.length} mensajes`);
+  return {
+    title: transcript.conversation?.title || 'Conversación importada',
+    messages
+  };
+};
+
+const TranscriptUtils = {
+  TRANSCRIPT_VERSION,
+  TRANSCRIPT_FORMATS,
+  buildTranscript,
+  inlineMessageImages,
+  transcriptToMarkdown,
+  transcriptToHtml,
+  getTranscriptFilename,
+  downloadFile,
+  exportConversation,
+  parseTranscript
+};
+
+export default TranscriptUtils;
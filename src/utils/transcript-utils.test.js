@@ -0,0 +1,156 @@
+import {
+  TRANSCRIPT_VERSION,
+  buildTranscript,
+  inlineMessageImages,
+  transcriptToMarkdown,
+  transcriptToHtml,
+  getTranscriptFilename,
+  parseTranscript
+} from './transcript-utils';
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+
+const MESSAGES = [
+  { text: 'Hola', isUser: true, type: 'text', timestamp: '2024-05-01T10:00:00.000Z' },
+  { text: 'Seña reconocida', isUser: false, type: 'sign_language', prediction: 'A', confidence: 0.92, alternatives: [{ label: 'B', confidence: 0.05 }] },
+  { text: '🖼️ Imagen enviada', isUser: true, type: 'image', image: PNG_DATA_URL },
+  { text: 'Error: sin conexión', isUser: false, type: 'error' },
+  { text: 'Escribiendo…', isUser: false, type: 'text', isStreaming: true }
+];
+
+const CONVERSATION = { id: 'conv-1', title: 'Práctica <martes>' };
+
+describe('buildTranscript / parseTranscript', () => {
+  test('la exportación JSON se vuelve a importar sin pérdidas', () => {
+    const transcript = buildTranscript(CONVERSATION, MESSAGES);
+    const { title, messages } = parseTranscript(JSON.stringify(transcript));
+
+    expect(transcript.version).toBe(TRANSCRIPT_VERSION);
+    expect(title).toBe('Práctica <martes>');
+    expect(messages).toEqual([
+      { text: 'Hola', isUser: true, type: 'text', timestamp: '2024-05-01T10:00:00.000Z' },
+      {
+        text: 'Seña reconocida',
+        isUser: false,
+        type: 'sign_language',
+        timestamp: null,
+        prediction: 'A',
+        confidence: 0.92,
+        alternatives: [{ label: 'B', confidence: 0.05 }]
+      },
+      { text: '🖼️ Imagen enviada', isUser: true, type: 'image', timestamp: null, image: PNG_DATA_URL }
+    ]);
+  });
+
+  test('no exporta errores, mensajes en streaming ni imágenes que no son data URL', () => {
+    const transcript = buildTranscript(CONVERSATION, [
+      ...MESSAGES,
+      { text: 'remota', isUser: false, type: 'image', image: 'https://example.com/a.png' },
+      { text: 'temporal', isUser: true, type: 'image', image: 'blob:http://localhost/1234' }
+    ]);
+
+    expect(transcript.messages.map(message => message.text)).toEqual(['Hola', 'Seña reconocida', '🖼️ Imagen enviada', 'remota', 'temporal']);
+    expect(transcript.messages.filter(message => message.image)).toHaveLength(1);
+  });
+
+  test('al importar descarta imágenes remotas y tipos desconocidos', () => {
+    const content = JSON.stringify({
+      version: 1,
+      messages: [
+        { role: 'assistant', type: 'image', text: 'remota', image: 'https://tracker.example.com/pixel.gif' },
+        { role: 'assistant', type: 'image', text: 'local', image: 'file:///etc/passwd' },
+        { role: 'assistant', type: 'system', text: 'interno' },
+        { role: 'user', text: 'sin tipo' }
+      ]
+    });
+
+    const { title, messages } = parseTranscript(content);
+    expect(title).toBe('Conversación importada');
+    expect(messages.map(message => message.text)).toEqual(['remota', 'local', 'sin tipo']);
+    expect(messages.some(message => 'image' in message)).toBe(false);
+    expect(messages[2]).toMatchObject({ isUser: true, type: 'text' });
+  });
+
+  test.each([
+    ['no es JSON', '{', 'El archivo no es un JSON válido'],
+    ['no tiene mensajes', '{"version":1}', 'El archivo no es una transcripción del chat'],
+    ['es de una versión más nueva', JSON.stringify({ version: TRANSCRIPT_VERSION + 1, messages: [] }), 'Versión de transcripción no soportada'],
+    ['no tiene versión', '{"messages":[]}', 'Versión de transcripción no soportada']
+  ])('rechaza un archivo que %s', (_, content, error) => {
+    expect(() => parseTranscript(content)).toThrow(error);
+  });
+});
+
+describe('inlineMessageImages', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('embebe imágenes blob: y http(s) como data URL', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      blob: async () => new Blob(['png'], { type: 'image/png' })
+    }));
+
+    const [blobMessage, remoteMessage, inlineMessage] = await inlineMessageImages([
+      { text: 'a', image: 'blob:http://localhost/1234' },
+      { text: 'b', image: 'https://example.com/a.png' },
+      { text: 'c', image: PNG_DATA_URL }
+    ]);
+
+    expect(blobMessage.image).toMatch(/^data:image\/png;base64,/);
+    expect(remoteMessage.image).toMatch(/^data:image\/png;base64,/);
+    expect(inlineMessage.image).toBe(PNG_DATA_URL);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('omite las imágenes que no se pueden descargar o no son imágenes', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockResolvedValueOnce({ ok: true, blob: async () => new Blob(['<html>'], { type: 'text/html' }) })
+      .mockRejectedValueOnce(new Error('CORS'));
+
+    const messages = await inlineMessageImages([
+      { text: 'a', image: 'https://example.com/404.png' },
+      { text: 'b', image: 'https://example.com/page' },
+      { text: 'c', image: 'https://example.com/cors.png' },
+      { text: 'd', image: 'ftp://example.com/x.png' },
+      { text: 'e' }
+    ]);
+
+    expect(messages).toEqual([{ text: 'a' }, { text: 'b' }, { text: 'c' }, { text: 'd' }, { text: 'e' }]);
+  });
+});
+
+describe('formatos legibles', () => {
+  const transcript = buildTranscript(CONVERSATION, MESSAGES);
+
+  test('Markdown incluye autor, predicción con confianza e imagen embebida', () => {
+    const markdown = transcriptToMarkdown(transcript);
+
+    expect(markdown).toMatch(/^# Práctica <martes>/);
+    expect(markdown).toContain('### Tú');
+    expect(markdown).toContain('> 🤟 Predicción ASL: A (92.0%) · alternativas: B (5.0%)');
+    expect(markdown).toContain(`![Imagen del mensaje](${PNG_DATA_URL})`);
+  });
+
+  test('HTML escapa el texto y no referencia recursos externos', () => {
+    const html = transcriptToHtml(buildTranscript(CONVERSATION, [
+      ...MESSAGES,
+      { text: '<script>alert(1)</script>', isUser: true, type: 'text' }
+    ]));
+
+    expect(html).toContain('<title>Práctica &lt;martes&gt;</title>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toMatch(/(src|href)="https?:/);
+    expect(html).toContain(`<img src="${PNG_DATA_URL}"`);
+  });
+});
+
+test('getTranscriptFilename genera un nombre seguro sin acentos', () => {
+  expect(getTranscriptFilename('Práctica de Señas #3', 'md')).toMatch(/^chat-practica-de-senas-3-\d{4}-\d{2}-\d{2}\.md$/);
+  expect(getTranscriptFilename('', 'json')).toMatch(/^chat-conversacion-/);
+});
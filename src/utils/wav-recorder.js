@@ -0,0 +1,109 @@
+/**
+ * 🎙️ WavRecorder - Grabador PCM/WAV con Web Audio para navegadores sin MediaRecorder útil
+ *
+ * Imita la parte de MediaRecorder que usa el chat (start, stop, state,
+ * mimeType, ondataavailable, onstop) para que createAudioRecorder pueda
+ * devolver uno u otro sin que el componente note la diferencia.
+ *
+ * Limitación: el WAV necesita conocer su tamaño en la cabecera, así que la
+ * grabación se entrega COMPLETA al detener (un solo dataavailable) y no se
+ * puede transmitir en fragmentos (supportsStreaming = false).
+ */
+
+import Logger from './debug-utils';
+import { encodeWav } from './audio-analysis';
+
+const COMPONENT_NAME = 'WavRecorder';
+
+// Frecuencia pedida al AudioContext (la que espera el backend de voz)
+const TARGET_SAMPLE_RATE = 16000;
+const BUFFER_SIZE = 4096;
+
+/**
+ * Indica si el navegador puede grabar con WavRecorder
+ * @returns {boolean}
+ */
+export const isWavRecordingSupported = () => {
+  return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+};
+
+export class WavRecorder {
+  /**
+   * @param {MediaStream} stream - Stream del micrófono
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this.mimeType = 'audio/wav';
+    this.supportsStreaming = false;
+    this.state = 'inactive';
+    this.ondataavailable = null;
+    this.onstop = null;
+    this.context = null;
+    this.source = null;
+    this.processor = null;
+    this.buffers = [];
+    this.length = 0;
+  }
+
+  /**
+   * Empieza a capturar muestras (el timeslice se ignora, ver limitación)
+   */
+  start() {
+    if (this.state !== 'inactive') return;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    try {
+      this.context = new AudioContextClass({ sampleRate: TARGET_SAMPLE_RATE });
+    } catch (error) {
+      // Navegadores antiguos no aceptan elegir la frecuencia
+      this.context = new AudioContextClass();
+    }
+
+    this.source = this.context.createMediaStreamSource(this.stream);
+    // ScriptProcessorNode está obsoleto, pero es lo único disponible donde falta MediaRecorder
+    this.processor = this.context.createScriptProcessor(BUFFER_SIZE, 1, 1);
+    this.processor.onaudioprocess = (event) => {
+      if (this.state !== 'recording') return;
+      const samples = new Float32Array(event.inputBuffer.getChannelData(0));
+      this.buffers.push(samples);
+      this.length += samples.length;
+    };
+
+    this.source.connect(this.processor);
+    // Sin conectarlo a la salida algunos navegadores no llaman a onaudioprocess (se emite silencio)
+    this.processor.connect(this.context.destination);
+
+    this.buffers = [];
+    this.length = 0;
+    this.state = 'recording';
+    Logger.debug(COMPONENT_NAME, `🎙️ Grabación WAV iniciada (${this.context.sampleRate} Hz)`);
+  }
+
+  /**
+   * Detiene la captura y entrega el WAV completo
+   */
+  stop() {
+    if (this.state === 'inactive') return;
+    this.state = 'inactive';
+
+    this.source.disconnect();
+    this.processor.disconnect();
+    this.processor.onaudioprocess = null;
+
+    const samples = new Float32Array(this.length);
+    let offset = 0;
+    this.buffers.forEach(buffer => {
+      samples.set(buffer, offset);
+      offset += buffer.length;
+    });
+    const blob = encodeWav(samples, this.context.sampleRate);
+    this.buffers = [];
+    this.context.close().catch(() => {});
+
+    Logger.debug(COMPONENT_NAME, '🎙️ Grabación WAV finalizada', { bytes: blob.size });
+    this.ondataavailable?.({ data: blob });
+    this.onstop?.();
+  }
+}
+
+export default WavRecorder;
@@ -11,8 +11,13 @@
  * - Implementa retry automático con backoff exponencial
  * - Detecta automáticamente si el servidor está disponible
  * - Configura diferentes endpoints según el entorno (dev/staging/prod)
- * - Mantiene heartbeats para detectar conexiones muertas
- * - Rota entre múltiples URLs si una falla
+ * - Mantiene heartbeats: mide la latencia (RTT), califica la calidad de la conexión
+ *   y da la conexión por muerta tras varios pongs perdidos
+ * - Elige el endpoint con mejor salud (éxitos, latencia, fallos recientes) y lo recuerda en la sesión
+ * - Sondea en segundo plano los endpoints degradados para saber cuándo se recuperan
+ * - Envía los mensajes encolados sin conexión (outbox) al reconectar
+ * - Si un proxy bloquea el upgrade a WebSocket, pasa al transporte HTTP
+ *   (Server-Sent Events / long-polling, http-transport.js) y vuelve en cuanto el WebSocket responde
  * 
  * 🔗 CONEXIÓN CON EL BACKEND:
  * Este manager se conecta al endpoint '/api/chat' del FastAPI backend.
@@ -22,7 +27,7 @@
  * 💡 TIP PARA DEBUGGING:
  * Si los mensajes no llegan, revisa:
  * 1. Los logs del navegador (este archivo loggea todo)
- * 2. El estado de la conexión con getConnectionState()
+ * 2. El estado de la conexión con getConnectionState() / getConnectionDetails()
  * 3. Que el backend esté ejecutándose en el puerto correcto
  * 4. Los CORS en el backend si hay problemas de origen cruzado
  * 
@@ -35,6 +40,10 @@
  */
 
 import Logger from '../utils/debug-utils';
+import { isBinaryData } from './message-utils';
+import { PROTOCOL_VERSION, DIRECTIONS, checkFrame } from './message-protocol';
+import EndpointHealthTracker from './endpoint-health';
+import HttpFallbackTransport from './http-transport';
 
 // 🔧 CONFIGURACIÓN MAESTRAÁ DEL WEBSOCKET
 // Esta configuración controla todos los aspectos del comportamiento WebSocket.
@@ -45,6 +54,14 @@ export const WS_CONFIG = {
   // Tiempos de espera (ajustables según la latencia de tu servidor)
   CONNECTION_TIMEOUT: 10000, // 10 segundos - si el servidor tarda más, hay un problema
   HEARTBEAT_INTERVAL: 30000, // 30 segundos - ping/pong para mantener viva la conexión
+  ENDPOINT_PROBE_INTERVAL: 60000, // 60 segundos - sondeo de endpoints degradados mientras estamos conectados
+  
+  // 🌐 Transporte: WebSocket o HTTP (SSE / long-polling) cuando un proxy bloquea el upgrade
+  HTTP_FALLBACK_AFTER: 3,     // Upgrades fallidos seguidos (con el servidor respondiendo por HTTP) antes de cambiar
+  TRANSPORTS: {
+    WEBSOCKET: 'websocket',
+    HTTP: 'http'
+  },
   
   // 🔄 Configuración de retry inteligente
   // Estos valores implementan backoff exponencial para no sobrecargar el servidor
@@ -53,6 +70,18 @@ export const WS_CONFIG = {
   MAX_RETRY_DELAY: 30000,     // Nunca esperes más de 30 segundos
   RETRY_BACKOFF_FACTOR: 2,    // Duplica el tiempo en cada intento: 1s, 2s, 4s, 8s, 16s
   
+  // 💓 Calidad de la conexión medida con el heartbeat (ping → pong)
+  MAX_MISSED_PONGS: 3,        // Pongs seguidos sin respuesta antes de dar la conexión por muerta
+  RTT_SAMPLES: 10,            // Latencias recientes que se promedian
+  RTT_GOOD: 300,              // ms - por debajo, conexión buena
+  RTT_DEGRADED: 1000,         // ms - por debajo, degradada; por encima, mala
+  CONNECTION_QUALITY: {
+    UNKNOWN: 'unknown',       // Sin medidas todavía
+    GOOD: 'good',
+    DEGRADED: 'degraded',
+    POOR: 'poor'
+  },
+  
   // 🚦 Estados de conexión (útiles para mostrar indicators en la UI)
   CONNECTION_STATES: {
     CONNECTING: 'connecting',     // Mostrando spinner
@@ -88,6 +117,10 @@ export const WS_CONFIG = {
       primary: 'ws://localhost:8000/api/chat',    // Tu servidor local FastAPI
       fallback: 'ws://127.0.0.1:8000/api/chat'   // IP en caso de problemas DNS
     },
+    mock: {
+      primary: 'ws://localhost:8787/api/chat',    // scripts/mock-server.js (REACT_APP_ENV=mock)
+      fallback: 'ws://127.0.0.1:8787/ws/chat'    // Ruta alternativa del mock
+    },
     staging: {
       primary: 'wss://staging-api.ovaonline.tech/api/chat',  // Servidor de pruebas
       fallback: 'wss://staging.ovaonline.tech/api/chat'      // Backup staging
@@ -139,10 +172,21 @@ export class WebSocketManager {
     this.handlers = {};               // Callbacks personalizados del usuario
     this.shouldReconnect = true;      // Flag para controlar reconexión automática
     this.connectionTimeout = null;     // Timer para timeout de conexión inicial
+    this.outbox = null;                // Cola de mensajes pendientes (MessageOutbox, opcional)
+    this.attemptId = 0;                // Intento de conexión vigente (descarta intentos solapados)
+    this.health = new EndpointHealthTracker(); // Salud de cada endpoint (persistida en sessionStorage)
+    this.probeTimer = null;            // Timer del sondeo de endpoints degradados
+    this.probeSocket = null;           // Sonda en curso (WebSocket de prueba)
+    this.rttSamples = [];              // Últimas latencias ping → pong (ms)
+    this.missedPongs = 0;              // Pings seguidos sin pong
+    this.pendingPingAt = null;         // Hora del último ping sin respuesta
+    this.transport = WS_CONFIG.TRANSPORTS.WEBSOCKET; // Transporte en uso (this.ws puede ser un HttpFallbackTransport)
+    this.upgradeFailures = 0;          // WebSockets que no abrieron aunque el servidor respondía por HTTP
     
     // 🌍 Detección automática de entorno
     // NODE_ENV viene del build de React, determina qué URLs usar
-    const env = process.env.NODE_ENV || 'development';
+    // (REACT_APP_ENV=mock lo sustituye por el backend simulado local)
+    const env = process.env.REACT_APP_ENV === 'mock' ? 'mock' : (process.env.NODE_ENV || 'development');
     this.endpoints = WS_CONFIG.ENDPOINTS[env] || WS_CONFIG.ENDPOINTS.development;
     
     Logger.debug(this.componentName, `🚀 WebSocket Manager inicializado para entorno: ${env}`);
@@ -287,6 +331,9 @@ export class WebSocketManager {
    * @param {Function} handlers.onMessage - Llamado cuando llega un mensaje
    * @param {Function} handlers.onClose - Llamado cuando se cierra conexión
    * @param {Function} handlers.onError - Llamado cuando hay un error
+   * @param {Function} [handlers.onStateChange] - Recibe cada cambio de connectionState
+   * @param {Function} [handlers.onQualityChange] - Recibe getConnectionQuality() tras cada ping / pong
+   * @param {Function} [handlers.onTransportChange] - Recibe el transporte nuevo ('websocket' | 'http')
    * @returns {Promise<WebSocket>} - Promesa que resuelve con el WebSocket conectado
    */
   async connect(handlers = {}) {
@@ -298,6 +345,30 @@ export class WebSocketManager {
     return this.attemptConnection();
   }
 
+  /**
+   * 🔀 Candidatos de Conexión
+   * 
+   * Toma las URLs base del entorno y genera variantes con las dos rutas
+   * del backend (/api/chat y /ws/chat), sin duplicados y en orden de
+   * configuración (en caso de empate de salud gana la primaria).
+   * 
+   * @returns {string[]} URLs candidatas
+   */
+  getCandidateUrls() {
+    const base = [this.endpoints.primary, this.endpoints.fallback];
+    const variants = base.flatMap(u => {
+      // Si la URL contiene /api/chat, también probamos /ws/chat
+      if (u.includes('/api/chat')) return [u, u.replace('/api/chat', '/ws/chat')];
+      // Si contiene /ws/chat, también probamos /api/chat  
+      if (u.includes('/ws/chat')) return [u, u.replace('/ws/chat', '/api/chat')];
+      // Si no tiene ninguna, la devolvemos tal como está
+      return [u];
+    });
+    
+    // 🔄 Eliminamos duplicados pero preservamos el orden (Set mantiene insertion order)
+    return Array.from(new Set(variants));
+  }
+
   /**
    * 🔄 Motor de Intentos de Conexión
    * 
@@ -308,9 +379,10 @@ export class WebSocketManager {
    * - Configuración de event listeners
    * 
    * 🎯 ESTRATEGIA DE ROTACIÓN DE URLs:
-   * 1. Genera todas las variantes posibles (/api/chat y /ws/chat)
-   * 2. Elimina duplicados manteniendo el orden
-   * 3. Rota por intento: intento 0 = URL primaria, intento 1 = fallback, etc.
+   * 1. Genera todas las variantes posibles (getCandidateUrls)
+   * 2. Usa el endpoint recordado en la sesión si sigue sano
+   * 3. Si no, el de mejor puntuación (endpoint-health.js): los que fallan
+   *    bajan y el siguiente reintento va a otro
    * 
    * 💡 TIP: Si siempre falla en el primer intento pero funciona en reintentos,
    * probablemente el servidor tarda en inicializar. Considera aumentar
@@ -326,53 +398,49 @@ export class WebSocketManager {
       return null;
     }
 
-    // 🔀 Generación inteligente de candidatos de conexión
-    // Tomamos las URLs base y generamos variantes con diferentes rutas
-    const base = [this.endpoints.primary, this.endpoints.fallback];
-    const variants = base.flatMap(u => {
-      // Si la URL contiene /api/chat, también probamos /ws/chat
-      if (u.includes('/api/chat')) return [u, u.replace('/api/chat', '/ws/chat')];
-      // Si contiene /ws/chat, también probamos /api/chat  
-      if (u.includes('/ws/chat')) return [u, u.replace('/ws/chat', '/api/chat')];
-      // Si no tiene ninguna, la devolvemos tal como está
-      return [u];
-    });
-    
-    // 🔄 Eliminamos duplicados pero preservamos el orden (Set mantiene insertion order)
-    const candidates = Array.from(new Set(variants));
-    
-    // 📍 Selección de URL por rotación: usamos el retryCount como índice
-    // Intento 0: candidates[0], Intento 1: candidates[1], etc.
-    // Si hay más intentos que candidatos, usamos el último
-    const index = Math.min(this.retryCount, candidates.length - 1);
-    const url = candidates[index];
+    // 🩺 Elección por salud: el endpoint recordado en la sesión o el de mejor puntuación
+    // Un endpoint que acaba de fallar queda penalizado, así el reintento prueba otro
+    const url = this.health.pickEndpoint(this.getCandidateUrls());
     this.currentUrl = url;
     
     // 📊 Logging diferenciado para conexiones iniciales vs reintentos
     if (isRetry) {
-      this.connectionState = WS_CONFIG.CONNECTION_STATES.RECONNECTING;
-      Logger.debug(this.componentName, `🔄 Reintentando conexión (${this.retryCount}/${WS_CONFIG.MAX_RETRY_ATTEMPTS}) a ${url}`);
+      this.setConnectionState(WS_CONFIG.CONNECTION_STATES.RECONNECTING);
+      Logger.debug(this.componentName, `🔄 Reintentando conexión (${this.retryCount}/${WS_CONFIG.MAX_RETRY_ATTEMPTS}) a ${url} (puntuación ${this.health.getScore(url).toFixed(2)})`);
     } else {
-      this.connectionState = WS_CONFIG.CONNECTION_STATES.CONNECTING;
+      this.setConnectionState(WS_CONFIG.CONNECTION_STATES.CONNECTING);
       Logger.debug(this.componentName, `🚀 Iniciando conexión inicial a ${url}`);
     }
 
     // 🏥 Verificación proactiva de salud del servidor
     // Solo en los primeros intentos - después asumimos que el problema es temporal
+    const attemptId = ++this.attemptId;
     const isServerAvailable = await this.checkServerAvailability(url);
+    
+    // 🚫 Mientras esperábamos se desconectó o empezó otro intento: este ya no vale
+    if (attemptId !== this.attemptId || !this.shouldReconnect) {
+      Logger.debug(this.componentName, '🚫 Intento de conexión descartado (hay uno más reciente)');
+      return null;
+    }
+    
     if (!isServerAvailable && this.retryCount < 2) {
       Logger.warn(this.componentName, `🚫 Servidor no disponible en ${url}. Programando reintento...`);
+      this.health.recordFailure(url);
       this.scheduleRetry();
       return null;
     }
 
     try {
-      // 🧹 Limpieza preventiva: eliminar cualquier conexión anterior
+      // 🧹 Limpieza preventiva: eliminar cualquier conexión anterior (y cerrarla, o quedaría abierta en paralelo)
       this.cleanup();
+      this.closeSocket();
       
-      // 🔌 Creación de la nueva conexión WebSocket
-      Logger.debug(this.componentName, `🔗 Creando WebSocket hacia ${url}...`);
-      this.ws = new WebSocket(url);
+      // 🔌 Creación de la nueva conexión (WebSocket o transporte HTTP de respaldo)
+      Logger.debug(this.componentName, `🔗 Creando conexión (${this.transport}) hacia ${url}...`);
+      const startedAt = Date.now();
+      this.ws = this.createTransport(url);
+      const socket = this.ws;
+      let opened = false;
       
       // ⏰ Configuración de timeout de conexión
       // Si el WebSocket se queda en estado CONNECTING más de X segundos, algo está mal
@@ -392,12 +460,24 @@ export class WebSocketManager {
         // ✅ Éxito: conexión establecida
         this.ws.addEventListener('open', () => {
           Logger.debug(this.componentName, '🎉 Conexión WebSocket exitosa!');
+          opened = true;
+          // 🩺 Latencia de apertura + recordar este endpoint para la sesión
+          this.health.recordSuccess(url, Date.now() - startedAt);
+          this.health.setPreferred(url);
           resolve(this.ws);
         }, { once: true });
         
-        // ❌ Error: fallo en la conexión
+        // ❌ Error: fallo en la conexión (también llega si el timeout la cierra)
         this.ws.addEventListener('error', (error) => {
           Logger.error(this.componentName, '💥 Error en conexión WebSocket:', error);
+          // Un socket que cerramos nosotros (reemplazado / desconexión) no cuenta como fallo
+          if (this.ws === socket) {
+            this.health.recordFailure(url);
+            // 🌐 El servidor respondía por HTTP pero el socket no abrió: upgrade bloqueado
+            if (isServerAvailable && !opened) {
+              this.registerUpgradeFailure();
+            }
+          }
           reject(new Error('Error en conexión WebSocket'));
         }, { once: true });
       });
@@ -410,6 +490,62 @@ export class WebSocketManager {
     }
   }
 
+  /**
+   * 🌐 Crear el Transporte
+   * 
+   * Por defecto un WebSocket; tras HTTP_FALLBACK_AFTER upgrades bloqueados, un
+   * HttpFallbackTransport con la misma interfaz (readyState, send, close, on*).
+   * 
+   * @param {string} url - Endpoint WebSocket elegido
+   * @returns {WebSocket|HttpFallbackTransport}
+   */
+  createTransport(url) {
+    if (this.transport === WS_CONFIG.TRANSPORTS.HTTP) {
+      return new HttpFallbackTransport(url);
+    }
+    return new WebSocket(url);
+  }
+
+  /**
+   * 🚧 Upgrade Bloqueado
+   * 
+   * Cuenta un WebSocket que no abrió mientras el servidor sí respondía por
+   * HTTP (típico de proxies que filtran el upgrade). Al llegar a
+   * HTTP_FALLBACK_AFTER se pasa al transporte HTTP con los reintentos a cero.
+   */
+  registerUpgradeFailure() {
+    if (this.transport !== WS_CONFIG.TRANSPORTS.WEBSOCKET) return;
+    
+    this.upgradeFailures++;
+    Logger.warn(this.componentName, `🚧 Upgrade a WebSocket fallido (${this.upgradeFailures}/${WS_CONFIG.HTTP_FALLBACK_AFTER})`);
+    
+    if (this.upgradeFailures >= WS_CONFIG.HTTP_FALLBACK_AFTER) {
+      Logger.warn(this.componentName, '🌐 WebSocket bloqueado: se usa el transporte HTTP (SSE / long-polling)');
+      this.retryCount = 0;
+      this.setTransport(WS_CONFIG.TRANSPORTS.HTTP);
+    }
+  }
+
+  /**
+   * 🔀 Cambiar de Transporte
+   * Guarda el transporte y avisa al handler onTransportChange (si lo hay).
+   * 
+   * @param {string} transport - Uno de WS_CONFIG.TRANSPORTS
+   */
+  setTransport(transport) {
+    if (this.transport === transport) return;
+    this.transport = transport;
+    this.upgradeFailures = 0;
+    
+    if (this.handlers.onTransportChange) {
+      try {
+        this.handlers.onTransportChange(transport);
+      } catch (error) {
+        Logger.error(this.componentName, '💥 Error en handler onTransportChange personalizado:', error);
+      }
+    }
+  }
+
   /**
    * 🎛️ Configuración de Event Listeners
    * 
@@ -468,11 +604,16 @@ export class WebSocketManager {
     // 🧹 Limpieza de timers y reset de estado
     this.clearTimers();                 // Cancelar timeouts pendientes
     this.retryCount = 0;               // Resetear contador de reintentos
-    this.connectionState = WS_CONFIG.CONNECTION_STATES.CONNECTED;
+    this.upgradeFailures = 0;          // El transporte actual funciona
+    this.resetQuality();               // Las medidas de la conexión anterior ya no valen
+    this.setConnectionState(WS_CONFIG.CONNECTION_STATES.CONNECTED);
     
     // 💓 Iniciar sistema de heartbeat para mantener viva la conexión
     this.startHeartbeat();
     
+    // 🩺 Vigilar si los endpoints degradados se recuperan
+    this.startEndpointProbe();
+    
     // 📢 Notificar al componente React que estamos conectados
     if (this.handlers.onOpen) {
       try {
@@ -481,6 +622,9 @@ export class WebSocketManager {
         Logger.error(this.componentName, '💥 Error en handler onOpen personalizado:', error);
       }
     }
+    
+    // 📮 Enviar en orden lo que se acumuló mientras estábamos desconectados
+    this.flushOutbox();
   }
 
   /**
@@ -501,9 +645,12 @@ export class WebSocketManager {
    * 3. El formato del mensaje (debe ser texto válido o JSON)
    */
   onMessage(event) {
+    // 💓 Los pong del heartbeat se consumen aquí: no llegan a los componentes
+    if (this.handlePong(event.data)) return;
+    
     // 📊 Log truncado para no llenar la consola con mensajes largos
-    const preview = event.data?.substring(0, 100) || '[mensaje vacío]';
-    Logger.debug(this.componentName, `📨 Mensaje recibido: ${preview}${event.data?.length > 100 ? '...' : ''}`);
+    const preview = typeof event.data === 'string' ? event.data.substring(0, 100) : '[binario]';
+    Logger.debug(this.componentName, `📨 Mensaje recibido: ${preview || '[mensaje vacío]'}${event.data?.length > 100 ? '...' : ''}`);
     
     // 📢 Delegar al handler personalizado del componente
     if (this.handlers.onMessage) {
@@ -545,8 +692,9 @@ export class WebSocketManager {
     Logger.warn(this.componentName, `🔌 WebSocket cerrado: ${JSON.stringify(closeInfo)}`);
     
     // 📊 Actualizar estado interno
-    this.connectionState = WS_CONFIG.CONNECTION_STATES.DISCONNECTED;
+    this.setConnectionState(WS_CONFIG.CONNECTION_STATES.DISCONNECTED);
     this.clearTimers();    // Limpiar heartbeats y timeouts
+    this.resetQuality();   // Sin conexión no hay calidad que mostrar
     
     // 🤔 ¿Debemos reconectar automáticamente?
     const shouldRetry = this.shouldReconnect &&                           // Reconexión habilitada
@@ -558,7 +706,7 @@ export class WebSocketManager {
       this.scheduleRetry();
     } else if (this.retryCount >= WS_CONFIG.MAX_RETRY_ATTEMPTS) {
       // 💀 Hemos agotado todos los intentos - marcar como fallido
-      this.connectionState = WS_CONFIG.CONNECTION_STATES.FAILED;
+      this.setConnectionState(WS_CONFIG.CONNECTION_STATES.FAILED);
   Logger.error(this.componentName, `❌ Máximo número de reintentos alcanzado (${WS_CONFIG.MAX_RETRY_ATTEMPTS}). Conexión marcada como fallida.`);
     } else {
       // ✋ Cierre normal o reconexión deshabilitada
@@ -610,6 +758,21 @@ export class WebSocketManager {
     }
   }
 
+  /**
+   * 🔁 Reconectar sin esperar el resultado
+   * 
+   * Para reconexiones que nadie espera (reintentos, reinicio, vuelta a WebSocket):
+   * el fallo ya se gestiona en los listeners del socket (health + scheduleRetry),
+   * aquí solo evitamos que la promesa rechazada quede sin manejar.
+   * 
+   * @param {boolean} isRetry - true si es un reintento automático
+   */
+  reconnectInBackground(isRetry = false) {
+    this.attemptConnection(isRetry).catch(error => {
+      Logger.warn(this.componentName, `⚠️ Reconexión fallida: ${error.message}`);
+    });
+  }
+
   /**
    * ⏰ Programador de Reintentos
    * Cuando una conexión falla, este método programa el próximo intento
@@ -618,7 +781,7 @@ export class WebSocketManager {
    * 🔄 FLUJO DE RECONEXIÓN:
    * 1. Incrementa retryCount
    * 2. Calcula delay con backoff exponencial + jitter
-   * 3. Programa timer para llamar attemptConnection(true)
+   * 3. Programa timer para llamar reconnectInBackground(true)
    * 4. Si se agotaron intentos, no hace nada
    * 
    * 🛡️ PROTECCIONES:
@@ -647,7 +810,7 @@ export class WebSocketManager {
     // ⏲️ Programar el reintento
     this.retryTimer = setTimeout(() => {
       Logger.debug(this.componentName, `🔄 Ejecutando reintento ${this.retryCount}...`);
-      this.attemptConnection(true);   // true = es reintento
+      this.reconnectInBackground(true);   // true = es reintento
     }, delay);
   }
 
@@ -657,16 +820,18 @@ export class WebSocketManager {
    * Los heartbeats son pings periódicos que enviamos al servidor para:
    * 1. Detectar conexiones "zombi" (aparentan estar vivas pero no funcionan)
    * 2. Mantener viva la conexión a través de firewalls/proxies
-   * 3. Detectar problemas de red antes de que el usuario intente enviar datos
+   * 3. Medir la latencia (RTT) y calificar la calidad de la conexión
    * 
    * 📡 FUNCIONAMIENTO:
-   * - Cada 30 segundos enviamos {"type": "ping"}
-   * - El servidor debería responder con {"type": "pong"}
-   * - Si el envío falla, la conexión está rota
+   * - Al conectar y luego cada 30 segundos enviamos {"type": "ping"}
+   * - El servidor debería responder con {"type": "pong"} (handlePong mide el RTT)
+   * - Si al tocar el siguiente ping el anterior sigue sin respuesta, es un pong perdido
+   * - Con MAX_MISSED_PONGS perdidos seguidos damos la conexión por muerta y
+   *   reconectamos, sin esperar al evento close del navegador (puede tardar minutos)
    * 
-   * 💡 TIP: Si ves muchos errores de heartbeat, verifica:
+   * 💡 TIP: Si ves muchos pongs perdidos, verifica:
    * - Configuración de timeout en tu firewall/proxy
-   * - Que el backend maneje mensajes de ping correctamente
+   * - Que el backend responda a los ping con pong
    * - La estabilidad de la conexión de red
    */
   startHeartbeat() {
@@ -677,26 +842,242 @@ export class WebSocketManager {
     
     Logger.debug(this.componentName, `💓 Iniciando heartbeat cada ${WS_CONFIG.HEARTBEAT_INTERVAL}ms`);
     
+    // 📏 Primera medida al conectar, sin esperar al primer intervalo
+    this.sendPing();
+    
     this.heartbeatTimer = setInterval(() => {
-      // ✅ Solo enviar si la conexión está realmente abierta
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        try {
-          const pingMessage = JSON.stringify({ type: 'ping', timestamp: Date.now() });
-          this.ws.send(pingMessage);
-          Logger.debug(this.componentName, '💓 Heartbeat enviado');
-        } catch (error) {
-          // ⚠️ Si el ping falla, la conexión probablemente está rota
-          Logger.warn(this.componentName, '💔 Error enviando heartbeat - conexión posiblemente rota:', error);
-          // No forzamos cierre aquí - dejamos que el sistema lo detecte naturalmente
-        }
-      } else {
-        // 🚫 WebSocket no está abierto - detener heartbeat
+      // 🚫 WebSocket no está abierto - detener heartbeat
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
         Logger.debug(this.componentName, '💔 Deteniendo heartbeat: WebSocket no está abierto');
         this.clearTimers();
+        return;
+      }
+      
+      // ⏳ El ping anterior sigue sin pong
+      if (this.pendingPingAt !== null) {
+        this.missedPongs++;
+        Logger.warn(this.componentName, `💔 Pong perdido (${this.missedPongs}/${WS_CONFIG.MAX_MISSED_PONGS})`);
+        this.notifyQualityChange();
+        
+        if (this.missedPongs >= WS_CONFIG.MAX_MISSED_PONGS) {
+          this.handleDeadConnection();
+          return;
+        }
       }
+      
+      this.sendPing();
     }, WS_CONFIG.HEARTBEAT_INTERVAL);
   }
 
+  /**
+   * 📤 Enviar un Ping
+   * Guarda la hora de envío para medir el RTT cuando llegue el pong.
+   */
+  sendPing() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    
+    try {
+      const now = Date.now();
+      this.ws.send(JSON.stringify({ type: 'ping', version: PROTOCOL_VERSION, timestamp: now }));
+      // Si el anterior no respondió, se sigue contando desde este
+      this.pendingPingAt = now;
+      Logger.debug(this.componentName, '💓 Heartbeat enviado');
+    } catch (error) {
+      // ⚠️ Si el ping falla, la conexión probablemente está rota: contará como pong perdido
+      Logger.warn(this.componentName, '💔 Error enviando heartbeat - conexión posiblemente rota:', error);
+    }
+  }
+
+  /**
+   * 📥 Procesar un Pong
+   * 
+   * @param {*} data - Datos del mensaje entrante
+   * @returns {boolean} true si era un pong (ya procesado, no se reenvía a los componentes)
+   */
+  handlePong(data) {
+    if (typeof data !== 'string' || !data.includes('pong')) return false;
+    
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return false;
+    }
+    if (!message || message.type !== 'pong') return false;
+    
+    // Un pong tardío (llega después del siguiente ping) no da una medida fiable
+    if (this.pendingPingAt !== null) {
+      const rtt = Date.now() - this.pendingPingAt;
+      this.rttSamples = [...this.rttSamples, rtt].slice(-WS_CONFIG.RTT_SAMPLES);
+      Logger.debug(this.componentName, `💓 Pong recibido: RTT ${rtt}ms`);
+    }
+    this.pendingPingAt = null;
+    this.missedPongs = 0;
+    this.notifyQualityChange();
+    return true;
+  }
+
+  /**
+   * 💀 Conexión Muerta
+   * 
+   * El socket no responde a los ping: lo cerramos nosotros y seguimos
+   * el mismo camino que un cierre anormal (1006) para que se reconecte.
+   */
+  handleDeadConnection() {
+    Logger.warn(this.componentName, `💀 ${WS_CONFIG.MAX_MISSED_PONGS} pongs perdidos: conexión dada por muerta en ${this.currentUrl}`);
+    
+    this.cleanup();
+    this.closeSocket(WS_CONFIG.CLOSE_CODES.NORMAL, 'Sin respuesta al heartbeat');
+    this.onConnectionClose({
+      code: WS_CONFIG.CLOSE_CODES.ABNORMAL_CLOSURE,
+      reason: 'Sin respuesta al heartbeat (pong)',
+      wasClean: false
+    });
+  }
+
+  /**
+   * 📶 Calidad de la Conexión
+   * 
+   * - good: latencia media < RTT_GOOD y sin pongs perdidos
+   * - degraded: latencia media < RTT_DEGRADED o un pong perdido
+   * - poor: latencia mayor o dos pongs perdidos seguidos
+   * - unknown: todavía sin medidas (recién conectado o desconectado)
+   * 
+   * @returns {{quality: string, rtt: number|null, averageRtt: number|null, missedPongs: number}}
+   */
+  getConnectionQuality() {
+    const { CONNECTION_QUALITY } = WS_CONFIG;
+    const samples = this.rttSamples;
+    const rtt = samples.length ? samples[samples.length - 1] : null;
+    const averageRtt = samples.length
+      ? Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length)
+      : null;
+    
+    let quality = CONNECTION_QUALITY.UNKNOWN;
+    if (this.missedPongs >= 2 || (averageRtt !== null && averageRtt >= WS_CONFIG.RTT_DEGRADED)) {
+      quality = CONNECTION_QUALITY.POOR;
+    } else if (this.missedPongs === 1 || (averageRtt !== null && averageRtt >= WS_CONFIG.RTT_GOOD)) {
+      quality = CONNECTION_QUALITY.DEGRADED;
+    } else if (averageRtt !== null) {
+      quality = CONNECTION_QUALITY.GOOD;
+    }
+    
+    return { quality, rtt, averageRtt, missedPongs: this.missedPongs };
+  }
+
+  /**
+   * 🧹 Olvidar las medidas (nueva conexión o desconexión)
+   */
+  resetQuality() {
+    this.rttSamples = [];
+    this.missedPongs = 0;
+    this.pendingPingAt = null;
+    this.notifyQualityChange();
+  }
+
+  notifyQualityChange() {
+    if (this.handlers.onQualityChange) {
+      try {
+        this.handlers.onQualityChange(this.getConnectionQuality());
+      } catch (error) {
+        Logger.error(this.componentName, '💥 Error en handler onQualityChange personalizado:', error);
+      }
+    }
+  }
+
+  /**
+   * 🩺 Sondeo de Endpoints Degradados
+   * 
+   * Mientras estamos conectados, cada ENDPOINT_PROBE_INTERVAL se prueba
+   * (abriendo y cerrando un WebSocket) el mejor de los endpoints que
+   * fallaron. Así su puntuación se recupera cuando vuelve a funcionar y
+   * la próxima conexión puede volver a él sin esperar a que falle el actual.
+   */
+  startEndpointProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+    }
+    
+    this.probeTimer = setInterval(async () => {
+      if (this.probeSocket || !this.isConnected()) return;
+      
+      // 🌐 Con el transporte HTTP se sondea el WebSocket del endpoint actual:
+      // si el upgrade vuelve a funcionar, se reconecta por WebSocket
+      if (this.transport === WS_CONFIG.TRANSPORTS.HTTP) {
+        const latency = await this.probeEndpoint(this.currentUrl);
+        if (latency !== null && this.transport === WS_CONFIG.TRANSPORTS.HTTP && this.isConnected()) {
+          Logger.info(this.componentName, `🔌 WebSocket disponible de nuevo en ${this.currentUrl} (${latency}ms), se abandona HTTP`);
+          this.switchToWebSocket();
+        }
+        return;
+      }
+      
+      const [demoted] = this.health.getDemoted(this.getCandidateUrls(), this.currentUrl);
+      if (!demoted) return;
+      
+      const latency = await this.probeEndpoint(demoted);
+      if (latency === null) {
+        this.health.recordFailure(demoted);
+        Logger.debug(this.componentName, `🩺 Sonda: ${demoted} sigue sin responder`);
+      } else {
+        this.health.recordSuccess(demoted, latency);
+        Logger.debug(this.componentName, `🩺 Sonda: ${demoted} respondió en ${latency}ms`);
+      }
+    }, WS_CONFIG.ENDPOINT_PROBE_INTERVAL);
+  }
+
+  /**
+   * 🔌 Volver a WebSocket
+   * 
+   * Cierra el transporte HTTP y reconecta por WebSocket. La sesión del chat
+   * se reanuda en el onOpen (ChatSession), así que no se pierden mensajes.
+   */
+  switchToWebSocket() {
+    this.setTransport(WS_CONFIG.TRANSPORTS.WEBSOCKET);
+    this.cleanup();
+    this.closeSocket(WS_CONFIG.CLOSE_CODES.NORMAL, 'Cambio a WebSocket');
+    this.resetQuality();
+    this.retryCount = 0;
+    this.reconnectInBackground();
+  }
+
+  /**
+   * 🩺 Probar un Endpoint
+   * 
+   * Abre un WebSocket de prueba y lo cierra en cuanto conecta.
+   * 
+   * @param {string} url - Endpoint a probar
+   * @returns {Promise<number|null>} ms hasta abrir, o null si falló / expiró
+   */
+  probeEndpoint(url) {
+    return new Promise(resolve => {
+      const startedAt = Date.now();
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch (error) {
+        resolve(null);
+        return;
+      }
+      this.probeSocket = socket;
+      
+      const finish = (latency) => {
+        clearTimeout(timeout);
+        socket.onopen = null;
+        socket.onerror = null;
+        if (this.probeSocket === socket) this.probeSocket = null;
+        if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+          socket.close(WS_CONFIG.CLOSE_CODES.NORMAL, 'Sonda de salud');
+        }
+        resolve(latency);
+      };
+      const timeout = setTimeout(() => finish(null), WS_CONFIG.CONNECTION_TIMEOUT);
+      
+      socket.onopen = () => finish(Date.now() - startedAt);
+      socket.onerror = () => finish(null);
+    });
+  }
+
   /**
    * 📤 Envío de Mensajes
    * 
@@ -710,15 +1091,18 @@ export class WebSocketManager {
    * 
    * // Enviar string directo
    * wsManager.send('mensaje simple');
+   * 
+   * // Enviar un fragmento de audio como frame binario
+   * wsManager.send(audioChunkBlob);
    * ```
    * 
    * 🛡️ VALIDACIONES:
    * - Verifica que WebSocket existe y está abierto
-   * - Convierte objetos a JSON automáticamente
+   * - Convierte objetos a JSON automáticamente (Blob/ArrayBuffer se envían en binario)
    * - Captura errores de serialización y envío
    * - Devuelve booleano indicando éxito/fallo
    * 
-   * @param {string|Object} data - Datos a enviar (string o objeto serializable)
+   * @param {string|Object|Blob|ArrayBuffer} data - Datos a enviar (string, objeto serializable o binario)
    * @returns {boolean} - true si se envió exitosamente, false en caso contrario
    */
   send(data) {
@@ -730,6 +1114,18 @@ export class WebSocketManager {
     }
 
     try {
+      // 🎙️ Fragmentos binarios (audio en streaming) se envían tal cual
+      if (isBinaryData(data)) {
+        this.ws.send(data);
+        Logger.debug(this.componentName, `📤 Frame binario enviado (${data.size ?? data.byteLength} bytes)`);
+        return true;
+      }
+      
+      // 📜 Los objetos se validan contra el protocolo (solo se reporta: el envío sigue)
+      if (typeof data === 'object' && data !== null) {
+        checkFrame(data, DIRECTIONS.OUT);
+      }
+      
       // 🔄 Serialización automática: objeto → JSON string
       const message = typeof data === 'string' ? data : JSON.stringify(data);
       
@@ -749,6 +1145,39 @@ export class WebSocketManager {
     }
   }
 
+  /**
+   * 📮 Asociar Outbox
+   * 
+   * Conecta una cola de mensajes pendientes (MessageOutbox) al manager.
+   * Mientras no haya conexión, el componente encola los mensajes en ella
+   * y el manager los envía en orden cada vez que la conexión se abre.
+   * 
+   * @param {MessageOutbox|null} outbox - Cola a vaciar en cada conexión
+   */
+  setOutbox(outbox) {
+    this.outbox = outbox;
+    
+    // Si ya estamos conectados no hace falta esperar al próximo onopen
+    if (this.isConnected()) {
+      this.flushOutbox();
+    }
+  }
+
+  /**
+   * 📤 Vaciar Outbox
+   * 
+   * Envía los mensajes pendientes de la cola asociada, en orden de llegada.
+   * Se detiene en el primer fallo (el resto espera a la próxima conexión).
+   * 
+   * @returns {number} Cantidad de mensajes enviados
+   */
+  flushOutbox() {
+    if (!this.outbox || !this.isConnected()) return 0;
+    
+    Logger.debug(this.componentName, `📮 Vaciando outbox (${this.outbox.pendingCount} pendientes)`);
+    return this.outbox.flush(payload => this.send(payload));
+  }
+
   /**
    * 🚪 Desconexión Manual
    * 
@@ -768,17 +1197,34 @@ export class WebSocketManager {
     
     // 🚫 Deshabilitar reconexión automática - esto es una desconexión intencional
     this.shouldReconnect = false;
+    this.attemptId++;      // Un intento en curso (health check) no debe abrir nada al terminar
     
     // 🧹 Limpiar todos los recursos (timers, listeners, etc.)
     this.cleanup();
     
-    // 🔌 Cerrar conexión si está abierta
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.close(code, reason);
-    }
+    // 🔌 Cerrar conexión si está abierta (o todavía conectando)
+    this.closeSocket(code, reason);
     
     // 📊 Actualizar estado
-    this.connectionState = WS_CONFIG.CONNECTION_STATES.DISCONNECTED;
+    this.setConnectionState(WS_CONFIG.CONNECTION_STATES.DISCONNECTED);
+  }
+
+  /**
+   * 🔌 Cerrar el WebSocket Actual
+   * 
+   * Cierra el socket si sigue abierto o conectando. Se llama con los
+   * listeners ya retirados (cleanup), así que no dispara reconexiones.
+   * 
+   * @param {number} code - Código de cierre WebSocket
+   * @param {string} reason - Razón descriptiva
+   */
+  closeSocket(code = WS_CONFIG.CLOSE_CODES.NORMAL, reason = 'Conexión reemplazada') {
+    if (!this.ws) return;
+    
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.close(code, reason);
+    }
+    this.ws = null;
   }
 
   /**
@@ -816,6 +1262,18 @@ export class WebSocketManager {
       this.connectionTimeout = null;
       Logger.debug(this.componentName, '⏰ Timeout de conexión cancelado');
     }
+    
+    // 🩺 Cancelar el sondeo de endpoints (y la sonda en curso)
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+    if (this.probeSocket) {
+      this.probeSocket.onopen = null;
+      this.probeSocket.onerror = null;
+      this.probeSocket.close();
+      this.probeSocket = null;
+    }
   }
 
   /**
@@ -851,6 +1309,27 @@ export class WebSocketManager {
     Logger.debug(this.componentName, '✅ Limpieza completa finalizada');
   }
 
+  /**
+   * 📊 Cambiar Estado de la Conexión
+   * 
+   * Guarda el nuevo estado y avisa al handler onStateChange (si lo hay)
+   * para que la UI muestre conectando / reconectando / fallido al momento.
+   * 
+   * @param {string} state - Uno de WS_CONFIG.CONNECTION_STATES
+   */
+  setConnectionState(state) {
+    if (this.connectionState === state) return;
+    this.connectionState = state;
+    
+    if (this.handlers.onStateChange) {
+      try {
+        this.handlers.onStateChange(state);
+      } catch (error) {
+        Logger.error(this.componentName, '💥 Error en handler onStateChange personalizado:', error);
+      }
+    }
+  }
+
   /**
    * 📊 Obtener Estado Actual
    * 
@@ -864,12 +1343,35 @@ export class WebSocketManager {
    * - 'reconnecting': Reintentando conexión automáticamente
    * - 'failed': Error fatal, reconexión falló múltiples veces
    * 
+   * El endpoint activo y la salud de cada candidato están en getConnectionDetails().
+   * 
    * @returns {string} Estado actual de la conexión
    */
   getConnectionState() {
     return this.connectionState;
   }
 
+  /**
+   * 🔎 Detalles de la Conexión
+   * 
+   * Complementa getConnectionState con el endpoint activo y la salud
+   * de cada candidato (para diagnósticos y la UI).
+   * 
+   * @returns {{state: string, transport: string, activeEndpoint: string|null, preferredEndpoint: string|null, retryCount: number, quality: Object, endpoints: Array<Object>}}
+   */
+  getConnectionDetails() {
+    const connected = this.connectionState === WS_CONFIG.CONNECTION_STATES.CONNECTED;
+    return {
+      state: this.connectionState,
+      transport: this.transport,
+      activeEndpoint: connected ? this.currentUrl : null,
+      preferredEndpoint: this.health.getPreferred(),
+      retryCount: this.retryCount,
+      quality: this.getConnectionQuality(),
+      endpoints: this.health.snapshot(this.getCandidateUrls())
+    };
+  }
+
   /**
    * ✅ Verificar Si Está Conectado
    * 
@@ -923,7 +1425,7 @@ export class WebSocketManager {
       this.shouldReconnect = true;
       
       // 🎯 Intentar nueva conexión
-      this.attemptConnection();
+      this.reconnectInBackground();
     }, 1000);
   }
 }